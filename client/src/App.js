@@ -13,13 +13,6 @@ import {
   InputLabel,
   Select,
   MenuItem,
-  Table,
-  TableBody,
-  TableCell,
-  TableContainer,
-  TableHead,
-  TableRow,
-  TablePagination,
   CircularProgress,
   Alert,
   Box,
@@ -29,13 +22,60 @@ import {
   Toolbar,
   Card,
   CardContent,
-  Chip
+  Chip,
+  TextField,
+  Button,
+  Menu,
+  Switch,
+  FormControlLabel
 } from '@mui/material';
 import { TabContext, TabList, TabPanel } from '@mui/lab';
+import { FileDownload } from '@mui/icons-material';
 import ReportEditor from './components/ReportEditor';
+import ThresholdSettings from './components/ThresholdSettings';
+import DataQualityPanel from './components/DataQualityPanel';
+import FleetComparison from './components/FleetComparison';
+import CorrelationPanel from './components/CorrelationPanel';
+import DataTable from './components/DataTable';
+import ComparisonSummary from './components/ComparisonSummary';
+import { getThresholdLines, STATUS_COLORS } from './utils/thresholds';
+import { setReportTimeZone, getReportTimeZone, formatDateTime, formatTime, formatAxisTick } from './utils/time';
 
 // Constants
-const NODE_NAMES = ['Aviation FM', 'Emoo FM', 'Genset02', 'Kameme FM', 'MediaMax1'];
+// Chart colours for the common metrics; other metrics from a channel profile
+// fall back to FALLBACK_COLORS in order
+const METRIC_COLORS = {
+  'Forward Power': '#2196f3',
+  'Reflected Power': '#f44336',
+  'VSWR': '#ff9800',
+  'Return Loss': '#9c27b0',
+  'Temperature': '#4caf50',
+  'Voltage': '#00bcd4',
+  'Current': '#ff5722',
+  'Power': '#795548'
+};
+const FALLBACK_COLORS = ['#3f51b5', '#009688', '#e91e63', '#607d8b', '#cddc39', '#8bc34a'];
+// Bucket size requested from /api/data for each time period
+const PERIOD_RESOLUTIONS = {
+  '24h': '5m',
+  '7d': '1h',
+  '30d': '1h',
+  custom: 'auto'
+};
+// Bucket length of each resolution, for folding live readings into the
+// bucket they belong to. Buckets start on whole multiples of it, as on the
+// server.
+const BUCKET_MS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+// Fill for anomaly intervals, translucent so grid lines stay visible
+const ANOMALY_SHADE = 'rgba(244, 67, 54, 0.12)';
+// Once this many live rows have been appended the period is reloaded, so a
+// wall screen's rolling window moves on and memory stays bounded
+const MAX_LIVE_ROWS = 1000;
 const TIME_PERIODS = [
   { value: '24h', label: 'Last 24 Hours' },
   { value: '7d', label: 'Last 7 Days' },
@@ -92,26 +132,10 @@ const calculateStats = (data, metric) => {
   return { avg, max, min };
 };
 
-const getMetricUnit = (metric) => {
-  switch (metric) {
-    case 'Forward Power':
-    case 'Reflected Power':
-    case 'Power':
-      return 'W';
-    case 'VSWR':
-      return 'ratio';
-    case 'Return Loss':
-      return 'dB';
-    case 'Temperature':
-      return '°C';
-    case 'Voltage':
-      return 'V';
-    case 'Current':
-      return 'A';
-    default:
-      return '';
-  }
-};
+const getMetricColor = (metric, index) =>
+  METRIC_COLORS[metric] || FALLBACK_COLORS[index % FALLBACK_COLORS.length];
+
+const formatMetricLabel = (metric, unit) => (unit ? `${metric} (${unit})` : metric);
 
 // Components
 // Get global time range for all charts
@@ -128,11 +152,97 @@ const getTimeRange = (data) => {
   };
 };
 
-const TimeSeriesChart = ({ data, metric, color, onChartRef, globalTimeRange }) => {
+// Shades the intervals in `options.plugins.anomalyShading.intervals` behind
+// the data
+const anomalyShadingPlugin = {
+  id: 'anomalyShading',
+  beforeDatasetsDraw: (chart, args, options) => {
+    const intervals = options.intervals || [];
+    if (intervals.length === 0) return;
+
+    const { ctx, chartArea, scales } = chart;
+    ctx.save();
+    ctx.fillStyle = options.color;
+    intervals.forEach((interval) => {
+      const start = scales.x.getPixelForValue(new Date(interval.start).getTime());
+      const end = scales.x.getPixelForValue(new Date(interval.end).getTime());
+      const left = Math.max(Math.min(start, end - 2), chartArea.left);
+      const right = Math.min(Math.max(end, start + 2), chartArea.right);
+      if (right > left) {
+        ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+      }
+    });
+    ctx.restore();
+  }
+};
+
+const TimeSeriesChart = ({ data, liveRows, resolution, baselineRows, baselineLabel, anomalies, forecast, metric, unit, color, rule, onChartRef, globalTimeRange, timeZone }) => {
   const chartRef = useRef(null);
   const chartInstance = useRef(null);
+  const liveRowsRef = useRef(liveRows);
+  const appendedCount = useRef(0);
   const [error, setError] = useState(null);
-  const unit = getMetricUnit(metric);
+  const label = formatMetricLabel(metric, unit);
+
+  liveRowsRef.current = liveRows;
+
+  // Put live rows that are not on the chart yet onto the existing instance
+  // instead of rebuilding it. On a bucketed chart each reading is folded
+  // into the average, min and max of its bucket, which becomes a new point
+  // once the reading is past the last one.
+  const appendLiveRows = useCallback(() => {
+    const chart = chartInstance.current;
+    const rows = liveRowsRef.current || [];
+    if (!chart) return;
+
+    if (rows.length < appendedCount.current) {
+      appendedCount.current = 0;
+    }
+    const readings = rows
+      .slice(appendedCount.current)
+      .filter(row => row && row.Timestamp && row[metric] !== undefined && row[metric] !== null)
+      .map(row => ({ time: new Date(row.Timestamp), value: parseFloat(row[metric]) }))
+      .filter(reading => Number.isFinite(reading.value));
+    appendedCount.current = rows.length;
+    if (readings.length === 0) return;
+
+    const [line, ...others] = chart.data.datasets;
+    const bands = others.filter(dataset => dataset.role === 'band-max' || dataset.role === 'band-min');
+    const bucketMs = BUCKET_MS[resolution];
+
+    readings.forEach(({ time, value }) => {
+      const x = bucketMs ? new Date(Math.floor(time.getTime() / bucketMs) * bucketMs) : time;
+      let index = line.data.length - 1;
+      while (bucketMs && index >= 0 && line.data[index].x > x) index--;
+      const point = line.data[index];
+
+      if (bucketMs && point && point.x.getTime() === x.getTime()) {
+        const count = point.count || 1;
+        point.y = (point.y * count + value) / (count + 1);
+        point.min = Math.min(Number.isFinite(point.min) ? point.min : point.y, value);
+        point.max = Math.max(Number.isFinite(point.max) ? point.max : point.y, value);
+        point.count = count + 1;
+        bands.forEach(dataset => {
+          dataset.data[index] = { x, y: dataset.role === 'band-max' ? point.max : point.min };
+        });
+      } else if (index === line.data.length - 1) {
+        line.data.push({ x, y: value, min: value, max: value, count: 1 });
+        bands.forEach(dataset => dataset.data.push({ x, y: value }));
+      }
+    });
+
+    const last = line.data[line.data.length - 1].x;
+    others.forEach(dataset => {
+      if (dataset.role === 'threshold') {
+        dataset.data[dataset.data.length - 1] = { ...dataset.data[dataset.data.length - 1], x: last };
+      }
+    });
+    chart.update('none');
+  }, [metric, resolution]);
+
+  useEffect(() => {
+    appendLiveRows();
+  }, [liveRows, appendLiveRows]);
 
   useEffect(() => {
     // Early return if missing required data
@@ -164,19 +274,8 @@ const TimeSeriesChart = ({ data, metric, color, onChartRef, globalTimeRange }) =
       });
     }
 
-    // Map metric names to data fields
-    const metricToField = {
-      'Forward Power': 'ForwardPower',
-      'Reflected Power': 'ReflectedPower',
-      'VSWR': 'VSWR',
-      'Return Loss': 'ReturnLoss',
-      'Temperature': 'Temperature',
-      'Voltage': 'Voltage',
-      'Current': 'Current',
-      'Power': 'Power'
-    };
-
-    const field = metricToField[metric];
+    // Rows are keyed by the metric names of the node's channel profile
+    const field = metric;
     
     // Filter data within the global time range
     const processedData = data
@@ -191,12 +290,110 @@ const TimeSeriesChart = ({ data, metric, color, onChartRef, globalTimeRange }) =
       })
       .map(d => ({
         x: new Date(d.Timestamp),
-        y: parseFloat(d[field])
+        y: parseFloat(d[field]),
+        min: d.min ? parseFloat(d.min[field]) : undefined,
+        max: d.max ? parseFloat(d.max[field]) : undefined,
+        count: d.SampleCount
       }))
       .sort((a, b) => a.x - b.x);
 
+    // Aggregated rows carry per-bucket extremes, drawn as a band around the average
+    const hasBand = processedData.some(d => Number.isFinite(d.min) && Number.isFinite(d.max));
+    const bandDatasets = hasBand ? [
+      {
+        label: `${metric} max`,
+        role: 'band-max',
+        data: processedData.map(d => ({ x: d.x, y: d.max })),
+        borderColor: 'transparent',
+        backgroundColor: color + '30',
+        pointRadius: 0,
+        pointHoverRadius: 0,
+        tension: 0.4,
+        fill: '+1'
+      },
+      {
+        label: `${metric} min`,
+        role: 'band-min',
+        data: processedData.map(d => ({ x: d.x, y: d.min })),
+        borderColor: 'transparent',
+        backgroundColor: color + '30',
+        pointRadius: 0,
+        pointHoverRadius: 0,
+        tension: 0.4,
+        fill: false
+      }
+    ] : [];
+
+    // The comparison period, already shifted onto this period's time axis
+    const baselineData = (baselineRows || [])
+      .filter(d => d[field] !== undefined && d[field] !== null)
+      .map(d => ({ x: new Date(d.Timestamp), y: parseFloat(d[field]) }))
+      .filter(d => d.x >= globalTimeRange.min && d.x <= globalTimeRange.max);
+    const baselineDatasets = baselineData.length > 0 ? [{
+      label: `${metric} (${baselineLabel})`,
+      role: 'baseline',
+      data: baselineData,
+      borderColor: '#9e9e9e',
+      borderDash: [6, 4],
+      borderWidth: 1.5,
+      pointRadius: 0,
+      pointHoverRadius: 0,
+      tension: 0.4,
+      fill: false
+    }] : [];
+
+    // Anomalous readings as markers, and the intervals they form shaded
+    const inRange = (time) => time >= globalTimeRange.min && time <= globalTimeRange.max;
+    const anomalyPoints = (anomalies?.points || [])
+      .map(point => ({ x: new Date(point.time), y: point.value }))
+      .filter(point => inRange(point.x));
+    const anomalyIntervals = (anomalies?.intervals || [])
+      .filter(interval => inRange(new Date(interval.end)) || inRange(new Date(interval.start)));
+    const anomalyDatasets = anomalyPoints.length > 0 ? [{
+      label: `${metric} anomalies`,
+      role: 'anomaly',
+      data: anomalyPoints,
+      showLine: false,
+      borderColor: STATUS_COLORS.critical,
+      backgroundColor: STATUS_COLORS.critical,
+      pointStyle: 'triangle',
+      pointRadius: 5,
+      pointHoverRadius: 6,
+      fill: false
+    }] : [];
+
+    // Fitted trend line, extended past the period as a forecast
+    const forecastDatasets = forecast && forecast.length > 1 ? [{
+      label: `${metric} trend`,
+      role: 'forecast',
+      data: forecast.map(point => ({ x: new Date(point.time), y: point.value })),
+      borderColor: color,
+      borderDash: [2, 3],
+      borderWidth: 1.5,
+      pointRadius: 0,
+      pointHoverRadius: 0,
+      fill: false
+    }] : [];
+
+    // Dashed warning/critical limits from the node's threshold rules
+    const thresholdDatasets = processedData.length > 0 ? getThresholdLines(rule).map(line => ({
+      label: line.label,
+      role: 'threshold',
+      data: [
+        { x: processedData[0].x, y: line.value },
+        { x: processedData[processedData.length - 1].x, y: line.value }
+      ],
+      borderColor: STATUS_COLORS[line.level],
+      borderDash: [6, 4],
+      borderWidth: 1,
+      pointRadius: 0,
+      pointHoverRadius: 0,
+      fill: false
+    })) : [];
+
     // Calculate min/max for better scaling
-    const values = processedData.map(d => d.y);
+    const values = processedData.flatMap(d => (hasBand ? [d.min, d.max] : [d.y]))
+      .concat(baselineData.map(d => d.y));
     const minValue = Math.min(...values);
     const maxValue = Math.max(...values);
     const range = maxValue - minValue;
@@ -209,7 +406,7 @@ const TimeSeriesChart = ({ data, metric, color, onChartRef, globalTimeRange }) =
       type: 'line',
       data: {
         datasets: [{
-          label: `${metric} (${unit})`,
+          label,
           data: processedData,
           borderColor: color,
           backgroundColor: color + '20',
@@ -217,9 +414,10 @@ const TimeSeriesChart = ({ data, metric, color, onChartRef, globalTimeRange }) =
           pointRadius: 1,
           pointHoverRadius: 5,
           tension: 0.4,
-          fill: true
-        }]
+          fill: !hasBand
+        }, ...bandDatasets, ...baselineDatasets, ...forecastDatasets, ...anomalyDatasets, ...thresholdDatasets]
       },
+      plugins: [anomalyShadingPlugin],
       options: {
         responsive: true,
         maintainAspectRatio: false,
@@ -228,9 +426,13 @@ const TimeSeriesChart = ({ data, metric, color, onChartRef, globalTimeRange }) =
           legend: {
             display: false
           },
+          anomalyShading: {
+            intervals: anomalyIntervals,
+            color: ANOMALY_SHADE
+          },
           title: {
             display: true,
-            text: `${metric} (${unit})`,
+            text: label,
             font: {
               size: 16,
               weight: 'bold'
@@ -240,8 +442,18 @@ const TimeSeriesChart = ({ data, metric, color, onChartRef, globalTimeRange }) =
           tooltip: {
             mode: 'index',
             intersect: false,
+            filter: (item) => item.datasetIndex === 0,
             callbacks: {
-              label: (context) => `${metric}: ${context.parsed.y.toFixed(2)} ${unit}`
+              title: (items) => (items.length ? formatDateTime(items[0].parsed.x) : ''),
+              label: (context) => {
+                // Live points are pushed onto the dataset after it is built,
+                // so read the point itself rather than processedData
+                const point = context.raw || {};
+                const suffix = unit ? ` ${unit}` : '';
+                return hasBand && Number.isFinite(point.min) && Number.isFinite(point.max)
+                  ? `${metric}: ${context.parsed.y.toFixed(2)}${suffix} (min ${point.min.toFixed(2)}, max ${point.max.toFixed(2)})`
+                  : `${metric}: ${context.parsed.y.toFixed(2)}${suffix}`;
+              }
             }
           }
         },
@@ -263,12 +475,15 @@ const TimeSeriesChart = ({ data, metric, color, onChartRef, globalTimeRange }) =
                 locale: enUS
               }
             },
+            ticks: {
+              callback: (value) => formatAxisTick(value)
+            },
             grid: {
               color: 'rgba(0,0,0,0.1)'
             },
             title: {
               display: true,
-              text: 'Time'
+              text: `Time (${getReportTimeZone()})`
             }
           },
           y: {
@@ -280,7 +495,7 @@ const TimeSeriesChart = ({ data, metric, color, onChartRef, globalTimeRange }) =
             },
             title: {
               display: true,
-              text: `${metric} (${unit})`,
+              text: label,
               color: color
             }
           }
@@ -288,6 +503,10 @@ const TimeSeriesChart = ({ data, metric, color, onChartRef, globalTimeRange }) =
       }
     });
 
+      // Re-apply any live rows received since the data was loaded
+      appendedCount.current = 0;
+      appendLiveRows();
+
       // Only call onChartRef if it exists and we have a valid chart reference
       if (onChartRef && chartRef.current) {
         onChartRef(chartRef.current);
@@ -310,7 +529,7 @@ const TimeSeriesChart = ({ data, metric, color, onChartRef, globalTimeRange }) =
         }
       }
     };
-  }, [data, metric, color, onChartRef, globalTimeRange]);
+  }, [data, baselineRows, baselineLabel, anomalies, forecast, metric, label, unit, color, rule, onChartRef, globalTimeRange, timeZone, appendLiveRows]);
 
   // If there's an error, display it
   if (error) {
@@ -333,7 +552,8 @@ const TimeSeriesChart = ({ data, metric, color, onChartRef, globalTimeRange }) =
 
 const App = () => {
   const chartRefs = useRef({});
-  const [selectedStation, setSelectedStation] = useState(NODE_NAMES[0]);
+  const [nodes, setNodes] = useState([]);
+  const [selectedStation, setSelectedStation] = useState('');
   const [selectedBaseStation, setSelectedBaseStation] = useState('');
   const [selectedTimePeriod, setSelectedTimePeriod] = useState('24h');
   const [customStartDate, setCustomStartDate] = useState('');
@@ -343,69 +563,85 @@ const App = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [selectedTab, setSelectedTab] = useState('1');
-  const [page, setPage] = useState(0);
-  const [rowsPerPage, setRowsPerPage] = useState(10);
   
-  // Chart refs for synchronizing zoom/pan
-  const forwardPowerChartRef = useRef(null);
-  const reflectedPowerChartRef = useRef(null);
-  const vswrChartRef = useRef(null);
-  const returnLossChartRef = useRef(null);
-  const temperatureChartRef = useRef(null);
-  const voltageChartRef = useRef(null);
-  const currentChartRef = useRef(null);
-  const powerChartRef = useRef(null);
+  // Chart refs for synchronizing zoom/pan, one per metric of the channel profile
+  const metricChartRefs = useRef({});
   const [timeRange, setTimeRange] = useState({ min: null, max: null });
+  const [profile, setProfile] = useState(null);
+  const [resolution, setResolution] = useState('raw');
+  const [thresholds, setThresholds] = useState({});
+  const [exportMenuAnchor, setExportMenuAnchor] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [live, setLive] = useState(false);
+  const [dataQuality, setDataQuality] = useState(null);
+  const [dataQualityLoading, setDataQualityLoading] = useState(false);
+  const [dataQualityError, setDataQualityError] = useState(null);
+  const [liveRows, setLiveRows] = useState([]);
+  const [livePosition, setLivePosition] = useState(null);
+  const [compareMode, setCompareMode] = useState('');
+  const [comparison, setComparison] = useState(null);
+  const [anomalies, setAnomalies] = useState(null);
+  const [trends, setTrends] = useState(null);
+  const [timeZone, setTimeZone] = useState(getReportTimeZone());
+  const metrics = React.useMemo(() => (profile ? profile.metrics : []), [profile]);
 
-  const handleForwardPowerChartRef = useCallback((chart) => {
-    forwardPowerChartRef.current = chart;
-  }, []);
-
-  const handleReflectedPowerChartRef = useCallback((chart) => {
-    reflectedPowerChartRef.current = chart;
-  }, []);
-
-  const handleVSWRChartRef = useCallback((chart) => {
-    vswrChartRef.current = chart;
-  }, []);
-
-  const handleReturnLossChartRef = useCallback((chart) => {
-    returnLossChartRef.current = chart;
-  }, []);
-
-  const handleTemperatureChartRef = useCallback((chart) => {
-    temperatureChartRef.current = chart;
-  }, []);
-
-  const handleVoltageChartRef = useCallback((chart) => {
-    voltageChartRef.current = chart;
-  }, []);
-
-  const handleCurrentChartRef = useCallback((chart) => {
-    currentChartRef.current = chart;
-  }, []);
-
-  const handlePowerChartRef = useCallback((chart) => {
-    powerChartRef.current = chart;
-  }, []);
+  const chartRefHandlers = React.useMemo(() => metrics.reduce((acc, metric) => {
+    if (!metricChartRefs.current[metric.name]) {
+      metricChartRefs.current[metric.name] = React.createRef();
+    }
+    acc[metric.name] = (chart) => {
+      metricChartRefs.current[metric.name].current = chart;
+    };
+    return acc;
+  }, {}), [metrics]);
 
   const handleTabChange = (event, newValue) => {
     setSelectedTab(newValue);
   };
 
-  const handleChangePage = (event, newPage) => {
-    setPage(newPage);
-  };
-
-  const handleChangeRowsPerPage = (event) => {
-    setRowsPerPage(parseInt(event.target.value, 10));
-    setPage(0);
-  };
-
   // Server configuration
   const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
 
+  const fetchNodes = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/nodes`);
+      setNodes(response.data);
+      setSelectedStation(current => current || response.data[0]?.nodeName || '');
+    } catch (err) {
+      console.error('Error fetching nodes:', err);
+      setError('Failed to load the station list. Please try again later.');
+      setNodes([]);
+    }
+  }, [API_BASE_URL]);
+
+  const fetchProfile = useCallback(async (station) => {
+    if (!station) return;
+
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/nodes/${encodeURIComponent(station)}/profile`);
+      setProfile(response.data);
+    } catch (err) {
+      console.error('Error fetching channel profile:', err);
+      setProfile(null);
+    }
+  }, [API_BASE_URL]);
+
+  // Effective threshold rules for the node, shared with the server-side analysis
+  const fetchThresholds = useCallback(async (station) => {
+    if (!station) return;
+
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/thresholds/${encodeURIComponent(station)}`);
+      setThresholds(response.data);
+    } catch (err) {
+      console.error('Error fetching threshold rules:', err);
+      setThresholds({});
+    }
+  }, [API_BASE_URL]);
+
   const fetchBaseStations = useCallback(async (station) => {
+    if (!station) return;
+
     try {
       const response = await axios.get(`${API_BASE_URL}/api/base-stations/${station}`);
       setBaseStations(response.data);
@@ -418,6 +654,8 @@ const App = () => {
   }, []);
 
   const fetchData = useCallback(async () => {
+    if (!selectedStation) return;
+
     setLoading(true);
     setError(null);
 
@@ -432,6 +670,8 @@ const App = () => {
       if (selectedBaseStation) {
         params.append('baseStation', selectedBaseStation);
       }
+
+      params.append('resolution', PERIOD_RESOLUTIONS[selectedTimePeriod] || 'auto');
       
       if (selectedTimePeriod === 'custom' && customStartDate && customEndDate) {
         console.log('Sending custom date range:', { customStartDate, customEndDate });
@@ -450,6 +690,8 @@ const App = () => {
       try {
         const response = await axios.get(url);
         const newData = response.data;
+        setResolution(response.headers['x-resolution'] || 'raw');
+        setLivePosition(response.headers['x-live-position'] || null);
         
         // Calculate global time range from the new data
         if (newData && newData.length > 0) {
@@ -467,15 +709,18 @@ const App = () => {
           }
         }
 
+        setLiveRows([]);
         setData(newData);
       } catch (err) {
         if (err.response && err.response.status === 404) {
           const details = err.response.data?.details;
           if (details && details.latestDataPoint) {
-            setError(`No data available in the selected time period. Latest data point: ${new Date(details.latestDataPoint).toLocaleString()}`);
+            setError(`No data available in the selected time period. Latest data point: ${formatDateTime(details.latestDataPoint)}`);
           } else {
             setError('No data available for the selected time period.');
           }
+          setLiveRows([]);
+          setLivePosition(null);
           setData([]);
           setTimeRange(null);
         } else {
@@ -485,6 +730,8 @@ const App = () => {
     } catch (err) {
       setError('Failed to fetch data. Please try again later.');
       console.error('Error fetching data:', err);
+      setLiveRows([]);
+      setLivePosition(null);
       setData([]);
       setTimeRange(null);
     } finally {
@@ -492,10 +739,106 @@ const App = () => {
     }
   }, [selectedStation, selectedBaseStation, selectedTimePeriod, API_BASE_URL]);
 
+  // Subscribe to new rows for the selection while Live is on. The feed is
+  // closed while data reloads and reopened from the newest raw row the loaded
+  // data covers, so readings already averaged into a bucket are not sent again.
+  useEffect(() => {
+    if (!live || !selectedStation || selectedTimePeriod === 'custom' || loading || !data) {
+      return undefined;
+    }
+
+    const params = new URLSearchParams();
+    if (selectedBaseStation) {
+      params.append('baseStation', selectedBaseStation);
+    }
+    if (livePosition) {
+      params.append('since', livePosition);
+    }
+
+    const source = new EventSource(`${API_BASE_URL}/api/live/${encodeURIComponent(selectedStation)}?${params.toString()}`);
+    source.addEventListener('telemetry', (event) => {
+      const rows = JSON.parse(event.data);
+      setLiveRows(prev => [...prev, ...rows]);
+    });
+    source.onerror = () => {
+      console.warn('Live feed interrupted, reconnecting...');
+    };
+
+    return () => source.close();
+  }, [live, selectedStation, selectedBaseStation, selectedTimePeriod, loading, data, livePosition, API_BASE_URL]);
+
+  useEffect(() => {
+    if (liveRows.length > MAX_LIVE_ROWS) {
+      fetchData();
+    }
+  }, [liveRows.length, fetchData]);
+
+  // Download every raw row of the current selection as CSV or Excel
+  const handleExport = async (format) => {
+    setExportMenuAnchor(null);
+    if (!selectedStation) return;
+
+    const params = new URLSearchParams({ format });
+    if (selectedBaseStation) {
+      params.append('baseStation', selectedBaseStation);
+    }
+    if (selectedTimePeriod === 'custom' && customStartDate && customEndDate) {
+      params.append('startDate', customStartDate);
+      params.append('endDate', customEndDate);
+    }
+
+    setExporting(true);
+    try {
+      const response = await axios.get(
+        `${API_BASE_URL}/api/data/${encodeURIComponent(selectedStation)}/${selectedTimePeriod}?${params.toString()}`,
+        { responseType: 'blob' }
+      );
+      const match = /filename="([^"]+)"/.exec(response.headers['content-disposition'] || '');
+      const fileName = match
+        ? match[1]
+        : `${[selectedStation, selectedBaseStation || 'all-stations', selectedTimePeriod].join('_')}.${format}`;
+
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting data:', err);
+      setError('Failed to export data. Please try again later.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchNodes();
+  }, [fetchNodes]);
+
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/api/settings`)
+      .then(response => {
+        setReportTimeZone(response.data.timezone);
+        setTimeZone(response.data.timezone);
+      })
+      .catch(err => console.error('Error fetching settings:', err));
+  }, [API_BASE_URL]);
+
   useEffect(() => {
     fetchBaseStations(selectedStation);
   }, [selectedStation, fetchBaseStations, API_BASE_URL]);
 
+  useEffect(() => {
+    fetchProfile(selectedStation);
+  }, [selectedStation, fetchProfile]);
+
+  useEffect(() => {
+    fetchThresholds(selectedStation);
+  }, [selectedStation, fetchThresholds]);
+
   useEffect(() => {
     fetchData();
   }, [fetchData, selectedStation, selectedBaseStation, selectedTimePeriod]);
@@ -506,18 +849,121 @@ const App = () => {
 
   useEffect(() => {
     if (selectedStation && selectedBaseStation) {
-      chartRefs.current[selectedStation] = {
-        'Forward Power': forwardPowerChartRef,
-        'Reflected Power': reflectedPowerChartRef,
-        'VSWR': vswrChartRef,
-        'Return Loss': returnLossChartRef,
-        'Temperature': temperatureChartRef,
-        'Voltage': voltageChartRef,
-        'Current': currentChartRef,
-        'Power': powerChartRef
-      };
+      chartRefs.current[selectedStation] = metrics.reduce((acc, metric) => {
+        acc[metric.name] = metricChartRefs.current[metric.name];
+        return acc;
+      }, {});
     }
-  }, [selectedStation, selectedBaseStation]);
+  }, [selectedStation, selectedBaseStation, metrics]);
+
+  // The period key reports, PDFs and narrations use; only custom ranges have
+  // saved narrations (see isSavedNarrationPeriod)
+  const reportPeriod = selectedTimePeriod === 'custom'
+    ? `custom:${customStartDate}..${customEndDate}`
+    : selectedTimePeriod;
+
+  // Data quality is only assessed while its tab is open, as it scans every raw row
+  useEffect(() => {
+    if (selectedTab !== '4' || !selectedStation) return undefined;
+
+    let cancelled = false;
+    (async () => {
+      setDataQualityLoading(true);
+      setDataQualityError(null);
+      try {
+        const response = await axios.get(`${API_BASE_URL}/api/nodes/${encodeURIComponent(selectedStation)}/data-quality`, {
+          params: { baseStation: selectedBaseStation || undefined, period: reportPeriod }
+        });
+        if (!cancelled) setDataQuality(response.data);
+      } catch (err) {
+        console.error('Error fetching data quality:', err);
+        if (!cancelled) {
+          setDataQuality(null);
+          setDataQualityError(err.response?.data?.error || 'Failed to assess data quality.');
+        }
+      } finally {
+        if (!cancelled) setDataQualityLoading(false);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedTab, selectedStation, selectedBaseStation, reportPeriod, API_BASE_URL]);
+
+  // Statistical anomalies for the selection, highlighted on the Overview charts
+  useEffect(() => {
+    if (!selectedStation) return undefined;
+
+    let cancelled = false;
+    (async () => {
+      try {
+        const response = await axios.get(`${API_BASE_URL}/api/nodes/${encodeURIComponent(selectedStation)}/anomalies`, {
+          params: { baseStation: selectedBaseStation || undefined, period: reportPeriod }
+        });
+        if (!cancelled) setAnomalies(response.data);
+      } catch (err) {
+        console.error('Error fetching anomalies:', err);
+        if (!cancelled) setAnomalies(null);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedStation, selectedBaseStation, reportPeriod, API_BASE_URL]);
+
+  // Regression trend per metric: forecast lines and time-to-threshold estimates
+  useEffect(() => {
+    if (!selectedStation) return undefined;
+
+    let cancelled = false;
+    (async () => {
+      try {
+        const response = await axios.get(`${API_BASE_URL}/api/nodes/${encodeURIComponent(selectedStation)}/trends`, {
+          params: { baseStation: selectedBaseStation || undefined, period: reportPeriod }
+        });
+        if (!cancelled) setTrends(response.data);
+      } catch (err) {
+        console.error('Error fetching trends:', err);
+        if (!cancelled) setTrends(null);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedStation, selectedBaseStation, reportPeriod, API_BASE_URL]);
+
+  // Baseline period for the Overview: deltas plus ghost series on the charts
+  useEffect(() => {
+    if (!compareMode || !selectedStation) {
+      setComparison(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    (async () => {
+      try {
+        const response = await axios.get(`${API_BASE_URL}/api/nodes/${encodeURIComponent(selectedStation)}/comparison`, {
+          params: {
+            baseStation: selectedBaseStation || undefined,
+            period: reportPeriod,
+            compare: compareMode,
+            resolution: PERIOD_RESOLUTIONS[selectedTimePeriod] || 'auto'
+          }
+        });
+        if (!cancelled) setComparison(response.data);
+      } catch (err) {
+        console.error('Error fetching period comparison:', err);
+        if (!cancelled) setComparison(null);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [compareMode, selectedStation, selectedBaseStation, selectedTimePeriod, reportPeriod, API_BASE_URL]);
 
   const handleStationChange = (event) => {
     setSelectedStation(event.target.value);
@@ -560,7 +1006,7 @@ const App = () => {
               Horizon Auto Reporting
             </Typography>
             <Chip
-              label={`Connected to ${selectedStation}`}
+              label={`Connected to ${nodes.find(node => node.nodeName === selectedStation)?.displayName || selectedStation}`}
               color="success"
               variant="outlined"
               sx={{ bgcolor: 'white' }}
@@ -580,8 +1026,8 @@ const App = () => {
                   value={selectedStation}
                   onChange={handleStationChange}
                 >
-                  {NODE_NAMES.map((name) => (
-                    <MenuItem key={name} value={name}>{name}</MenuItem>
+                  {nodes.map((node) => (
+                    <MenuItem key={node.nodeName} value={node.nodeName}>{node.displayName}</MenuItem>
                   ))}
                 </Select>
               </FormControl>
@@ -619,6 +1065,33 @@ const App = () => {
                 </Select>
               </FormControl>
 
+              <FormControl sx={{ minWidth: 200, marginRight: 2 }}>
+                <InputLabel>Compare with</InputLabel>
+                <Select
+                  value={compareMode}
+                  label="Compare with"
+                  onChange={(e) => setCompareMode(e.target.value)}
+                >
+                  <MenuItem value="">No comparison</MenuItem>
+                  <MenuItem value="previous">Previous period</MenuItem>
+                  <MenuItem value="year">Same period last year</MenuItem>
+                </Select>
+              </FormControl>
+
+              <FormControlLabel
+                sx={{ marginRight: 2, height: 56 }}
+                control={
+                  <Switch
+                    checked={live && selectedTimePeriod !== 'custom'}
+                    onChange={(e) => setLive(e.target.checked)}
+                    disabled={selectedTimePeriod === 'custom'}
+                  />
+                }
+                label={live && selectedTimePeriod !== 'custom' && liveRows.length > 0
+                  ? `Live (last update ${formatTime(liveRows[liveRows.length - 1].Timestamp)})`
+                  : 'Live'}
+              />
+
               {selectedTimePeriod === 'custom' && (
                 <>
                   <FormControl sx={{ minWidth: 200, marginRight: 2 }}>
@@ -649,130 +1122,119 @@ const App = () => {
               <TabList onChange={handleTabChange} aria-label="lab API tabs example">
                 <Tab label="Overview" value="1" />
                 <Tab label="Data Table" value="2" />
+                <Tab label="Thresholds" value="3" />
+                <Tab label="Data Quality" value="4" />
+                <Tab label="Compare" value="5" />
+                <Tab label="Correlations" value="6" />
               </TabList>
             </Box>
 
             <TabPanel value="1">
+              {resolution !== 'raw' && (
+                <Typography variant="caption" color="text.secondary" component="p" sx={{ mb: 2 }}>
+                  Showing {resolution} averages with min/max bands
+                </Typography>
+              )}
+              {anomalies && anomalies.significant.length > 0 && (
+                <Typography variant="caption" color="text.secondary" component="p" sx={{ mb: 2 }}>
+                  Red markers and shading show statistical anomalies
+                  ({Object.values(anomalies.metrics).reduce((sum, metric) => sum + metric.points.length, 0)} readings)
+                </Typography>
+              )}
+              <ComparisonSummary comparison={comparison} />
               <Grid container spacing={3}>
-              <Grid item xs={12} md={6}>
-                <TimeSeriesChart
-                  data={data}
-                  metric="Forward Power"
-                  color="#2196f3"
-                  globalTimeRange={timeRange}
-                  onChartRef={handleForwardPowerChartRef}
-                />
-              </Grid>
-              <Grid item xs={12} md={6}>
-                <TimeSeriesChart
-                  data={data}
-                  metric="Reflected Power"
-                  color="#f44336"
-                  globalTimeRange={timeRange}
-                  onChartRef={handleReflectedPowerChartRef}
-                />
-              </Grid>
-              <Grid item xs={12} md={6}>
-                <TimeSeriesChart
-                  data={data}
-                  metric="VSWR"
-                  color="#ff9800"
-                  globalTimeRange={timeRange}
-                  onChartRef={handleVSWRChartRef}
-                />
-              </Grid>
-              <Grid item xs={12} md={6}>
-                <TimeSeriesChart
-                  data={data}
-                  metric="Return Loss"
-                  color="#9c27b0"
-                  globalTimeRange={timeRange}
-                  onChartRef={handleReturnLossChartRef}
-                />
-              </Grid>
-              <Grid item xs={12} md={6}>
-                <TimeSeriesChart
-                  data={data}
-                  metric="Temperature"
-                  color="#4caf50"
-                  globalTimeRange={timeRange}
-                  onChartRef={handleTemperatureChartRef}
-                />
-              </Grid>
-              <Grid item xs={12} md={6}>
-                <TimeSeriesChart
-                  data={data}
-                  metric="Voltage"
-                  color="#00bcd4"
-                  globalTimeRange={timeRange}
-                  onChartRef={handleVoltageChartRef}
-                />
-              </Grid>
-              <Grid item xs={12} md={6}>
-                <TimeSeriesChart
-                  data={data}
-                  metric="Current"
-                  color="#ff5722"
-                  globalTimeRange={timeRange}
-                  onChartRef={handleCurrentChartRef}
-                />
-              </Grid>
-              <Grid item xs={12} md={6}>
-                <TimeSeriesChart
-                  data={data}
-                  metric="Power"
-                  color="#795548"
-                  globalTimeRange={timeRange}
-                  onChartRef={handlePowerChartRef}
-                />
-              </Grid>
+                {metrics.map((metric, index) => (
+                  <Grid item xs={12} md={6} key={metric.name}>
+                    <TimeSeriesChart
+                      data={data}
+                      liveRows={liveRows}
+                      resolution={resolution}
+                      baselineRows={comparison?.rows}
+                      baselineLabel={comparison?.label}
+                      anomalies={anomalies?.metrics[metric.name]}
+                      forecast={trends?.metrics[metric.name]?.forecast}
+                      metric={metric.name}
+                      unit={metric.unit}
+                      color={getMetricColor(metric.name, index)}
+                      rule={thresholds[metric.name]}
+                      globalTimeRange={timeRange}
+                      timeZone={timeZone}
+                      onChartRef={chartRefHandlers[metric.name]}
+                    />
+                    {trends?.metrics[metric.name] && trends.metrics[metric.name].direction !== 'stable' && (
+                      <Typography variant="caption" color="text.secondary" component="p" sx={{ mt: 1 }}>
+                        {trends.metrics[metric.name].summary}
+                      </Typography>
+                    )}
+                  </Grid>
+                ))}
               </Grid>
             </TabPanel>
 
             <TabPanel value="2">
-              <TableContainer component={Paper}>
-                <Table sx={{ minWidth: 650 }} aria-label="data table">
-                  <TableHead>
-                    <TableRow>
-                      <TableCell>Timestamp</TableCell>
-                      <TableCell>Forward Power</TableCell>
-                      <TableCell>Reflected Power</TableCell>
-                      <TableCell>VSWR</TableCell>
-                      <TableCell>Return Loss</TableCell>
-                      <TableCell>Temperature</TableCell>
-                      <TableCell>Voltage</TableCell>
-                      <TableCell>Current</TableCell>
-                      <TableCell>Power</TableCell>
-                    </TableRow>
-                  </TableHead>
-                  <TableBody>
-                    {data && (rowsPerPage > 0
-                      ? data.slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage)
-                      : data
-                    ).map((row, index) => (
-                      <TableRow key={index}>
-                        <TableCell>{row.Timestamp ? new Date(row.Timestamp).toLocaleString() : ''}</TableCell>
-                        <TableCell>{row['Forward Power']}</TableCell>
-                        <TableCell>{row['Reflected Power']}</TableCell>
-                        <TableCell>{row.VSWR}</TableCell>
-                        <TableCell>{row['Return Loss']}</TableCell>
-                        <TableCell>{row.Temperature}</TableCell>
-                        <TableCell>{row.Voltage}</TableCell>
-                        <TableCell>{row.Current}</TableCell>
-                        <TableCell>{row.Power}</TableCell>
-                      </TableRow>
-                    ))}
-                  </TableBody>
-                </Table>
-              </TableContainer>
-              <TablePagination
-                rowsPerPageOptions={[5, 10, 25]}
-                component="div"
-                count={data ? data.length : 0}
-                rowsPerPage={rowsPerPage}
-                page={page}
-                onPageChange={handleChangePage}
-                onRowsPerPageChange={handleChangeRowsPerPage}
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+                <Typography variant="caption" color="text.secondary">
+                  Every raw reading in the period. Click a column to sort it.
+                </Typography>
+                <Button
+                  variant="outlined"
+                  startIcon={exporting ? <CircularProgress size={16} /> : <FileDownload />}
+                  onClick={(event) => setExportMenuAnchor(event.currentTarget)}
+                  disabled={!selectedStation || exporting || !data || data.length === 0}
+                >
+                  Export
+                </Button>
+                <Menu
+                  anchorEl={exportMenuAnchor}
+                  open={Boolean(exportMenuAnchor)}
+                  onClose={() => setExportMenuAnchor(null)}
+                >
+                  <MenuItem onClick={() => handleExport('csv')}>CSV (.csv)</MenuItem>
+                  <MenuItem onClick={() => handleExport('xlsx')}>Excel (.xlsx)</MenuItem>
+                </Menu>
+              </Box>
+              <DataTable
+                station={selectedStation}
+                baseStation={selectedBaseStation}
+                timePeriod={selectedTimePeriod}
+                startDate={customStartDate}
+                endDate={customEndDate}
+                metrics={metrics}
+                thresholds={thresholds}
+              />
+            </TabPanel>
+
+            <TabPanel value="3">
+              <ThresholdSettings
+                nodes={nodes}
+                onSaved={() => fetchThresholds(selectedStation)}
+              />
+            </TabPanel>
+
+            <TabPanel value="4">
+              <DataQualityPanel
+                quality={dataQuality}
+                loading={dataQualityLoading}
+                error={dataQualityError}
+              />
+            </TabPanel>
+
+            <TabPanel value="5">
+              <FleetComparison
+                nodes={nodes}
+                defaultNode={selectedStation}
+                timePeriod={selectedTimePeriod}
+                startDate={customStartDate}
+                endDate={customEndDate}
+              />
+            </TabPanel>
+
+            <TabPanel value="6">
+              <CorrelationPanel
+                station={selectedStation}
+                baseStation={selectedBaseStation}
+                period={reportPeriod}
+                metrics={metrics}
               />
             </TabPanel>
           </TabContext>
@@ -792,6 +1254,11 @@ const App = () => {
                 } : {}
               }}
               chartRefs={chartRefs.current}
+              metrics={metrics}
+              nodes={nodes}
+              baseStation={selectedBaseStation}
+              period={reportPeriod}
+              compare={compareMode}
             />
           </Paper>
         </Container>
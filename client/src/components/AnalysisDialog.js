@@ -1,14 +1,24 @@
-import React, { useRef, useEffect } from 'react';
+import React, { useRef, useEffect, useState, useCallback } from 'react';
+import axios from 'axios';
 import {
   Dialog,
   DialogTitle,
   DialogContent,
   DialogActions,
   Button,
-  Box
+  Box,
+  Alert,
+  TextField,
+  MenuItem,
+  Typography,
+  CircularProgress
 } from '@mui/material';
 import ReactQuill from 'react-quill';
 import 'react-quill/dist/quill.snow.css';
+import { formatDateTime, isSavedNarrationPeriod } from '../utils/time';
+
+// Constants
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
 
 const modules = {
   toolbar: [
@@ -19,30 +29,138 @@ const modules = {
   ],
 };
 
-const AnalysisDialog = React.memo(({ 
-  open, 
-  onClose, 
-  station, 
-  narration, 
-  onNarrationChange 
+const AnalysisDialog = React.memo(({
+  open,
+  onClose,
+  station,
+  baseStation = '',
+  period,
+  narration,
+  onNarrationChange,
+  onSaved
 }) => {
   const quillRef = useRef(null);
+  const [version, setVersion] = useState(0);
+  const [history, setHistory] = useState([]);
+  const [author, setAuthor] = useState(() => localStorage.getItem('reportAuthor') || '');
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [conflict, setConflict] = useState(null);
+  const [error, setError] = useState(null);
+
+  const reportUrl = station ? `${API_BASE_URL}/api/reports/${encodeURIComponent(station)}` : null;
+  const savable = isSavedNarrationPeriod(period);
+
+  const loadHistory = useCallback(async () => {
+    try {
+      const response = await axios.get(`${reportUrl}/versions`, { params: { baseStation, period } });
+      setHistory(response.data);
+    } catch (err) {
+      console.error('Error loading narration history:', err);
+      setHistory([]);
+    }
+  }, [reportUrl, baseStation, period]);
+
+  // Load the saved narration whenever the dialog opens for a station
+  useEffect(() => {
+    if (!open || !reportUrl || !savable) {
+      setVersion(0);
+      setHistory([]);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    setConflict(null);
+    setError(null);
+
+    (async () => {
+      try {
+        const response = await axios.get(reportUrl, { params: { baseStation, period } });
+        if (cancelled) return;
+        setVersion(response.data.version);
+        onNarrationChange(station, response.data.narration);
+      } catch (err) {
+        if (cancelled) return;
+        if (err.response?.status === 404) {
+          // Nothing saved yet; keep the current draft as version 0
+          setVersion(0);
+        } else {
+          console.error('Error loading narration:', err);
+          setError('Failed to load the saved narration.');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+      loadHistory();
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, reportUrl, savable, station, baseStation, period, onNarrationChange, loadHistory]);
 
   useEffect(() => {
     if (open && quillRef.current) {
       // Force Quill to update its layout after dialog opens
       setTimeout(() => {
-        const editor = quillRef.current.getEditor();
-        editor.focus();
+        const editor = quillRef.current?.getEditor();
+        editor?.focus();
       }, 100);
     }
   }, [open]);
 
+  const save = async (baseVersion) => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      localStorage.setItem('reportAuthor', author);
+      const response = await axios.put(reportUrl, {
+        baseStation,
+        period,
+        narration: narration || '',
+        baseVersion,
+        author: author || null
+      });
+      setVersion(response.data.version);
+      setConflict(null);
+      if (onSaved) onSaved(station, response.data);
+      loadHistory();
+    } catch (err) {
+      if (err.response?.status === 409) {
+        setConflict(err.response.data.current);
+      } else {
+        console.error('Error saving narration:', err);
+        setError('Failed to save the narration. Please try again.');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const restoreVersion = async (selectedVersion) => {
+    try {
+      const response = await axios.get(`${reportUrl}/versions/${selectedVersion}`, { params: { baseStation, period } });
+      onNarrationChange(station, response.data.narration);
+    } catch (err) {
+      console.error('Error loading narration version:', err);
+      setError(`Failed to load version ${selectedVersion}.`);
+    }
+  };
+
+  const loadLatest = () => {
+    if (!conflict) return;
+    setVersion(conflict.version);
+    onNarrationChange(station, conflict.narration);
+    setConflict(null);
+  };
+
   return (
-    <Dialog 
-      open={open} 
-      onClose={onClose} 
-      maxWidth="md" 
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="md"
       fullWidth
       PaperProps={{
         sx: {
@@ -53,21 +171,83 @@ const AnalysisDialog = React.memo(({
     >
       <DialogTitle>
         Edit Analysis for {station}
+        <Typography variant="body2" color="text.secondary">
+          {baseStation ? `${baseStation} · ` : ''}{period}{savable ? ` · ${version > 0 ? `version ${version}` : 'not saved yet'}` : ''}
+        </Typography>
       </DialogTitle>
       <DialogContent>
-        <Box sx={{ mt: 2, '& .quill': { height: 'calc(100% - 50px)' } }}>
-          <ReactQuill
-            ref={quillRef}
-            value={narration || ''}
-            onChange={onNarrationChange}
-            theme="snow"
-            modules={modules}
-            style={{ height: '300px' }}
+        {conflict && (
+          <Alert
+            severity="warning"
+            sx={{ mt: 1 }}
+            action={
+              <>
+                <Button color="inherit" size="small" onClick={loadLatest}>Load latest</Button>
+                <Button color="inherit" size="small" onClick={() => save(conflict.version)}>Overwrite</Button>
+              </>
+            }
+          >
+            {conflict.updatedBy || 'Someone else'} saved version {conflict.version} while you were editing.
+          </Alert>
+        )}
+        {error && <Alert severity="error" sx={{ mt: 1 }}>{error}</Alert>}
+        {!savable && (
+          <Alert severity="info" sx={{ mt: 1 }}>
+            A rolling period covers different readings each time it is opened, so narrations are only saved
+            for custom date ranges. Edits here apply to this report only.
+          </Alert>
+        )}
+
+        <Box sx={{ mt: 2, display: 'flex', gap: 2 }}>
+          <TextField
+            label="Your name"
+            size="small"
+            value={author}
+            onChange={(e) => setAuthor(e.target.value)}
           />
+          <TextField
+            select
+            label="History"
+            size="small"
+            value=""
+            sx={{ minWidth: 240 }}
+            disabled={history.length === 0}
+            onChange={(e) => restoreVersion(e.target.value)}
+          >
+            {history.map((entry) => (
+              <MenuItem key={entry.version} value={entry.version}>
+                v{entry.version} · {entry.savedBy || 'unknown'} · {formatDateTime(entry.savedAt)}
+              </MenuItem>
+            ))}
+          </TextField>
+        </Box>
+
+        <Box sx={{ mt: 2, '& .quill': { height: 'calc(100% - 50px)' } }}>
+          {loading ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+              <CircularProgress />
+            </Box>
+          ) : (
+            <ReactQuill
+              ref={quillRef}
+              value={narration || ''}
+              onChange={(content) => onNarrationChange(station, content)}
+              theme="snow"
+              modules={modules}
+              style={{ height: '300px' }}
+            />
+          )}
         </Box>
       </DialogContent>
       <DialogActions>
         <Button onClick={onClose}>Close</Button>
+        <Button
+          variant="contained"
+          onClick={() => save(version)}
+          disabled={saving || loading || !reportUrl || !savable}
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </Button>
       </DialogActions>
     </Dialog>
   );
@@ -0,0 +1,81 @@
+import React from 'react';
+import {
+  Box,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import { formatDateTime } from '../utils/time';
+
+const CAUSE_LABELS = {
+  'low-power': 'Forward power below floor',
+  'no-telemetry': 'No telemetry'
+};
+
+export const formatDuration = (minutes) => {
+  if (minutes < 60) return `${Math.round(minutes)} min`;
+  const hours = Math.floor(minutes / 60);
+  const rest = Math.round(minutes % 60);
+  return rest ? `${hours} h ${rest} min` : `${hours} h`;
+};
+
+const AvailabilitySummary = React.memo(({ availability }) => {
+  if (!availability) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        Availability has not been calculated for this period.
+      </Typography>
+    );
+  }
+
+  const { outages = [] } = availability;
+  const color = availability.availability >= 99.5 ? 'success'
+    : availability.availability >= 95 ? 'warning' : 'error';
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap', mb: 1 }}>
+        <Chip color={color} label={`${availability.availability.toFixed(2)}% on air`} />
+        <Typography variant="body2">
+          {outages.length} outage{outages.length === 1 ? '' : 's'}, {formatDuration(availability.downtimeMinutes)} off air
+        </Typography>
+        <Typography variant="caption" color="text.secondary">
+          {availability.usesForwardPower
+            ? `Off air below ${availability.powerFloor} W forward power or after ${availability.maxGapMinutes} min without telemetry`
+            : `Off air after ${availability.maxGapMinutes} min without telemetry`}
+        </Typography>
+      </Box>
+
+      {outages.length > 0 && (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Start</TableCell>
+              <TableCell>End</TableCell>
+              <TableCell>Duration</TableCell>
+              <TableCell>Cause</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {outages.map((outage) => (
+              <TableRow key={`${outage.start}-${outage.cause}`}>
+                <TableCell>{formatDateTime(outage.start)}</TableCell>
+                <TableCell>{outage.ongoing ? 'Ongoing' : formatDateTime(outage.end)}</TableCell>
+                <TableCell>{formatDuration(outage.durationMinutes)}</TableCell>
+                <TableCell>{CAUSE_LABELS[outage.cause] || outage.cause}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Box>
+  );
+});
+
+AvailabilitySummary.displayName = 'AvailabilitySummary';
+
+export default AvailabilitySummary;
@@ -0,0 +1,81 @@
+import React from 'react';
+import {
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import { formatDateTime } from '../utils/time';
+
+const formatValue = (value, places = 2) => (value === null || value === undefined ? '—' : Number(value).toFixed(places));
+
+// "1.21 → 1.34 (+10.7%)". With `highlight`, a rise is red and a fall green;
+// only used for breach counts, since higher power or voltage is not a fault.
+const DeltaCell = ({ previous, current, delta, places = 2, highlight = false }) => {
+  if (!delta) return <TableCell>—</TableCell>;
+
+  const percent = delta.percent === null ? '' : ` (${delta.percent > 0 ? '+' : ''}${delta.percent.toFixed(1)}%)`;
+  return (
+    <TableCell sx={{ color: highlight && delta.change !== 0 ? (delta.change > 0 ? 'error.main' : 'success.main') : undefined }}>
+      {formatValue(previous, places)} → {formatValue(current, places)}{percent}
+    </TableCell>
+  );
+};
+
+const ComparisonSummary = ({ comparison }) => {
+  if (!comparison) return null;
+
+  const { availability } = comparison;
+  const points = availability.change.toFixed(2);
+
+  return (
+    <Paper sx={{ p: 2, mb: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        Compared with the {comparison.label}
+      </Typography>
+      <Typography variant="body2" sx={{ mb: 1 }}>
+        Availability {availability.previous.toFixed(2)}% → {availability.current.toFixed(2)}%
+        ({availability.change > 0 ? '+' : ''}{points} points)
+        {comparison.baseline.sampleCount === 0 && ' — no telemetry in the comparison period'}
+      </Typography>
+      <Typography variant="caption" color="text.secondary" component="p" sx={{ mb: 1 }}>
+        {formatDateTime(comparison.baseline.start)} to {formatDateTime(comparison.baseline.end)},
+        drawn as a dashed grey line on each chart
+      </Typography>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Metric</TableCell>
+              <TableCell>Average</TableCell>
+              <TableCell>Peak</TableCell>
+              <TableCell>Threshold breaches</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {comparison.metrics.map((metric) => (
+              <TableRow key={metric.metric}>
+                <TableCell>{metric.unit ? `${metric.metric} (${metric.unit})` : metric.metric}</TableCell>
+                <DeltaCell previous={metric.previous.avg} current={metric.current.avg} delta={metric.deltas?.avg} />
+                <DeltaCell previous={metric.previous.max} current={metric.current.max} delta={metric.deltas?.max} />
+                <DeltaCell
+                  previous={metric.previous.breaches}
+                  current={metric.current.breaches}
+                  delta={metric.deltas?.breaches}
+                  places={0}
+                  highlight
+                />
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+};
+
+export default ComparisonSummary;
@@ -0,0 +1,239 @@
+import React, { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import { Chart } from 'chart.js/auto';
+import {
+  Alert,
+  Box,
+  CircularProgress,
+  FormControl,
+  Grid,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  ToggleButton,
+  ToggleButtonGroup,
+  Tooltip,
+  Typography
+} from '@mui/material';
+
+// Constants
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
+
+// Blue for negative, white for none, red for positive correlation
+const heatColor = (value) => {
+  if (value === null || value === undefined) return '#f5f5f5';
+  const alpha = Math.min(Math.abs(value), 1) * 0.85;
+  return value >= 0 ? `rgba(244, 67, 54, ${alpha})` : `rgba(33, 150, 243, ${alpha})`;
+};
+
+const ScatterChart = ({ scatter, xUnit, yUnit }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    if (!canvasRef.current || !scatter) return undefined;
+
+    const axisTitle = (name, unit) => (unit ? `${name} (${unit})` : name);
+    const chart = new Chart(canvasRef.current.getContext('2d'), {
+      type: 'scatter',
+      data: {
+        datasets: [{
+          label: `${scatter.y} vs ${scatter.x}`,
+          data: scatter.points,
+          backgroundColor: 'rgba(25, 118, 210, 0.4)',
+          pointRadius: 2
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        plugins: { legend: { display: false } },
+        scales: {
+          x: { title: { display: true, text: axisTitle(scatter.x, xUnit) } },
+          y: { title: { display: true, text: axisTitle(scatter.y, yUnit) } }
+        }
+      }
+    });
+
+    return () => chart.destroy();
+  }, [scatter, xUnit, yUnit]);
+
+  return <canvas ref={canvasRef} />;
+};
+
+const CorrelationPanel = ({ station, baseStation, period, metrics = [] }) => {
+  const [method, setMethod] = useState('pearson');
+  const [pair, setPair] = useState({ x: '', y: '' });
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Default to the first two metrics of the node
+  useEffect(() => {
+    setPair({ x: metrics[0]?.name || '', y: metrics[1]?.name || '' });
+  }, [metrics]);
+
+  useEffect(() => {
+    if (!station || !period) return undefined;
+
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await axios.get(`${API_BASE_URL}/api/nodes/${encodeURIComponent(station)}/correlations`, {
+          params: {
+            baseStation: baseStation || undefined,
+            period,
+            x: pair.x && pair.y ? pair.x : undefined,
+            y: pair.x && pair.y ? pair.y : undefined
+          }
+        });
+        if (!cancelled) setResult(response.data);
+      } catch (err) {
+        console.error('Error fetching correlations:', err);
+        if (!cancelled) {
+          setResult(null);
+          setError(err.response?.data?.error || 'Failed to compute correlations.');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [station, baseStation, period, pair]);
+
+  if (loading && !result) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  if (!result) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        Select a station to see how its metrics move together.
+      </Typography>
+    );
+  }
+
+  const unitOf = (name) => metrics.find(metric => metric.name === name)?.unit;
+  const matrix = result[method];
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+        <Typography variant="body2">
+          {result.sampleCount} readings. Click a cell to plot that pair.
+        </Typography>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={method}
+          onChange={(event, value) => value && setMethod(value)}
+        >
+          <ToggleButton value="pearson">Pearson</ToggleButton>
+          <ToggleButton value="spearman">Spearman</ToggleButton>
+        </ToggleButtonGroup>
+      </Box>
+
+      {result.strong.length > 0 ? (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          <ul style={{ margin: 0, paddingLeft: 20 }}>
+            {result.strong.map((strong) => <li key={`${strong.a}-${strong.b}`}>{strong.summary}</li>)}
+          </ul>
+        </Alert>
+      ) : (
+        <Alert severity="success" sx={{ mb: 2 }}>No strong correlations between independent metrics in this period.</Alert>
+      )}
+
+      <TableContainer component={Paper} sx={{ mb: 3 }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell />
+              {result.metrics.map((name) => (
+                <TableCell key={name} align="center" sx={{ fontSize: 12 }}>{name}</TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {result.metrics.map((rowName, i) => (
+              <TableRow key={rowName}>
+                <TableCell sx={{ fontSize: 12, whiteSpace: 'nowrap' }}>{rowName}</TableCell>
+                {result.metrics.map((colName, j) => {
+                  const value = matrix[i][j];
+                  const selected = (pair.x === colName && pair.y === rowName) || (pair.x === rowName && pair.y === colName);
+                  return (
+                    <Tooltip key={colName} title={`${result.samples[i][j]} readings`}>
+                      <TableCell
+                        align="center"
+                        onClick={() => i !== j && setPair({ x: colName, y: rowName })}
+                        sx={{
+                          bgcolor: heatColor(value),
+                          cursor: i !== j ? 'pointer' : 'default',
+                          outline: selected ? '2px solid #1976d2' : 'none',
+                          outlineOffset: -2
+                        }}
+                      >
+                        {value === null ? '—' : value.toFixed(2)}
+                      </TableCell>
+                    </Tooltip>
+                  );
+                })}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Grid container spacing={2} sx={{ mb: 2 }}>
+        {['x', 'y'].map((axis) => (
+          <Grid item xs={12} sm={6} md={3} key={axis}>
+            <FormControl fullWidth size="small">
+              <InputLabel>{axis === 'x' ? 'X axis' : 'Y axis'}</InputLabel>
+              <Select
+                label={axis === 'x' ? 'X axis' : 'Y axis'}
+                value={pair[axis]}
+                onChange={(e) => setPair(prev => ({ ...prev, [axis]: e.target.value }))}
+              >
+                {metrics.map((metric) => (
+                  <MenuItem key={metric.name} value={metric.name}>{metric.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+        ))}
+      </Grid>
+
+      {result.scatter && (
+        <Paper sx={{ p: 2, height: 400 }}>
+          <ScatterChart scatter={result.scatter} xUnit={unitOf(result.scatter.x)} yUnit={unitOf(result.scatter.y)} />
+          {result.scatter.points.length < result.scatter.total && (
+            <Typography variant="caption" color="text.secondary">
+              Showing {result.scatter.points.length} of {result.scatter.total} readings
+            </Typography>
+          )}
+        </Paper>
+      )}
+    </Box>
+  );
+};
+
+export default CorrelationPanel;
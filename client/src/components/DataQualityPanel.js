@@ -0,0 +1,158 @@
+import React from 'react';
+import {
+  Alert,
+  Box,
+  Chip,
+  CircularProgress,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import { formatDuration } from './AvailabilitySummary';
+import { formatDateTime } from '../utils/time';
+
+const STATUS_CHIPS = {
+  good: { label: 'Good', color: 'success' },
+  degraded: { label: 'Degraded', color: 'warning' },
+  poor: { label: 'Poor', color: 'error' }
+};
+
+const formatRange = (range, unit) => {
+  if (!range) return '—';
+  const [min, max] = range;
+  const suffix = unit ? ` ${unit}` : '';
+  if (min !== null && max !== null) return `${min} to ${max}${suffix}`;
+  return min !== null ? `≥ ${min}${suffix}` : `≤ ${max}${suffix}`;
+};
+
+const DataQualityPanel = ({ quality, loading, error }) => {
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  if (!quality) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        Select a station to check the quality of its telemetry.
+      </Typography>
+    );
+  }
+
+  const chip = STATUS_CHIPS[quality.status] || { label: quality.status, color: 'default' };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap', mb: 2 }}>
+        <Chip color={chip.color} label={`Data quality: ${chip.label}`} />
+        <Typography variant="body2">
+          {quality.actualSamples} of {quality.expectedSamples} expected samples ({quality.completeness}%)
+        </Typography>
+        <Typography variant="caption" color="text.secondary">
+          Expecting one sample every {quality.expectedIntervalSeconds} s; gaps over {quality.gapMinutes} min
+          and values unchanged for {quality.stuckMinutes} min are flagged
+        </Typography>
+      </Box>
+
+      {quality.issues.length > 0 ? (
+        <Alert severity={quality.status === 'poor' ? 'error' : 'warning'} sx={{ mb: 2 }}>
+          <ul style={{ margin: 0, paddingLeft: 20 }}>
+            {quality.issues.map((issue) => <li key={issue}>{issue}</li>)}
+          </ul>
+        </Alert>
+      ) : (
+        <Alert severity="success" sx={{ mb: 2 }}>No data-quality issues found in this period.</Alert>
+      )}
+
+      <TableContainer component={Paper} sx={{ mb: 3 }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Metric</TableCell>
+              <TableCell align="right">Samples</TableCell>
+              <TableCell align="right">Completeness</TableCell>
+              <TableCell>Plausible range</TableCell>
+              <TableCell align="right">Out of range</TableCell>
+              <TableCell>Stuck / flatlined</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {quality.metrics.map((metric) => (
+              <TableRow key={metric.metric}>
+                <TableCell>
+                  {metric.unit ? `${metric.metric} (${metric.unit})` : metric.metric}
+                  {metric.derived && (
+                    <Typography variant="caption" color="text.secondary" component="div">Derived</Typography>
+                  )}
+                </TableCell>
+                <TableCell align="right">{metric.samples}</TableCell>
+                <TableCell align="right">{metric.completeness}%</TableCell>
+                <TableCell>{formatRange(metric.range, metric.unit)}</TableCell>
+                <TableCell align="right" sx={{ color: metric.outOfRange.count ? 'error.main' : undefined }}>
+                  {metric.outOfRange.count}
+                  {metric.outOfRange.count > 0 && ` (${metric.outOfRange.min} to ${metric.outOfRange.max})`}
+                </TableCell>
+                <TableCell>
+                  {metric.stuck.length === 0 ? '—' : metric.stuck.map((run) => (
+                    <Typography key={`${run.baseStation}-${run.start}`} variant="body2">
+                      {run.flatZero ? 'Zero' : run.value} for {formatDuration(run.durationMinutes)} from {formatDateTime(run.start)}
+                    </Typography>
+                  ))}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {quality.gaps.length > 0 && (
+        <>
+          <Typography variant="h6" gutterBottom>Logging gaps</Typography>
+          <TableContainer component={Paper} sx={{ mb: 3 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Base station</TableCell>
+                  <TableCell>From</TableCell>
+                  <TableCell>To</TableCell>
+                  <TableCell>Duration</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {quality.gaps.map((gap) => (
+                  <TableRow key={`${gap.baseStation}-${gap.start}`}>
+                    <TableCell>{gap.baseStation || '—'}</TableCell>
+                    <TableCell>{formatDateTime(gap.start)}</TableCell>
+                    <TableCell>{formatDateTime(gap.end)}</TableCell>
+                    <TableCell>{formatDuration(gap.durationMinutes)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </>
+      )}
+
+      {quality.duplicates.count > 0 && (
+        <Typography variant="body2" color="text.secondary">
+          {quality.duplicates.count} duplicate timestamp{quality.duplicates.count === 1 ? '' : 's'}, e.g.{' '}
+          {quality.duplicates.examples.map((example) => formatDateTime(example.time)).join(', ')}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default DataQualityPanel;
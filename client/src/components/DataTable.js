@@ -0,0 +1,241 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TablePagination,
+  TableRow,
+  TableSortLabel,
+  TextField
+} from '@mui/material';
+import { classifyValue, STATUS_BACKGROUNDS } from '../utils/thresholds';
+import { formatDateTime } from '../utils/time';
+
+// Constants
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
+const ROWS_PER_PAGE_OPTIONS = [10, 25, 50, 100];
+const FILTER_OPERATORS = ['>', '>=', '<', '<=', '=', '!='];
+
+const formatMetricLabel = (metric, unit) => (unit ? `${metric} (${unit})` : metric);
+
+// Raw readings for the selected node and period, sorted, filtered and paged
+// on the server. Pages are read with the cursor the previous page returned.
+const DataTable = ({ station, baseStation, timePeriod, startDate, endDate, metrics = [], thresholds = {} }) => {
+  const [sort, setSort] = useState({ field: 'Timestamp', order: 'desc' });
+  const [filters, setFilters] = useState([]);
+  const [breachesOnly, setBreachesOnly] = useState(false);
+  const [draft, setDraft] = useState({ metric: '', operator: '>', value: '' });
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [page, setPage] = useState(0);
+  // cursors[n] reads page n; page 0 needs none
+  const [cursors, setCursors] = useState([null]);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const queryKey = [station, baseStation, timePeriod, startDate, endDate, sort.field, sort.order, filters.join('&'), breachesOnly, rowsPerPage].join('|');
+  const [pagedQuery, setPagedQuery] = useState(queryKey);
+
+  // Any change to the query starts again from the first page
+  if (pagedQuery !== queryKey) {
+    setPagedQuery(queryKey);
+    setPage(0);
+    setCursors([null]);
+  }
+  const cursor = cursors[page] || null;
+
+  useEffect(() => {
+    if (!station) return undefined;
+    if (timePeriod === 'custom' && !(startDate && endDate)) return undefined;
+
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const params = new URLSearchParams();
+        if (baseStation) params.append('baseStation', baseStation);
+        if (timePeriod === 'custom') {
+          params.append('startDate', startDate);
+          params.append('endDate', endDate);
+        }
+        params.append('sort', sort.field);
+        params.append('order', sort.order);
+        params.append('limit', rowsPerPage);
+        filters.forEach(filter => params.append('filter', filter));
+        if (breachesOnly) params.append('breaches', 'true');
+        if (cursor) params.append('cursor', cursor);
+
+        const response = await axios.get(
+          `${API_BASE_URL}/api/data/${encodeURIComponent(station)}/${timePeriod}?${params.toString()}`
+        );
+        if (cancelled) return;
+        setResult(response.data);
+        if (response.data.nextCursor) {
+          setCursors(current => {
+            const next = current.slice(0, page + 1);
+            next[page + 1] = response.data.nextCursor;
+            return next;
+          });
+        }
+      } catch (err) {
+        console.error('Error fetching table page:', err);
+        if (!cancelled) {
+          setResult(null);
+          setError(err.response?.status === 404
+            ? 'No data available for the selected time period.'
+            : err.response?.data?.details?.join(' ') || 'Failed to load the data table.');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [station, baseStation, timePeriod, startDate, endDate, sort, filters, breachesOnly, rowsPerPage, page, cursor]);
+
+  const handleSort = (field) => {
+    setSort(current => ({
+      field,
+      order: current.field === field && current.order === 'desc' ? 'asc' : 'desc'
+    }));
+  };
+
+  const addFilter = () => {
+    const filter = `${draft.metric}${draft.operator}${draft.value}`;
+    if (!filters.includes(filter)) setFilters([...filters, filter]);
+    setDraft({ ...draft, value: '' });
+  };
+
+  const canAddFilter = draft.metric && draft.value !== '' && Number.isFinite(Number(draft.value));
+  const rows = result ? result.rows : [];
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap', mb: 2 }}>
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <InputLabel>Metric</InputLabel>
+          <Select
+            label="Metric"
+            value={draft.metric}
+            onChange={(event) => setDraft({ ...draft, metric: event.target.value })}
+          >
+            {metrics.map(metric => (
+              <MenuItem key={metric.name} value={metric.name}>{metric.name}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl size="small" sx={{ minWidth: 80 }}>
+          <InputLabel>Operator</InputLabel>
+          <Select
+            label="Operator"
+            value={draft.operator}
+            onChange={(event) => setDraft({ ...draft, operator: event.target.value })}
+          >
+            {FILTER_OPERATORS.map(operator => (
+              <MenuItem key={operator} value={operator}>{operator}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField
+          size="small"
+          label="Value"
+          type="number"
+          value={draft.value}
+          onChange={(event) => setDraft({ ...draft, value: event.target.value })}
+          sx={{ width: 120 }}
+        />
+        <Button variant="outlined" onClick={addFilter} disabled={!canAddFilter}>
+          Add filter
+        </Button>
+        <FormControlLabel
+          control={<Switch checked={breachesOnly} onChange={(event) => setBreachesOnly(event.target.checked)} />}
+          label="Show only threshold breaches"
+        />
+      </Box>
+
+      {filters.length > 0 && (
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+          {filters.map(filter => (
+            <Chip
+              key={filter}
+              label={filter}
+              onDelete={() => setFilters(filters.filter(item => item !== filter))}
+            />
+          ))}
+          <Chip label="Clear all" variant="outlined" onClick={() => setFilters([])} />
+        </Box>
+      )}
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <TableContainer component={Paper} sx={{ position: 'relative' }}>
+        {loading && (
+          <Box sx={{ position: 'absolute', top: 8, right: 8 }}>
+            <CircularProgress size={20} />
+          </Box>
+        )}
+        <Table sx={{ minWidth: 650 }} aria-label="data table">
+          <TableHead>
+            <TableRow>
+              {[{ name: 'Timestamp', unit: null }, ...metrics].map((metric) => (
+                <TableCell key={metric.name} sortDirection={sort.field === metric.name ? sort.order : false}>
+                  <TableSortLabel
+                    active={sort.field === metric.name}
+                    direction={sort.field === metric.name ? sort.order : 'desc'}
+                    onClick={() => handleSort(metric.name)}
+                  >
+                    {formatMetricLabel(metric.name, metric.unit)}
+                  </TableSortLabel>
+                </TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map((row) => (
+              <TableRow key={`${row.NodeBaseStationName}-${row.Timestamp}`}>
+                <TableCell>{row.Timestamp ? formatDateTime(row.Timestamp) : ''}</TableCell>
+                {metrics.map((metric) => (
+                  <TableCell
+                    key={metric.name}
+                    sx={{ bgcolor: STATUS_BACKGROUNDS[classifyValue(row[metric.name], thresholds[metric.name])] }}
+                  >
+                    {row[metric.name]}
+                  </TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+      <TablePagination
+        rowsPerPageOptions={ROWS_PER_PAGE_OPTIONS}
+        component="div"
+        count={result ? result.total : 0}
+        rowsPerPage={rowsPerPage}
+        page={result && page * rowsPerPage < result.total ? page : 0}
+        onPageChange={(event, newPage) => setPage(newPage)}
+        onRowsPerPageChange={(event) => setRowsPerPage(parseInt(event.target.value, 10))}
+      />
+    </Box>
+  );
+};
+
+export default DataTable;
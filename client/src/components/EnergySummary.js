@@ -0,0 +1,83 @@
+import React from 'react';
+import {
+  Box,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import { formatDate } from '../utils/time';
+
+const INTERVAL_FORMATS = {
+  day: { day: 'numeric', month: 'short', year: 'numeric' },
+  week: { day: 'numeric', month: 'short', year: 'numeric' },
+  month: { month: 'long', year: 'numeric' }
+};
+
+const INTERVAL_HEADERS = { day: 'Day', week: 'Week from', month: 'Month' };
+
+export const formatCost = (cost, tariff) => (cost === null || !tariff
+  ? '—'
+  : `${tariff.currency ? `${tariff.currency} ` : ''}${cost.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+
+const EnergySummary = React.memo(({ energy }) => {
+  if (!energy) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        Energy use has not been calculated for this period.
+      </Typography>
+    );
+  }
+
+  const { totals, tariff, intervals = [] } = energy;
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap', mb: 1 }}>
+        <Chip color="primary" label={`${totals.energyKwh.toFixed(1)} kWh`} />
+        {tariff && <Chip variant="outlined" label={formatCost(totals.cost, tariff)} />}
+        {totals.efficiency !== null && (
+          <Chip variant="outlined" label={`${totals.efficiency.toFixed(1)}% efficiency`} />
+        )}
+        <Typography variant="caption" color="text.secondary">
+          {totals.coverage}% of the period measured
+          {tariff
+            ? ` · ${tariff.bands.map(band => `${band.name} ${band.rate}/kWh`).join(', ')}`
+            : ' · no tariff configured'}
+        </Typography>
+      </Box>
+
+      {intervals.length > 0 && (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>{INTERVAL_HEADERS[energy.interval]}</TableCell>
+              <TableCell align="right">Energy (kWh)</TableCell>
+              <TableCell align="right">Cost</TableCell>
+              <TableCell align="right">Efficiency</TableCell>
+              <TableCell align="right">Measured</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {intervals.map((interval) => (
+              <TableRow key={interval.start}>
+                <TableCell>{formatDate(interval.start, INTERVAL_FORMATS[energy.interval])}</TableCell>
+                <TableCell align="right">{interval.energyKwh.toFixed(1)}</TableCell>
+                <TableCell align="right">{formatCost(interval.cost, tariff)}</TableCell>
+                <TableCell align="right">{interval.efficiency !== null ? `${interval.efficiency.toFixed(1)}%` : '—'}</TableCell>
+                <TableCell align="right">{interval.coverage}%</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Box>
+  );
+});
+
+EnergySummary.displayName = 'EnergySummary';
+
+export default EnergySummary;
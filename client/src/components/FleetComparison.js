@@ -0,0 +1,323 @@
+import React, { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import { Chart } from 'chart.js/auto';
+import 'chartjs-adapter-date-fns';
+import {
+  Alert,
+  Box,
+  Checkbox,
+  Chip,
+  CircularProgress,
+  FormControl,
+  Grid,
+  InputLabel,
+  ListItemText,
+  MenuItem,
+  OutlinedInput,
+  Paper,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import { STATUS_BACKGROUNDS } from '../utils/thresholds';
+import { formatDuration } from './AvailabilitySummary';
+import { formatDateTime, formatAxisTick } from '../utils/time';
+
+// Constants
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
+const SERIES_COLORS = ['#2196f3', '#f44336', '#4caf50', '#ff9800', '#9c27b0', '#00bcd4', '#795548', '#607d8b'];
+const MAX_SERIES = 8;
+
+const formatNumber = (value) => (value === null || value === undefined ? '—' : Number(value).toFixed(2));
+
+// One metric with a line per compared series on a shared time axis
+const ComparisonChart = ({ metric, unit, series }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    if (!canvasRef.current) return undefined;
+
+    const chart = new Chart(canvasRef.current.getContext('2d'), {
+      type: 'line',
+      data: {
+        datasets: series.map((entry) => ({
+          label: entry.label,
+          data: entry.rows
+            .filter(row => row[metric] !== null && row[metric] !== undefined)
+            .map(row => ({ x: new Date(row.Timestamp), y: parseFloat(row[metric]) })),
+          borderColor: entry.color,
+          backgroundColor: entry.color + '20',
+          borderWidth: 2,
+          pointRadius: 0,
+          pointHoverRadius: 4,
+          tension: 0.3,
+          fill: false
+        }))
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        interaction: { mode: 'nearest', axis: 'x', intersect: false },
+        plugins: {
+          title: {
+            display: true,
+            text: unit ? `${metric} (${unit})` : metric,
+            font: { size: 16, weight: 'bold' }
+          },
+          legend: { position: 'bottom', labels: { usePointStyle: true } },
+          tooltip: {
+            callbacks: {
+              title: (items) => (items.length ? formatDateTime(items[0].parsed.x) : '')
+            }
+          }
+        },
+        scales: {
+          x: {
+            type: 'time',
+            ticks: { callback: (value) => formatAxisTick(value) },
+            grid: { color: 'rgba(0,0,0,0.1)' }
+          },
+          y: {
+            beginAtZero: metric === 'VSWR' || metric === 'Return Loss',
+            grid: { color: 'rgba(0,0,0,0.1)' },
+            title: { display: !!unit, text: unit }
+          }
+        }
+      }
+    });
+
+    return () => chart.destroy();
+  }, [metric, unit, series]);
+
+  return (
+    <Paper sx={{ p: 2, height: 320 }}>
+      <canvas ref={canvasRef} />
+    </Paper>
+  );
+};
+
+const FleetComparison = ({ nodes = [], defaultNode, timePeriod, startDate, endDate }) => {
+  const [selected, setSelected] = useState(defaultNode ? [{ nodeName: defaultNode, baseStation: '' }] : []);
+  const [baseStationOptions, setBaseStationOptions] = useState({});
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const displayName = (nodeName) => nodes.find(node => node.nodeName === nodeName)?.displayName || nodeName;
+
+  // Base stations for each selected node, loaded once per node
+  useEffect(() => {
+    selected.forEach(({ nodeName }) => {
+      if (baseStationOptions[nodeName]) return;
+      axios.get(`${API_BASE_URL}/api/base-stations/${encodeURIComponent(nodeName)}`)
+        .then(response => setBaseStationOptions(prev => ({ ...prev, [nodeName]: response.data })))
+        .catch(err => {
+          console.error(`Error fetching base stations for ${nodeName}:`, err);
+          setBaseStationOptions(prev => ({ ...prev, [nodeName]: [] }));
+        });
+    });
+  }, [selected, baseStationOptions]);
+
+  useEffect(() => {
+    if (selected.length === 0 || (timePeriod === 'custom' && (!startDate || !endDate))) {
+      setResult(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await axios.post(`${API_BASE_URL}/api/data/batch`, {
+          series: selected,
+          timePeriod,
+          startDate: timePeriod === 'custom' ? startDate : undefined,
+          endDate: timePeriod === 'custom' ? endDate : undefined,
+          resolution: 'auto'
+        });
+        if (!cancelled) {
+          setResult({
+            ...response.data,
+            series: response.data.series.map((entry, index) => ({
+              ...entry,
+              color: SERIES_COLORS[index % SERIES_COLORS.length]
+            }))
+          });
+        }
+      } catch (err) {
+        console.error('Error fetching comparison data:', err);
+        if (!cancelled) {
+          setResult(null);
+          setError(err.response?.data?.error || 'Failed to load comparison data.');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selected, timePeriod, startDate, endDate]);
+
+  const handleNodesChange = (event) => {
+    const names = event.target.value;
+    setSelected(prev => names.slice(0, MAX_SERIES).map(nodeName =>
+      prev.find(entry => entry.nodeName === nodeName) || { nodeName, baseStation: '' }));
+  };
+
+  const handleBaseStationChange = (nodeName, baseStation) => {
+    setSelected(prev => prev.map(entry => (entry.nodeName === nodeName ? { ...entry, baseStation } : entry)));
+  };
+
+  // Metrics in profile order, across every compared node
+  const metrics = [];
+  (result?.series || []).forEach(entry => {
+    entry.metrics.forEach(metric => {
+      if (!metrics.some(existing => existing.name === metric.name)) metrics.push(metric);
+    });
+  });
+
+  return (
+    <Box>
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        <Grid item xs={12} md={6}>
+          <FormControl fullWidth>
+            <InputLabel id="compare-nodes-label">Compare nodes</InputLabel>
+            <Select
+              labelId="compare-nodes-label"
+              multiple
+              value={selected.map(entry => entry.nodeName)}
+              onChange={handleNodesChange}
+              input={<OutlinedInput label="Compare nodes" />}
+              renderValue={(names) => (
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                  {names.map(name => <Chip key={name} size="small" label={displayName(name)} />)}
+                </Box>
+              )}
+            >
+              {nodes.map((node) => (
+                <MenuItem key={node.nodeName} value={node.nodeName}>
+                  <Checkbox checked={selected.some(entry => entry.nodeName === node.nodeName)} />
+                  <ListItemText primary={node.displayName} />
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        {selected.map(({ nodeName, baseStation }) => (
+          <Grid item xs={12} sm={6} md={3} key={nodeName}>
+            <FormControl fullWidth size="small">
+              <InputLabel>{displayName(nodeName)}</InputLabel>
+              <Select
+                label={displayName(nodeName)}
+                value={baseStation}
+                onChange={(e) => handleBaseStationChange(nodeName, e.target.value)}
+              >
+                <MenuItem value="">All Base Stations</MenuItem>
+                {(baseStationOptions[nodeName] || []).map((name) => (
+                  <MenuItem key={name} value={name}>{name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+        ))}
+      </Grid>
+
+      {loading && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+          <CircularProgress />
+        </Box>
+      )}
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {!loading && !result && !error && (
+        <Typography variant="body2" color="text.secondary">
+          Select one or more nodes to compare them over the chosen time period.
+        </Typography>
+      )}
+
+      {!loading && result && (
+        <>
+          {result.resolution !== 'raw' && (
+            <Typography variant="caption" color="text.secondary" component="p" sx={{ mb: 2 }}>
+              Showing {result.resolution} averages; statistics use every sample
+            </Typography>
+          )}
+
+          <TableContainer component={Paper} sx={{ mb: 3 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell />
+                  {result.series.map((entry) => (
+                    <TableCell key={entry.label} sx={{ color: entry.color, fontWeight: 'bold' }}>{entry.label}</TableCell>
+                  ))}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                <TableRow>
+                  <TableCell>Availability</TableCell>
+                  {result.series.map((entry) => (
+                    <TableCell key={entry.label}>
+                      {entry.availability.availability.toFixed(2)}%
+                      <Typography variant="caption" color="text.secondary" component="div">
+                        {entry.availability.outageCount} outage{entry.availability.outageCount === 1 ? '' : 's'},{' '}
+                        {formatDuration(entry.availability.downtimeMinutes)} off air
+                      </Typography>
+                    </TableCell>
+                  ))}
+                </TableRow>
+                <TableRow>
+                  <TableCell>Samples</TableCell>
+                  {result.series.map((entry) => <TableCell key={entry.label}>{entry.sampleCount}</TableCell>)}
+                </TableRow>
+                {metrics.map((metric) => (
+                  <TableRow key={metric.name}>
+                    <TableCell>
+                      {metric.unit ? `${metric.name} (${metric.unit})` : metric.name}
+                      <Typography variant="caption" color="text.secondary" component="div">min / avg / max</Typography>
+                    </TableCell>
+                    {result.series.map((entry) => {
+                      const stats = entry.stats[metric.name];
+                      if (!stats) return <TableCell key={entry.label}>—</TableCell>;
+                      const breaches = stats.breaches.warning + stats.breaches.critical;
+                      return (
+                        <TableCell key={entry.label} sx={{ bgcolor: STATUS_BACKGROUNDS[stats.status] }}>
+                          {formatNumber(stats.min)} / {formatNumber(stats.avg)} / {formatNumber(stats.max)}
+                          <Typography variant="caption" color="text.secondary" component="div">
+                            {breaches === 0 ? 'No breaches' : `${breaches} breach${breaches === 1 ? '' : 'es'} (${stats.breaches.critical} critical)`}
+                          </Typography>
+                        </TableCell>
+                      );
+                    })}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          <Grid container spacing={3}>
+            {metrics.map((metric) => (
+              <Grid item xs={12} md={6} key={metric.name}>
+                <ComparisonChart
+                  metric={metric.name}
+                  unit={metric.unit}
+                  series={result.series.filter(entry => entry.stats[metric.name])}
+                />
+              </Grid>
+            ))}
+          </Grid>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default FleetComparison;
@@ -0,0 +1,85 @@
+import React from 'react';
+import {
+  Box,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import { formatDuration } from './AvailabilitySummary';
+import { formatDateTime } from '../utils/time';
+
+const SERVICE_CHIPS = {
+  ok: { color: 'success', label: 'Service OK' },
+  'due-soon': { color: 'warning', label: 'Service due soon' },
+  overdue: { color: 'error', label: 'Service overdue' }
+};
+
+const GensetSummary = React.memo(({ genset }) => {
+  if (!genset) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        Generator runs have not been calculated for this period.
+      </Typography>
+    );
+  }
+
+  const { service, runs = [] } = genset;
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap', mb: 1 }}>
+        <Chip color="primary" label={`${genset.runHours.toFixed(1)} h running`} />
+        <Chip variant="outlined" label={`${genset.fuelLitres.toFixed(1)} L fuel (est.)`} />
+        {service && <Chip color={SERVICE_CHIPS[service.status].color} label={SERVICE_CHIPS[service.status].label} />}
+        <Typography variant="body2">
+          {genset.runCount} run{genset.runCount === 1 ? '' : 's'}
+          {genset.averageLoadPercent !== null ? `, ${genset.averageLoadPercent}% average load` : ''}
+          {genset.totalRunHours !== null ? `, ${genset.totalRunHours.toFixed(1)} run hours in total` : ''}
+        </Typography>
+      </Box>
+
+      {service && (
+        <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 1 }}>
+          {`Service every ${service.intervalHours} h, due at ${service.dueAtRunHours} h `}
+          {service.hoursRemaining > 0
+            ? `(${service.hoursRemaining.toFixed(1)} h to go)`
+            : `(${(-service.hoursRemaining).toFixed(1)} h over)`}
+          {` · running at or above ${genset.settings.runVoltage} V or ${genset.settings.runCurrent} A`}
+        </Typography>
+      )}
+
+      {runs.length > 0 && (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Start</TableCell>
+              <TableCell>Stop</TableCell>
+              <TableCell>Duration</TableCell>
+              <TableCell align="right">Avg load</TableCell>
+              <TableCell align="right">Fuel (L)</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {runs.map((run) => (
+              <TableRow key={`${run.baseStation}-${run.start}`}>
+                <TableCell>{formatDateTime(run.start)}</TableCell>
+                <TableCell>{run.ongoing ? 'Running' : formatDateTime(run.end)}</TableCell>
+                <TableCell>{formatDuration(run.durationMinutes)}</TableCell>
+                <TableCell align="right">{run.averageLoadPercent !== null ? `${run.averageLoadPercent}%` : '—'}</TableCell>
+                <TableCell align="right">{run.fuelLitres.toFixed(1)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Box>
+  );
+});
+
+GensetSummary.displayName = 'GensetSummary';
+
+export default GensetSummary;
@@ -1,35 +1,45 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
+import axios from 'axios';
 import { Box, Button, Typography } from '@mui/material';
 import { PictureAsPdf } from '@mui/icons-material';
 import CircularProgress from '@mui/material/CircularProgress';
-import { createChart, getMetricInsights } from '../utils/chartUtils';
+import { createChart, alignBaseline } from '../utils/chartUtils';
 import { generatePDF } from '../utils/pdfUtils';
+import { formatDateTime, isSavedNarrationPeriod } from '../utils/time';
 import StationCard from './StationCard';
 import AnalysisDialog from './AnalysisDialog';
 
 // Constants
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
 
-const ReportEditor = ({ groupedStations, stationData }) => {
+// Chart colours cycled across the metrics of the node's channel profile
+const CHART_COLORS = ['blue', 'red', 'orange', 'purple', 'green', 'brown'];
+
+// Report templates. Nodes tagged as generators get the genset template, which
+// drops the RF charts and adds run hours, fuel and service status.
+const TEMPLATES = {
+  rf: { subtitle: 'RF System Analysis', hiddenMetrics: [] },
+  genset: {
+    subtitle: 'Generator Report',
+    hiddenMetrics: ['Forward Power', 'Reflected Power', 'VSWR', 'Return Loss']
+  }
+};
+
+const ReportEditor = ({ groupedStations, stationData, metrics = [], nodes = [], baseStation = '', period, compare = '' }) => {
   const [narrations, setNarrations] = useState({});
+  const [loadedReportKey, setLoadedReportKey] = useState(null);
+  const [availability, setAvailability] = useState({});
+  const [energy, setEnergy] = useState({});
+  const [gensets, setGensets] = useState({});
+  const [dataQuality, setDataQuality] = useState({});
+  const [comparisons, setComparisons] = useState({});
+  const autoNarrated = useRef(new Set());
   const [generating, setGenerating] = useState(false);
   const [editingStation, setEditingStation] = useState(null);
 
   const chartRefsLocal = useRef({});
   const containerRef = useRef(null);
   
-  // Helper functions for data processing
-  const calculateVSWR = React.useCallback((forward, reflected) => {
-    if (forward <= 0) return 1;
-    const sqrtRho = Math.sqrt(reflected / forward);
-    return (1 + sqrtRho) / (1 - sqrtRho);
-  }, []);
-
-  const calculateReturnLoss = React.useCallback((forward, reflected) => {
-    if (forward <= 0 || reflected <= 0) return 0;
-    return -20 * Math.log10(Math.sqrt(reflected / forward));
-  }, []);
-
   // Process data in chunks to prevent memory issues
   const processDataChunk = React.useCallback((data) => {
     if (!data) {
@@ -50,36 +60,29 @@ const ReportEditor = ({ groupedStations, stationData }) => {
     const chunkSize = 100; // Process 100 data points at a time
     const result = {
       timestamps: [],
-      forwardPower: [],
-      reflectedPower: [],
-      temperature: [],
-      voltage: [],
-      current: [],
-      power: [],
-      vswr: [],
-      returnLoss: []
+      times: [],
+      series: metrics.reduce((acc, metric) => {
+        acc[metric.name] = [];
+        return acc;
+      }, {})
     };
 
     for (let i = 0; i < data.length; i += chunkSize) {
       const chunk = data.slice(i, Math.min(i + chunkSize, data.length));
       chunk.forEach(d => {
-        result.timestamps.push(new Date(d.Timestamp).toLocaleString());
-        const forward = d['Forward Power'] || 0;
-        const reflected = d['Reflected Power'] || 0;
-        
-        result.forwardPower.push(forward);
-        result.reflectedPower.push(reflected);
-        result.temperature.push(d.Temperature || 0);
-        result.voltage.push(d.Voltage || 0);
-        result.current.push(d.Current || 0);
-        result.power.push(d.Power || 0);
-        result.vswr.push(calculateVSWR(forward, reflected));
-        result.returnLoss.push(calculateReturnLoss(forward, reflected));
+        result.timestamps.push(formatDateTime(d.Timestamp));
+        result.times.push(new Date(d.Timestamp).toISOString());
+        metrics.forEach(metric => {
+          // Missing readings stay null so the chart leaves a gap rather
+          // than drawing a drop to zero
+          const value = d[metric.name] === null || d[metric.name] === undefined ? NaN : Number(d[metric.name]);
+          result.series[metric.name].push(Number.isFinite(value) ? value : null);
+        });
       });
     }
 
     return result;
-  }, [calculateVSWR, calculateReturnLoss]);
+  }, [metrics]);
 
   // Memoize station data processing with progress tracking
   const processedData = React.useMemo(() => {
@@ -111,41 +114,61 @@ const ReportEditor = ({ groupedStations, stationData }) => {
     return processed;
   }, [stationData, processDataChunk]);
 
-  // Initialize chart refs and load saved narrations
+  // Narrations are saved per node, base station and reporting period
+  const stationKey = Object.keys(groupedStations || {}).join('|');
+  const reportKey = `${stationKey}::${baseStation}::${period}`;
+
+  const isGenerator = useCallback((station) =>
+    nodes.some(node => node.nodeName === station && node.siteType === 'generator'), [nodes]);
+  const template = stationKey && stationKey.split('|').every(isGenerator) ? 'genset' : 'rf';
+
+  // Initialize chart refs
   useEffect(() => {
     if (!groupedStations) return;
 
     // Initialize chart refs
     const newChartRefs = {};
     Object.entries(groupedStations).forEach(([station]) => {
-      newChartRefs[station] = {
-        'Forward Power': React.createRef(),
-        'Reflected Power': React.createRef(),
-        'VSWR': React.createRef(),
-        'Return Loss': React.createRef(),
-        'Temperature': React.createRef(),
-        'Voltage': React.createRef(),
-        'Current': React.createRef(),
-        'Power': React.createRef()
-      };
+      newChartRefs[station] = metrics.reduce((acc, metric) => {
+        acc[metric.name] = React.createRef();
+        return acc;
+      }, {});
     });
 
     chartRefsLocal.current = newChartRefs;
+  }, [groupedStations, metrics]);
 
-    // Load saved narrations
-    const savedNarrations = localStorage.getItem('reportNarrations');
-    if (savedNarrations) {
-      const parsedNarrations = JSON.parse(savedNarrations);
-      // Only load narrations for current stations
-      const filteredNarrations = Object.entries(parsedNarrations)
-        .filter(([station]) => groupedStations[station])
-        .reduce((acc, [station, narration]) => {
-          acc[station] = narration;
-          return acc;
-        }, {});
-      setNarrations(filteredNarrations);
-    }
-  }, [groupedStations]);
+  // Load saved narrations from the server for the current selection. Rolling
+  // periods have none, so they go straight to the automatic narration
+  useEffect(() => {
+    if (!stationKey || !period) return;
+
+    let cancelled = false;
+    (async () => {
+      const loaded = {};
+      const stations = isSavedNarrationPeriod(period) ? stationKey.split('|') : [];
+      await Promise.all(stations.map(async (station) => {
+        try {
+          const response = await axios.get(`${API_BASE_URL}/api/reports/${encodeURIComponent(station)}`, {
+            params: { baseStation, period }
+          });
+          loaded[station] = response.data.narration;
+        } catch (err) {
+          if (err.response?.status !== 404) {
+            console.error(`Error loading saved narration for ${station}:`, err);
+          }
+        }
+      }));
+
+      if (cancelled) return;
+      setNarrations(loaded);
+      setLoadedReportKey(reportKey);
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [stationKey, baseStation, period, reportKey]);
 
   // Generate auto narration for a station
   const generateAutoNarration = useCallback(async (station) => {
@@ -171,75 +194,15 @@ const ReportEditor = ({ groupedStations, stationData }) => {
         return;
       }
 
-      // Calculate insights
-      const forwardPowerInsights = getMetricInsights(data.timestamps, data.forwardPower);
-      const reflectedPowerInsights = getMetricInsights(data.timestamps, data.reflectedPower);
-      const vswrInsights = getMetricInsights(data.timestamps, data.vswr);
-      const returnLossInsights = getMetricInsights(data.timestamps, data.returnLoss);
-      const temperatureInsights = getMetricInsights(data.timestamps, data.temperature);
-      const voltageInsights = getMetricInsights(data.timestamps, data.voltage);
-      const currentInsights = getMetricInsights(data.timestamps, data.current);
-      const powerInsights = getMetricInsights(data.timestamps, data.power);
-
-      // Generate narration
-      const narration = `
-        ## RF System Analysis for ${station}
-
-        ### Forward Power
-        - Maximum: ${forwardPowerInsights.max.toFixed(2)}W at ${forwardPowerInsights.maxTime}
-        - Minimum: ${forwardPowerInsights.min.toFixed(2)}W at ${forwardPowerInsights.minTime}
-        - Average: ${forwardPowerInsights.average.toFixed(2)}W
-        - Trend: ${forwardPowerInsights.trend}
-
-        ### Reflected Power
-        - Maximum: ${reflectedPowerInsights.max.toFixed(2)}W at ${reflectedPowerInsights.maxTime}
-        - Minimum: ${reflectedPowerInsights.min.toFixed(2)}W at ${reflectedPowerInsights.minTime}
-        - Average: ${reflectedPowerInsights.average.toFixed(2)}W
-        - Trend: ${reflectedPowerInsights.trend}
-
-        ### VSWR
-        - Maximum: ${vswrInsights.max.toFixed(2)} at ${vswrInsights.maxTime}
-        - Minimum: ${vswrInsights.min.toFixed(2)} at ${vswrInsights.minTime}
-        - Average: ${vswrInsights.average.toFixed(2)}
-        - Trend: ${vswrInsights.trend}
-
-        ### Return Loss
-        - Maximum: ${returnLossInsights.max.toFixed(2)}dB at ${returnLossInsights.maxTime}
-        - Minimum: ${returnLossInsights.min.toFixed(2)}dB at ${returnLossInsights.minTime}
-        - Average: ${returnLossInsights.average.toFixed(2)}dB
-        - Trend: ${returnLossInsights.trend}
-
-        ### Temperature
-        - Maximum: ${temperatureInsights.max.toFixed(2)}°C at ${temperatureInsights.maxTime}
-        - Minimum: ${temperatureInsights.min.toFixed(2)}°C at ${temperatureInsights.minTime}
-        - Average: ${temperatureInsights.average.toFixed(2)}°C
-        - Trend: ${temperatureInsights.trend}
-
-        ### Voltage
-        - Maximum: ${voltageInsights.max.toFixed(2)}V at ${voltageInsights.maxTime}
-        - Minimum: ${voltageInsights.min.toFixed(2)}V at ${voltageInsights.minTime}
-        - Average: ${voltageInsights.average.toFixed(2)}V
-        - Trend: ${voltageInsights.trend}
-
-        ### Current
-        - Maximum: ${currentInsights.max.toFixed(2)}A at ${currentInsights.maxTime}
-        - Minimum: ${currentInsights.min.toFixed(2)}A at ${currentInsights.minTime}
-        - Average: ${currentInsights.average.toFixed(2)}A
-        - Trend: ${currentInsights.trend}
-
-        ### Power
-        - Maximum: ${powerInsights.max.toFixed(2)}W at ${powerInsights.maxTime}
-        - Minimum: ${powerInsights.min.toFixed(2)}W at ${powerInsights.minTime}
-        - Average: ${powerInsights.average.toFixed(2)}W
-        - Trend: ${powerInsights.trend}
-
-        ### System Health Assessment
-        ${vswrInsights.average > 1.5 ? '⚠️ High VSWR detected. Check antenna system.' : '✅ VSWR within acceptable range.'}
-        ${returnLossInsights.average < -20 ? '✅ Good impedance matching.' : '⚠️ Poor return loss. Check RF system.'}
-        ${temperatureInsights.max > 50 ? '⚠️ High temperature detected. Check cooling system.' : '✅ Temperature within normal range.'}
-        ${voltageInsights.average < 200 ? '⚠️ Low voltage detected. Check power supply.' : '✅ Voltage within normal range.'}
-        ${currentInsights.average > 10 ? '⚠️ High current detected. Check for shorts.' : '✅ Current within normal range.'}
-      `;
+      // The server assesses the raw readings of the period, as in its own
+      // PDF, rather than the bucket averages charted here
+      const response = await axios.post(`${API_BASE_URL}/api/analyze`, {
+        nodeName: station,
+        baseStation: baseStation || undefined,
+        period,
+        compare: compare || undefined
+      });
+      const { narration } = response.data;
 
       setNarrations(prev => ({
         ...prev,
@@ -252,19 +215,16 @@ const ReportEditor = ({ groupedStations, stationData }) => {
     } finally {
       setGenerating(false);
     }
-  }, [processedData, generating]);
+  }, [processedData, generating, baseStation, period, compare]);
 
   // Memoized chart metrics configuration
-  const chartMetrics = React.useMemo(() => [
-    { name: 'Forward Power', unit: 'W', color: 'blue' },
-    { name: 'Reflected Power', unit: 'W', color: 'red' },
-    { name: 'VSWR', unit: '', color: 'orange' },
-    { name: 'Return Loss', unit: 'dB', color: 'purple' },
-    { name: 'Temperature', unit: '°C', color: 'green' },
-    { name: 'Voltage', unit: 'V', color: 'brown' },
-    { name: 'Current', unit: 'A', color: 'orange' },
-    { name: 'Power', unit: 'W', color: 'purple' }
-  ], []);
+  const chartMetrics = React.useMemo(() => metrics
+    .filter(metric => !TEMPLATES[template].hiddenMetrics.includes(metric.name))
+    .map((metric, index) => ({
+      name: metric.name,
+      unit: metric.unit,
+      color: CHART_COLORS[index % CHART_COLORS.length]
+    })), [metrics, template]);
 
   // Create and update charts
   useEffect(() => {
@@ -279,22 +239,23 @@ const ReportEditor = ({ groupedStations, stationData }) => {
     }
 
     const charts = [];
-    const pendingNarrations = [];
 
     // Create charts with error boundary
-    const createMetricChart = (refs, data, metric, unit, color) => {
+    const createMetricChart = (refs, data, metric, unit, color, comparison) => {
       if (!refs?.[metric]?.current) {
         console.error(`Missing chart ref for ${metric}`);
         return false;
       }
 
       try {
+        const baseline = comparison ? alignBaseline(data.times, comparison.rows, metric) : null;
         const chart = createChart(
           refs[metric],
-          `${metric} (${unit})`,
+          unit ? `${metric} (${unit})` : metric,
           data.timestamps,
-          data[metric.toLowerCase().replace(' ', '')],
-          color
+          data.series[metric],
+          color,
+          baseline ? { label: `${metric} (${comparison.label})`, data: baseline } : undefined
         );
         charts.push(chart);
         return true;
@@ -321,58 +282,188 @@ const ReportEditor = ({ groupedStations, stationData }) => {
         }
 
         if (refs && data) {
-          const allChartsCreated = chartMetrics.every(metric =>
-            createMetricChart(refs, data, metric.name, metric.unit, metric.color)
+          chartMetrics.forEach(metric =>
+            createMetricChart(refs, data, metric.name, metric.unit, metric.color, comparisons[station])
           );
-
-          // Queue narration generation if charts are created and no narration exists
-          if (allChartsCreated && !narrations[station]) {
-            pendingNarrations.push(station);
-          }
         }
       });
     }
 
-    // Generate narrations for all stations that need them
-    if (pendingNarrations.length > 0 && !generating) {
-      (async () => {
-        for (const station of pendingNarrations) {
-          try {
-            await generateAutoNarration(station);
-          } catch (error) {
-            console.error(`Failed to generate narration for ${station}:`, error);
-          }
-        }
-      })();
-    }
-
     // Cleanup function to destroy charts
     return () => {
       charts.forEach(chart => {
         if (chart?.destroy) chart.destroy();
       });
     };
-  }, [groupedStations, stationData, processedData, generating, narrations, generateAutoNarration, chartMetrics]);
+  }, [groupedStations, stationData, processedData, chartMetrics, comparisons]);
 
-  // Save narrations to localStorage when they change
+  // Load on-air availability for each station over the reporting period
   useEffect(() => {
-    localStorage.setItem('reportNarrations', JSON.stringify(narrations));
-  }, [narrations]);
+    if (!stationKey || !period) return;
+
+    let cancelled = false;
+    (async () => {
+      const loaded = {};
+      await Promise.all(stationKey.split('|').map(async (station) => {
+        try {
+          const response = await axios.get(`${API_BASE_URL}/api/nodes/${encodeURIComponent(station)}/availability`, {
+            params: { baseStation: baseStation || undefined, period }
+          });
+          loaded[station] = response.data;
+        } catch (err) {
+          console.error(`Error loading availability for ${station}:`, err);
+        }
+      }));
+
+      if (!cancelled) setAvailability(loaded);
+    })();
 
+    return () => {
+      cancelled = true;
+    };
+  }, [stationKey, baseStation, period]);
+
+  // Load energy use and cost for each station. Nodes without a Power channel
+  // are recorded as null so the Energy section is left out for them.
   useEffect(() => {
-    if (chartRefsLocal.current && Object.keys(chartRefsLocal.current).length > 0) {
-      Object.keys(chartRefsLocal.current).forEach(baseStation => {
-        generateAutoNarration(baseStation);
-      });
+    if (!stationKey || !period) return;
+
+    let cancelled = false;
+    (async () => {
+      const loaded = {};
+      await Promise.all(stationKey.split('|').map(async (station) => {
+        try {
+          const response = await axios.get(`${API_BASE_URL}/api/nodes/${encodeURIComponent(station)}/energy`, {
+            params: { baseStation: baseStation || undefined, period }
+          });
+          loaded[station] = response.data;
+        } catch (err) {
+          if (err.response?.status === 400) {
+            loaded[station] = null;
+          } else {
+            console.error(`Error loading energy for ${station}:`, err);
+          }
+        }
+      }));
+
+      if (!cancelled) setEnergy(loaded);
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [stationKey, baseStation, period]);
+
+  // Load run hours, fuel and service status for generator stations
+  useEffect(() => {
+    if (!stationKey || !period) return;
+
+    let cancelled = false;
+    (async () => {
+      const loaded = {};
+      await Promise.all(stationKey.split('|').filter(isGenerator).map(async (station) => {
+        try {
+          const response = await axios.get(`${API_BASE_URL}/api/nodes/${encodeURIComponent(station)}/genset`, {
+            params: { baseStation: baseStation || undefined, period }
+          });
+          loaded[station] = response.data;
+        } catch (err) {
+          console.error(`Error loading generator runs for ${station}:`, err);
+        }
+      }));
+
+      if (!cancelled) setGensets(loaded);
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [stationKey, baseStation, period, isGenerator]);
+
+  // Load the data-quality findings for the PDF appendix
+  useEffect(() => {
+    if (!stationKey || !period) return;
+
+    let cancelled = false;
+    (async () => {
+      const loaded = {};
+      await Promise.all(stationKey.split('|').map(async (station) => {
+        try {
+          const response = await axios.get(`${API_BASE_URL}/api/nodes/${encodeURIComponent(station)}/data-quality`, {
+            params: { baseStation: baseStation || undefined, period }
+          });
+          loaded[station] = response.data;
+        } catch (err) {
+          console.error(`Error loading data quality for ${station}:`, err);
+        }
+      }));
+
+      if (!cancelled) setDataQuality(loaded);
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [stationKey, baseStation, period]);
+
+  // Load the comparison period, drawn as a ghost series on each chart
+  useEffect(() => {
+    if (!stationKey || !period || !compare) {
+      setComparisons({});
+      return;
     }
-  }, [chartRefsLocal, generateAutoNarration]);
 
-  const handleNarrationChange = (station, content) => {
+    let cancelled = false;
+    (async () => {
+      const loaded = {};
+      await Promise.all(stationKey.split('|').map(async (station) => {
+        try {
+          const response = await axios.get(`${API_BASE_URL}/api/nodes/${encodeURIComponent(station)}/comparison`, {
+            params: { baseStation: baseStation || undefined, period, compare, resolution: 'auto' }
+          });
+          loaded[station] = response.data;
+        } catch (err) {
+          console.error(`Error loading comparison for ${station}:`, err);
+        }
+      }));
+
+      if (!cancelled) setComparisons(loaded);
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [stationKey, baseStation, period, compare]);
+
+  // Draft an automatic narration for stations that have data but nothing saved.
+  // Each station is attempted once per selection so failures do not loop.
+  useEffect(() => {
+    if (loadedReportKey !== reportKey || generating) return;
+
+    const station = Object.keys(processedData).find(name =>
+      !narrations[name] && !autoNarrated.current.has(`${reportKey}::${name}`)
+    );
+    if (!station) return;
+
+    autoNarrated.current.add(`${reportKey}::${station}`);
+    generateAutoNarration(station).catch(error => {
+      console.error(`Failed to generate narration for ${station}:`, error);
+    });
+  }, [loadedReportKey, reportKey, processedData, narrations, generating, generateAutoNarration]);
+
+  const handleNarrationChange = useCallback((station, content) => {
     setNarrations(prev => ({
       ...prev,
       [station]: content
     }));
-  };
+  }, []);
+
+  const handleNarrationSaved = useCallback((station, saved) => {
+    setNarrations(prev => ({
+      ...prev,
+      [station]: saved.narration
+    }));
+  }, []);
 
   // Error state management
   const [error, setError] = useState(null);
@@ -406,7 +497,10 @@ const ReportEditor = ({ groupedStations, stationData }) => {
         throw new Error('Container reference not available');
       }
 
-      const pdf = await generatePDF(containerRef, narrations, chartRefsLocal.current);
+      const pdf = await generatePDF(containerRef, narrations, chartRefsLocal.current, chartMetrics, availability, dataQuality, energy, {
+        subtitle: TEMPLATES[template].subtitle,
+        gensets
+      });
       const filename = `horizon_auto_report_${new Date().toISOString().split('T')[0]}.pdf`;
       
       try {
@@ -429,6 +523,14 @@ const ReportEditor = ({ groupedStations, stationData }) => {
       .sort(([a], [b]) => a.localeCompare(b));
   }, [groupedStations, processedData]);
 
+  // Stable link to the same report rendered by the server
+  const serverPdfUrl = (station) => {
+    const params = new URLSearchParams({ period });
+    if (baseStation) params.set('baseStation', baseStation);
+    if (compare) params.set('compare', compare);
+    return `${API_BASE_URL}/api/reports/${encodeURIComponent(station)}.pdf?${params}`;
+  };
+
   return (
     <Box ref={containerRef}>
       <Box sx={{
@@ -443,21 +545,36 @@ const ReportEditor = ({ groupedStations, stationData }) => {
           Station Reports
         </Typography>
 
-        <Button
-          startIcon={<PictureAsPdf />}
-          variant="contained"
-          onClick={handleGeneratePDF}
-          disabled={generating}
-        >
-          {generating ? (
-            <>
-              <CircularProgress size={24} sx={{ mr: 1 }} />
-              Generating PDF...
-            </>
-          ) : (
-            'Generate PDF Report'
-          )}
-        </Button>
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+          {Object.keys(groupedStations || {}).map((station) => (
+            <Button
+              key={station}
+              startIcon={<PictureAsPdf />}
+              variant="outlined"
+              component="a"
+              href={serverPdfUrl(station)}
+              target="_blank"
+              rel="noopener noreferrer"
+            >
+              Server PDF
+            </Button>
+          ))}
+          <Button
+            startIcon={<PictureAsPdf />}
+            variant="contained"
+            onClick={handleGeneratePDF}
+            disabled={generating}
+          >
+            {generating ? (
+              <>
+                <CircularProgress size={24} sx={{ mr: 1 }} />
+                Generating PDF...
+              </>
+            ) : (
+              'Generate PDF Report'
+            )}
+          </Button>
+        </Box>
       </Box>
 
       {/* Error Alert */}
@@ -504,6 +621,9 @@ const ReportEditor = ({ groupedStations, stationData }) => {
             onGenerateAnalysis={() => generateAutoNarration(station)}
             isGenerating={generating && editingStation === station}
             chartRefs={chartRefsLocal.current[station]}
+            availability={availability[station]}
+            energy={energy[station]}
+            genset={gensets[station]}
             error={error?.context === station ? error.message : null}
           />
         ))}
@@ -519,8 +639,11 @@ const ReportEditor = ({ groupedStations, stationData }) => {
         open={!!editingStation}
         onClose={() => setEditingStation(null)}
         station={editingStation}
+        baseStation={baseStation}
+        period={period}
         narration={editingStation ? narrations[editingStation] : ''}
         onNarrationChange={handleNarrationChange}
+        onSaved={handleNarrationSaved}
       />
     </Box>
   );
@@ -6,6 +6,9 @@ import {
   Paper
 } from '@mui/material';
 import { Edit } from '@mui/icons-material';
+import AvailabilitySummary from './AvailabilitySummary';
+import EnergySummary from './EnergySummary';
+import GensetSummary from './GensetSummary';
 
 const StationCard = React.memo(({ 
   baseStation,
@@ -13,7 +16,10 @@ const StationCard = React.memo(({
   onEditClick,
   onGenerateAnalysis,
   isGenerating,
-  chartRefs
+  chartRefs,
+  availability,
+  energy,
+  genset
 }) => {
   return (
     <Paper sx={{ p: 3, mb: 3 }}>
@@ -39,6 +45,25 @@ const StationCard = React.memo(({
         </Box>
       </Box>
 
+      <Box sx={{ mt: 3, p: 2, bgcolor: 'background.paper', borderRadius: 1 }}>
+        <Typography variant="h6" gutterBottom>Availability</Typography>
+        <AvailabilitySummary availability={availability} />
+      </Box>
+
+      {genset && (
+        <Box sx={{ mt: 3, p: 2, bgcolor: 'background.paper', borderRadius: 1 }}>
+          <Typography variant="h6" gutterBottom>Generator Runs</Typography>
+          <GensetSummary genset={genset} />
+        </Box>
+      )}
+
+      {energy !== null && (
+        <Box sx={{ mt: 3, p: 2, bgcolor: 'background.paper', borderRadius: 1 }}>
+          <Typography variant="h6" gutterBottom>Energy</Typography>
+          <EnergySummary energy={energy} />
+        </Box>
+      )}
+
       <Box sx={{ mt: 3, p: 2, bgcolor: 'background.paper', borderRadius: 1 }}>
         <Typography variant="h6" gutterBottom>Analysis</Typography>
         <Typography
@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import {
+  Alert,
+  Box,
+  Button,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+
+// Constants
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
+const DEFAULT_SCOPE = '__defaults__';
+const LEVEL_FIELDS = [
+  { direction: 'low', level: 'warning', label: 'Low warning' },
+  { direction: 'low', level: 'critical', label: 'Low critical' },
+  { direction: 'high', level: 'warning', label: 'High warning' },
+  { direction: 'high', level: 'critical', label: 'High critical' }
+];
+
+// Drop empty limit groups before the rules are sent to the server
+const cleanRule = (rule) => {
+  if (!rule) return rule;
+
+  const cleaned = { statistic: rule.statistic || 'avg' };
+  if (rule.whileRunning) cleaned.whileRunning = true;
+  ['low', 'high'].forEach(direction => {
+    const levels = rule[direction];
+    if (levels && (levels.warning !== undefined || levels.critical !== undefined)) {
+      cleaned[direction] = { warning: levels.warning, critical: levels.critical };
+    }
+  });
+  return cleaned;
+};
+
+const ThresholdSettings = ({ nodes = [], onSaved }) => {
+  const [rules, setRules] = useState(null);
+  const [scope, setScope] = useState(DEFAULT_SCOPE);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  const loadRules = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/thresholds`);
+      setRules(response.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading threshold rules:', err);
+      setError({ message: 'Failed to load threshold rules.' });
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  if (!rules) {
+    return error ? <Alert severity="error">{error.message}</Alert> : null;
+  }
+
+  const isDefaults = scope === DEFAULT_SCOPE;
+  const overrides = isDefaults ? {} : (rules.nodes[scope] || {});
+  const metricNames = Array.from(new Set([
+    ...Object.keys(rules.defaults),
+    ...Object.keys(overrides)
+  ]));
+
+  // The rule being edited for a metric in the current scope
+  const getRule = (metric) => (isDefaults ? rules.defaults[metric] : overrides[metric]);
+  const isOverridden = (metric) => !isDefaults && Object.prototype.hasOwnProperty.call(overrides, metric);
+
+  const updateRule = (metric, rule) => {
+    setSaved(false);
+    setRules(prev => {
+      if (isDefaults) {
+        return { ...prev, defaults: { ...prev.defaults, [metric]: rule } };
+      }
+      const nodeOverrides = { ...(prev.nodes[scope] || {}) };
+      if (rule === undefined) {
+        delete nodeOverrides[metric];
+      } else {
+        nodeOverrides[metric] = rule;
+      }
+      return { ...prev, nodes: { ...prev.nodes, [scope]: nodeOverrides } };
+    });
+  };
+
+  const handleLevelChange = (metric, direction, level, value) => {
+    const rule = getRule(metric) || { statistic: 'avg' };
+    const number = parseFloat(value);
+    updateRule(metric, {
+      ...rule,
+      [direction]: {
+        ...(rule[direction] || {}),
+        [level]: Number.isFinite(number) ? number : undefined
+      }
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+
+    const payload = {
+      defaults: Object.fromEntries(
+        Object.entries(rules.defaults).map(([metric, rule]) => [metric, cleanRule(rule)])
+      ),
+      nodes: Object.fromEntries(
+        Object.entries(rules.nodes).map(([nodeName, nodeRules]) => [
+          nodeName,
+          Object.fromEntries(Object.entries(nodeRules).map(([metric, rule]) => [metric, cleanRule(rule)]))
+        ])
+      )
+    };
+
+    try {
+      const response = await axios.put(`${API_BASE_URL}/api/thresholds`, payload);
+      setRules(response.data);
+      setSaved(true);
+      if (onSaved) onSaved(response.data);
+    } catch (err) {
+      console.error('Error saving threshold rules:', err);
+      setError({
+        message: err.response?.data?.error || 'Failed to save threshold rules.',
+        details: err.response?.data?.details
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2, gap: 2 }}>
+        <FormControl sx={{ minWidth: 240 }}>
+          <InputLabel id="threshold-scope-label">Applies to</InputLabel>
+          <Select
+            labelId="threshold-scope-label"
+            label="Applies to"
+            value={scope}
+            onChange={(e) => setScope(e.target.value)}
+          >
+            <MenuItem value={DEFAULT_SCOPE}>All nodes (defaults)</MenuItem>
+            {nodes.map((node) => (
+              <MenuItem key={node.nodeName} value={node.nodeName}>{node.displayName}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button onClick={loadRules} disabled={saving}>Discard changes</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving...' : 'Save rules'}
+          </Button>
+        </Box>
+      </Box>
+
+      {saved && <Alert severity="success" sx={{ mb: 2 }}>Threshold rules saved.</Alert>}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error.message}
+          {error.details && (
+            <ul>
+              {error.details.map((detail) => <li key={detail}>{detail}</li>)}
+            </ul>
+          )}
+        </Alert>
+      )}
+
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Metric</TableCell>
+            <TableCell>Judged on</TableCell>
+            {LEVEL_FIELDS.map(field => <TableCell key={field.label}>{field.label}</TableCell>)}
+            {!isDefaults && <TableCell />}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {metricNames.map((metric) => {
+            const rule = getRule(metric);
+            const editable = isDefaults || (isOverridden(metric) && rule !== null);
+            const shown = editable ? rule : rules.defaults[metric];
+
+            return (
+              <TableRow key={metric}>
+                <TableCell>
+                  <Typography variant="body2">{metric}</Typography>
+                  {!isDefaults && (
+                    <Typography variant="caption" color="text.secondary">
+                      {!isOverridden(metric) ? 'Using default' : rule === null ? 'Disabled for this node' : 'Node override'}
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell>
+                  <Select
+                    size="small"
+                    value={shown?.statistic || 'avg'}
+                    disabled={!editable}
+                    onChange={(e) => updateRule(metric, { ...rule, statistic: e.target.value })}
+                  >
+                    <MenuItem value="avg">Average</MenuItem>
+                    <MenuItem value="min">Minimum</MenuItem>
+                    <MenuItem value="max">Maximum</MenuItem>
+                  </Select>
+                </TableCell>
+                {LEVEL_FIELDS.map(({ direction, level, label }) => (
+                  <TableCell key={label}>
+                    <TextField
+                      size="small"
+                      type="number"
+                      sx={{ width: 100 }}
+                      disabled={!editable}
+                      value={shown?.[direction]?.[level] ?? ''}
+                      onChange={(e) => handleLevelChange(metric, direction, level, e.target.value)}
+                    />
+                  </TableCell>
+                ))}
+                {!isDefaults && (
+                  <TableCell>
+                    {isOverridden(metric) ? (
+                      <Button size="small" onClick={() => updateRule(metric, undefined)}>Use default</Button>
+                    ) : (
+                      <Box sx={{ display: 'flex', gap: 1 }}>
+                        <Button size="small" onClick={() => updateRule(metric, { ...rules.defaults[metric] })}>Override</Button>
+                        <Button size="small" color="error" onClick={() => updateRule(metric, null)}>Disable</Button>
+                      </Box>
+                    )}
+                  </TableCell>
+                )}
+              </TableRow>
+            );
+          })}
+        </TableBody>
+      </Table>
+    </Box>
+  );
+};
+
+export default ThresholdSettings;
@@ -56,8 +56,33 @@ const defaultChartConfig = {
   }
 };
 
-// Create or update a chart
-export const createChart = (ref, title, labels, data, color) => {
+// Values of a shifted baseline series lined up with the chart's timestamps,
+// taking the nearest baseline row within one sampling interval (null if none)
+export const alignBaseline = (times, rows, metric) => {
+  if (!Array.isArray(rows) || rows.length === 0) return null;
+
+  const points = rows
+    .filter(row => row[metric] !== null && row[metric] !== undefined)
+    .map(row => ({ time: new Date(row.Timestamp).getTime(), value: Number(row[metric]) }));
+  if (points.length === 0) return null;
+
+  const stamps = times.map(time => new Date(time).getTime());
+  const tolerance = stamps.length > 1
+    ? Math.max((stamps[stamps.length - 1] - stamps[0]) / (stamps.length - 1), 60 * 1000)
+    : 60 * 60 * 1000;
+
+  let index = 0;
+  return stamps.map(time => {
+    while (index < points.length - 1 && Math.abs(points[index + 1].time - time) <= Math.abs(points[index].time - time)) {
+      index++;
+    }
+    return Math.abs(points[index].time - time) <= tolerance ? points[index].value : null;
+  });
+};
+
+// Create or update a chart. `baseline` (optional) is drawn as a grey dashed
+// ghost series behind the data, e.g. the previous period.
+export const createChart = (ref, title, labels, data, color, baseline) => {
   if (!ref || !ref.current) return null;
 
   // Clear any existing chart
@@ -91,7 +116,17 @@ export const createChart = (ref, title, labels, data, color) => {
         tension: 0.4,
         pointRadius: 3,
         pointHoverRadius: 6
-      }]
+      }, ...(baseline ? [{
+        label: baseline.label,
+        data: baseline.data,
+        borderColor: 'rgba(158, 158, 158, 1)',
+        backgroundColor: 'transparent',
+        borderWidth: 1.5,
+        borderDash: [6, 4],
+        tension: 0.4,
+        pointRadius: 0,
+        spanGaps: true
+      }] : [])]
     },
     options: {
       ...defaultChartConfig.options,
@@ -113,6 +148,36 @@ export const createChart = (ref, title, labels, data, color) => {
   return new Chart(ref.current, config);
 };
 
+// Least-squares slope of values against time, in units per day. Falls back to
+// the reading index when timestamps are missing.
+const fitSlope = (timestamps, values) => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const xs = values.map((_, i) => {
+    const time = new Date(timestamps[i]).getTime();
+    return Number.isFinite(time) ? time / DAY : i;
+  });
+  const n = values.length;
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = values.reduce((a, b) => a + b, 0) / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  xs.forEach((x, i) => {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (values[i] - meanY);
+    syy += (values[i] - meanY) ** 2;
+  });
+  if (sxx === 0) return { slope: 0, significant: false };
+
+  const slope = sxy / sxx;
+  const residual = Math.max(syy - slope * sxy, 0);
+  const slopeError = n > 2 ? Math.sqrt(residual / (n - 2) / sxx) : Infinity;
+  // Same test as the server's trend module: at least 10 readings and |t| >= 2
+  const significant = n >= 10 && (slopeError === 0 ? slope !== 0 : Math.abs(slope / slopeError) >= 2);
+  return { slope, significant };
+};
+
 // Calculate trend and insights for a metric
 export const getMetricInsights = (timestamps, values) => {
   if (!Array.isArray(values) || values.length === 0) {
@@ -123,6 +188,7 @@ export const getMetricInsights = (timestamps, values) => {
       maxTime: '',
       minTime: '',
       trend: 'No data available',
+      slopePerDay: 0,
       changeRate: 0
     };
   }
@@ -133,15 +199,10 @@ export const getMetricInsights = (timestamps, values) => {
   const maxIndex = values.indexOf(max);
   const minIndex = values.indexOf(min);
 
-  // Calculate trend
-  const recentValues = values.slice(-10); // Last 10 points
-  const trend = recentValues.reduce((acc, curr, i) => {
-    if (i === 0) return 0;
-    return acc + (curr - recentValues[i - 1]);
-  }, 0);
-
-  const trendDescription = trend > 0 ? 'Increasing' :
-    trend < 0 ? 'Decreasing' : 'Stable';
+  // Regression over the whole series rather than the last few readings
+  const { slope, significant } = fitSlope(timestamps, values);
+  const trendDescription = !significant ? 'Stable' :
+    slope > 0 ? 'Increasing' : 'Decreasing';
 
   // Calculate rate of change
   const changeRate = ((values[values.length - 1] - values[0]) / values[0] * 100).toFixed(2);
@@ -153,6 +214,7 @@ export const getMetricInsights = (timestamps, values) => {
     maxTime: timestamps[maxIndex],
     minTime: timestamps[minIndex],
     trend: trendDescription,
+    slopePerDay: slope,
     changeRate: parseFloat(changeRate)
   };
 };
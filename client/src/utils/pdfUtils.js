@@ -1,5 +1,6 @@
 import html2canvas from 'html2canvas';
 import jsPDF from 'jspdf';
+import { formatDateTime, formatDate, getReportTimeZone } from './time';
 
 // PDF styling constants
 const PDF_STYLES = {
@@ -66,8 +67,159 @@ const addChartSection = async (pdf, chartRef, title, x, y, width, height) => {
   }
 };
 
+const formatMinutes = (minutes) => (minutes < 60
+  ? `${Math.round(minutes)} min`
+  : `${(minutes / 60).toFixed(1)} h`);
+
+// Helper function to add the on-air availability summary and outage list
+const addAvailabilitySection = (pdf, availability, x, y, width) => {
+  addStyledText(pdf, 'On-Air Availability', x, y, PDF_STYLES.fonts.subheading);
+  y += 8;
+
+  if (!availability) {
+    addStyledText(pdf, 'Availability was not calculated for this period.', x, y, PDF_STYLES.fonts.body);
+    return y + PDF_STYLES.charts.spacing;
+  }
+
+  const outages = availability.outages || [];
+  const summary = `${availability.availability.toFixed(2)}% on air, ` +
+    `${outages.length} outage${outages.length === 1 ? '' : 's'} totalling ${formatMinutes(availability.downtimeMinutes)}.`;
+  addStyledText(pdf, summary, x, y, PDF_STYLES.fonts.body);
+  y += 7;
+
+  const pageHeight = pdf.internal.pageSize.height;
+  outages.forEach(outage => {
+    if (y > pageHeight - PDF_STYLES.page.margin) {
+      pdf.addPage();
+      y = 30;
+    }
+    const end = outage.ongoing ? 'ongoing' : formatDateTime(outage.end);
+    const cause = outage.cause === 'low-power' ? 'forward power below floor' : 'no telemetry';
+    const line = `• ${formatDateTime(outage.start)} – ${end} (${formatMinutes(outage.durationMinutes)}, ${cause})`;
+    addStyledText(pdf, pdf.splitTextToSize(line, width), x, y, PDF_STYLES.fonts.body);
+    y += 6;
+  });
+
+  return y + PDF_STYLES.charts.spacing;
+};
+
+// Helper function to add the energy use, cost and efficiency per interval
+const addEnergySection = (pdf, energy, x, y, width) => {
+  if (!energy) return y;
+
+  addStyledText(pdf, 'Energy', x, y, PDF_STYLES.fonts.subheading);
+  y += 8;
+
+  const { totals, tariff } = energy;
+  const cost = (value) => (tariff && value !== null ? `${tariff.currency ? `${tariff.currency} ` : ''}${value.toFixed(2)}` : null);
+  const summary = [
+    `${totals.energyKwh.toFixed(1)} kWh`,
+    tariff ? `costing ${cost(totals.cost)}` : 'no tariff configured',
+    totals.efficiency !== null ? `${totals.efficiency.toFixed(1)}% transmitter efficiency` : null,
+    `${totals.coverage}% of the period measured`
+  ].filter(Boolean).join(', ');
+  const summaryLines = pdf.splitTextToSize(`${summary}.`, width);
+  addStyledText(pdf, summaryLines, x, y, PDF_STYLES.fonts.body);
+  y += summaryLines.length * 6 + 1;
+
+  const pageHeight = pdf.internal.pageSize.height;
+  energy.intervals.forEach(interval => {
+    if (y > pageHeight - PDF_STYLES.page.margin) {
+      pdf.addPage();
+      y = 30;
+    }
+    const line = [
+      `• ${formatDate(interval.start)}: ${interval.energyKwh.toFixed(1)} kWh`,
+      cost(interval.cost),
+      interval.efficiency !== null ? `${interval.efficiency.toFixed(1)}% efficiency` : null
+    ].filter(Boolean).join(', ');
+    addStyledText(pdf, line, x, y, PDF_STYLES.fonts.body);
+    y += 6;
+  });
+
+  return y + PDF_STYLES.charts.spacing;
+};
+
+// Helper function to add generator run hours, fuel and service status
+const addGensetSection = (pdf, genset, x, y, width) => {
+  if (!genset) return y;
+
+  addStyledText(pdf, 'Generator Runs', x, y, PDF_STYLES.fonts.subheading);
+  y += 8;
+
+  const lines = [
+    `${genset.runCount} run${genset.runCount === 1 ? '' : 's'}, ${genset.runHours.toFixed(1)} h running` +
+      (genset.averageLoadPercent !== null ? ` at ${genset.averageLoadPercent}% average load` : '') +
+      `, ${genset.fuelLitres.toFixed(1)} L fuel (estimated).` +
+      (genset.totalRunHours !== null ? ` ${genset.totalRunHours.toFixed(1)} run hours in total.` : '')
+  ];
+  if (genset.service) {
+    const { service } = genset;
+    lines.push(`Service every ${service.intervalHours} h: due at ${service.dueAtRunHours} h, ` +
+      (service.hoursRemaining > 0 ? `${service.hoursRemaining.toFixed(1)} h to go.` : `overdue by ${(-service.hoursRemaining).toFixed(1)} h.`));
+  }
+  lines.forEach(text => {
+    const split = pdf.splitTextToSize(text, width);
+    addStyledText(pdf, split, x, y, PDF_STYLES.fonts.body);
+    y += split.length * 6;
+  });
+
+  const pageHeight = pdf.internal.pageSize.height;
+  (genset.runs || []).forEach(run => {
+    if (y > pageHeight - PDF_STYLES.page.margin) {
+      pdf.addPage();
+      y = 30;
+    }
+    const end = run.ongoing ? 'running' : formatDateTime(run.end);
+    const line = `• ${formatDateTime(run.start)} – ${end} (${formatMinutes(run.durationMinutes)}, ${run.fuelLitres.toFixed(1)} L)`;
+    addStyledText(pdf, pdf.splitTextToSize(line, width), x, y, PDF_STYLES.fonts.body);
+    y += 6;
+  });
+
+  return y + PDF_STYLES.charts.spacing;
+};
+
+// Appendix page with the data-quality findings for each station
+const addDataQualityAppendix = (pdf, dataQuality, x, width) => {
+  const stations = Object.entries(dataQuality).filter(([, quality]) => quality);
+  if (stations.length === 0) return;
+
+  pdf.addPage();
+  addStyledText(pdf, 'Appendix: Data Quality', x, 30, PDF_STYLES.fonts.heading);
+  let y = 45;
+  const pageHeight = pdf.internal.pageSize.height;
+  const ensureSpace = () => {
+    if (y > pageHeight - PDF_STYLES.page.margin) {
+      pdf.addPage();
+      y = 30;
+    }
+  };
+
+  stations.forEach(([station, quality]) => {
+    ensureSpace();
+    addStyledText(pdf, `${station}: ${quality.status}`, x, y, PDF_STYLES.fonts.subheading);
+    y += 8;
+
+    const summary = `${quality.actualSamples} of ${quality.expectedSamples} expected samples (${quality.completeness}%), ` +
+      `${quality.gaps.length} gap${quality.gaps.length === 1 ? '' : 's'} over ${quality.gapMinutes} min, ` +
+      `${quality.duplicates.count} duplicate timestamp${quality.duplicates.count === 1 ? '' : 's'}.`;
+    const summaryLines = pdf.splitTextToSize(summary, width);
+    addStyledText(pdf, summaryLines, x, y, PDF_STYLES.fonts.body);
+    y += summaryLines.length * 6;
+
+    const findings = quality.issues.length > 0 ? quality.issues : ['No data-quality issues found.'];
+    findings.forEach(issue => {
+      ensureSpace();
+      const lines = pdf.splitTextToSize(`• ${issue}`, width);
+      addStyledText(pdf, lines, x, y, PDF_STYLES.fonts.body);
+      y += lines.length * 6;
+    });
+    y += PDF_STYLES.charts.spacing;
+  });
+};
+
 // Main PDF generation function
-export const generatePDF = async (containerRef, narrations, chartRefs) => {
+export const generatePDF = async (containerRef, narrations, chartRefs, chartMetrics = [], availability = {}, dataQuality = {}, energy = {}, { subtitle = 'RF System Analysis', gensets = {} } = {}) => {
   try {
     // Initialize PDF
     const pdf = new jsPDF(PDF_STYLES.page.orientation, PDF_STYLES.page.unit, PDF_STYLES.page.format);
@@ -77,8 +229,8 @@ export const generatePDF = async (containerRef, narrations, chartRefs) => {
 
     // Add title page
     addStyledText(pdf, 'Horizon Auto Report', margin, 30, PDF_STYLES.fonts.title);
-    addStyledText(pdf, `Generated on: ${new Date().toLocaleString()}`, margin, 45, PDF_STYLES.fonts.body);
-    addStyledText(pdf, 'RF System Analysis', margin, 60, PDF_STYLES.fonts.subtitle);
+    addStyledText(pdf, `Generated on: ${formatDateTime(new Date())} (${getReportTimeZone()})`, margin, 45, PDF_STYLES.fonts.body);
+    addStyledText(pdf, subtitle, margin, 60, PDF_STYLES.fonts.subtitle);
 
     // Process each station
     for (const [station, narration] of Object.entries(narrations)) {
@@ -87,17 +239,13 @@ export const generatePDF = async (containerRef, narrations, chartRefs) => {
       // Station header
       addStyledText(pdf, `Station: ${station}`, margin, 30, PDF_STYLES.fonts.heading);
 
-      let yOffset = 50;
-      const metrics = [
-        { name: 'Forward Power', label: 'Forward Power Readings' },
-        { name: 'Reflected Power', label: 'Reflected Power Readings' },
-        { name: 'VSWR', label: 'VSWR Measurements' },
-        { name: 'Return Loss', label: 'Return Loss Analysis' },
-        { name: 'Temperature', label: 'Temperature Readings' },
-        { name: 'Voltage', label: 'Voltage Measurements' },
-        { name: 'Current', label: 'Current Readings' },
-        { name: 'Power', label: 'Power Analysis' }
-      ];
+      let yOffset = addAvailabilitySection(pdf, availability[station], margin, 45, contentWidth);
+      yOffset = addEnergySection(pdf, energy[station], margin, yOffset, contentWidth);
+      yOffset = addGensetSection(pdf, gensets[station], margin, yOffset, contentWidth);
+      const metrics = chartMetrics.map(metric => ({
+        name: metric.name,
+        label: metric.unit ? `${metric.name} Readings (${metric.unit})` : `${metric.name} Readings`
+      }));
 
       // Add charts
       for (const metric of metrics) {
@@ -134,6 +282,8 @@ export const generatePDF = async (containerRef, narrations, chartRefs) => {
       addStyledText(pdf, splitText, margin, 50, PDF_STYLES.fonts.body);
     }
 
+    addDataQualityAppendix(pdf, dataQuality, margin, contentWidth);
+
     return pdf;
   } catch (error) {
     console.error('Error generating PDF:', error);
@@ -0,0 +1,42 @@
+// Client-side evaluation of the threshold rules served by /api/thresholds.
+// Mirrors classifyValue in lib/thresholds.js so the table, charts and the
+// server-generated narration agree on what counts as a breach.
+
+export const STATUS_COLORS = {
+  warning: '#ff9800',
+  critical: '#f44336'
+};
+
+export const STATUS_BACKGROUNDS = {
+  warning: '#fff3e0',
+  critical: '#ffebee'
+};
+
+// Classify a single value against a threshold rule
+export const classifyValue = (value, rule) => {
+  const number = Number(value);
+  if (!rule || value === null || value === undefined || !Number.isFinite(number)) return 'ok';
+  if (rule.high && number >= rule.high.critical) return 'critical';
+  if (rule.low && number <= rule.low.critical) return 'critical';
+  if (rule.high && number >= rule.high.warning) return 'warning';
+  if (rule.low && number <= rule.low.warning) return 'warning';
+  return 'ok';
+};
+
+// Horizontal limit lines for a rule, e.g. for drawing on a chart
+export const getThresholdLines = (rule) => {
+  if (!rule) return [];
+
+  const lines = [];
+  ['high', 'low'].forEach(direction => {
+    if (!rule[direction]) return;
+    ['warning', 'critical'].forEach(level => {
+      lines.push({
+        label: `${level} (${direction})`,
+        level,
+        value: rule[direction][level]
+      });
+    });
+  });
+  return lines;
+};
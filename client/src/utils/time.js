@@ -0,0 +1,30 @@
+// Dates are shown in the server's reporting time zone rather than the
+// browser's, so every engineer sees the same day boundaries as the reports.
+// App loads the zone from /api/settings at startup.
+let reportTimeZone = process.env.REACT_APP_REPORT_TIMEZONE || 'Africa/Nairobi';
+
+export const setReportTimeZone = (timeZone) => {
+  if (timeZone) reportTimeZone = timeZone;
+};
+
+export const getReportTimeZone = () => reportTimeZone;
+
+export const formatDateTime = (value, options = {}) =>
+  new Date(value).toLocaleString(undefined, { timeZone: reportTimeZone, ...options });
+
+export const formatDate = (value, options = {}) =>
+  new Date(value).toLocaleDateString(undefined, { timeZone: reportTimeZone, ...options });
+
+export const formatTime = (value, options = {}) =>
+  new Date(value).toLocaleTimeString(undefined, { timeZone: reportTimeZone, ...options });
+
+// Time axis tick: HH:mm, or the date when the tick falls on midnight
+export const formatAxisTick = (value) => {
+  const time = formatTime(value, { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+  return time === '00:00' ? formatDate(value, { month: 'short', day: 'numeric' }) : time;
+};
+
+// Narrations are saved only for custom date ranges ('custom:<start>..<end>'):
+// a rolling period ('24h', '7d', '30d') covers different readings every time
+// it is opened, and the server rejects it as a narration key
+export const isSavedNarrationPeriod = (period) => /^custom:.+\.\..+$/.test(period || '');
@@ -0,0 +1,97 @@
+const { escapeId } = require('mysql2');
+const { getMetricExpressions } = require('./channelProfiles');
+const { offsetMinutes } = require('./timezone');
+
+// Supported bucket sizes in seconds
+const RESOLUTIONS = {
+  '1m': 60,
+  '5m': 5 * 60,
+  '1h': 60 * 60,
+  '1d': 24 * 60 * 60
+};
+
+// 'auto' keeps charts at or below this many points
+const MAX_AUTO_POINTS = 1000;
+
+function isValidResolution(resolution) {
+  return resolution === 'raw' || resolution === 'auto' || !!RESOLUTIONS[resolution];
+}
+
+// Pick the bucket size for a request. 'auto' stays raw while the expected row
+// count is small and otherwise uses the finest bucket that fits the span
+function resolveResolution(requested, { spanMs, rowCount }) {
+  if (!requested || requested === 'raw') return 'raw';
+  if (requested !== 'auto') return requested;
+
+  if (rowCount !== undefined && rowCount <= MAX_AUTO_POINTS) return 'raw';
+
+  const spanSeconds = spanMs / 1000;
+  const match = Object.entries(RESOLUTIONS)
+    .find(([, seconds]) => spanSeconds / seconds <= MAX_AUTO_POINTS);
+  return match ? match[0] : '1d';
+}
+
+// SELECT list with min/avg/max of every metric per time bucket. Daily buckets
+// start at midnight in the reporting time zone (at its current offset).
+function buildBucketSelect(profile, resolution, now = new Date()) {
+  const seconds = RESOLUTIONS[resolution];
+  const expressions = getMetricExpressions(profile);
+  const shift = resolution === '1d' ? offsetMinutes(now) * 60 : 0;
+  const bucket = shift
+    ? `FROM_UNIXTIME(FLOOR((UNIX_TIMESTAMP(time) + ${shift}) / ${seconds}) * ${seconds} - ${shift})`
+    : `FROM_UNIXTIME(FLOOR(UNIX_TIMESTAMP(time) / ${seconds}) * ${seconds})`;
+
+  const columns = profile.metrics.map(metric => {
+    const expression = expressions[metric.name];
+    return [
+      `MIN(${expression}) as ${escapeId(`${metric.name}__min`)}`,
+      `AVG(${expression}) as ${escapeId(metric.name)}`,
+      `MAX(${expression}) as ${escapeId(`${metric.name}__max`)}`
+    ].join(',\n        ');
+  });
+
+  return {
+    bucket,
+    select: [
+      `${bucket} as Timestamp`,
+      'COUNT(*) as SampleCount',
+      ...columns
+    ].join(',\n        ')
+  };
+}
+
+function roundValue(value) {
+  return value === null || value === undefined ? null : Math.round(Number(value) * 100) / 100;
+}
+
+// Turn flat bucket rows into rows keyed like raw rows (average per metric),
+// with the per-bucket extremes under `min` and `max`
+function shapeBucketRows(rows, profile, { nodeName, baseStation }) {
+  return rows.map(row => {
+    const shaped = {
+      NodeName: nodeName,
+      NodeBaseStationName: baseStation || null,
+      Timestamp: row.Timestamp,
+      SampleCount: Number(row.SampleCount),
+      min: {},
+      max: {}
+    };
+
+    profile.metrics.forEach(({ name }) => {
+      shaped[name] = roundValue(row[name]);
+      shaped.min[name] = roundValue(row[`${name}__min`]);
+      shaped.max[name] = roundValue(row[`${name}__max`]);
+    });
+
+    return shaped;
+  });
+}
+
+module.exports = {
+  RESOLUTIONS,
+  MAX_AUTO_POINTS,
+  isValidResolution,
+  resolveResolution,
+  buildBucketSelect,
+  shapeBucketRows
+};
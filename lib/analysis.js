@@ -0,0 +1,283 @@
+const { classifyValue } = require('./thresholds');
+const { detectAnomalies, rankAnomalies } = require('./anomalies');
+const { analyzeTrend } = require('./trends');
+const { correlationMatrix, strongCorrelations, describeCorrelation } = require('./correlation');
+const { formatDateTime } = require('./timezone');
+
+// Units used when the caller does not supply a channel profile
+const DEFAULT_UNITS = {
+  'Forward Power': 'W',
+  'Reflected Power': 'W',
+  'VSWR': '',
+  'Return Loss': 'dB',
+  'Temperature': '°C',
+  'Voltage': 'V',
+  'Current': 'A',
+  'Power': 'W'
+};
+
+// Older clients sent camelCase series keys
+const LEGACY_KEYS = {
+  forwardPower: 'Forward Power',
+  reflectedPower: 'Reflected Power',
+  vswr: 'VSWR',
+  returnLoss: 'Return Loss',
+  temperature: 'Temperature',
+  voltage: 'Voltage',
+  current: 'Current',
+  power: 'Power'
+};
+
+const STATUS_RANK = { ok: 0, warning: 1, critical: 2 };
+
+const STATISTIC_LABELS = { avg: 'average', max: 'peak', min: 'minimum' };
+
+function normalizeSeries(data) {
+  return Object.entries(data).reduce((acc, [key, values]) => {
+    if (Array.isArray(values)) {
+      // Missing readings become NaN so indexes stay aligned with timestamps
+      acc[LEGACY_KEYS[key] || key] = values
+        .map(value => (value === null || value === undefined ? NaN : Number(value)));
+    }
+    return acc;
+  }, {});
+}
+
+function calculateStats(values) {
+  if (!values || values.length === 0) {
+    return { min: 0, max: 0, avg: 0, stdDev: 0, count: 0 };
+  }
+
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  values.forEach(value => {
+    if (value < min) min = value;
+    if (value > max) max = value;
+    sum += value;
+  });
+  const avg = sum / values.length;
+
+  // Calculate standard deviation
+  const stdDev = Math.sqrt(
+    values.reduce((acc, val) => acc + Math.pow(val - avg, 2), 0) / values.length
+  );
+
+  return { min, max, avg, stdDev, count: values.length };
+}
+
+function describeLimit(value, rule, status) {
+  if (status === 'ok') return '';
+  if (rule.high && value >= rule.high[status]) {
+    return `above the ${status} limit of ${rule.high[status]}`;
+  }
+  return `below the ${status} limit of ${rule.low[status]}`;
+}
+
+function formatValue(value, unit) {
+  return `${value.toFixed(2)}${unit ? ` ${unit}` : ''}`;
+}
+
+function formatTime(timestamp) {
+  return timestamp ? formatDateTime(timestamp) : '';
+}
+
+// Assess one metric series against its rule. A rule with `whileRunning` is
+// judged only on the readings flagged in `running` (a generator's output
+// reads zero whenever it is stopped).
+function assessMetric(metric, series, { unit = '', rule, timestamps = [], running = null } = {}) {
+  const values = series.filter(Number.isFinite);
+  const stats = calculateStats(values);
+
+  if (stats.count === 0) {
+    return { metric, unit, status: 'no-data', stats, trend: null, breaches: { warning: 0, critical: 0 }, summary: `No ${metric} readings were received.` };
+  }
+
+  // Least-squares trend over the whole period, projected to the threshold levels
+  const trend = analyzeTrend(series.map((value, index) => ({ time: timestamps[index], value })), rule, { metric, unit });
+
+  const statistic = rule ? rule.statistic || 'avg' : 'avg';
+  const whileRunning = Boolean(rule && rule.whileRunning && running);
+  const judgedValues = whileRunning
+    ? series.filter((value, index) => running[index] && Number.isFinite(value))
+    : values;
+  const judgedStats = whileRunning ? calculateStats(judgedValues) : stats;
+  const judged = judgedStats.count > 0 ? judgedStats[statistic] : null;
+  const status = classifyValue(judged, rule);
+
+  const breaches = { warning: 0, critical: 0 };
+  if (rule) {
+    judgedValues.forEach(value => {
+      const sampleStatus = classifyValue(value, rule);
+      if (sampleStatus !== 'ok') breaches[sampleStatus]++;
+    });
+  }
+
+  const maxTime = formatTime(timestamps[series.indexOf(stats.max)]);
+  const minTime = formatTime(timestamps[series.indexOf(stats.min)]);
+
+  let summary = `${metric} averaged ${formatValue(stats.avg, unit)}, ` +
+    `peaking at ${formatValue(stats.max, unit)}${maxTime ? ` (${maxTime})` : ''} ` +
+    `with a low of ${formatValue(stats.min, unit)}${minTime ? ` (${minTime})` : ''}. ${trend.summary}`;
+
+  const label = `${STATISTIC_LABELS[statistic]}${whileRunning ? ' while running' : ''}`;
+  if (!rule) {
+    summary += ' No threshold rule applies to this metric.';
+  } else if (judged === null) {
+    summary += ' The generator did not run, so its limits were not checked.';
+  } else if (status === 'ok') {
+    summary += ` The ${label} is within limits.`;
+  } else {
+    summary += ` The ${label} of ${formatValue(judged, unit)} is ${describeLimit(judged, rule, status)}.`;
+  }
+
+  if (breaches.warning + breaches.critical > 0) {
+    summary += ` ${breaches.warning + breaches.critical} of ${judgedStats.count} readings${whileRunning ? ' while running' : ''} were outside limits` +
+      ` (${breaches.critical} critical).`;
+  }
+
+  return { metric, unit, status, statistic, stats, trend, breaches, summary };
+}
+
+function getOverallVerdict(assessments) {
+  const assessed = assessments.filter(a => a.status !== 'no-data');
+  if (assessed.length === 0) {
+    return { status: 'no-data', summary: 'No telemetry was available to assess.' };
+  }
+
+  const worst = assessed.reduce((status, a) =>
+    (STATUS_RANK[a.status] > STATUS_RANK[status] ? a.status : status), 'ok');
+  const critical = assessed.filter(a => a.status === 'critical').map(a => a.metric);
+  const warning = assessed.filter(a => a.status === 'warning').map(a => a.metric);
+
+  if (worst === 'ok') {
+    return { status: 'ok', summary: 'All monitored metrics are within their threshold limits. The site is operating normally.' };
+  }
+
+  const parts = [];
+  if (critical.length) parts.push(`critical: ${critical.join(', ')}`);
+  if (warning.length) parts.push(`warning: ${warning.join(', ')}`);
+  return {
+    status: worst,
+    summary: `The site requires ${worst === 'critical' ? 'immediate attention' : 'attention'} (${parts.join('; ')}).`
+  };
+}
+
+// Most significant anomalies and strongest correlations listed in a narration
+const MAX_NARRATED_ANOMALIES = 5;
+const MAX_NARRATED_CORRELATIONS = 5;
+
+function describeAnomaly(anomaly, unit) {
+  const when = formatTime(anomaly.peakTime);
+  let text = `${anomaly.metric} ${anomaly.direction} to ${formatValue(anomaly.peakValue, unit)}` +
+    `${when ? ` at ${when}` : ''} (expected about ${formatValue(anomaly.expected, unit)}, ` +
+    `${anomaly.peakScore.toFixed(1)}× the usual spread)`;
+  if (anomaly.points > 1) {
+    text += `, ${anomaly.points} consecutive readings from ${formatTime(anomaly.start)} to ${formatTime(anomaly.end)}`;
+  }
+  return `${text}.`;
+}
+
+// Narrations are HTML, while station, node and metric names are free text
+// from the registry and the request
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const STATUS_LABELS = {
+  'ok': '✅ OK',
+  'warning': '⚠️ Warning',
+  'critical': '🛑 Critical',
+  'no-data': 'No data'
+};
+
+// Analyse every metric series supplied and build an HTML narration. Metrics
+// with `anomalySettings` are also checked for statistical anomalies. `title`
+// heads the narration (generators use 'Generator Analysis'), and `running`
+// flags the readings taken while a generator ran.
+function generateAnalysis(baseStation, data, { timestamps = [], units = {}, thresholds = {}, anomalySettings = {}, title = 'RF System Analysis', running = null } = {}) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Invalid data format');
+  }
+
+  const series = normalizeSeries(data);
+  const metricNames = Object.keys(series);
+  if (metricNames.length === 0) {
+    throw new Error('No metric series supplied');
+  }
+
+  const assessments = metricNames.map(metric => assessMetric(metric, series[metric], {
+    unit: units[metric] !== undefined ? units[metric] : (DEFAULT_UNITS[metric] || ''),
+    rule: thresholds[metric],
+    timestamps,
+    running
+  }));
+  const verdict = getOverallVerdict(assessments);
+
+  const anomalies = metricNames.reduce((acc, metric) => {
+    if (anomalySettings[metric]) {
+      acc[metric] = detectAnomalies(
+        series[metric].map((value, index) => ({ time: timestamps[index], value })),
+        anomalySettings[metric]
+      );
+    }
+    return acc;
+  }, {});
+  const significant = rankAnomalies(anomalies, MAX_NARRATED_ANOMALIES);
+
+  // Series are index-aligned, so each index is one reading of every metric
+  const length = Math.max(...metricNames.map(metric => series[metric].length));
+  const rows = Array.from({ length }, (_, index) => metricNames.reduce((row, metric) => {
+    row[metric] = series[metric][index];
+    return row;
+  }, {}));
+  const correlations = strongCorrelations(correlationMatrix(rows, metricNames).pairs)
+    .slice(0, MAX_NARRATED_CORRELATIONS);
+
+  let narration = `<h3>${escapeHtml(title)} for ${escapeHtml(baseStation)}</h3>\n\n`;
+  assessments.forEach(assessment => {
+    narration += `<h4>${escapeHtml(assessment.metric)} — ${STATUS_LABELS[assessment.status]}</h4>\n`;
+    narration += `<p>${escapeHtml(assessment.summary)}</p>\n\n`;
+  });
+  if (significant.length > 0) {
+    narration += '<h4>Anomalies</h4>\n<ul>\n';
+    significant.forEach(anomaly => {
+      const unit = units[anomaly.metric] !== undefined ? units[anomaly.metric] : (DEFAULT_UNITS[anomaly.metric] || '');
+      narration += `<li>${escapeHtml(describeAnomaly(anomaly, unit))}</li>\n`;
+    });
+    narration += '</ul>\n\n';
+  }
+  if (correlations.length > 0) {
+    narration += '<h4>Correlations</h4>\n<ul>\n';
+    correlations.forEach(pair => {
+      narration += `<li>${escapeHtml(describeCorrelation(pair))}</li>\n`;
+    });
+    narration += '</ul>\n\n';
+  }
+  narration += `<h4>Overall Assessment — ${STATUS_LABELS[verdict.status]}</h4>\n`;
+  narration += `<p>${escapeHtml(verdict.summary)}</p>\n`;
+
+  return {
+    narration,
+    verdict,
+    anomalies: significant,
+    correlations,
+    metrics: assessments.reduce((acc, assessment) => {
+      acc[assessment.metric] = assessment;
+      return acc;
+    }, {})
+  };
+}
+
+module.exports = {
+  escapeHtml,
+  calculateStats,
+  assessMetric,
+  getOverallVerdict,
+  generateAnalysis
+};
@@ -0,0 +1,254 @@
+const fs = require('fs');
+const path = require('path');
+const { zonedParts } = require('./timezone');
+
+// Statistical anomaly detection for metric series. Each value is scored
+// against a trailing window of the readings before it, either as a z-score
+// (distance from the rolling mean in standard deviations) or with the median
+// absolute deviation, which is not thrown off by earlier spikes. Catches
+// sudden jumps that stay inside the threshold limits.
+//
+// Temperatures swing through the day, mains voltage sags every evening and
+// generators run on a timetable, so a series covering a few days is scored
+// on what is left after its time-of-day profile (the median reading at each
+// time of day in the reporting time zone) is taken off. A series that is too
+// short is scored on its readings as they are.
+//
+// Settings follow the threshold rules: `defaults[metric]` for every node,
+// `nodes[nodeName][metric]` to replace them for one node, and null to switch
+// detection off. Metrics without settings use DEFAULT_SETTINGS.
+const ANOMALIES_FILE = process.env.ANOMALIES_FILE ||
+  path.join(__dirname, '..', 'config', 'anomalies.json');
+
+const METHODS = ['zscore', 'mad', 'both'];
+const DEFAULT_SETTINGS = { method: 'mad', window: 30, sensitivity: 3.5 };
+
+// Scores are capped so a jump off a perfectly flat series stays serialisable
+const MAX_SCORE = 99;
+// A trailing window needs this many readings before anything is scored
+const MIN_HISTORY = 5;
+// Scale factor that makes the MAD comparable to a standard deviation
+const MAD_SCALE = 1.4826;
+// The time-of-day profile groups readings into slots this many minutes long,
+// and is only built for series spanning enough days that one day's fault
+// does not become the profile
+const PROFILE_SLOT_MINUTES = 15;
+const MIN_PROFILE_DAYS = 3;
+const DAY = 24 * 60 * 60 * 1000;
+
+function loadAnomalySettings() {
+  try {
+    const settings = JSON.parse(fs.readFileSync(ANOMALIES_FILE, 'utf8'));
+    return {
+      defaults: settings.defaults || {},
+      nodes: settings.nodes || {}
+    };
+  } catch (error) {
+    console.error(`Failed to load anomaly settings from ${ANOMALIES_FILE}:`, error.message);
+    return { defaults: {}, nodes: {} };
+  }
+}
+
+// Effective settings for one metric of a node, or null when switched off
+function getMetricAnomalySettings(nodeName, metric, settings = loadAnomalySettings()) {
+  const overrides = (nodeName && settings.nodes[nodeName]) || {};
+  const configured = metric in overrides ? overrides[metric] : settings.defaults[metric];
+  if (configured === null) return null;
+
+  const merged = { ...DEFAULT_SETTINGS, ...(configured || {}) };
+  if (!METHODS.includes(merged.method)) merged.method = DEFAULT_SETTINGS.method;
+  return merged;
+}
+
+// Settings for each of the given metrics of a node
+function getNodeAnomalySettings(nodeName, metrics, settings = loadAnomalySettings()) {
+  return metrics.reduce((acc, metric) => {
+    acc[metric] = getMetricAnomalySettings(nodeName, metric, settings);
+    return acc;
+  }, {});
+}
+
+function median(sorted) {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function scoreAgainst(value, spread, center) {
+  if (spread > 0) return Math.min(Math.abs(value - center) / spread, MAX_SCORE);
+  return value === center ? 0 : MAX_SCORE;
+}
+
+// `floor` is the least spread the window is taken to have
+function zScore(value, history, floor = 0) {
+  const mean = history.reduce((a, b) => a + b, 0) / history.length;
+  const std = Math.sqrt(history.reduce((acc, v) => acc + (v - mean) ** 2, 0) / history.length);
+  return { score: scoreAgainst(value, Math.max(std, floor), mean), expected: mean };
+}
+
+function madOf(sorted) {
+  const center = median(sorted);
+  return { center, mad: median(sorted.map(v => Math.abs(v - center)).sort((a, b) => a - b)) * MAD_SCALE };
+}
+
+function madScore(value, history, floor = 0) {
+  const { center, mad } = madOf(history.slice().sort((a, b) => a - b));
+  return { score: scoreAgainst(value, Math.max(mad, floor), center), expected: center };
+}
+
+// Join anomalous points that follow each other (no normal reading between
+// them) into intervals
+function groupIntervals(points) {
+  const intervals = [];
+  points.forEach(point => {
+    const current = intervals[intervals.length - 1];
+    if (current && point.index === current.lastIndex + 1) {
+      current.end = point.time;
+      current.lastIndex = point.index;
+      current.points += 1;
+      if (point.score > current.peakScore) {
+        Object.assign(current, { peakScore: point.score, peakTime: point.time, peakValue: point.value });
+      }
+    } else {
+      intervals.push({
+        start: point.time,
+        end: point.time,
+        points: 1,
+        direction: point.direction,
+        peakScore: point.score,
+        peakTime: point.time,
+        peakValue: point.value,
+        expected: point.expected,
+        lastIndex: point.index
+      });
+    }
+  });
+  return intervals.map(({ lastIndex, ...interval }) => interval);
+}
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+function timeOfDaySlot(time) {
+  const { hour, minute } = zonedParts(time);
+  return Math.floor((hour * 60 + minute) / PROFILE_SLOT_MINUTES);
+}
+
+// The typical reading at each time of day (the median) and how far readings
+// at that time of day scatter from it (the scaled MAD), for each reading, or
+// nothing for a series too short to have a profile. The scatter is the least
+// spread a reading is scored against, so a generator starting its noisy
+// output after a flat stop is not an anomaly when it starts at that time
+// every day.
+function timeOfDayProfile(readings) {
+  const span = readings.length ? readings[readings.length - 1].time - readings[0].time : 0;
+  if (span < MIN_PROFILE_DAYS * DAY) return () => ({ typical: 0, spread: 0 });
+
+  const slots = readings.map(reading => timeOfDaySlot(reading.time));
+  const bySlot = new Map();
+  readings.forEach((reading, index) => {
+    if (!bySlot.has(slots[index])) bySlot.set(slots[index], []);
+    bySlot.get(slots[index]).push(reading.value);
+  });
+  const profile = new Map([...bySlot].map(([slot, values]) => {
+    const { center, mad } = madOf(values.sort((a, b) => a - b));
+    return [slot, { typical: center, spread: mad }];
+  }));
+  return index => profile.get(slots[index]);
+}
+
+// Find anomalies in a time-ordered series of { time, value }. Missing values
+// are skipped and do not count towards the window.
+function detectAnomalies(samples, settings = DEFAULT_SETTINGS) {
+  const { method, window, sensitivity } = { ...DEFAULT_SETTINGS, ...settings };
+  const readings = samples
+    .map(({ time, value }, index) => ({ time: new Date(time), value, index }))
+    .filter(({ value }) => value !== null && value !== undefined && Number.isFinite(Number(value)))
+    .map(reading => ({ ...reading, value: Number(reading.value) }));
+  const profile = timeOfDayProfile(readings);
+  const history = [];
+  const points = [];
+
+  readings.forEach(({ value: number, index }, position) => {
+    const { time } = samples[index];
+    const { typical, spread } = profile(position);
+    const residual = number - typical;
+
+    if (history.length >= Math.min(MIN_HISTORY, window)) {
+      const z = method !== 'mad' ? zScore(residual, history, spread) : null;
+      const m = method !== 'zscore' ? madScore(residual, history, spread) : null;
+      const scores = [z, m].filter(Boolean);
+      const flagged = scores.every(result => result.score >= sensitivity);
+
+      if (flagged) {
+        const { score, expected } = scores.reduce((a, b) => (b.score < a.score ? b : a));
+        points.push({
+          time,
+          value: number,
+          expected: round(typical + expected),
+          score: round(score, 2),
+          direction: residual > expected ? 'spike' : 'drop',
+          index
+        });
+      }
+    }
+
+    history.push(residual);
+    if (history.length > window) history.shift();
+  });
+
+  return {
+    points: points.map(({ index, ...point }) => point),
+    intervals: groupIntervals(points)
+  };
+}
+
+// Detect anomalies in every metric of a set of telemetry rows, each base
+// station on its own since their readings interleave. Rows must be oldest
+// first.
+function detectRowAnomalies(rows, metrics, settingsByMetric) {
+  const stations = new Map();
+  rows.forEach(row => {
+    const station = row.NodeBaseStationName || '';
+    if (!stations.has(station)) stations.set(station, []);
+    stations.get(station).push(row);
+  });
+
+  return metrics.reduce((acc, metric) => {
+    const settings = settingsByMetric[metric];
+    if (!settings) return acc;
+
+    const result = { settings, points: [], intervals: [] };
+    stations.forEach((stationRows, station) => {
+      const { points, intervals } = detectAnomalies(
+        stationRows.map(row => ({ time: new Date(row.Timestamp), value: row[metric] })),
+        settings
+      );
+      const baseStation = station || null;
+      result.points.push(...points.map(point => ({ ...point, baseStation })));
+      result.intervals.push(...intervals.map(interval => ({ ...interval, baseStation })));
+    });
+    result.points.sort((a, b) => a.time - b.time);
+    result.intervals.sort((a, b) => a.start - b.start);
+
+    acc[metric] = result;
+    return acc;
+  }, {});
+}
+
+// The strongest anomaly intervals across metrics, for narrations
+function rankAnomalies(byMetric, limit = 5) {
+  return Object.entries(byMetric)
+    .flatMap(([metric, result]) => result.intervals.map(interval => ({ metric, ...interval })))
+    .sort((a, b) => b.peakScore - a.peakScore)
+    .slice(0, limit);
+}
+
+module.exports = {
+  METHODS,
+  DEFAULT_SETTINGS,
+  loadAnomalySettings,
+  getMetricAnomalySettings,
+  getNodeAnomalySettings,
+  detectAnomalies,
+  detectRowAnomalies,
+  rankAnomalies
+};
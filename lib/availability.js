@@ -0,0 +1,131 @@
+const { loadRegistry } = require('./nodeRegistry');
+const { getNodeProfile, getMetricExpressions } = require('./channelProfiles');
+
+// A node is off-air while Forward Power is below the floor, or while no
+// telemetry arrives for longer than the allowed gap
+const DEFAULT_POWER_FLOOR = Number(process.env.AVAILABILITY_POWER_FLOOR || 10);
+const DEFAULT_MAX_GAP_MINUTES = Number(process.env.AVAILABILITY_MAX_GAP_MINUTES || 15);
+
+const MINUTE = 60 * 1000;
+
+// Outage settings for a node: request overrides, then the registry entry's
+// `availability` block, then the environment defaults
+function getAvailabilitySettings(nodeName, overrides = {}) {
+  const entry = (loadRegistry()[nodeName] || {}).availability || {};
+  const pick = (key, fallback) => {
+    const value = [overrides[key], entry[key]].find(v => v !== undefined && v !== null && v !== '');
+    const number = Number(value);
+    return value !== undefined && Number.isFinite(number) ? number : fallback;
+  };
+
+  return {
+    powerFloor: pick('powerFloor', DEFAULT_POWER_FLOOR),
+    maxGapMinutes: pick('maxGapMinutes', DEFAULT_MAX_GAP_MINUTES)
+  };
+}
+
+// Walk the samples in time order and collect off-air intervals. `samples`
+// are { time: Date, forwardPower: number|null }; forwardPower is null when
+// the node has no Forward Power channel, in which case only gaps count.
+function detectOutages(samples, { startTime, endTime, powerFloor, maxGapMinutes, now = new Date() }) {
+  const maxGap = maxGapMinutes * MINUTE;
+  const intervals = [];
+  const isLow = sample => sample.forwardPower !== null && sample.forwardPower < powerFloor;
+
+  if (samples.length === 0) {
+    intervals.push({ start: startTime, end: endTime, cause: 'no-telemetry' });
+  } else {
+    if (samples[0].time - startTime > maxGap) {
+      intervals.push({ start: startTime, end: samples[0].time, cause: 'no-telemetry' });
+    }
+
+    samples.forEach((sample, index) => {
+      const next = samples[index + 1];
+      const segmentEnd = next ? next.time : endTime;
+
+      if (segmentEnd - sample.time > maxGap) {
+        intervals.push({ start: sample.time, end: segmentEnd, cause: 'no-telemetry' });
+      } else if (isLow(sample) && segmentEnd > sample.time) {
+        intervals.push({ start: sample.time, end: segmentEnd, cause: 'low-power' });
+      }
+    });
+  }
+
+  // Join back-to-back intervals with the same cause into single events
+  const events = intervals.reduce((acc, interval) => {
+    const last = acc[acc.length - 1];
+    if (last && last.cause === interval.cause && last.end.getTime() === interval.start.getTime()) {
+      last.end = interval.end;
+    } else {
+      acc.push({ ...interval });
+    }
+    return acc;
+  }, []);
+
+  return events.map(event => ({
+    start: event.start,
+    end: event.end,
+    durationMinutes: Math.round(((event.end - event.start) / MINUTE) * 10) / 10,
+    cause: event.cause,
+    ongoing: event.end.getTime() === endTime.getTime() && endTime >= now - MINUTE
+  }));
+}
+
+function summarizeAvailability(outages, { startTime, endTime }) {
+  const periodMinutes = (endTime - startTime) / MINUTE;
+  const downtimeMinutes = outages.reduce((sum, outage) => sum + outage.durationMinutes, 0);
+  const availability = periodMinutes > 0
+    ? Math.max(0, 100 * (1 - downtimeMinutes / periodMinutes))
+    : 0;
+
+  return {
+    availability: Math.round(availability * 100) / 100,
+    downtimeMinutes: Math.round(downtimeMinutes * 10) / 10,
+    periodMinutes: Math.round(periodMinutes * 10) / 10,
+    outageCount: outages.length
+  };
+}
+
+// Load Forward Power samples for a node and compute its availability
+async function getAvailability(db, { nodeName, baseStation, startTime, endTime, overrides = {} }) {
+  const settings = getAvailabilitySettings(nodeName, overrides);
+  const profile = getNodeProfile(nodeName);
+  const forwardPower = getMetricExpressions(profile)['Forward Power'];
+
+  const [rows] = await db.query(
+    `SELECT time, ${forwardPower ? `${forwardPower} as ForwardPower` : 'NULL as ForwardPower'}
+     FROM node_status_table
+     WHERE NodeName = ?
+     AND time >= ?
+     AND time <= ?
+     ${baseStation ? 'AND NodeBaseStationName = ?' : ''}
+     ORDER BY time ASC`,
+    [nodeName, startTime, endTime, baseStation].filter(param => param !== undefined && param !== '')
+  );
+
+  const samples = rows.map(row => ({
+    time: new Date(row.time),
+    forwardPower: row.ForwardPower === null ? null : Number(row.ForwardPower)
+  }));
+
+  const outages = detectOutages(samples, { startTime, endTime, ...settings });
+
+  return {
+    nodeName,
+    baseStation: baseStation || null,
+    start: startTime,
+    end: endTime,
+    ...settings,
+    usesForwardPower: !!forwardPower,
+    sampleCount: samples.length,
+    ...summarizeAvailability(outages, { startTime, endTime }),
+    outages
+  };
+}
+
+module.exports = {
+  getAvailabilitySettings,
+  detectOutages,
+  summarizeAvailability,
+  getAvailability
+};
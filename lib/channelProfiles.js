@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeId } = require('mysql2');
+const { loadRegistry } = require('./nodeRegistry');
+
+const PROFILES_FILE = process.env.CHANNEL_PROFILES_FILE ||
+  path.join(__dirname, '..', 'config', 'channelProfiles.json');
+
+const DEFAULT_PROFILE = 'fm-transmitter';
+
+// Only real analog columns of node_status_table may be projected
+const CHANNEL_COLUMN_PATTERN = /^Analog\d+Value$/;
+
+// Metrics calculated from other metrics rather than read from a channel.
+// Each formula receives the SQL expressions of the metrics it requires.
+const DERIVED_METRICS = {
+  'VSWR': {
+    unit: '',
+    range: [1, null],
+    requires: ['Forward Power', 'Reflected Power'],
+    sql: (forward, reflected) => `ROUND(
+      CASE
+        WHEN ${forward} > 0 AND ${reflected} > 0
+        THEN (1 + SQRT(${reflected}/${forward}))/(1 - SQRT(${reflected}/${forward}))
+        ELSE 1
+      END
+    , 2)`
+  },
+  'Return Loss': {
+    unit: 'dB',
+    range: [0, null],
+    requires: ['Forward Power', 'Reflected Power'],
+    sql: (forward, reflected) => `ROUND(
+      CASE
+        WHEN ${forward} > 0 AND ${reflected} > 0
+        THEN -20 * LOG10(SQRT(${reflected}/${forward}))
+        ELSE 0
+      END
+    , 2)`
+  }
+};
+
+function loadProfiles() {
+  try {
+    return JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'));
+  } catch (error) {
+    console.error(`Failed to load channel profiles from ${PROFILES_FILE}:`, error.message);
+    return {};
+  }
+}
+
+function toNumber(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+// Plausible [min, max] for a metric's calibrated values; either end may be
+// null for no limit. Readings outside it are flagged by the data-quality checks.
+function toRange(range) {
+  if (!Array.isArray(range) || range.length !== 2) return null;
+  const [min, max] = range.map(value => (value === null ? null : toNumber(value, null)));
+  return min === null && max === null ? null : [min, max];
+}
+
+// Resolve the channel mapping for a node, applying any per-node calibration
+// overrides from the registry on top of the shared profile
+function getNodeProfile(nodeName) {
+  const profiles = loadProfiles();
+  const entry = loadRegistry()[nodeName] || {};
+  const profileName = [entry.channelProfile, entry.siteType, DEFAULT_PROFILE]
+    .find(name => name && profiles[name]);
+
+  if (!profileName) {
+    throw new Error(`No channel profile available for node '${nodeName}'`);
+  }
+
+  const profile = profiles[profileName];
+  const calibration = entry.calibration || {};
+
+  const channels = Object.entries(profile.channels || {})
+    .filter(([column]) => CHANNEL_COLUMN_PATTERN.test(column))
+    .map(([column, channel]) => {
+      const override = calibration[column] || {};
+      return {
+        column,
+        metric: channel.metric,
+        unit: override.unit !== undefined ? override.unit : (channel.unit || ''),
+        scale: toNumber(override.scale !== undefined ? override.scale : channel.scale, 1),
+        offset: toNumber(override.offset !== undefined ? override.offset : channel.offset, 0),
+        range: toRange(override.range !== undefined ? override.range : channel.range)
+      };
+    });
+
+  const channelMetrics = channels.map(channel => channel.metric);
+  const derived = (profile.derived || []).filter(name =>
+    DERIVED_METRICS[name] &&
+    DERIVED_METRICS[name].requires.every(metric => channelMetrics.includes(metric))
+  );
+
+  return {
+    name: profileName,
+    nodeName,
+    description: profile.description || '',
+    channels,
+    derived,
+    metrics: [
+      ...channels.map(channel => ({
+        name: channel.metric,
+        unit: channel.unit,
+        column: channel.column,
+        derived: false,
+        range: channel.range
+      })),
+      ...derived.map(name => ({
+        name,
+        unit: DERIVED_METRICS[name].unit,
+        column: null,
+        derived: true,
+        range: toRange(DERIVED_METRICS[name].range)
+      }))
+    ]
+  };
+}
+
+// Calibrated SQL expression for each metric of a profile
+function getMetricExpressions(profile) {
+  const expressions = {};
+
+  profile.channels.forEach(channel => {
+    const column = escapeId(channel.column);
+    expressions[channel.metric] = channel.scale === 1 && channel.offset === 0
+      ? column
+      : `(${column} * ${channel.scale} + ${channel.offset})`;
+  });
+
+  profile.derived.forEach(name => {
+    const definition = DERIVED_METRICS[name];
+    expressions[name] = definition.sql(...definition.requires.map(metric => expressions[metric]));
+  });
+
+  return expressions;
+}
+
+// SELECT list aliasing each calibrated channel to its metric name
+function buildMetricSelect(profile) {
+  const expressions = getMetricExpressions(profile);
+  return profile.metrics
+    .map(metric => `${expressions[metric.name]} as ${escapeId(metric.name)}`)
+    .join(',\n        ');
+}
+
+module.exports = {
+  DERIVED_METRICS,
+  loadProfiles,
+  getNodeProfile,
+  getMetricExpressions,
+  buildMetricSelect
+};
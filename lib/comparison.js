@@ -0,0 +1,148 @@
+const { getNodeProfile } = require('./channelProfiles');
+const { getNodeThresholds } = require('./thresholds');
+const { getAvailability } = require('./availability');
+const { fetchTelemetry } = require('./telemetry');
+const { summarizeSeries } = require('./fleet');
+const { resolveComparisonRange } = require('./timeRange');
+const { escapeHtml } = require('./analysis');
+
+// Period-over-period comparison: averages, peaks, threshold breaches and
+// availability for the selected period against a baseline window, with the
+// baseline telemetry shifted onto the current time axis as a ghost series.
+
+function describeChange(subject, from, to, { unit = '', places = 2, percent = true } = {}) {
+  const format = value => `${value.toFixed(places)}${unit ? ` ${unit}` : ''}`;
+  if (from === to) return `${subject} was unchanged at ${format(to)}`;
+
+  const direction = to > from ? 'rose' : 'fell';
+  let change = '';
+  if (percent && from !== 0) {
+    const pct = ((to - from) / Math.abs(from)) * 100;
+    change = ` (${pct > 0 ? '+' : ''}${pct.toFixed(1)}%)`;
+  }
+  return `${subject} ${direction} from ${format(from)} to ${format(to)}${change}`;
+}
+
+function delta(from, to) {
+  if (from === null || to === null) return null;
+  return {
+    change: to - from,
+    percent: from !== 0 ? ((to - from) / Math.abs(from)) * 100 : null
+  };
+}
+
+// Compare one node (or base station) over [startTime, endTime] with the
+// baseline chosen by `compare` ('previous' or 'year')
+async function comparePeriods(db, { nodeName, baseStation, timePeriod, startTime, endTime, compare }) {
+  const baseline = resolveComparisonRange({ startTime, endTime }, compare, timePeriod);
+  const profile = getNodeProfile(nodeName);
+  const thresholds = getNodeThresholds(nodeName);
+
+  const [currentStats, baselineStats, currentAvailability, baselineAvailability] = await Promise.all([
+    summarizeSeries(db, profile, thresholds, { nodeName, baseStation, startTime, endTime }),
+    summarizeSeries(db, profile, thresholds, { nodeName, baseStation, startTime: baseline.startTime, endTime: baseline.endTime }),
+    getAvailability(db, { nodeName, baseStation, startTime, endTime }),
+    getAvailability(db, { nodeName, baseStation, startTime: baseline.startTime, endTime: baseline.endTime })
+  ]);
+
+  const suffix = `vs ${baseline.label}`;
+  const summary = [];
+
+  const metrics = profile.metrics.map(metric => {
+    const current = currentStats.metrics[metric.name];
+    const previous = baselineStats.metrics[metric.name];
+    const currentBreaches = current.breaches.warning + current.breaches.critical;
+    const previousBreaches = previous.breaches.warning + previous.breaches.critical;
+    const comparable = current.count > 0 && previous.count > 0;
+
+    if (comparable) {
+      summary.push(`${describeChange(`Average ${metric.name}`, previous.avg, current.avg, { unit: metric.unit })} ${suffix}.`);
+      summary.push(`${describeChange(`Peak ${metric.name}`, previous.max, current.max, { unit: metric.unit })} ${suffix}.`);
+      if (currentBreaches + previousBreaches > 0) {
+        summary.push(`${describeChange(`${metric.name} threshold breaches`, previousBreaches, currentBreaches, { places: 0, percent: false })} ${suffix}.`);
+      }
+    }
+
+    return {
+      metric: metric.name,
+      unit: metric.unit,
+      current: { count: current.count, avg: current.avg, max: current.max, breaches: currentBreaches },
+      previous: { count: previous.count, avg: previous.avg, max: previous.max, breaches: previousBreaches },
+      deltas: comparable
+        ? {
+          avg: delta(previous.avg, current.avg),
+          max: delta(previous.max, current.max),
+          breaches: delta(previousBreaches, currentBreaches)
+        }
+        : null
+    };
+  });
+
+  const availability = {
+    current: currentAvailability.availability,
+    previous: baselineAvailability.availability,
+    change: currentAvailability.availability - baselineAvailability.availability
+  };
+  if (currentStats.sampleCount > 0 || baselineStats.sampleCount > 0) {
+    const points = availability.change.toFixed(2);
+    summary.unshift(availability.change === 0
+      ? `Availability was unchanged at ${availability.current.toFixed(2)}% ${suffix}.`
+      : `Availability ${availability.change > 0 ? 'rose' : 'fell'} from ${availability.previous.toFixed(2)}% to ` +
+        `${availability.current.toFixed(2)}% (${availability.change > 0 ? '+' : ''}${points} points) ${suffix}.`);
+  }
+  if (baselineStats.sampleCount === 0) {
+    summary.push(`No telemetry was recorded in the ${baseline.label} to compare against.`);
+  }
+
+  return {
+    compare,
+    label: baseline.label,
+    current: { start: startTime, end: endTime, sampleCount: currentStats.sampleCount },
+    baseline: { start: baseline.startTime, end: baseline.endTime, sampleCount: baselineStats.sampleCount },
+    offsetMs: baseline.offsetMs,
+    metrics,
+    availability,
+    summary
+  };
+}
+
+// Baseline telemetry, oldest first, with each Timestamp moved forward by the
+// comparison offset so it overlays the current period. The original time is
+// kept as BaselineTimestamp.
+async function fetchBaselineRows(db, comparison, { nodeName, baseStation, resolution = 'auto' }) {
+  const { start, end } = comparison.baseline;
+  const { resolution: applied, rows } = await fetchTelemetry(db, {
+    nodeName,
+    baseStation,
+    startTime: start,
+    endTime: end,
+    resolution
+  });
+
+  return {
+    resolution: applied,
+    rows: rows
+      .filter(row => new Date(row.Timestamp) >= start && new Date(row.Timestamp) <= end)
+      .reverse()
+      .map(row => ({
+        ...row,
+        BaselineTimestamp: row.Timestamp,
+        Timestamp: new Date(new Date(row.Timestamp).getTime() + comparison.offsetMs)
+      }))
+  };
+}
+
+// Narration section listing the deltas
+function buildComparisonNarration(comparison) {
+  if (!comparison || comparison.summary.length === 0) return '';
+  return `<h4>Compared with the ${escapeHtml(comparison.label)}</h4>\n<ul>\n` +
+    comparison.summary.map(sentence => `<li>${escapeHtml(sentence)}</li>`).join('\n') +
+    '\n</ul>\n';
+}
+
+module.exports = {
+  describeChange,
+  comparePeriods,
+  fetchBaselineRows,
+  buildComparisonNarration
+};
@@ -0,0 +1,167 @@
+const { DERIVED_METRICS } = require('./channelProfiles');
+
+// Pearson and Spearman correlation between every pair of a node's metrics,
+// e.g. whether reflected power rises with temperature. Each pair uses the
+// readings where both metrics have a value.
+
+// |coefficient| at or above these levels is called strong / moderate
+const STRONG = 0.7;
+const MODERATE = 0.4;
+// Pairs with fewer common readings are not rated
+const MIN_SAMPLES = 10;
+// Scatter plots are thinned to at most this many points
+const MAX_SCATTER_POINTS = 2000;
+
+function pearson(xs, ys) {
+  const n = xs.length;
+  if (n < 2) return null;
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - meanX;
+    const dy = ys[i] - meanY;
+    sxy += dx * dy;
+    sxx += dx * dx;
+    syy += dy * dy;
+  }
+  // A constant series has no defined correlation
+  if (sxx === 0 || syy === 0) return null;
+  return sxy / Math.sqrt(sxx * syy);
+}
+
+// Ranks starting at 1, ties sharing their average rank
+function rank(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+  let i = 0;
+  while (i < order.length) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    const average = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k].index] = average;
+    i = j + 1;
+  }
+  return ranks;
+}
+
+function spearman(xs, ys) {
+  return pearson(rank(xs), rank(ys));
+}
+
+// Values of two metrics from the rows where both are present
+function pairValues(rows, a, b) {
+  const xs = [];
+  const ys = [];
+  rows.forEach(row => {
+    const x = row[a] === null || row[a] === undefined ? NaN : Number(row[a]);
+    const y = row[b] === null || row[b] === undefined ? NaN : Number(row[b]);
+    if (Number.isFinite(x) && Number.isFinite(y)) {
+      xs.push(x);
+      ys.push(y);
+    }
+  });
+  return { xs, ys };
+}
+
+function describeStrength(coefficient) {
+  if (coefficient === null) return 'none';
+  const size = Math.abs(coefficient);
+  return size >= STRONG ? 'strong' : size >= MODERATE ? 'moderate' : 'weak';
+}
+
+// True when one metric is calculated from the other (or both from the same
+// channels), so a correlation says nothing about the equipment
+function isStructuralPair(a, b) {
+  const sources = name => (DERIVED_METRICS[name] ? DERIVED_METRICS[name].requires : [name]);
+  return (DERIVED_METRICS[a] || DERIVED_METRICS[b]) &&
+    sources(a).some(source => sources(b).includes(source));
+}
+
+const round = value => (value === null ? null : Math.round(value * 1000) / 1000);
+
+// Matrix of coefficients for `metrics` (names) over rows of telemetry
+function correlationMatrix(rows, metrics) {
+  const size = metrics.length;
+  const empty = () => Array.from({ length: size }, () => new Array(size).fill(null));
+  const matrix = { pearson: empty(), spearman: empty(), samples: empty() };
+  const pairs = [];
+
+  for (let i = 0; i < size; i++) {
+    const { xs } = pairValues(rows, metrics[i], metrics[i]);
+    matrix.samples[i][i] = xs.length;
+    if (xs.length >= 2 && pearson(xs, xs) !== null) {
+      matrix.pearson[i][i] = 1;
+      matrix.spearman[i][i] = 1;
+    }
+
+    for (let j = i + 1; j < size; j++) {
+      const { xs: a, ys: b } = pairValues(rows, metrics[i], metrics[j]);
+      const rated = a.length >= MIN_SAMPLES;
+      const p = rated ? round(pearson(a, b)) : null;
+      const s = rated ? round(spearman(a, b)) : null;
+
+      matrix.pearson[i][j] = matrix.pearson[j][i] = p;
+      matrix.spearman[i][j] = matrix.spearman[j][i] = s;
+      matrix.samples[i][j] = matrix.samples[j][i] = a.length;
+
+      const strongest = [p, s].filter(value => value !== null)
+        .reduce((best, value) => (best === null || Math.abs(value) > Math.abs(best) ? value : best), null);
+      pairs.push({
+        a: metrics[i],
+        b: metrics[j],
+        pearson: p,
+        spearman: s,
+        samples: a.length,
+        strength: describeStrength(strongest),
+        structural: Boolean(isStructuralPair(metrics[i], metrics[j]))
+      });
+    }
+  }
+
+  return { metrics, ...matrix, pairs };
+}
+
+// Strong pairs worth mentioning, strongest first. Pairs that are correlated
+// by construction (e.g. VSWR and Reflected Power) are left out.
+function strongCorrelations(pairs) {
+  const strength = pair => Math.max(Math.abs(pair.pearson || 0), Math.abs(pair.spearman || 0));
+  return pairs
+    .filter(pair => pair.strength === 'strong' && !pair.structural)
+    .sort((x, y) => strength(y) - strength(x));
+}
+
+function describeCorrelation(pair) {
+  const coefficient = pair.pearson !== null ? pair.pearson : pair.spearman;
+  const relation = coefficient >= 0
+    ? `${pair.a} and ${pair.b} rise and fall together`
+    : `${pair.a} falls as ${pair.b} rises`;
+  const stats = [
+    pair.pearson !== null ? `Pearson r = ${pair.pearson.toFixed(2)}` : null,
+    pair.spearman !== null ? `Spearman ρ = ${pair.spearman.toFixed(2)}` : null
+  ].filter(Boolean).join(', ');
+  return `${relation} (${stats}, ${pair.samples} readings).`;
+}
+
+// Points for a scatter plot of two metrics, evenly thinned
+function scatterPoints(rows, x, y, maxPoints = MAX_SCATTER_POINTS) {
+  const { xs, ys } = pairValues(rows, x, y);
+  const step = Math.max(1, Math.ceil(xs.length / maxPoints));
+  const points = [];
+  for (let i = 0; i < xs.length; i += step) {
+    points.push({ x: xs[i], y: ys[i] });
+  }
+  return { total: xs.length, points };
+}
+
+module.exports = {
+  pearson,
+  spearman,
+  correlationMatrix,
+  strongCorrelations,
+  describeCorrelation,
+  scatterPoints
+};
@@ -0,0 +1,306 @@
+const { loadRegistry } = require('./nodeRegistry');
+const { getNodeProfile, buildMetricSelect } = require('./channelProfiles');
+const { formatDuration } = require('./timeRange');
+const { OUTPUT_METRICS, isGenset, getGensetSettings, runningStates } = require('./genset');
+
+// Data-quality checks run over the raw rows of a reporting period before
+// anyone trusts the averages: sample completeness, logging gaps, duplicate
+// timestamps, sensors stuck on one value and readings outside the channel's
+// plausible range (the `range` in its channel profile). The loggers report
+// every five minutes; a node logging at another rate sets its own
+// `expectedIntervalSeconds` in the registry.
+const DEFAULT_INTERVAL_SECONDS = Number(process.env.DATA_QUALITY_INTERVAL_SECONDS || 300);
+const DEFAULT_GAP_MINUTES = Number(process.env.DATA_QUALITY_GAP_MINUTES || 15);
+const DEFAULT_STUCK_MINUTES = Number(process.env.DATA_QUALITY_STUCK_MINUTES || 60);
+
+// A base station that logged within this many days before the period is
+// expected to log during it too, so a silent station counts as missing data
+const STATION_LOOKBACK_DAYS = Number(process.env.DATA_QUALITY_STATION_LOOKBACK_DAYS || 30);
+
+// A run of identical readings needs at least this many samples to count as stuck
+const MIN_STUCK_SAMPLES = 3;
+const MAX_DUPLICATE_EXAMPLES = 10;
+
+const MINUTE = 60 * 1000;
+
+// Settings for a node: request overrides, then the registry entry's
+// `dataQuality` block, then the environment defaults
+function getDataQualitySettings(nodeName, overrides = {}) {
+  const entry = (loadRegistry()[nodeName] || {}).dataQuality || {};
+  const pick = (key, fallback) => {
+    const value = [overrides[key], entry[key]].find(v => v !== undefined && v !== null && v !== '');
+    const number = Number(value);
+    return value !== undefined && Number.isFinite(number) && number > 0 ? number : fallback;
+  };
+
+  return {
+    expectedIntervalSeconds: pick('expectedIntervalSeconds', DEFAULT_INTERVAL_SECONDS),
+    gapMinutes: pick('gapMinutes', DEFAULT_GAP_MINUTES),
+    stuckMinutes: pick('stuckMinutes', DEFAULT_STUCK_MINUTES)
+  };
+}
+
+const roundTo = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+function toValue(raw) {
+  if (raw === null || raw === undefined) return null;
+  const number = Number(raw);
+  return Number.isFinite(number) ? number : null;
+}
+
+function findGaps(times, baseStation, { startTime, endTime, gapMinutes }) {
+  const maxGap = gapMinutes * MINUTE;
+  const edges = [startTime, ...times, endTime];
+  const gaps = [];
+
+  for (let i = 1; i < edges.length; i++) {
+    const from = edges[i - 1];
+    const to = edges[i];
+    if (to - from > maxGap) {
+      gaps.push({ baseStation, start: from, end: to, durationMinutes: roundTo((to - from) / MINUTE) });
+    }
+  }
+  return gaps;
+}
+
+// Runs of the same value lasting at least `stuckMinutes`. A run of zeros is
+// marked flatZero, the usual sign of a disconnected sensor. A sample marked
+// `idle` (a stopped generator's output) ends the run without starting one.
+function findStuckRuns(samples, baseStation, { stuckMinutes }) {
+  const runs = [];
+  let run = null;
+
+  const close = () => {
+    if (run && run.samples >= MIN_STUCK_SAMPLES && (run.end - run.start) / MINUTE >= stuckMinutes) {
+      runs.push({
+        baseStation,
+        start: run.start,
+        end: run.end,
+        durationMinutes: roundTo((run.end - run.start) / MINUTE),
+        value: run.value,
+        samples: run.samples,
+        flatZero: run.value === 0
+      });
+    }
+  };
+
+  samples.forEach(({ time, value, idle }) => {
+    if (idle) {
+      close();
+      run = null;
+      return;
+    }
+    if (value === null) return;
+    if (run && run.value === value) {
+      run.end = time;
+      run.samples += 1;
+    } else {
+      close();
+      run = { start: time, end: time, value, samples: 1 };
+    }
+  });
+  close();
+
+  return runs;
+}
+
+function describeRange(range, unit) {
+  const suffix = unit ? ` ${unit}` : '';
+  if (range[0] !== null && range[1] !== null) return `${range[0]} to ${range[1]}${suffix}`;
+  return range[0] !== null ? `at least ${range[0]}${suffix}` : `at most ${range[1]}${suffix}`;
+}
+
+// Assess rows of { NodeBaseStationName, Timestamp, <metric>... } sorted by
+// time. Base stations are checked separately since each logs on its own.
+// `baseStations` lists the stations expected to report; any without rows
+// are a gap for the whole period. With `genset` settings, a generator's
+// output channels reading zero while it is stopped are not a flat-zero sensor.
+function assessDataQuality(rows, profile, { startTime, endTime, expectedIntervalSeconds, gapMinutes, stuckMinutes, baseStations = [], genset = null }) {
+  const periodMinutes = (endTime - startTime) / MINUTE;
+  const stations = new Map(baseStations.map(station => [station || '', []]));
+  rows.forEach(row => {
+    const station = row.NodeBaseStationName || '';
+    if (!stations.has(station)) stations.set(station, []);
+    stations.get(station).push(row);
+  });
+
+  const expectedPerStation = Math.max(1, Math.floor((periodMinutes * 60) / expectedIntervalSeconds));
+  const expectedSamples = expectedPerStation * Math.max(1, stations.size);
+
+  let duplicateCount = 0;
+  const duplicateExamples = [];
+  const gaps = [];
+  const uniqueRows = [];
+  const stationRows = new Map();
+
+  if (stations.size === 0) {
+    gaps.push(...findGaps([], null, { startTime, endTime, gapMinutes }));
+  }
+
+  stations.forEach((stationList, station) => {
+    const unique = [];
+    stationList.forEach(row => {
+      const time = new Date(row.Timestamp);
+      const previous = unique[unique.length - 1];
+      if (previous && previous.time.getTime() === time.getTime()) {
+        duplicateCount += 1;
+        if (duplicateExamples.length < MAX_DUPLICATE_EXAMPLES) {
+          duplicateExamples.push({ baseStation: station || null, time });
+        }
+        return;
+      }
+      unique.push({ time, row });
+    });
+
+    stationRows.set(station, unique);
+    uniqueRows.push(...unique);
+    gaps.push(...findGaps(unique.map(sample => sample.time), station || null, { startTime, endTime, gapMinutes }));
+  });
+
+  const actualSamples = uniqueRows.length;
+  const completeness = roundTo(Math.min(100, (actualSamples / expectedSamples) * 100));
+
+  const metrics = profile.metrics.map(metric => {
+    const values = uniqueRows.map(sample => toValue(sample.row[metric.name]));
+    const samples = values.filter(value => value !== null).length;
+    const range = metric.range;
+    const outside = range
+      ? values.filter(value => value !== null &&
+        ((range[0] !== null && value < range[0]) || (range[1] !== null && value > range[1])))
+      : [];
+
+    // Derived metrics follow their source channels, so only channels are checked for sticking
+    const idleZero = genset && OUTPUT_METRICS.includes(metric.name);
+    const stuck = metric.derived ? [] : [...stationRows.entries()].flatMap(([station, unique]) => {
+      const running = idleZero
+        ? runningStates({
+          Voltage: unique.map(sample => sample.row.Voltage),
+          Current: unique.map(sample => sample.row.Current)
+        }, genset)
+        : [];
+      return findStuckRuns(
+        unique.map((sample, index) => {
+          const value = toValue(sample.row[metric.name]);
+          return { time: sample.time, value, idle: idleZero && value === 0 && !running[index] };
+        }),
+        station || null,
+        { stuckMinutes }
+      );
+    });
+
+    const issues = [];
+    if (actualSamples > 0 && samples < actualSamples) {
+      issues.push(`${actualSamples - samples} samples without a ${metric.name} reading`);
+    }
+    if (outside.length > 0) {
+      issues.push(`${outside.length} reading${outside.length === 1 ? '' : 's'} outside ${describeRange(range, metric.unit)}`);
+    }
+    stuck.forEach(run => {
+      issues.push(run.flatZero
+        ? `Flat at zero for ${formatDuration(run.durationMinutes)}`
+        : `Stuck at ${run.value}${metric.unit ? ` ${metric.unit}` : ''} for ${formatDuration(run.durationMinutes)}`);
+    });
+
+    return {
+      metric: metric.name,
+      unit: metric.unit,
+      derived: metric.derived,
+      samples,
+      missing: actualSamples - samples,
+      completeness: roundTo(Math.min(100, (samples / expectedSamples) * 100)),
+      range,
+      outOfRange: {
+        count: outside.length,
+        min: outside.length ? outside.reduce((a, b) => Math.min(a, b)) : null,
+        max: outside.length ? outside.reduce((a, b) => Math.max(a, b)) : null
+      },
+      stuck,
+      issues
+    };
+  });
+
+  const gapMinutesTotal = roundTo(gaps.reduce((sum, gap) => sum + gap.durationMinutes, 0));
+  const issues = [];
+  if (completeness < 95) {
+    issues.push(`${completeness}% of the ${expectedSamples} expected samples were received`);
+  }
+  if (gaps.length > 0) {
+    issues.push(`${gaps.length} logging gap${gaps.length === 1 ? '' : 's'} longer than ${gapMinutes} min, ${formatDuration(gapMinutesTotal)} in total`);
+  }
+  if (duplicateCount > 0) {
+    issues.push(`${duplicateCount} duplicate timestamp${duplicateCount === 1 ? '' : 's'}`);
+  }
+  metrics.forEach(metric => {
+    metric.issues.forEach(issue => issues.push(`${metric.metric}: ${issue}`));
+  });
+
+  const status = issues.length === 0 ? 'good' : completeness < 80 ? 'poor' : 'degraded';
+
+  return {
+    status,
+    periodMinutes: roundTo(periodMinutes),
+    expectedSamples,
+    actualSamples,
+    completeness,
+    stationCount: stations.size,
+    gaps,
+    gapTotalMinutes: gapMinutesTotal,
+    duplicates: { count: duplicateCount, examples: duplicateExamples },
+    metrics,
+    issues
+  };
+}
+
+// Base stations that reported for the node in the lookback window or the period
+async function listRecentBaseStations(db, { nodeName, startTime, endTime }) {
+  const [rows] = await db.query(
+    `SELECT DISTINCT NodeBaseStationName
+     FROM node_status_table
+     WHERE NodeName = ?
+     AND time >= ?
+     AND time <= ?`,
+    [nodeName, new Date(startTime.getTime() - STATION_LOOKBACK_DAYS * 24 * 60 * MINUTE), endTime]
+  );
+  return rows.map(row => row.NodeBaseStationName);
+}
+
+// Load a node's raw telemetry for the period and assess it
+async function getDataQuality(db, { nodeName, baseStation, startTime, endTime, overrides = {} }) {
+  const settings = getDataQualitySettings(nodeName, overrides);
+  const profile = getNodeProfile(nodeName);
+  const baseStations = baseStation
+    ? [baseStation]
+    : await listRecentBaseStations(db, { nodeName, startTime, endTime });
+
+  const [rows] = await db.query(
+    `SELECT NodeBaseStationName, time as Timestamp, ${buildMetricSelect(profile)}
+     FROM node_status_table
+     WHERE NodeName = ?
+     AND time >= ?
+     AND time <= ?
+     ${baseStation ? 'AND NodeBaseStationName = ?' : ''}
+     ORDER BY NodeBaseStationName, time ASC`,
+    [nodeName, startTime, endTime, baseStation].filter(param => param !== undefined && param !== '')
+  );
+
+  return {
+    nodeName,
+    baseStation: baseStation || null,
+    start: startTime,
+    end: endTime,
+    ...settings,
+    ...assessDataQuality(rows, profile, {
+      startTime,
+      endTime,
+      baseStations,
+      genset: isGenset(nodeName) ? getGensetSettings(nodeName) : null,
+      ...settings
+    })
+  };
+}
+
+module.exports = {
+  getDataQualitySettings,
+  assessDataQuality,
+  getDataQuality
+};
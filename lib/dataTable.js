@@ -0,0 +1,188 @@
+const { escapeId } = require('mysql2');
+const { getMetricExpressions, buildMetricSelect } = require('./channelProfiles');
+const { ID_COLUMN } = require('./telemetry');
+
+// Server-side paging for the data table. Raw readings are sorted by the
+// timestamp or any metric, narrowed by per-metric range filters (VSWR>1.5)
+// or to threshold breaches, and read a page at a time. The cursor is the
+// sort key of the last row sent (value, timestamp, row id), so pages stay
+// stable while new telemetry arrives; the row id keeps rows sharing a
+// timestamp in a fixed order.
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 500;
+const SORT_ORDERS = ['asc', 'desc'];
+const FILTER_PATTERN = /^(.+?)\s*(>=|<=|!=|>|<|=)\s*(-?\d+(?:\.\d+)?)$/;
+
+function encodeCursor(row, sort) {
+  const value = sort === 'Timestamp' ? null : row[sort];
+  return Buffer.from(JSON.stringify({
+    v: value === null || value === undefined ? null : Number(value),
+    t: new Date(row.Timestamp).getTime(),
+    i: Number(row.RowId)
+  })).toString('base64url');
+}
+
+function decodeCursor(text) {
+  try {
+    const cursor = JSON.parse(Buffer.from(text, 'base64url').toString('utf8'));
+    if (!Number.isFinite(cursor.t) || !Number.isInteger(cursor.i)) return null;
+    if (cursor.v !== null && !Number.isFinite(cursor.v)) return null;
+    return { value: cursor.v, time: new Date(cursor.t), id: cursor.i };
+  } catch (error) {
+    return null;
+  }
+}
+
+// 'VSWR>1.5' into { metric, operator, value }, or null
+function parseFilter(text) {
+  const match = FILTER_PATTERN.exec(String(text).trim());
+  return match ? { metric: match[1], operator: match[2], value: Number(match[3]) } : null;
+}
+
+// Validate the paging query parameters against a node's profile. Returns the
+// problems found and the normalized options.
+function parseTableQuery(query, profile) {
+  const errors = [];
+  const metricNames = profile.metrics.map(metric => metric.name);
+
+  const sort = query.sort || 'Timestamp';
+  if (sort !== 'Timestamp' && !metricNames.includes(sort)) {
+    errors.push(`sort must be Timestamp or one of ${metricNames.join(', ')}`);
+  }
+
+  const order = String(query.order || 'desc').toLowerCase();
+  if (!SORT_ORDERS.includes(order)) {
+    errors.push(`order must be one of ${SORT_ORDERS.join(', ')}`);
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push(`limit must be an integer from 1 to ${MAX_LIMIT}`);
+  }
+
+  const filters = [];
+  [].concat(query.filter || []).forEach(text => {
+    const filter = parseFilter(text);
+    if (!filter) {
+      errors.push(`filter '${text}' must look like <metric><operator><number>, e.g. VSWR>1.5`);
+    } else if (!metricNames.includes(filter.metric)) {
+      errors.push(`filter '${text}' names an unknown metric`);
+    } else {
+      filters.push(filter);
+    }
+  });
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) errors.push('cursor is not valid');
+  }
+
+  return {
+    errors,
+    options: { sort, order, limit, filters, breachesOnly: query.breaches === 'true', cursor }
+  };
+}
+
+// SQL matching rows where any metric is at or beyond its warning level
+function buildBreachCondition(expressions, thresholds) {
+  const conditions = [];
+  Object.entries(thresholds).forEach(([metric, rule]) => {
+    if (!expressions[metric]) return;
+    if (rule.high) conditions.push(`${expressions[metric]} >= ${Number(rule.high.warning)}`);
+    if (rule.low) conditions.push(`${expressions[metric]} <= ${Number(rule.low.warning)}`);
+  });
+  return conditions.length ? `(${conditions.join(' OR ')})` : '1 = 0';
+}
+
+// Rows after the cursor in the sort order. Readings without a value for the
+// sort metric always come last.
+function buildCursorCondition(sortExpression, order, cursor) {
+  const after = order === 'asc' ? '>' : '<';
+  const tieBreak = `(time ${after} ? OR (time = ? AND ${escapeId(ID_COLUMN)} ${after} ?))`;
+  const tieParams = [cursor.time, cursor.time, cursor.id];
+
+  if (!sortExpression) {
+    return { condition: tieBreak, params: tieParams };
+  }
+  if (cursor.value === null) {
+    return { condition: `(${sortExpression} IS NULL AND ${tieBreak})`, params: tieParams };
+  }
+  return {
+    condition: `(${sortExpression} IS NULL OR ${sortExpression} ${after} ? OR (${sortExpression} = ? AND ${tieBreak}))`,
+    params: [cursor.value, cursor.value, ...tieParams]
+  };
+}
+
+// One page of raw telemetry plus the total number of matching rows
+async function fetchTelemetryPage(db, profile, { nodeName, baseStation, startTime, endTime, thresholds = {} }, options) {
+  const { sort, order, limit, filters, breachesOnly, cursor } = options;
+  const expressions = getMetricExpressions(profile);
+
+  const conditions = ['NodeName = ?', 'time >= ?', 'time <= ?'];
+  const params = [nodeName, startTime, endTime];
+  if (baseStation) {
+    conditions.push('NodeBaseStationName = ?');
+    params.push(baseStation);
+  }
+  filters.forEach(filter => {
+    conditions.push(`${expressions[filter.metric]} ${filter.operator === '!=' ? '<>' : filter.operator} ?`);
+    params.push(filter.value);
+  });
+  if (breachesOnly) {
+    conditions.push(buildBreachCondition(expressions, thresholds));
+  }
+
+  const [countRows] = await db.query(
+    `SELECT COUNT(*) as total FROM node_status_table WHERE ${conditions.join(' AND ')}`,
+    params
+  );
+
+  const sortExpression = sort === 'Timestamp' ? null : expressions[sort];
+  const pageConditions = conditions.slice();
+  const pageParams = params.slice();
+  if (cursor) {
+    const { condition, params: cursorParams } = buildCursorCondition(sortExpression, order, cursor);
+    pageConditions.push(condition);
+    pageParams.push(...cursorParams);
+  }
+
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  const orderBy = [
+    ...(sortExpression ? [`${sortExpression} IS NULL`, `${sortExpression} ${direction}`] : []),
+    `time ${direction}`,
+    `${escapeId(ID_COLUMN)} ${direction}`
+  ];
+  // One extra row tells whether another page follows
+  const [rows] = await db.query(
+    `SELECT
+        ${escapeId(ID_COLUMN)} as RowId,
+        NodeName,
+        NodeBaseStationName,
+        time as Timestamp,
+        ${buildMetricSelect(profile)}
+      FROM node_status_table
+      WHERE ${pageConditions.join(' AND ')}
+      ORDER BY ${orderBy.join(', ')}
+      LIMIT ${limit + 1}`,
+    pageParams
+  );
+
+  const page = rows.slice(0, limit);
+  return {
+    rows: page.map(({ RowId, ...row }) => row),
+    total: Number(countRows[0].total),
+    limit,
+    sort,
+    order,
+    nextCursor: rows.length > limit ? encodeCursor(page[page.length - 1], sort) : null
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseFilter,
+  parseTableQuery,
+  fetchTelemetryPage
+};
@@ -0,0 +1,391 @@
+const fs = require('fs');
+const path = require('path');
+const { getNodeProfile, getMetricExpressions } = require('./channelProfiles');
+const { getAvailabilitySettings } = require('./availability');
+const { zonedParts, zonedTime } = require('./timezone');
+
+// Energy use from the Power channel (input power), integrated over time with
+// the trapezoid rule so irregular sampling is weighted by how long each
+// reading stands. Intervals between readings longer than the node's
+// availability gap are not integrated and count against `coverage`.
+//
+// Tariffs follow the threshold rules: `defaults` applies to every node,
+// `nodes[nodeName]` replaces it for one node, and null leaves the node
+// uncosted. A tariff is either flat ({ type: 'flat', rate }) or time-of-use
+// with `bands` of { name, rate, from, to, days }; the first band covering a
+// moment sets its price.
+const TARIFFS_FILE = process.env.TARIFFS_FILE ||
+  path.join(__dirname, '..', 'config', 'tariffs.json');
+
+const TARIFF_TYPES = ['flat', 'time-of-use'];
+const INTERVALS = ['day', 'week', 'month'];
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Power channels are converted to kW from their unit
+const KW_FACTORS = { W: 0.001, kW: 1, MW: 1000 };
+
+const CLOCK_PATTERN = /^(\d{2}):(\d{2})$/;
+
+function loadTariffs() {
+  try {
+    const tariffs = JSON.parse(fs.readFileSync(TARIFFS_FILE, 'utf8'));
+    return {
+      defaults: tariffs.defaults || null,
+      nodes: tariffs.nodes || {}
+    };
+  } catch (error) {
+    console.error(`Failed to load tariffs from ${TARIFFS_FILE}:`, error.message);
+    return { defaults: null, nodes: {} };
+  }
+}
+
+// Minutes after midnight for 'HH:MM' ('24:00' allowed as an end), or null
+function parseClock(text) {
+  const match = CLOCK_PATTERN.exec(text || '');
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return Number(match[2]) < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+function validateTariff(tariff, label = 'tariff') {
+  const errors = [];
+  if (!tariff || typeof tariff !== 'object') {
+    return [`${label} must be an object or null`];
+  }
+  if (!TARIFF_TYPES.includes(tariff.type)) {
+    errors.push(`${label}.type must be one of: ${TARIFF_TYPES.join(', ')}`);
+  }
+  if (tariff.type === 'flat' && !(Number.isFinite(tariff.rate) && tariff.rate >= 0)) {
+    errors.push(`${label}.rate must be a non-negative number`);
+  }
+  if (tariff.type === 'time-of-use') {
+    if (!Array.isArray(tariff.bands) || tariff.bands.length === 0) {
+      errors.push(`${label}.bands must be a non-empty array`);
+    } else {
+      tariff.bands.forEach((band, index) => {
+        const bandLabel = `${label}.bands[${index}]`;
+        if (!band || typeof band.name !== 'string' || !band.name) {
+          errors.push(`${bandLabel}.name is required`);
+        }
+        if (!band || !(Number.isFinite(band.rate) && band.rate >= 0)) {
+          errors.push(`${bandLabel}.rate must be a non-negative number`);
+        }
+        if (band && (band.from !== undefined || band.to !== undefined) &&
+          (parseClock(band.from) === null || parseClock(band.to) === null)) {
+          errors.push(`${bandLabel}.from and .to must both be HH:MM times`);
+        }
+        if (band && band.days !== undefined &&
+          !(Array.isArray(band.days) && band.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+          errors.push(`${bandLabel}.days must list weekdays from 0 (Sunday) to 6`);
+        }
+      });
+    }
+  }
+  return errors;
+}
+
+// Effective tariff for one node, or null when it is not costed
+function getNodeTariff(nodeName, tariffs = loadTariffs()) {
+  const tariff = nodeName && nodeName in tariffs.nodes ? tariffs.nodes[nodeName] : tariffs.defaults;
+  if (!tariff) return null;
+
+  const errors = validateTariff(tariff);
+  if (errors.length) {
+    console.error(`Ignoring invalid tariff for ${nodeName}:`, errors.join('; '));
+    return null;
+  }
+
+  return {
+    type: tariff.type,
+    currency: tariff.currency || '',
+    rate: tariff.type === 'flat' ? tariff.rate : null,
+    bands: tariff.type === 'flat'
+      ? [{ name: 'Flat', rate: tariff.rate, from: null, to: null, days: null }]
+      : tariff.bands.map(band => ({
+        name: band.name,
+        rate: band.rate,
+        from: band.from !== undefined ? parseClock(band.from) : null,
+        to: band.to !== undefined ? parseClock(band.to) : null,
+        days: band.days || null
+      }))
+  };
+}
+
+// The tariff band in force at a moment (reporting time zone), or null
+function findBand(tariff, time) {
+  if (!tariff) return null;
+  const { hour, minute: minutes, weekday: day } = zonedParts(time);
+  const minute = hour * 60 + minutes;
+
+  return tariff.bands.find(band => {
+    if (band.days && !band.days.includes(day)) return false;
+    if (band.from === null || band.from === band.to) return true;
+    return band.from < band.to
+      ? minute >= band.from && minute < band.to
+      : minute >= band.from || minute < band.to;
+  }) || null;
+}
+
+// The next midnight or band start/end after `time` in the reporting zone
+function nextBandEdge(tariff, time) {
+  const edges = new Set([0]);
+  (tariff ? tariff.bands : []).forEach(band => {
+    if (band.from !== null) edges.add(band.from % (24 * 60));
+    if (band.to !== null) edges.add(band.to % (24 * 60));
+  });
+  const sorted = [...edges].sort((a, b) => a - b);
+
+  const { year, month, day } = zonedParts(time);
+  for (let offset = 0; offset <= 1; offset++) {
+    for (const edge of sorted) {
+      const candidate = zonedTime({ year, month, day: day + offset, minute: edge });
+      if (candidate > time) return candidate;
+    }
+  }
+  return new Date(time.getTime() + DAY);
+}
+
+// Start of the day, ISO week (from Monday) or month containing `time`, in
+// the reporting time zone
+function intervalStart(interval, time) {
+  const { year, month, day, weekday } = zonedParts(time);
+  if (interval === 'month') return zonedTime({ year, month, day: 1 });
+  const days = interval === 'week' ? (weekday + 6) % 7 : 0;
+  return zonedTime({ year, month, day: day - days });
+}
+
+function nextIntervalStart(interval, start) {
+  const { year, month, day } = zonedParts(start);
+  if (interval === 'month') return zonedTime({ year, month: month + 1, day: 1 });
+  return zonedTime({ year, month, day: day + (interval === 'week' ? 7 : 1) });
+}
+
+// 'auto' picks days up to a month, weeks up to half a year, then months
+function resolveInterval(interval, { startTime, endTime }) {
+  if (interval && interval !== 'auto') return interval;
+  const span = endTime - startTime;
+  return span <= 31 * DAY ? 'day' : span <= 183 * DAY ? 'week' : 'month';
+}
+
+function isValidInterval(interval) {
+  return !interval || interval === 'auto' || INTERVALS.includes(interval);
+}
+
+function emptyTotals() {
+  return {
+    energyKwh: 0,
+    forwardEnergyKwh: 0,
+    pairedInputKwh: 0,
+    cost: 0,
+    unpricedKwh: 0,
+    coveredMs: 0,
+    bands: {}
+  };
+}
+
+// Add one stretch of linearly interpolated power to a bucket
+function addPiece(totals, { kw, forwardKw, hours, band }) {
+  const energy = kw * hours;
+  totals.energyKwh += energy;
+  totals.coveredMs += hours * HOUR;
+  if (forwardKw !== null) {
+    totals.forwardEnergyKwh += forwardKw * hours;
+    totals.pairedInputKwh += energy;
+  }
+  if (band) {
+    const entry = totals.bands[band.name] || (totals.bands[band.name] = { energyKwh: 0, cost: 0, rate: band.rate });
+    entry.energyKwh += energy;
+    entry.cost += energy * band.rate;
+    totals.cost += energy * band.rate;
+  } else {
+    totals.unpricedKwh += energy;
+  }
+}
+
+// Integrate time-ordered samples of { time, kw, forwardKw } into the buckets,
+// a Map of bucket start (ms) to totals. Each interval between two readings is
+// cut at bucket and tariff band edges so every piece is priced and filed
+// correctly.
+function integrateSamples(samples, buckets, { interval, tariff, maxGapMinutes, startTime, endTime }) {
+  const maxGap = maxGapMinutes * MINUTE;
+
+  for (let i = 1; i < samples.length; i++) {
+    const a = samples[i - 1];
+    const b = samples[i];
+    const span = b.time - a.time;
+    if (span <= 0 || span > maxGap || a.kw === null || b.kw === null) continue;
+
+    const withForward = a.forwardKw !== null && b.forwardKw !== null;
+    const at = (time, from, to) => from + (to - from) * ((time - a.time) / span);
+    let cursor = new Date(Math.max(a.time, startTime));
+    const stop = new Date(Math.min(b.time, endTime));
+
+    while (cursor < stop) {
+      const bucketStart = intervalStart(interval, cursor);
+      const edge = new Date(Math.min(
+        stop,
+        nextBandEdge(tariff, cursor),
+        nextIntervalStart(interval, bucketStart)
+      ));
+      const hours = (edge - cursor) / HOUR;
+      const totals = buckets.get(bucketStart.getTime());
+      if (totals) {
+        addPiece(totals, {
+          kw: (at(cursor, a.kw, b.kw) + at(edge, a.kw, b.kw)) / 2,
+          forwardKw: withForward ? (at(cursor, a.forwardKw, b.forwardKw) + at(edge, a.forwardKw, b.forwardKw)) / 2 : null,
+          hours,
+          band: findBand(tariff, cursor)
+        });
+      }
+      cursor = edge;
+    }
+  }
+}
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Public shape of a bucket or the period totals
+function summarizeTotals(totals, { start, end, stations, tariff }) {
+  const span = (end - start) * Math.max(stations, 1);
+  return {
+    start,
+    end,
+    energyKwh: round(totals.energyKwh, 3),
+    forwardEnergyKwh: round(totals.forwardEnergyKwh, 3),
+    efficiency: totals.pairedInputKwh > 0
+      ? round((totals.forwardEnergyKwh / totals.pairedInputKwh) * 100, 1)
+      : null,
+    cost: tariff ? round(totals.cost, 2) : null,
+    unpricedKwh: tariff ? round(totals.unpricedKwh, 3) : null,
+    coverage: span > 0 ? round(Math.min(totals.coveredMs / span, 1) * 100, 1) : 0,
+    bands: tariff
+      ? Object.entries(totals.bands).map(([name, band]) => ({
+        name,
+        rate: band.rate,
+        energyKwh: round(band.energyKwh, 3),
+        cost: round(band.cost, 2)
+      }))
+      : []
+  };
+}
+
+function mergeTotals(target, source) {
+  ['energyKwh', 'forwardEnergyKwh', 'pairedInputKwh', 'cost', 'unpricedKwh', 'coveredMs'].forEach(key => {
+    target[key] += source[key];
+  });
+  Object.entries(source.bands).forEach(([name, band]) => {
+    const entry = target.bands[name] || (target.bands[name] = { energyKwh: 0, cost: 0, rate: band.rate });
+    entry.energyKwh += band.energyKwh;
+    entry.cost += band.cost;
+  });
+  return target;
+}
+
+// Energy per interval and for the whole period from readings of
+// { time, baseStation, kw, forwardKw }. Base stations are integrated on their
+// own, since their readings interleave, and summed.
+function computeEnergy(samples, { startTime, endTime, interval = 'day', tariff = null, maxGapMinutes }) {
+  const buckets = new Map();
+  for (let start = intervalStart(interval, startTime); start < endTime; start = nextIntervalStart(interval, start)) {
+    buckets.set(start.getTime(), emptyTotals());
+  }
+
+  const stations = new Map();
+  samples.forEach(sample => {
+    const key = sample.baseStation || '';
+    if (!stations.has(key)) stations.set(key, []);
+    stations.get(key).push(sample);
+  });
+  stations.forEach(stationSamples => {
+    integrateSamples(stationSamples, buckets, { interval, tariff, maxGapMinutes, startTime, endTime });
+  });
+
+  const stationCount = stations.size;
+  const intervals = [...buckets.entries()].map(([key, totals]) => {
+    const bucketStart = new Date(key);
+    return summarizeTotals(totals, {
+      start: new Date(Math.max(bucketStart, startTime)),
+      end: new Date(Math.min(nextIntervalStart(interval, bucketStart), endTime)),
+      stations: stationCount,
+      tariff
+    });
+  });
+  const totals = [...buckets.values()].reduce(mergeTotals, emptyTotals());
+
+  return {
+    interval,
+    stations: stationCount,
+    totals: summarizeTotals(totals, { start: startTime, end: endTime, stations: stationCount, tariff }),
+    intervals
+  };
+}
+
+// Load Power (and Forward Power, for efficiency) readings for a node and
+// compute its energy use. Returns null when the node has no Power channel.
+async function getEnergy(db, { nodeName, baseStation, startTime, endTime, interval = 'auto' }) {
+  const profile = getNodeProfile(nodeName);
+  const expressions = getMetricExpressions(profile);
+  const unitOf = name => (profile.metrics.find(metric => metric.name === name) || {}).unit;
+  if (!expressions.Power) return null;
+
+  const [rows] = await db.query(
+    `SELECT time, NodeBaseStationName, ${expressions.Power} as InputPower,
+       ${expressions['Forward Power'] ? `${expressions['Forward Power']} as ForwardPower` : 'NULL as ForwardPower'}
+     FROM node_status_table
+     WHERE NodeName = ?
+     AND time >= ?
+     AND time <= ?
+     ${baseStation ? 'AND NodeBaseStationName = ?' : ''}
+     ORDER BY time ASC`,
+    [nodeName, startTime, endTime, baseStation].filter(param => param !== undefined && param !== '')
+  );
+
+  const inputFactor = KW_FACTORS[unitOf('Power')] || KW_FACTORS.W;
+  const forwardFactor = KW_FACTORS[unitOf('Forward Power')] || KW_FACTORS.W;
+  const toKw = (value, factor) => (value === null || !Number.isFinite(Number(value)) ? null : Number(value) * factor);
+
+  const samples = rows.map(row => ({
+    time: new Date(row.time),
+    baseStation: row.NodeBaseStationName,
+    kw: toKw(row.InputPower, inputFactor),
+    forwardKw: toKw(row.ForwardPower, forwardFactor)
+  }));
+
+  const tariff = getNodeTariff(nodeName);
+  const { maxGapMinutes } = getAvailabilitySettings(nodeName);
+  const energy = computeEnergy(samples, {
+    startTime,
+    endTime,
+    interval: resolveInterval(interval, { startTime, endTime }),
+    tariff,
+    maxGapMinutes
+  });
+
+  return {
+    nodeName,
+    baseStation: baseStation || null,
+    start: startTime,
+    end: endTime,
+    sampleCount: samples.length,
+    maxGapMinutes,
+    usesForwardPower: !!expressions['Forward Power'],
+    tariff: tariff
+      ? { type: tariff.type, currency: tariff.currency, bands: tariff.bands.map(({ name, rate }) => ({ name, rate })) }
+      : null,
+    ...energy
+  };
+}
+
+module.exports = {
+  INTERVALS,
+  loadTariffs,
+  validateTariff,
+  getNodeTariff,
+  isValidInterval,
+  resolveInterval,
+  computeEnergy,
+  getEnergy
+};
@@ -0,0 +1,141 @@
+const { Transform, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const ExcelJS = require('exceljs');
+const { REPORT_TIMEZONE, offsetMinutes, formatIso, formatDay } = require('./timezone');
+
+// Telemetry export formats accepted by /api/data/:nodeName/:timePeriod
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+function isExportFormat(format) {
+  return Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format);
+}
+
+// e.g. Kameme_FM_Ngong_2024-05-01_to_2024-05-07.csv
+function buildExportFileName({ nodeName, baseStation, startTime, endTime, format }) {
+  const parts = [nodeName, baseStation || 'all-stations', formatDay(startTime), 'to', formatDay(endTime)];
+  return `${parts.join('_').replace(/[^\w.-]+/g, '_')}.${EXPORT_FORMATS[format].extension}`;
+}
+
+// Column headers carry the metric units from the node's channel profile
+function getExportColumns(profile) {
+  return [
+    { key: 'Timestamp', header: `Timestamp (${REPORT_TIMEZONE})` },
+    { key: 'NodeName', header: 'Node' },
+    { key: 'NodeBaseStationName', header: 'Base Station' },
+    ...profile.metrics.map(metric => ({
+      key: metric.name,
+      metric: true,
+      header: metric.unit ? `${metric.name} (${metric.unit})` : metric.name
+    }))
+  ];
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? formatIso(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Write rows from an object-mode stream to the response as they arrive.
+// The pipeline pauses the source whenever the response buffer is full, and
+// destroys it if the client goes away. The byte order mark makes Excel read
+// the file as UTF-8 (units such as °C).
+async function writeCsv(res, rowStream, columns) {
+  const toLines = new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      callback(null, columns.map(column => csvValue(row[column.key])).join(',') + '\r\n');
+    }
+  });
+  toLines.push('\uFEFF' + columns.map(column => csvValue(column.header)).join(',') + '\r\n');
+
+  await pipeline(rowStream, toLines, res);
+}
+
+// The workbook writer pipes into the response itself, so a closed response
+// aborts the row pipeline instead
+async function writeXlsx(res, rowStream, columns, { sheetName = 'Telemetry' } = {}) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+  sheet.columns = columns.map(column => ({
+    key: column.key,
+    header: column.header,
+    width: column.key === 'Timestamp' ? 26 : Math.max(12, column.header.length + 2),
+    style: column.key === 'Timestamp' ? { numFmt: 'yyyy-mm-dd hh:mm:ss' } : undefined
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  const toSheet = new Writable({
+    objectMode: true,
+    write(row, encoding, callback) {
+      sheet.addRow(columns.reduce((acc, column) => {
+        const value = row[column.key];
+        if (value instanceof Date) {
+          // Excel dates have no zone; write the reporting zone's wall clock
+          acc[column.key] = new Date(value.getTime() + offsetMinutes(value) * 60 * 1000);
+        } else {
+          // Metric values arrive as DECIMAL strings; store them as numbers
+          acc[column.key] = column.metric && value !== null && value !== undefined ? Number(value) : value;
+        }
+        return acc;
+      }, {})).commit();
+      // The workbook writes into the response; wait while its buffer is full
+      if (res.writableNeedDrain) {
+        res.once('drain', () => callback());
+      } else {
+        callback();
+      }
+    },
+    final(callback) {
+      sheet.commit();
+      workbook.commit().then(() => callback(), callback);
+    }
+  });
+
+  const aborted = new AbortController();
+  const abortUnlessFinished = () => {
+    if (!res.writableFinished) aborted.abort();
+  };
+  res.once('close', abortUnlessFinished);
+  try {
+    await pipeline(rowStream, toSheet, { signal: aborted.signal });
+  } finally {
+    res.off('close', abortUnlessFinished);
+  }
+}
+
+// Errors a pipeline ends with when the client closes the response early
+const CANCELLED_CODES = ['ERR_STREAM_PREMATURE_CLOSE', 'ABORT_ERR'];
+
+// Stream telemetry rows to the response in the requested format
+async function writeExport(res, rowStream, { format, profile, fileName, sheetName }) {
+  const columns = getExportColumns(profile);
+  res.set({
+    'Content-Type': EXPORT_FORMATS[format].contentType,
+    'Content-Disposition': `attachment; filename="${fileName}"`
+  });
+
+  try {
+    if (format === 'xlsx') {
+      await writeXlsx(res, rowStream, columns, { sheetName });
+    } else {
+      await writeCsv(res, rowStream, columns);
+    }
+  } catch (error) {
+    // A cancelled download is not a failure; the row stream is already destroyed
+    if (CANCELLED_CODES.includes(error.code)) return;
+    throw error;
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  isExportFormat,
+  buildExportFileName,
+  getExportColumns,
+  writeExport
+};
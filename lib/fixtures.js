@@ -0,0 +1,55 @@
+const { loadRegistry } = require('./nodeRegistry');
+const { getSimulatorSettings, createSimulation, simulateRange } = require('./simulator');
+
+// Sample telemetry for the SQLite fixture mode: FIXTURE_DAYS days (default
+// 14) up to now at FIXTURE_INTERVAL_MINUTES (default 5) for every node in the
+// registry, on the base stations in its simulator settings. The rows come from
+// the simulator without faults, so they repeat exactly for the same start
+// time.
+const FIXTURE_DAYS = Number(process.env.FIXTURE_DAYS || 14);
+const FIXTURE_INTERVAL_MINUTES = Number(process.env.FIXTURE_INTERVAL_MINUTES || 5);
+const INSERT_BATCH_SIZE = 500;
+
+const MINUTE = 60 * 1000;
+
+// Rows for one node, oldest first
+function generateNodeRows(nodeName, { start, end, intervalMinutes = FIXTURE_INTERVAL_MINUTES }) {
+  return getSimulatorSettings(nodeName).baseStations.flatMap(station => simulateRange(
+    createSimulation(nodeName, station, { faults: [] }),
+    { start, end, intervalSeconds: intervalMinutes * 60 }
+  ));
+}
+
+async function insertRows(db, rows) {
+  if (!rows.length) return 0;
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+    const batch = rows.slice(i, i + INSERT_BATCH_SIZE);
+    await db.query(
+      `INSERT INTO node_status_table (${columns.join(', ')}) VALUES ${batch.map(() => `(${columns.map(() => '?').join(', ')})`).join(', ')}`,
+      batch.flatMap(row => columns.map(column => (row[column] === undefined ? null : row[column])))
+    );
+  }
+  return rows.length;
+}
+
+// Fill an empty node_status_table with fixture telemetry. Returns the number
+// of rows written (0 when the table already had data).
+async function seedFixtures(db, { now = new Date(), days = FIXTURE_DAYS } = {}) {
+  const [existing] = await db.query('SELECT COUNT(*) as count FROM node_status_table');
+  if (Number(existing[0].count) > 0) return 0;
+
+  const end = new Date(Math.floor(now.getTime() / (FIXTURE_INTERVAL_MINUTES * MINUTE)) * FIXTURE_INTERVAL_MINUTES * MINUTE);
+  const start = new Date(end.getTime() - days * 24 * 60 * MINUTE);
+  let total = 0;
+  for (const nodeName of Object.keys(loadRegistry())) {
+    total += await insertRows(db, generateNodeRows(nodeName, { start, end }));
+  }
+  return total;
+}
+
+module.exports = {
+  generateNodeRows,
+  insertRows,
+  seedFixtures
+};
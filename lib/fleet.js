@@ -0,0 +1,189 @@
+const { describeNode } = require('./nodeRegistry');
+const { getNodeProfile, getMetricExpressions } = require('./channelProfiles');
+const { resolveResolution } = require('./aggregation');
+const { fetchTelemetry } = require('./telemetry');
+const { getNodeThresholds, classifyValue } = require('./thresholds');
+const { getAvailability } = require('./availability');
+const { isGenset, getGensetSettings, runningCondition } = require('./genset');
+
+// Several nodes or base stations fetched in one request for side-by-side
+// comparison. Every series shares one resolution so they line up on a
+// common time axis.
+const MAX_BATCH_SERIES = Number(process.env.MAX_BATCH_SERIES || 8);
+
+// Accepts node names or { nodeName, baseStation } objects. Returns the
+// normalised list plus any validation errors.
+function normalizeSeriesRequest(series) {
+  if (!Array.isArray(series) || series.length === 0) {
+    return { errors: ['series must be a non-empty array of node names or { nodeName, baseStation } objects'], series: [] };
+  }
+  if (series.length > MAX_BATCH_SERIES) {
+    return { errors: [`At most ${MAX_BATCH_SERIES} series can be compared at once`], series: [] };
+  }
+
+  const errors = [];
+  const normalized = series.map((item, index) => {
+    const entry = typeof item === 'string' ? { nodeName: item } : (item || {});
+    if (!entry.nodeName || typeof entry.nodeName !== 'string') {
+      errors.push(`series[${index}].nodeName is required`);
+    }
+    return { nodeName: entry.nodeName, baseStation: entry.baseStation || '' };
+  });
+
+  const keys = normalized.map(entry => `${entry.nodeName}|${entry.baseStation}`);
+  if (new Set(keys).size !== keys.length) {
+    errors.push('Each node and base station can only be compared once');
+  }
+
+  return { errors, series: normalized };
+}
+
+function ruleNumber(levels, level) {
+  const value = levels && Number(levels[level]);
+  return Number.isFinite(value) ? value : null;
+}
+
+// SQL conditions matching classifyValue: critical limits win over warning ones
+function buildBreachConditions(expression, rule) {
+  if (!rule) return null;
+
+  const limits = level => [
+    ruleNumber(rule.high, level) !== null ? `${expression} >= ${ruleNumber(rule.high, level)}` : null,
+    ruleNumber(rule.low, level) !== null ? `${expression} <= ${ruleNumber(rule.low, level)}` : null
+  ].filter(Boolean);
+
+  const critical = limits('critical');
+  const warning = limits('warning');
+  if (critical.length === 0 && warning.length === 0) return null;
+
+  const criticalSql = critical.length ? `(${critical.join(' OR ')})` : 'FALSE';
+  return {
+    critical: criticalSql,
+    warning: warning.length ? `(NOT ${criticalSql} AND (${warning.join(' OR ')}))` : 'FALSE'
+  };
+}
+
+const AGGREGATES = { avg: 'AVG', min: 'MIN', max: 'MAX' };
+
+// Min/avg/max and threshold breach counts per metric, computed in MySQL over
+// every raw sample in the range. On a generator, rules with `whileRunning`
+// are judged only on the samples taken while it ran.
+async function summarizeSeries(db, profile, thresholds, { nodeName, baseStation, startTime, endTime }) {
+  const expressions = getMetricExpressions(profile);
+  const running = isGenset(nodeName) ? runningCondition(expressions, getGensetSettings(nodeName)) : null;
+  const columns = ['COUNT(*) as SampleCount'];
+
+  profile.metrics.forEach((metric, index) => {
+    const expression = expressions[metric.name];
+    columns.push(
+      `COUNT(${expression}) as m${index}_count`,
+      `MIN(${expression}) as m${index}_min`,
+      `AVG(${expression}) as m${index}_avg`,
+      `MAX(${expression}) as m${index}_max`
+    );
+    const rule = thresholds[metric.name];
+    const breach = buildBreachConditions(expression, rule);
+    const onlyRunning = running && rule && rule.whileRunning ? `${running} AND ` : '';
+    if (onlyRunning) {
+      columns.push(`${AGGREGATES[rule.statistic] || 'AVG'}(CASE WHEN ${running} THEN ${expression} END) as m${index}_judged`);
+    }
+    if (breach) {
+      columns.push(
+        `SUM(CASE WHEN ${onlyRunning}${breach.critical} THEN 1 ELSE 0 END) as m${index}_critical`,
+        `SUM(CASE WHEN ${onlyRunning}${breach.warning} THEN 1 ELSE 0 END) as m${index}_warning`
+      );
+    }
+  });
+
+  const [rows] = await db.query(
+    `SELECT ${columns.join(',\n       ')}
+     FROM node_status_table
+     WHERE NodeName = ?
+     AND time >= ?
+     AND time <= ?
+     ${baseStation ? 'AND NodeBaseStationName = ?' : ''}`,
+    [nodeName, startTime, endTime, baseStation].filter(param => param !== undefined && param !== '')
+  );
+  const row = rows[0];
+  const toNumber = value => (value === null || value === undefined ? null : Number(value));
+
+  const metrics = {};
+  profile.metrics.forEach((metric, index) => {
+    const rule = thresholds[metric.name] || null;
+    const stats = {
+      count: Number(row[`m${index}_count`]),
+      min: toNumber(row[`m${index}_min`]),
+      avg: toNumber(row[`m${index}_avg`]),
+      max: toNumber(row[`m${index}_max`])
+    };
+    const statistic = rule ? rule.statistic || 'avg' : 'avg';
+    const judged = `m${index}_judged` in row ? toNumber(row[`m${index}_judged`]) : stats[statistic];
+
+    metrics[metric.name] = {
+      unit: metric.unit,
+      ...stats,
+      statistic,
+      status: stats.count === 0 ? 'no-data' : classifyValue(judged, rule),
+      breaches: {
+        warning: Number(row[`m${index}_warning`] || 0),
+        critical: Number(row[`m${index}_critical`] || 0)
+      }
+    };
+  });
+
+  return { sampleCount: Number(row.SampleCount), metrics };
+}
+
+async function fetchFleetData(db, { series, startTime, endTime, resolution = 'auto' }) {
+  const prepared = await Promise.all(series.map(async ({ nodeName, baseStation }) => {
+    const profile = getNodeProfile(nodeName);
+    const thresholds = getNodeThresholds(nodeName);
+    const summary = await summarizeSeries(db, profile, thresholds, { nodeName, baseStation, startTime, endTime });
+    return { nodeName, baseStation, profile, summary };
+  }));
+
+  // Resolve 'auto' once, from the largest series, so every series is bucketed alike
+  const appliedResolution = resolveResolution(resolution, {
+    spanMs: endTime - startTime,
+    rowCount: Math.max(...prepared.map(entry => entry.summary.sampleCount))
+  });
+
+  const results = await Promise.all(prepared.map(async ({ nodeName, baseStation, profile, summary }) => {
+    const node = describeNode(nodeName);
+    const { rows } = await fetchTelemetry(db, {
+      nodeName,
+      baseStation,
+      startTime,
+      endTime,
+      resolution: appliedResolution
+    });
+    const availability = await getAvailability(db, { nodeName, baseStation, startTime, endTime });
+
+    return {
+      nodeName,
+      baseStation: baseStation || null,
+      displayName: node.displayName,
+      label: baseStation ? `${node.displayName} / ${baseStation}` : node.displayName,
+      metrics: profile.metrics.map(metric => ({ name: metric.name, unit: metric.unit })),
+      sampleCount: summary.sampleCount,
+      stats: summary.metrics,
+      availability: {
+        availability: availability.availability,
+        downtimeMinutes: availability.downtimeMinutes,
+        outageCount: availability.outageCount
+      },
+      // Oldest first for charting
+      rows: rows.slice().reverse()
+    };
+  }));
+
+  return { resolution: appliedResolution, start: startTime, end: endTime, series: results };
+}
+
+module.exports = {
+  MAX_BATCH_SERIES,
+  normalizeSeriesRequest,
+  buildBreachConditions,
+  summarizeSeries,
+  fetchFleetData
+};
@@ -0,0 +1,382 @@
+const fs = require('fs');
+const path = require('path');
+const { describeNode } = require('./nodeRegistry');
+const { getNodeProfile, getMetricExpressions } = require('./channelProfiles');
+const { getAvailabilitySettings } = require('./availability');
+
+// Run-hours, fuel and service reporting for generator nodes (siteType
+// 'generator'). The engine counts as running while its output voltage is at
+// or above `runVoltage`, or while more than `runCurrent` flows. Fuel burned
+// is estimated from the load (Power against `ratedKw`) through a
+// load-to-consumption curve.
+//
+// Settings in `defaults` apply to every generator and `nodes[nodeName]`
+// overrides individual keys. `hourMeter` ({ hours, at }) is a reading of the
+// engine's hour meter that cumulative run hours (and so the service status)
+// count on from; without one they are not reported. `lastService`
+// ({ runHours }) is where the service interval counts from.
+const GENSETS_FILE = process.env.GENSETS_FILE ||
+  path.join(__dirname, '..', 'config', 'gensets.json');
+
+const GENERATOR_SITE_TYPE = 'generator';
+
+// Charts that mean nothing for a generator
+const RF_METRICS = ['Forward Power', 'Reflected Power', 'VSWR', 'Return Loss'];
+
+// Output channels that read zero whenever the engine is stopped
+const OUTPUT_METRICS = ['Voltage', 'Current', 'Frequency', 'Power'];
+
+const DEFAULT_SETTINGS = {
+  runVoltage: 180,
+  runCurrent: 1,
+  ratedKw: 60,
+  fuelCurve: [
+    { loadPercent: 0, litresPerHour: 2 },
+    { loadPercent: 100, litresPerHour: 16 }
+  ],
+  serviceIntervalHours: 250,
+  dueSoonHours: 25,
+  hourMeter: null,
+  lastService: null
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const KW_FACTORS = { W: 0.001, kW: 1, MW: 1000 };
+
+// Telemetry between the hour-meter reading and a period is read this much at
+// a time, and the run hours found are kept as a running total per generator
+// so later reports only read what came in since
+const HISTORY_CHUNK = 7 * 24 * HOUR;
+const runningTotals = new Map();
+
+function loadGensetSettings() {
+  try {
+    const settings = JSON.parse(fs.readFileSync(GENSETS_FILE, 'utf8'));
+    return {
+      defaults: settings.defaults || {},
+      nodes: settings.nodes || {}
+    };
+  } catch (error) {
+    console.error(`Failed to load generator settings from ${GENSETS_FILE}:`, error.message);
+    return { defaults: {}, nodes: {} };
+  }
+}
+
+function isGenset(nodeName) {
+  return describeNode(nodeName).siteType === GENERATOR_SITE_TYPE;
+}
+
+// Effective settings for one generator, with the fuel curve sorted by load
+function getGensetSettings(nodeName, settings = loadGensetSettings()) {
+  const merged = { ...DEFAULT_SETTINGS, ...settings.defaults, ...(settings.nodes[nodeName] || {}) };
+  const curve = (Array.isArray(merged.fuelCurve) ? merged.fuelCurve : [])
+    .filter(point => point && Number.isFinite(point.loadPercent) && Number.isFinite(point.litresPerHour))
+    .sort((a, b) => a.loadPercent - b.loadPercent);
+
+  return {
+    ...merged,
+    fuelCurve: curve.length ? curve : DEFAULT_SETTINGS.fuelCurve
+  };
+}
+
+// Litres per hour at a load, interpolated along the curve and held flat
+// beyond its ends
+function fuelRate(curve, loadPercent) {
+  if (loadPercent <= curve[0].loadPercent) return curve[0].litresPerHour;
+  const last = curve[curve.length - 1];
+  if (loadPercent >= last.loadPercent) return last.litresPerHour;
+
+  const upper = curve.findIndex(point => point.loadPercent >= loadPercent);
+  const a = curve[upper - 1];
+  const b = curve[upper];
+  return a.litresPerHour + (b.litresPerHour - a.litresPerHour) *
+    ((loadPercent - a.loadPercent) / (b.loadPercent - a.loadPercent));
+}
+
+function isRunning(sample, settings) {
+  return (sample.voltage !== null && sample.voltage >= settings.runVoltage) ||
+    (sample.current !== null && sample.current > settings.runCurrent);
+}
+
+const toReading = value => (value === null || value === undefined || !Number.isFinite(Number(value)) ? null : Number(value));
+
+// Whether the engine was running at each reading of index-aligned metric
+// series ({ Voltage: [...], Current: [...] }), as the analysis receives them
+function runningStates(series, settings) {
+  const voltage = series.Voltage || [];
+  const current = series.Current || [];
+  return Array.from({ length: Math.max(voltage.length, current.length) }, (_, index) =>
+    isRunning({ voltage: toReading(voltage[index]), current: toReading(current[index]) }, settings));
+}
+
+// SQL condition matching isRunning over a profile's metric expressions
+function runningCondition(expressions, settings) {
+  const conditions = [
+    expressions.Voltage && Number.isFinite(settings.runVoltage) ? `${expressions.Voltage} >= ${settings.runVoltage}` : null,
+    expressions.Current && Number.isFinite(settings.runCurrent) ? `${expressions.Current} > ${settings.runCurrent}` : null
+  ].filter(Boolean);
+  return conditions.length ? `(${conditions.join(' OR ')})` : 'FALSE';
+}
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Walk time-ordered samples of { time, voltage, current, kw } and collect run
+// events between `startTime` and `endTime`. Each reading's state holds until
+// the next one; a gap longer than `maxGapMinutes` ends a run at the last
+// reading before it.
+function detectRuns(samples, settings, { startTime, endTime, maxGapMinutes, now = new Date() }) {
+  const maxGap = maxGapMinutes * MINUTE;
+  const runs = [];
+  let current = null;
+
+  const close = (end) => {
+    if (!current) return;
+    if (end > current.start) {
+      runs.push({
+        start: current.start,
+        end,
+        durationMinutes: round((end - current.start) / MINUTE, 1),
+        averageLoadPercent: current.hours > 0 ? round(current.loadHours / current.hours, 1) : null,
+        fuelLitres: round(current.fuel, 1),
+        ongoing: false
+      });
+    }
+    current = null;
+  };
+
+  samples.forEach((sample, index) => {
+    const next = samples[index + 1];
+    const segmentEnd = next ? next.time : endTime;
+    const from = new Date(Math.max(sample.time, startTime));
+    const to = new Date(Math.min(segmentEnd, endTime));
+    if (to <= from) return;
+
+    if (!isRunning(sample, settings)) {
+      close(from);
+      return;
+    }
+
+    // Only the reading itself is trusted across a telemetry gap
+    const gap = segmentEnd - sample.time > maxGap;
+    const until = gap ? from : to;
+    if (!current) current = { start: from, hours: 0, loadHours: 0, fuel: 0 };
+
+    const hours = (until - from) / HOUR;
+    const loadPercent = sample.kw !== null ? Math.max(0, (sample.kw / settings.ratedKw) * 100) : 0;
+    current.hours += hours;
+    current.loadHours += loadPercent * hours;
+    current.fuel += fuelRate(settings.fuelCurve, loadPercent) * hours;
+
+    if (gap) close(until);
+  });
+
+  const open = current;
+  close(endTime);
+  if (open && runs.length && endTime >= now - MINUTE) {
+    runs[runs.length - 1].ongoing = true;
+  }
+  return runs;
+}
+
+function summarizeRuns(runs) {
+  const minutes = runs.reduce((sum, run) => sum + run.durationMinutes, 0);
+  const hours = minutes / 60;
+  const loadHours = runs.reduce((sum, run) => sum + (run.averageLoadPercent || 0) * (run.durationMinutes / 60), 0);
+  return {
+    runCount: runs.length,
+    runHours: round(hours, 2),
+    fuelLitres: round(runs.reduce((sum, run) => sum + run.fuelLitres, 0), 1),
+    averageLoadPercent: hours > 0 ? round(loadHours / hours, 1) : null
+  };
+}
+
+// Hours of the runs that fall between `from` and `to`
+function hoursWithin(runs, from, to) {
+  return runs.reduce((sum, run) => sum + Math.max(0, Math.min(run.end, to) - Math.max(run.start, from)), 0) / HOUR;
+}
+
+// Where the engine stands against its service interval
+function serviceStatus(totalRunHours, settings) {
+  const interval = settings.serviceIntervalHours;
+  if (totalRunHours === null || !(interval > 0)) return null;
+
+  const last = settings.lastService && Number.isFinite(settings.lastService.runHours)
+    ? settings.lastService.runHours
+    : Math.floor(totalRunHours / interval) * interval;
+  const dueAt = last + interval;
+  const remaining = dueAt - totalRunHours;
+
+  return {
+    intervalHours: interval,
+    lastServiceRunHours: last,
+    dueAtRunHours: dueAt,
+    hoursRemaining: round(remaining, 1),
+    status: remaining <= 0 ? 'overdue' : remaining <= settings.dueSoonHours ? 'due-soon' : 'ok'
+  };
+}
+
+// Voltage, current and load readings for a generator from `from` to `to`,
+// grouped by base station
+async function loadSamples(db, profile, { nodeName, baseStation, from, to }) {
+  const expressions = getMetricExpressions(profile);
+  const powerUnit = (profile.metrics.find(metric => metric.name === 'Power') || {}).unit;
+  const column = (name, alias) => (expressions[name] ? `${expressions[name]} as ${alias}` : `NULL as ${alias}`);
+
+  const [rows] = await db.query(
+    `SELECT time, NodeBaseStationName, ${column('Voltage', 'Voltage')}, ${column('Current', 'Current')}, ${column('Power', 'Power')}
+     FROM node_status_table
+     WHERE NodeName = ?
+     AND time >= ?
+     AND time <= ?
+     ${baseStation ? 'AND NodeBaseStationName = ?' : ''}
+     ORDER BY time ASC`,
+    [nodeName, from, to, baseStation].filter(param => param !== undefined && param !== '')
+  );
+
+  const factor = KW_FACTORS[powerUnit] || KW_FACTORS.W;
+  const stations = new Map();
+  rows.forEach(row => {
+    const key = row.NodeBaseStationName || '';
+    if (!stations.has(key)) stations.set(key, []);
+    const voltage = toReading(row.Voltage);
+    const current = toReading(row.Current);
+    const power = toReading(row.Power);
+    stations.get(key).push({
+      time: new Date(row.time),
+      voltage,
+      current,
+      // Without a Power channel the load is estimated from voltage and current
+      kw: power !== null ? power * factor : (voltage !== null && current !== null ? (voltage * current) / 1000 : null)
+    });
+  });
+  return stations;
+}
+
+// Run hours between the hour-meter reading and `until`, advancing the cached
+// running total a chunk at a time. Each chunk also reads one gap's worth of
+// telemetry either side of it, so runs crossing its edges are counted as in
+// a single pass.
+async function runHoursSinceMeter(db, profile, settings, { nodeName, baseStation, meterAt, until, maxGapMinutes }) {
+  const key = JSON.stringify([nodeName, baseStation || null, meterAt.getTime(), settings.runVoltage, settings.runCurrent, maxGapMinutes]);
+  const cached = runningTotals.get(key);
+  let total = cached && cached.through <= until ? cached : { through: meterAt, hours: 0 };
+  const maxGap = maxGapMinutes * MINUTE;
+
+  while (total.through < until) {
+    const from = total.through;
+    const to = new Date(Math.min(from.getTime() + HISTORY_CHUNK, until));
+    const lookahead = new Date(to.getTime() + maxGap);
+    const stations = await loadSamples(db, profile, { nodeName, baseStation, from: new Date(from.getTime() - maxGap), to: lookahead });
+
+    let hours = 0;
+    stations.forEach(samples => {
+      hours += hoursWithin(detectRuns(samples, settings, { startTime: from, endTime: lookahead, maxGapMinutes }), from, to);
+    });
+    total = { through: to, hours: total.hours + hours };
+  }
+
+  if (!cached || total.through > cached.through) runningTotals.set(key, total);
+  return total.hours;
+}
+
+// Run events, run hours, fuel and service status for a generator over a
+// period. Returns null for nodes that are not generators.
+async function getGensetReport(db, { nodeName, baseStation, startTime, endTime, now = new Date() }) {
+  if (!isGenset(nodeName)) return null;
+
+  const settings = getGensetSettings(nodeName);
+  const { maxGapMinutes } = getAvailabilitySettings(nodeName);
+  const profile = getNodeProfile(nodeName);
+
+  // Readings from one gap before the period give the engine's state at its start
+  const stations = await loadSamples(db, profile, {
+    nodeName,
+    baseStation,
+    from: new Date(startTime.getTime() - maxGapMinutes * MINUTE),
+    to: endTime
+  });
+
+  const runs = [];
+  stations.forEach((samples, station) => {
+    runs.push(...detectRuns(samples, settings, { startTime, endTime, maxGapMinutes, now })
+      .map(run => ({ ...run, baseStation: station || null })));
+  });
+  runs.sort((a, b) => a.start - b.start);
+
+  // Cumulative hours: the meter reading, the running total up to the
+  // period and the running time in the period after the reading
+  const meterAt = settings.hourMeter && settings.hourMeter.at ? new Date(settings.hourMeter.at) : null;
+  const meterHours = settings.hourMeter ? Number(settings.hourMeter.hours) : NaN;
+  const hasMeter = meterAt && !isNaN(meterAt.getTime()) && Number.isFinite(meterHours) && meterAt <= endTime;
+  let totalRunHours = null;
+  if (hasMeter) {
+    const before = meterAt < startTime
+      ? await runHoursSinceMeter(db, profile, settings, { nodeName, baseStation, meterAt, until: startTime, maxGapMinutes })
+      : 0;
+    totalRunHours = round(meterHours + before + hoursWithin(runs, Math.max(meterAt, startTime), endTime), 1);
+  }
+
+  return {
+    nodeName,
+    baseStation: baseStation || null,
+    start: startTime,
+    end: endTime,
+    settings: {
+      runVoltage: settings.runVoltage,
+      runCurrent: settings.runCurrent,
+      ratedKw: settings.ratedKw,
+      fuelCurve: settings.fuelCurve,
+      maxGapMinutes
+    },
+    ...summarizeRuns(runs),
+    totalRunHours,
+    totalSince: hasMeter ? meterAt : null,
+    service: serviceStatus(totalRunHours, settings),
+    runs
+  };
+}
+
+function formatHours(hours) {
+  return `${hours.toFixed(1)} h`;
+}
+
+// Narration paragraph for a generator report
+function buildGensetNarration(genset) {
+  if (!genset) return '';
+
+  let text = genset.runCount === 0
+    ? 'The generator did not run in this period.'
+    : `The generator ran ${genset.runCount} time${genset.runCount === 1 ? '' : 's'} for ${formatHours(genset.runHours)} ` +
+      `at an average load of ${genset.averageLoadPercent !== null ? `${genset.averageLoadPercent}%` : 'an unknown level'}, ` +
+      `burning an estimated ${genset.fuelLitres.toFixed(1)} L of fuel.`;
+  if (genset.totalRunHours !== null) {
+    text += ` Run hours now total ${formatHours(genset.totalRunHours)}.`;
+  }
+
+  const { service } = genset;
+  if (service && service.status === 'overdue') {
+    text += ` The ${service.intervalHours} h service was due at ${service.dueAtRunHours} h and is overdue by ${formatHours(-service.hoursRemaining)}.`;
+  } else if (service) {
+    text += ` The next ${service.intervalHours} h service is due at ${service.dueAtRunHours} h, in ${formatHours(service.hoursRemaining)} of running.`;
+  }
+
+  const status = service && service.status !== 'ok' ? ` — ${service.status === 'overdue' ? '🛑 Service overdue' : '⚠️ Service due soon'}` : '';
+  return `<h4>Generator Runs${status}</h4>\n<p>${text}</p>\n`;
+}
+
+module.exports = {
+  RF_METRICS,
+  OUTPUT_METRICS,
+  loadGensetSettings,
+  isGenset,
+  getGensetSettings,
+  fuelRate,
+  runningStates,
+  runningCondition,
+  detectRuns,
+  serviceStatus,
+  getGensetReport,
+  buildGensetNarration
+};
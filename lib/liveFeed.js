@@ -0,0 +1,151 @@
+const { escapeId } = require('mysql2');
+const { getNodeProfile, buildMetricSelect } = require('./channelProfiles');
+const { ID_COLUMN } = require('./telemetry');
+const { formatIso, isoReplacer } = require('./timezone');
+
+// Live telemetry over Server-Sent Events. Each connection polls
+// node_status_table for rows after the last one it sent and pushes them as
+// `telemetry` events. The position is the last row's timestamp and id, so
+// readings sharing a timestamp are neither skipped when a poll stops
+// between them nor missed when they are inserted late. The event id carries
+// both ('<timestamp>#<id>') so a browser that reconnects resumes where it
+// left off (Last-Event-ID); a plain timestamp resumes after every reading at
+// that time.
+const POLL_INTERVAL_MS = Number(process.env.LIVE_POLL_INTERVAL_MS || 5000);
+const HEARTBEAT_INTERVAL_MS = 15000;
+const MAX_ROWS_PER_POLL = 500;
+
+async function getLatestTime(db, { nodeName, baseStation }) {
+  const [rows] = await db.query(
+    `SELECT MAX(time) as latest FROM node_status_table
+     WHERE NodeName = ? ${baseStation ? 'AND NodeBaseStationName = ?' : ''}`,
+    [nodeName, baseStation].filter(Boolean)
+  );
+  return rows[0].latest ? new Date(rows[0].latest) : new Date();
+}
+
+// A position from `since` or Last-Event-ID: { time, id }, where a null id
+// means after every row at `time`. Null when unparseable.
+function parsePosition(text) {
+  const match = /^(.+?)(?:#(\d+))?$/.exec(text || '');
+  const time = match && new Date(match[1]);
+  if (!time || isNaN(time.getTime())) return null;
+  return { time, id: match[2] === undefined ? null : Number(match[2]) };
+}
+
+function formatPosition({ time, id }) {
+  return `${formatIso(time)}#${id}`;
+}
+
+// Position of the newest row between two times, for a client that loaded
+// that window to open the feed from. Null when the window has no rows.
+async function getLastPosition(db, { nodeName, baseStation, startTime, endTime }) {
+  const id = escapeId(ID_COLUMN);
+  const [rows] = await db.query(
+    `SELECT time, ${id} as RowId FROM node_status_table
+     WHERE NodeName = ? AND time >= ? AND time <= ?
+     ${baseStation ? 'AND NodeBaseStationName = ?' : ''}
+     ORDER BY time DESC, ${id} DESC
+     LIMIT 1`,
+    [nodeName, startTime, endTime, ...(baseStation ? [baseStation] : [])]
+  );
+  return rows.length ? formatPosition({ time: new Date(rows[0].time), id: Number(rows[0].RowId) }) : null;
+}
+
+// Rows after `position`, oldest first, with their id as RowId
+async function fetchRowsAfter(db, profile, { nodeName, baseStation, position }) {
+  const id = escapeId(ID_COLUMN);
+  const after = position.id === null
+    ? { condition: 'time > ?', params: [position.time] }
+    : { condition: `(time > ? OR (time = ? AND ${id} > ?))`, params: [position.time, position.time, position.id] };
+
+  const [rows] = await db.query(
+    `SELECT
+       ${id} as RowId,
+       NodeName,
+       NodeBaseStationName,
+       time as Timestamp,
+       ${buildMetricSelect(profile)}
+     FROM node_status_table
+     WHERE NodeName = ?
+     AND ${after.condition}
+     ${baseStation ? 'AND NodeBaseStationName = ?' : ''}
+     ORDER BY time ASC, ${id} ASC
+     LIMIT ${MAX_ROWS_PER_POLL}`,
+    [nodeName, ...after.params, ...(baseStation ? [baseStation] : [])]
+  );
+  return rows;
+}
+
+function sendEvent(res, event, data, id) {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data, isoReplacer)}\n\n`);
+}
+
+// Start streaming to an Express response. Resolves once the stream is open;
+// polling stops when the client disconnects.
+async function openLiveFeed(db, req, res, { nodeName, baseStation, since }) {
+  const profile = getNodeProfile(nodeName);
+  let position = parsePosition(since) || { time: await getLatestTime(db, { nodeName, baseStation }), id: null };
+  let polling = false;
+  let closed = false;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${POLL_INTERVAL_MS}\n\n`);
+  sendEvent(res, 'ready', { nodeName, baseStation: baseStation || null, since: position.time, pollIntervalMs: POLL_INTERVAL_MS });
+
+  const poll = async () => {
+    if (polling || closed) return;
+    polling = true;
+    let rows;
+    try {
+      rows = await fetchRowsAfter(db, profile, { nodeName, baseStation, position });
+    } catch (error) {
+      console.error(`Live feed poll failed for ${nodeName}:`, error);
+      if (!closed) sendEvent(res, 'feed-error', { error: 'Failed to poll telemetry' });
+      return;
+    } finally {
+      polling = false;
+    }
+
+    if (rows.length > 0 && !closed) {
+      const last = rows[rows.length - 1];
+      position = { time: new Date(last.Timestamp), id: Number(last.RowId) };
+      sendEvent(res, 'telemetry', rows.map(({ RowId, ...row }) => row), formatPosition(position));
+    }
+  };
+
+  const pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeatTimer = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  const stop = () => {
+    closed = true;
+    clearInterval(pollTimer);
+    clearInterval(heartbeatTimer);
+  };
+  res.on('close', stop);
+  // A failed write means the client is gone even if 'close' has not arrived
+  res.on('error', error => {
+    console.error(`Live feed for ${nodeName} stopped:`, error.message);
+    stop();
+  });
+
+  poll();
+}
+
+module.exports = {
+  POLL_INTERVAL_MS,
+  parsePosition,
+  formatPosition,
+  getLastPosition,
+  fetchRowsAfter,
+  openLiveFeed
+};
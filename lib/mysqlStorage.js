@@ -0,0 +1,71 @@
+const mysql = require('mysql2/promise');
+
+// MySQL storage: a mysql2 promise pool configured from DB_* environment
+// variables. DB_TIMEZONE is the zone the DATETIME values in
+// node_status_table were written in, e.g. '+03:00'.
+// Rows of a query as an object-mode stream. The query pauses its connection
+// whenever the stream is full, and a destroyed stream never drains, so a
+// stream destroyed before the last row (a cancelled download) closes the
+// connection instead of leaving it paused; the pool then replaces it.
+function streamQuery(query) {
+  let finished = false;
+  query.once('end', () => {
+    finished = true;
+  });
+
+  const stream = query.stream({ highWaterMark: 500 });
+  stream._destroy = (error, callback) => {
+    if (!finished) {
+      const close = () => query._connection.destroy();
+      if (query._connection) {
+        close();
+      } else {
+        // Still waiting for a pool connection
+        query.once('fields', close);
+      }
+    }
+    callback(error);
+  };
+  return stream;
+}
+
+function createMysqlStorage() {
+  const timezone = process.env.DB_TIMEZONE || 'local';
+  const pool = mysql.createPool({
+    host: process.env.DB_HOST || 'localhost',
+    port: process.env.DB_PORT || 3306,  // Separate port for MySQL
+    user: process.env.DB_USER || 'john',
+    password: process.env.DB_PASSWORD || 'password',
+    database: process.env.DB_NAME || 'horiserverlive',
+    waitForConnections: true,
+    connectionLimit: 10,
+    queueLimit: 0,
+    connectTimeout: 20000, // 20 second timeout
+    acquireTimeout: 20000,
+    enableKeepAlive: true,
+    keepAliveInitialDelay: 10000,
+    timezone
+  });
+
+  // Keep MySQL's own date functions (used for bucketing) in the same zone
+  if (timezone !== 'local') {
+    const sessionZone = timezone === 'Z' ? '+00:00' : timezone;
+    pool.pool.on('connection', connection => {
+      connection.query('SET time_zone = ?', [sessionZone]);
+    });
+  }
+
+  return {
+    driver: 'mysql',
+    query: (sql, params) => pool.query(sql, params),
+    getConnection: () => pool.getConnection(),
+    // The callback pool underneath the promise wrapper is the one that
+    // supports streaming
+    stream: (sql, params) => streamQuery(pool.pool.query(sql, params)),
+    end: () => pool.end()
+  };
+}
+
+module.exports = {
+  createMysqlStorage
+};
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+
+// Registry file with display metadata for each node. Nodes that report into
+// node_status_table but are missing here are still listed with defaults.
+const REGISTRY_FILE = process.env.NODE_REGISTRY_FILE ||
+  path.join(__dirname, '..', 'config', 'nodes.json');
+
+// Read the registry from disk on every call so that commissioning a site only
+// needs a config edit, not a restart
+function loadRegistry() {
+  try {
+    const entries = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf8'));
+    if (!Array.isArray(entries)) {
+      throw new Error('Node registry must be an array');
+    }
+    return entries.reduce((acc, entry) => {
+      if (entry && entry.nodeName) {
+        acc[entry.nodeName] = entry;
+      }
+      return acc;
+    }, {});
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Failed to load node registry from ${REGISTRY_FILE}:`, error.message);
+    }
+    return {};
+  }
+}
+
+// Merge a node name from the database with its registry entry
+function describeNode(nodeName, registry = loadRegistry()) {
+  const entry = registry[nodeName] || {};
+  return {
+    nodeName,
+    displayName: entry.displayName || nodeName,
+    siteType: entry.siteType || 'unknown',
+    channelProfile: entry.channelProfile || null,
+    location: entry.location || null,
+    active: entry.active !== false,
+    registered: !!registry[nodeName]
+  };
+}
+
+// List every node that has telemetry, enriched with registry metadata
+async function listNodes(db, { includeInactive = false } = {}) {
+  const [rows] = await db.query(
+    'SELECT DISTINCT NodeName FROM node_status_table ORDER BY NodeName'
+  );
+  const registry = loadRegistry();
+
+  return rows
+    .map(row => describeNode(row.NodeName, registry))
+    .filter(node => includeInactive || node.active);
+}
+
+// Names of the nodes that should appear in reports and selectors
+async function listActiveNodeNames(db) {
+  const nodes = await listNodes(db);
+  return nodes.map(node => node.nodeName);
+}
+
+module.exports = {
+  loadRegistry,
+  describeNode,
+  listNodes,
+  listActiveNodeNames
+};
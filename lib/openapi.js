@@ -0,0 +1,914 @@
+const { version } = require('../package.json');
+const { RESOLUTIONS } = require('./aggregation');
+const { INTERVALS } = require('./energy');
+const { EXPORT_FORMATS } = require('./exporter');
+const { MAX_LIMIT } = require('./dataTable');
+const { FREQUENCIES } = require('./scheduler');
+const { MAX_BATCH_SERIES } = require('./fleet');
+const { ROLLING_PERIODS, COMPARISON_MODES } = require('./timeRange');
+
+// OpenAPI 3 description of every route, served at /api/docs. The server
+// validates requests against it (lib/requestValidation.js) and the contract
+// tests check responses against it, so a route change that is not reflected
+// here fails one or the other.
+const ROLLING = Object.keys(ROLLING_PERIODS);
+const RESOLUTION_VALUES = ['raw', 'auto', ...Object.keys(RESOLUTIONS)];
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const param = name => ({ $ref: `#/components/parameters/${name}` });
+const json = schema => ({ 'application/json': { schema } });
+const nullable = schema => ({ ...schema, nullable: true });
+const arrayOf = items => ({ type: 'array', items });
+
+const response = (description, schema) => ({ description, content: json(schema) });
+
+const ERROR_RESPONSES = {
+  400: response('The request does not match this document', ref('ValidationError')),
+  404: response('The node (or other resource) was not found', ref('Error')),
+  500: response('The server or database failed', ref('Error'))
+};
+
+// Standard responses of an operation: 200 plus the given error statuses
+function responses(ok, ...statuses) {
+  return statuses.reduce((acc, status) => {
+    acc[status] = ERROR_RESPONSES[status];
+    return acc;
+  }, { 200: ok });
+}
+
+// GET /api/nodes/{nodeName}/<report> over a reporting period
+function nodeReport(summary, description, schema, extraParameters = [], statuses = [400, 404, 500]) {
+  return {
+    get: {
+      tags: ['Reports'],
+      summary,
+      description,
+      parameters: [param('NodeName'), param('BaseStation'), param('Period'), ...extraParameters],
+      responses: responses(response(summary, schema), ...statuses)
+    }
+  };
+}
+
+const queryNumber = (name, description, schema = { type: 'number', minimum: 0 }) => ({
+  name,
+  in: 'query',
+  description,
+  schema
+});
+
+// Fields every per-node report payload starts with
+const REPORT_FIELDS = {
+  period: { type: 'string' },
+  nodeName: { type: 'string' },
+  baseStation: nullable({ type: 'string' }),
+  start: ref('Timestamp'),
+  end: ref('Timestamp')
+};
+const reportSchema = (properties, required = []) => ({
+  type: 'object',
+  required: ['period', 'nodeName', 'start', 'end', ...required],
+  properties: { ...REPORT_FIELDS, ...properties }
+});
+
+const schemas = {
+  Timestamp: {
+    type: 'string',
+    description: 'ISO 8601 with the reporting time zone offset',
+    pattern: '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}(\\.\\d+)?([+-]\\d{2}:\\d{2}|Z)$',
+    patternDescription: 'must be an ISO 8601 timestamp'
+  },
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      message: { type: 'string' },
+      details: { description: 'More about the error; its shape depends on the route' }
+    }
+  },
+  ValidationError: {
+    type: 'object',
+    required: ['error', 'details'],
+    properties: {
+      error: { type: 'string' },
+      details: arrayOf({ type: 'string' })
+    }
+  },
+  Health: {
+    type: 'object',
+    required: ['status', 'dbConnected', 'cache'],
+    properties: {
+      status: { type: 'string', enum: ['ok'] },
+      dbConnected: { type: 'boolean' },
+      cache: { type: 'object', description: 'Hit/miss, eviction and size statistics per query cache' }
+    }
+  },
+  Settings: {
+    type: 'object',
+    required: ['timezone', 'utcOffset'],
+    properties: {
+      timezone: { type: 'string' },
+      utcOffset: { type: 'string', pattern: '^[+-]\\d{2}:\\d{2}$' }
+    }
+  },
+  Node: {
+    type: 'object',
+    required: ['nodeName', 'displayName', 'siteType', 'active', 'registered'],
+    properties: {
+      nodeName: { type: 'string' },
+      displayName: { type: 'string' },
+      siteType: { type: 'string' },
+      channelProfile: nullable({ type: 'string' }),
+      location: nullable({ type: 'object' }),
+      active: { type: 'boolean' },
+      registered: { type: 'boolean' }
+    }
+  },
+  ChannelProfile: {
+    type: 'object',
+    required: ['name', 'nodeName', 'channels', 'derived', 'metrics'],
+    properties: {
+      name: { type: 'string' },
+      nodeName: { type: 'string' },
+      description: { type: 'string' },
+      channels: arrayOf({
+        type: 'object',
+        required: ['column', 'metric', 'unit', 'scale', 'offset'],
+        properties: {
+          column: { type: 'string' },
+          metric: { type: 'string' },
+          unit: { type: 'string' },
+          scale: { type: 'number' },
+          offset: { type: 'number' },
+          range: nullable(arrayOf({ type: 'number' }))
+        }
+      }),
+      derived: arrayOf({ type: 'string' }),
+      metrics: arrayOf({
+        type: 'object',
+        required: ['name', 'unit'],
+        properties: { name: { type: 'string' }, unit: { type: 'string' } }
+      })
+    }
+  },
+  DateRange: {
+    type: 'object',
+    required: ['minDate', 'maxDate'],
+    properties: {
+      minDate: nullable(ref('Timestamp')),
+      maxDate: nullable(ref('Timestamp'))
+    }
+  },
+  TelemetryRow: {
+    type: 'object',
+    description: 'One reading (or bucket) with a value per metric of the node, named after the metric',
+    required: ['NodeName', 'Timestamp'],
+    properties: {
+      NodeName: { type: 'string' },
+      NodeBaseStationName: nullable({ type: 'string' }),
+      Timestamp: ref('Timestamp'),
+      SampleCount: { type: 'integer', description: 'Bucketed rows: readings in the bucket' },
+      BaselineTimestamp: { ...ref('Timestamp'), description: 'Comparison baseline rows: when the reading was taken' },
+      min: { type: 'object', additionalProperties: nullable({ type: 'number' }) },
+      max: { type: 'object', additionalProperties: nullable({ type: 'number' }) }
+    },
+    additionalProperties: nullable({ type: 'number' })
+  },
+  TelemetryPage: {
+    type: 'object',
+    required: ['rows', 'total', 'limit', 'sort', 'order', 'nextCursor'],
+    properties: {
+      rows: arrayOf(ref('TelemetryRow')),
+      total: { type: 'integer' },
+      limit: { type: 'integer' },
+      sort: { type: 'string' },
+      order: { type: 'string', enum: ['asc', 'desc'] },
+      nextCursor: nullable({ type: 'string' })
+    }
+  },
+  SeriesEntry: {
+    description: 'must be a node name or a { nodeName, baseStation } object',
+    oneOf: [
+      { type: 'string', minLength: 1 },
+      {
+        type: 'object',
+        required: ['nodeName'],
+        properties: {
+          nodeName: { type: 'string', minLength: 1 },
+          baseStation: nullable({ type: 'string' })
+        }
+      }
+    ]
+  },
+  MeasurementRequest: {
+    type: 'object',
+    required: ['data'],
+    properties: {
+      data: { type: 'object', description: 'Column values of the new measurements row' }
+    }
+  },
+  MeasurementSaved: {
+    type: 'object',
+    required: ['success', 'id'],
+    properties: {
+      success: { type: 'boolean' },
+      id: { type: 'integer' }
+    }
+  },
+  BatchRequest: {
+    type: 'object',
+    required: ['series'],
+    properties: {
+      series: { ...arrayOf(ref('SeriesEntry')), minItems: 1, maxItems: MAX_BATCH_SERIES },
+      timePeriod: { type: 'string', enum: [...ROLLING, 'custom'] },
+      startDate: { type: 'string' },
+      endDate: { type: 'string' },
+      resolution: { type: 'string', enum: RESOLUTION_VALUES }
+    }
+  },
+  BatchResponse: {
+    type: 'object',
+    required: ['timePeriod', 'resolution', 'start', 'end', 'series'],
+    properties: {
+      timePeriod: { type: 'string' },
+      resolution: { type: 'string' },
+      start: ref('Timestamp'),
+      end: ref('Timestamp'),
+      series: arrayOf({
+        type: 'object',
+        required: ['nodeName', 'label', 'metrics', 'sampleCount', 'stats', 'availability', 'rows'],
+        properties: {
+          nodeName: { type: 'string' },
+          baseStation: nullable({ type: 'string' }),
+          displayName: { type: 'string' },
+          label: { type: 'string' },
+          metrics: arrayOf({ type: 'object' }),
+          sampleCount: { type: 'integer' },
+          stats: { type: 'object' },
+          availability: { type: 'object' },
+          rows: arrayOf(ref('TelemetryRow'))
+        }
+      })
+    }
+  },
+  AnalyzeRequest: {
+    type: 'object',
+    description: 'Either data to assess, or nodeName and period to assess the stored raw readings',
+    properties: {
+      nodeName: { type: 'string' },
+      baseStation: { type: 'string', minLength: 1 },
+      data: {
+        type: 'object',
+        description: 'Readings per metric name',
+        additionalProperties: arrayOf(nullable({ type: 'number' }))
+      },
+      timestamps: arrayOf({ type: 'string' }),
+      period: ref('PeriodKey'),
+      compare: { type: 'string', enum: COMPARISON_MODES }
+    }
+  },
+  Analysis: {
+    type: 'object',
+    required: ['narration', 'verdict', 'metrics'],
+    properties: {
+      narration: { type: 'string', description: 'HTML' },
+      verdict: {
+        type: 'object',
+        required: ['status', 'summary'],
+        properties: { status: { type: 'string' }, summary: { type: 'string' } }
+      },
+      anomalies: arrayOf({ type: 'object' }),
+      correlations: arrayOf({ type: 'object' }),
+      metrics: { type: 'object', additionalProperties: { type: 'object' } },
+      genset: nullable({ type: 'object' }),
+      comparison: { type: 'object' }
+    }
+  },
+  PeriodKey: {
+    type: 'string',
+    pattern: `^(${ROLLING.join('|')}|custom:.+\\.\\..+)$`,
+    patternDescription: `must be ${ROLLING.join(', ')} or custom:<startDate>..<endDate>`
+  },
+  // Rolling periods cover different readings every time they are opened, so
+  // narrations are only saved for custom date ranges
+  NarrationPeriodKey: {
+    type: 'string',
+    pattern: '^custom:.+\\.\\..+$',
+    patternDescription: 'must be custom:<startDate>..<endDate>; narrations are not saved for rolling periods'
+  },
+  ThresholdRule: {
+    type: 'object',
+    properties: {
+      statistic: { type: 'string' },
+      low: { type: 'object' },
+      high: { type: 'object' },
+      whileRunning: { type: 'boolean', description: 'Judge only the readings taken while a generator runs' }
+    }
+  },
+  ThresholdRules: {
+    type: 'object',
+    properties: {
+      defaults: { type: 'object', additionalProperties: ref('ThresholdRule') },
+      nodes: {
+        type: 'object',
+        additionalProperties: { type: 'object', additionalProperties: nullable(ref('ThresholdRule')) }
+      }
+    }
+  },
+  MetricThresholds: {
+    type: 'object',
+    description: 'Effective rule per metric',
+    additionalProperties: ref('ThresholdRule')
+  },
+  Narration: {
+    type: 'object',
+    required: ['nodeName', 'baseStation', 'period', 'narration', 'version'],
+    properties: {
+      nodeName: { type: 'string' },
+      baseStation: { type: 'string' },
+      period: { type: 'string' },
+      narration: { type: 'string' },
+      version: { type: 'integer' },
+      updatedBy: nullable({ type: 'string' }),
+      updatedAt: ref('Timestamp')
+    }
+  },
+  NarrationInput: {
+    type: 'object',
+    required: ['period', 'narration'],
+    properties: {
+      baseStation: { type: 'string' },
+      period: ref('NarrationPeriodKey'),
+      narration: { type: 'string' },
+      baseVersion: nullable({ type: 'integer', minimum: 0 }),
+      author: nullable({ type: 'string' })
+    }
+  },
+  NarrationVersion: {
+    type: 'object',
+    required: ['version'],
+    properties: {
+      nodeName: { type: 'string' },
+      baseStation: { type: 'string' },
+      period: { type: 'string' },
+      version: { type: 'integer' },
+      narration: { type: 'string' },
+      savedBy: nullable({ type: 'string' }),
+      savedAt: ref('Timestamp')
+    }
+  },
+  NarrationConflict: {
+    type: 'object',
+    required: ['error', 'current'],
+    properties: {
+      error: { type: 'string' },
+      current: ref('Narration')
+    }
+  },
+  ScheduleInput: {
+    type: 'object',
+    required: ['name', 'frequency', 'nodes'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      frequency: { type: 'string', enum: FREQUENCIES },
+      nodes: { ...arrayOf({ type: 'string', minLength: 1 }), minItems: 1 },
+      baseStation: nullable({ type: 'string' }),
+      runAt: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', patternDescription: 'must be a time in HH:mm format' },
+      dayOfWeek: nullable({ type: 'integer', minimum: 0, maximum: 6 }),
+      dayOfMonth: nullable({ type: 'integer', minimum: 1, maximum: 28 }),
+      enabled: { type: 'boolean' }
+    }
+  },
+  Schedule: {
+    type: 'object',
+    required: ['id', 'name', 'frequency', 'nodes', 'enabled', 'nextRunAt'],
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      frequency: { type: 'string', enum: FREQUENCIES },
+      nodes: arrayOf({ type: 'string' }),
+      baseStation: nullable({ type: 'string' }),
+      runAt: { type: 'string' },
+      dayOfWeek: nullable({ type: 'integer' }),
+      dayOfMonth: nullable({ type: 'integer' }),
+      enabled: { type: 'boolean' },
+      nextRunAt: nullable(ref('Timestamp')),
+      createdAt: ref('Timestamp'),
+      updatedAt: ref('Timestamp')
+    }
+  },
+  ScheduleRun: {
+    type: 'object',
+    required: ['id', 'scheduleId', 'startedAt', 'status'],
+    properties: {
+      id: { type: 'integer' },
+      scheduleId: { type: 'integer' },
+      startedAt: ref('Timestamp'),
+      finishedAt: nullable(ref('Timestamp')),
+      status: { type: 'string', enum: ['running', 'success', 'failed'] },
+      period: nullable({ type: 'string' }),
+      outputFile: nullable({ type: 'string' }),
+      error: nullable({ type: 'string' })
+    }
+  },
+  Availability: reportSchema({
+    availability: nullable({ type: 'number' }),
+    downtimeMinutes: { type: 'number' },
+    outageCount: { type: 'integer' },
+    outages: arrayOf({
+      type: 'object',
+      required: ['start', 'end'],
+      properties: { start: ref('Timestamp'), end: ref('Timestamp'), durationMinutes: { type: 'number' }, cause: { type: 'string' } }
+    })
+  }, ['availability', 'outages']),
+  Energy: reportSchema({
+    interval: { type: 'string', enum: INTERVALS },
+    tariff: nullable({ type: 'object' }),
+    intervals: arrayOf({ type: 'object' })
+  }, ['interval']),
+  Genset: reportSchema({
+    settings: { type: 'object' },
+    totalRunHours: nullable({ type: 'number', description: 'Null without an hourMeter reading at or before the end of the period' }),
+    service: nullable({ type: 'object' }),
+    runs: arrayOf({ type: 'object' })
+  }, ['settings']),
+  DataQuality: reportSchema({
+    status: { type: 'string', enum: ['good', 'degraded', 'poor'] },
+    expectedSamples: { type: 'integer' },
+    actualSamples: { type: 'integer' },
+    completeness: nullable({ type: 'number' }),
+    gaps: arrayOf({ type: 'object' }),
+    metrics: arrayOf({ type: 'object', required: ['metric', 'issues'] }),
+    issues: arrayOf({ type: 'string' })
+  }, ['status', 'gaps', 'metrics', 'issues']),
+  Anomalies: reportSchema({
+    sampleCount: { type: 'integer' },
+    metrics: { type: 'object' },
+    significant: arrayOf({ type: 'object' })
+  }, ['sampleCount', 'metrics', 'significant']),
+  Trends: reportSchema({
+    resolution: { type: 'string' },
+    metrics: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['direction'],
+        properties: {
+          unit: { type: 'string' },
+          direction: { type: 'string' },
+          slopePerDay: nullable({ type: 'number' }),
+          r2: nullable({ type: 'number' }),
+          confidence: nullable({ type: 'string' }),
+          crossing: nullable({ type: 'object' }),
+          forecast: nullable(arrayOf({ type: 'object' })),
+          summary: { type: 'string' }
+        }
+      }
+    }
+  }, ['resolution', 'metrics']),
+  Correlations: reportSchema({
+    sampleCount: { type: 'integer' },
+    metrics: arrayOf({ type: 'string' }),
+    pairs: arrayOf({ type: 'object' }),
+    strong: arrayOf({ type: 'object' }),
+    scatter: nullable({ type: 'object' })
+  }, ['sampleCount', 'pairs', 'strong']),
+  Comparison: {
+    type: 'object',
+    required: ['period', 'compare', 'current', 'baseline', 'resolution', 'rows'],
+    properties: {
+      period: { type: 'string' },
+      compare: { type: 'string', enum: COMPARISON_MODES },
+      label: { type: 'string' },
+      current: { type: 'object' },
+      baseline: { type: 'object' },
+      offsetMs: { type: 'number' },
+      summary: arrayOf({ type: 'string' }),
+      resolution: { type: 'string' },
+      rows: arrayOf(ref('TelemetryRow'))
+    }
+  }
+};
+
+const parameters = {
+  NodeName: {
+    name: 'nodeName',
+    in: 'path',
+    required: true,
+    schema: { type: 'string', minLength: 1 }
+  },
+  BaseStation: {
+    name: 'baseStation',
+    in: 'query',
+    description: 'Only readings from this base station',
+    schema: { type: 'string' }
+  },
+  Period: {
+    name: 'period',
+    in: 'query',
+    description: 'Reporting period',
+    schema: { ...schemas.PeriodKey, default: '24h' }
+  },
+  RequiredPeriod: {
+    name: 'period',
+    in: 'query',
+    required: true,
+    description: 'Reporting period the report covers',
+    schema: ref('PeriodKey')
+  },
+  NarrationPeriod: {
+    name: 'period',
+    in: 'query',
+    required: true,
+    description: 'Custom date range the narration belongs to',
+    schema: ref('NarrationPeriodKey')
+  },
+  StartDate: {
+    name: 'startDate',
+    in: 'query',
+    description: 'First day (YYYY-MM-DD, reporting time zone) of a custom period',
+    schema: { type: 'string' }
+  },
+  EndDate: {
+    name: 'endDate',
+    in: 'query',
+    description: 'Last day (YYYY-MM-DD, reporting time zone) of a custom period',
+    schema: { type: 'string' }
+  },
+  Resolution: {
+    name: 'resolution',
+    in: 'query',
+    schema: { type: 'string', enum: RESOLUTION_VALUES }
+  },
+  ScheduleId: {
+    name: 'id',
+    in: 'path',
+    required: true,
+    schema: { type: 'integer', minimum: 1 }
+  },
+  NarrationBaseStation: {
+    name: 'baseStation',
+    in: 'query',
+    description: 'Base station the narration belongs to (empty for the whole node)',
+    schema: { type: 'string' }
+  }
+};
+
+const paths = {
+  '/api/health': {
+    get: {
+      tags: ['Service'],
+      summary: 'Server status and query cache statistics',
+      responses: { 200: response('Status', ref('Health')) }
+    }
+  },
+  '/api/settings': {
+    get: {
+      tags: ['Service'],
+      summary: 'Reporting time zone',
+      responses: { 200: response('Settings', ref('Settings')) }
+    }
+  },
+  '/api/docs': {
+    get: {
+      tags: ['Service'],
+      summary: 'This OpenAPI document',
+      responses: { 200: response('OpenAPI document', { type: 'object', required: ['openapi', 'paths'] }) }
+    }
+  },
+  '/api/nodes': {
+    get: {
+      tags: ['Nodes'],
+      summary: 'Nodes reporting into node_status_table, with registry metadata',
+      parameters: [{ name: 'includeInactive', in: 'query', schema: { type: 'boolean', default: false } }],
+      responses: responses(response('Nodes', arrayOf(ref('Node'))), 400, 500)
+    }
+  },
+  '/api/nodes/{nodeName}/profile': {
+    get: {
+      tags: ['Nodes'],
+      summary: 'Channel mapping and calibration profile of a node',
+      parameters: [param('NodeName')],
+      responses: responses(response('Profile', ref('ChannelProfile')), 500)
+    }
+  },
+  '/api/nodes/{nodeName}/availability': nodeReport(
+    'On-air availability and outages',
+    'Availability percentage and outage events (start, end, duration, cause) over the period',
+    ref('Availability'),
+    [
+      queryNumber('powerFloor', 'Power (W) below which the node counts as off air'),
+      queryNumber('maxGapMinutes', 'Logging gaps longer than this count as outages')
+    ]
+  ),
+  '/api/nodes/{nodeName}/energy': nodeReport(
+    'Energy, cost and efficiency',
+    'Energy drawn from the Power channel in kWh per interval, its cost under the node tariff and transmitter efficiency',
+    ref('Energy'),
+    [{ name: 'interval', in: 'query', schema: { type: 'string', enum: ['auto', ...INTERVALS], default: 'auto' } }]
+  ),
+  '/api/nodes/{nodeName}/genset': nodeReport(
+    'Generator run hours, fuel and service status',
+    'Run events, run hours and estimated fuel for a generator node; 400 for other nodes',
+    ref('Genset')
+  ),
+  '/api/nodes/{nodeName}/data-quality': nodeReport(
+    'Data quality',
+    'Expected vs received samples, logging gaps, duplicates, stuck sensors and out-of-range readings',
+    ref('DataQuality'),
+    [
+      queryNumber('expectedIntervalSeconds', 'Seconds between readings the logger is set to', { type: 'number', minimum: 1 }),
+      queryNumber('gapMinutes', 'Silence longer than this is a gap'),
+      queryNumber('stuckMinutes', 'An unchanged reading for longer than this is a stuck sensor')
+    ]
+  ),
+  '/api/nodes/{nodeName}/anomalies': nodeReport(
+    'Statistical anomalies',
+    'Anomalous readings per metric and the intervals they form, plus the most significant intervals',
+    ref('Anomalies')
+  ),
+  '/api/nodes/{nodeName}/trends': nodeReport(
+    'Trends and threshold forecasts',
+    'Least-squares trend per metric with the projected threshold crossing',
+    ref('Trends')
+  ),
+  '/api/nodes/{nodeName}/correlations': nodeReport(
+    'Correlations between metrics',
+    'Pearson and Spearman matrices; x and y (metric names) add scatter points for that pair',
+    ref('Correlations'),
+    [
+      { name: 'x', in: 'query', schema: { type: 'string' } },
+      { name: 'y', in: 'query', schema: { type: 'string' } }
+    ]
+  ),
+  '/api/nodes/{nodeName}/comparison': nodeReport(
+    'The period against a baseline',
+    'Availability and per-metric deltas against the previous period or the same dates a year earlier, with the baseline rows shifted onto the current period',
+    ref('Comparison'),
+    [
+      { name: 'compare', in: 'query', required: true, schema: { type: 'string', enum: COMPARISON_MODES } },
+      param('Resolution')
+    ]
+  ),
+  '/api/live/{nodeName}': {
+    get: {
+      tags: ['Telemetry'],
+      summary: 'Server-Sent Events stream of new telemetry rows',
+      parameters: [
+        param('NodeName'),
+        param('BaseStation'),
+        { name: 'since', in: 'query', description: 'Newest timestamp the client already has', schema: { type: 'string' } },
+        { name: 'Last-Event-ID', in: 'header', description: 'Id of the last event received (<timestamp>#<id>); replaces since on reconnect', schema: { type: 'string' } }
+      ],
+      responses: {
+        200: {
+          description: '`telemetry` events, each carrying an array of rows',
+          content: { 'text/event-stream': { schema: { type: 'string' } } }
+        },
+        400: ERROR_RESPONSES[400],
+        404: ERROR_RESPONSES[404],
+        500: ERROR_RESPONSES[500]
+      }
+    }
+  },
+  '/api/date-range': {
+    get: {
+      tags: ['Telemetry'],
+      summary: 'First and last reading of a node, or of every active node',
+      parameters: [{ name: 'nodeName', in: 'query', schema: { type: 'string' } }],
+      responses: responses(response('Date range', ref('DateRange')), 404, 500)
+    }
+  },
+  '/api/base-stations/{nodeName}': {
+    get: {
+      tags: ['Nodes'],
+      summary: 'Base stations a node reports through',
+      parameters: [param('NodeName')],
+      responses: responses(response('Base station names', arrayOf(nullable({ type: 'string' }))), 404, 500)
+    }
+  },
+  '/api/data': {
+    post: {
+      tags: ['Telemetry'],
+      summary: 'Insert one row into the measurements table',
+      requestBody: { required: true, content: json(ref('MeasurementRequest')) },
+      responses: responses(response('The new row', ref('MeasurementSaved')), 400, 500)
+    }
+  },
+  '/api/data/batch': {
+    post: {
+      tags: ['Telemetry'],
+      summary: 'Telemetry, statistics and availability for several series on a common time axis',
+      requestBody: { required: true, content: json(ref('BatchRequest')) },
+      responses: responses(response('Series', ref('BatchResponse')), 400, 404, 500)
+    }
+  },
+  '/api/data/{nodeName}/{timePeriod}': {
+    get: {
+      tags: ['Telemetry'],
+      summary: 'Telemetry for a node over a period',
+      description: 'Rows newest first. `format` downloads every raw row as CSV or XLSX instead; `limit` or `cursor` returns one sorted, filtered page of raw rows.',
+      parameters: [
+        param('NodeName'),
+        { name: 'timePeriod', in: 'path', required: true, schema: { type: 'string', enum: [...ROLLING, 'custom'] } },
+        param('BaseStation'),
+        param('StartDate'),
+        param('EndDate'),
+        param('Resolution'),
+        { name: 'format', in: 'query', schema: { type: 'string', enum: ['json', ...Object.keys(EXPORT_FORMATS)] } },
+        { name: 'limit', in: 'query', description: 'Page size', schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT } },
+        { name: 'cursor', in: 'query', description: 'nextCursor of the previous page', schema: { type: 'string' } },
+        { name: 'sort', in: 'query', description: 'Timestamp or a metric name', schema: { type: 'string' } },
+        { name: 'order', in: 'query', schema: { type: 'string', enum: ['asc', 'desc'] } },
+        {
+          name: 'filter',
+          in: 'query',
+          description: 'Conditions such as VSWR>1.5 (operators >, >=, <, <=, =, !=); repeat for several',
+          schema: arrayOf({ type: 'string' })
+        },
+        { name: 'breaches', in: 'query', description: 'Only readings at or beyond a warning level', schema: { type: 'boolean' } }
+      ],
+      responses: {
+        200: {
+          description: 'Rows, a page of rows, or the export file; the X-Resolution header gives the applied resolution and X-Live-Position the position of the newest raw row, to pass to /api/live as since',
+          content: {
+            'application/json': { schema: { oneOf: [arrayOf(ref('TelemetryRow')), ref('TelemetryPage')] } },
+            ...Object.values(EXPORT_FORMATS).reduce((acc, { contentType }) => {
+              acc[contentType.split(';')[0]] = { schema: { type: 'string', format: 'binary' } };
+              return acc;
+            }, {})
+          }
+        },
+        ...ERROR_RESPONSES
+      }
+    }
+  },
+  '/api/analyze': {
+    post: {
+      tags: ['Reports'],
+      summary: 'Assess metric series, or a node\'s stored readings over a period, against the threshold rules and narrate the result',
+      requestBody: { required: true, content: json(ref('AnalyzeRequest')) },
+      responses: responses(response('Assessment', ref('Analysis')), 400, 404, 500)
+    }
+  },
+  '/api/thresholds': {
+    get: {
+      tags: ['Thresholds'],
+      summary: 'The full threshold rule set',
+      responses: { 200: response('Rules', ref('ThresholdRules')) }
+    },
+    put: {
+      tags: ['Thresholds'],
+      summary: 'Replace the threshold rule set',
+      requestBody: { required: true, content: json(ref('ThresholdRules')) },
+      responses: responses(response('Saved rules', ref('ThresholdRules')), 400, 500)
+    }
+  },
+  '/api/thresholds/{nodeName}': {
+    get: {
+      tags: ['Thresholds'],
+      summary: 'Effective rules for one node',
+      parameters: [param('NodeName')],
+      responses: { 200: response('Rules', ref('MetricThresholds')) }
+    }
+  },
+  // Before /api/reports/{nodeName} so the .pdf suffix is not read as part of the name
+  '/api/reports/{nodeName}.pdf': {
+    get: {
+      tags: ['Reports'],
+      summary: 'The node report rendered to PDF',
+      parameters: [
+        param('NodeName'),
+        param('NarrationBaseStation'),
+        param('RequiredPeriod'),
+        { name: 'compare', in: 'query', schema: { type: 'string', enum: COMPARISON_MODES } }
+      ],
+      responses: {
+        200: { description: 'PDF', content: { 'application/pdf': { schema: { type: 'string', format: 'binary' } } } },
+        ...ERROR_RESPONSES
+      }
+    }
+  },
+  '/api/reports/{nodeName}': {
+    parameters: [param('NodeName')],
+    get: {
+      tags: ['Narrations'],
+      summary: 'Current saved narration',
+      parameters: [param('NarrationBaseStation'), param('NarrationPeriod')],
+      responses: responses(response('Narration', ref('Narration')), 400, 404, 500)
+    },
+    put: {
+      tags: ['Narrations'],
+      summary: 'Save a new narration version',
+      description: 'Responds 409 with the current narration if someone else saved since baseVersion',
+      requestBody: { required: true, content: json(ref('NarrationInput')) },
+      responses: {
+        ...responses(response('Saved narration', ref('Narration')), 400, 500),
+        409: response('Saved by someone else since baseVersion', ref('NarrationConflict'))
+      }
+    }
+  },
+  '/api/reports/{nodeName}/versions': {
+    get: {
+      tags: ['Narrations'],
+      summary: 'Narration history',
+      parameters: [param('NodeName'), param('NarrationBaseStation'), param('NarrationPeriod')],
+      responses: responses(response('Versions, newest first', arrayOf(ref('NarrationVersion'))), 400, 500)
+    }
+  },
+  '/api/reports/{nodeName}/versions/{version}': {
+    get: {
+      tags: ['Narrations'],
+      summary: 'One narration version',
+      parameters: [
+        param('NodeName'),
+        { name: 'version', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } },
+        param('NarrationBaseStation'),
+        param('NarrationPeriod')
+      ],
+      responses: responses(response('Version', ref('NarrationVersion')), 400, 404, 500)
+    }
+  },
+  '/api/schedules': {
+    get: {
+      tags: ['Schedules'],
+      summary: 'Scheduled report jobs',
+      responses: responses(response('Schedules', arrayOf(ref('Schedule'))), 500)
+    },
+    post: {
+      tags: ['Schedules'],
+      summary: 'Create a schedule',
+      requestBody: { required: true, content: json(ref('ScheduleInput')) },
+      responses: {
+        201: response('Created schedule', ref('Schedule')),
+        400: ERROR_RESPONSES[400],
+        500: ERROR_RESPONSES[500]
+      }
+    }
+  },
+  '/api/schedules/{id}': {
+    parameters: [param('ScheduleId')],
+    get: {
+      tags: ['Schedules'],
+      summary: 'One schedule',
+      responses: responses(response('Schedule', ref('Schedule')), 400, 404, 500)
+    },
+    put: {
+      tags: ['Schedules'],
+      summary: 'Replace a schedule',
+      requestBody: { required: true, content: json(ref('ScheduleInput')) },
+      responses: responses(response('Schedule', ref('Schedule')), 400, 404, 500)
+    },
+    delete: {
+      tags: ['Schedules'],
+      summary: 'Remove a schedule',
+      responses: {
+        204: { description: 'Removed' },
+        400: ERROR_RESPONSES[400],
+        404: ERROR_RESPONSES[404],
+        500: ERROR_RESPONSES[500]
+      }
+    }
+  },
+  '/api/schedules/{id}/runs': {
+    get: {
+      tags: ['Schedules'],
+      summary: 'Run history of a schedule, newest first',
+      parameters: [
+        param('ScheduleId'),
+        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 500, default: 50 } }
+      ],
+      responses: responses(response('Runs', arrayOf(ref('ScheduleRun'))), 400, 404, 500)
+    }
+  },
+  '/api/schedules/{id}/run': {
+    post: {
+      tags: ['Schedules'],
+      summary: 'Run a schedule now',
+      parameters: [param('ScheduleId')],
+      responses: {
+        200: response('Successful run', ref('ScheduleRun')),
+        400: ERROR_RESPONSES[400],
+        404: ERROR_RESPONSES[404],
+        500: response('Failed run, or the server failed', { anyOf: [ref('ScheduleRun'), ref('Error')] })
+      }
+    }
+  }
+};
+
+const openApiDocument = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Horizon Auto Reporting API',
+    version,
+    description: 'Telemetry, reports and report scheduling for broadcast transmitter and generator sites. ' +
+      'Timestamps are ISO 8601 in the reporting time zone. Requests that do not match this document are ' +
+      'answered with 400 and a ValidationError body listing each problem.'
+  },
+  paths,
+  components: { schemas, parameters }
+};
+
+module.exports = {
+  openApiDocument
+};
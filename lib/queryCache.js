@@ -0,0 +1,193 @@
+// In-process cache for telemetry queries. Two caches are kept:
+//
+// - lookups: whether a node or base station exists and a node's first and
+//   last reading, for QUERY_CACHE_LOOKUP_TTL_SECONDS (default 60)
+// - windows: the rows (and row counts) of a node over a period. A window
+//   that ended before the request is complete and kept for
+//   QUERY_CACHE_TTL_SECONDS (default 600); one that reaches "now" can still
+//   change, so it expires after QUERY_CACHE_LIVE_TTL_SECONDS (default 30).
+//
+// Least recently used entries are evicted beyond QUERY_CACHE_MAX_ENTRIES
+// windows (default 100) or QUERY_CACHE_MAX_ROWS cached rows (default
+// 500000). A TTL of 0 turns that kind of caching off.
+const SECOND = 1000;
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const SETTINGS = {
+  lookupTtlMs: envNumber('QUERY_CACHE_LOOKUP_TTL_SECONDS', 60) * SECOND,
+  windowTtlMs: envNumber('QUERY_CACHE_TTL_SECONDS', 600) * SECOND,
+  liveTtlMs: envNumber('QUERY_CACHE_LIVE_TTL_SECONDS', 30) * SECOND,
+  maxEntries: envNumber('QUERY_CACHE_MAX_ENTRIES', 100),
+  maxRows: envNumber('QUERY_CACHE_MAX_ROWS', 500000)
+};
+
+const caches = new Map();
+
+// A TTL cache with least-recently-used eviction. `weigh` gives an entry's
+// share of `maxWeight` (1 by default, so it is just an entry count).
+// Concurrent misses for the same key share a single load.
+function createCache(name, { ttlMs, maxEntries = Infinity, maxWeight = Infinity, weigh = () => 1 }) {
+  const entries = new Map();
+  const pending = new Map();
+  const stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+  let weight = 0;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    weight -= entry.weight;
+  };
+
+  function get(key, now = Date.now()) {
+    const entry = entries.get(key);
+    if (entry && entry.expires <= now) {
+      remove(key);
+      stats.expirations += 1;
+    } else if (entry) {
+      // Re-insert so the Map's order stays least recently used first
+      entries.delete(key);
+      entries.set(key, entry);
+      stats.hits += 1;
+      return entry.value;
+    }
+    stats.misses += 1;
+    return undefined;
+  }
+
+  function set(key, value, ttl = ttlMs) {
+    const size = weigh(value);
+    if (!(ttl > 0) || size > maxWeight) return value;
+
+    remove(key);
+    entries.set(key, { value, weight: size, expires: Date.now() + ttl });
+    weight += size;
+    while (entries.size > maxEntries || weight > maxWeight) {
+      remove(entries.keys().next().value);
+      stats.evictions += 1;
+    }
+    return value;
+  }
+
+  // The cached value for `key`, or the result of `load()` cached for `ttl`
+  async function wrap(key, load, ttl = ttlMs) {
+    const cached = get(key);
+    if (cached !== undefined) return cached;
+    if (pending.has(key)) return pending.get(key);
+
+    const loading = (async () => {
+      try {
+        return set(key, await load(), ttl);
+      } finally {
+        pending.delete(key);
+      }
+    })();
+    pending.set(key, loading);
+    return loading;
+  }
+
+  function clear() {
+    entries.clear();
+    weight = 0;
+  }
+
+  function getStats() {
+    const requests = stats.hits + stats.misses;
+    return {
+      ...stats,
+      hitRate: requests ? Math.round((stats.hits / requests) * 1000) / 1000 : null,
+      entries: entries.size,
+      weight,
+      ttlSeconds: ttlMs / SECOND
+    };
+  }
+
+  const cache = { get, set, wrap, clear, getStats };
+  caches.set(name, cache);
+  return cache;
+}
+
+const lookupCache = createCache('lookups', { ttlMs: SETTINGS.lookupTtlMs });
+const windowCache = createCache('windows', {
+  ttlMs: SETTINGS.windowTtlMs,
+  maxEntries: SETTINGS.maxEntries,
+  maxWeight: SETTINGS.maxRows,
+  weigh: value => (Array.isArray(value.rows) ? value.rows.length : 1)
+});
+
+async function nodeExists(db, nodeName) {
+  return lookupCache.wrap(`node|${nodeName}`, async () => {
+    const [rows] = await db.query('SELECT DISTINCT NodeName FROM node_status_table WHERE NodeName = ?', [nodeName]);
+    return rows.length > 0;
+  });
+}
+
+async function baseStationExists(db, nodeName, baseStation) {
+  return lookupCache.wrap(`station|${nodeName}|${baseStation}`, async () => {
+    const [rows] = await db.query(
+      'SELECT DISTINCT NodeBaseStationName FROM node_status_table WHERE NodeName = ? AND NodeBaseStationName = ?',
+      [nodeName, baseStation]
+    );
+    return rows.length > 0;
+  });
+}
+
+// First and last reading of a node ({ earliest, latest }, null when empty)
+async function getNodeDateRange(db, nodeName) {
+  return lookupCache.wrap(`range|${nodeName}`, async () => {
+    const [rows] = await db.query(
+      'SELECT MAX(time) as latest, MIN(time) as earliest FROM node_status_table WHERE NodeName = ?',
+      [nodeName]
+    );
+    return { earliest: rows[0].earliest, latest: rows[0].latest };
+  });
+}
+
+// Cache key for a query over a time window. Rolling periods ('24h', '7d',
+// '30d') are keyed by name so requests moments apart share an entry.
+function windowKey(kind, { nodeName, baseStation, timePeriod, startTime, endTime }, extra = []) {
+  const period = timePeriod === 'custom'
+    ? `${startTime.getTime()}..${endTime.getTime()}`
+    : timePeriod;
+  return [kind, nodeName, baseStation || '', period, ...extra].join('|');
+}
+
+function windowTtl(endTime, now = Date.now()) {
+  return endTime.getTime() < now ? SETTINGS.windowTtlMs : SETTINGS.liveTtlMs;
+}
+
+// Run `load` for a telemetry window through the window cache
+async function cachedWindow(kind, window, load, extra) {
+  return windowCache.wrap(windowKey(kind, window, extra), load, windowTtl(window.endTime));
+}
+
+function getCacheStats() {
+  const stats = {};
+  caches.forEach((cache, name) => {
+    stats[name] = cache.getStats();
+  });
+  return {
+    ...stats,
+    liveTtlSeconds: SETTINGS.liveTtlMs / SECOND,
+    maxEntries: SETTINGS.maxEntries,
+    maxRows: SETTINGS.maxRows
+  };
+}
+
+function clearQueryCaches() {
+  caches.forEach(cache => cache.clear());
+}
+
+module.exports = {
+  createCache,
+  nodeExists,
+  baseStationExists,
+  getNodeDateRange,
+  cachedWindow,
+  getCacheStats,
+  clearQueryCaches
+};
@@ -0,0 +1,147 @@
+const { describeNode } = require('./nodeRegistry');
+const { fetchTelemetry } = require('./telemetry');
+const { escapeHtml, generateAnalysis } = require('./analysis');
+const { getNodeThresholds } = require('./thresholds');
+const { getNodeAnomalySettings } = require('./anomalies');
+const { getAvailability } = require('./availability');
+const { getEnergy } = require('./energy');
+const { RF_METRICS, isGenset, getGensetSettings, runningStates, getGensetReport, buildGensetNarration } = require('./genset');
+const { getDataQuality } = require('./dataQuality');
+const { getNarration } = require('./reportStore');
+const { comparePeriods, fetchBaselineRows, buildComparisonNarration } = require('./comparison');
+const { parsePeriodKey, resolveTimeRange } = require('./timeRange');
+
+// Charts in generated reports are reduced to at most this many points
+const MAX_CHART_POINTS = 300;
+
+// Reduce a time-ordered series to min/avg/max buckets of roughly equal size
+function downsample(points, maxPoints = MAX_CHART_POINTS) {
+  if (points.length <= maxPoints) {
+    return points.map(point => ({ time: point.time, avg: point.value, min: point.value, max: point.value }));
+  }
+
+  const size = Math.ceil(points.length / maxPoints);
+  const buckets = [];
+  for (let i = 0; i < points.length; i += size) {
+    const slice = points.slice(i, i + size);
+    const values = slice.map(point => point.value);
+    buckets.push({
+      time: slice[0].time,
+      avg: values.reduce((a, b) => a + b, 0) / values.length,
+      min: Math.min(...values),
+      max: Math.max(...values)
+    });
+  }
+  return buckets;
+}
+
+// Assess a node's raw readings over a period against its threshold rules,
+// with trends, anomalies and correlations, as the report narration does.
+// Generators leave out the RF metrics and judge `whileRunning` rules on the
+// readings taken while the engine ran. `analysis` is null without readings.
+async function analyzeNodePeriod(db, { nodeName, baseStation = '', startTime, endTime }) {
+  const node = describeNode(nodeName);
+  const genset = isGenset(nodeName);
+
+  const { profile, rows } = await fetchTelemetry(db, { nodeName, baseStation, startTime, endTime, resolution: 'raw' });
+  const ordered = rows.slice().reverse();
+  const metrics = genset
+    ? profile.metrics.filter(metric => !RF_METRICS.includes(metric.name))
+    : profile.metrics;
+  const series = metrics.reduce((acc, metric) => {
+    acc[metric.name] = ordered.map(row => row[metric.name]);
+    return acc;
+  }, {});
+
+  const analysis = ordered.length > 0
+    ? generateAnalysis(baseStation || node.displayName, series, {
+      timestamps: ordered.map(row => new Date(row.Timestamp).toISOString()),
+      units: metrics.reduce((acc, metric) => ({ ...acc, [metric.name]: metric.unit }), {}),
+      thresholds: getNodeThresholds(nodeName),
+      anomalySettings: getNodeAnomalySettings(nodeName, metrics.map(metric => metric.name)),
+      title: genset ? 'Generator Analysis' : undefined,
+      running: genset ? runningStates(series, getGensetSettings(nodeName)) : null
+    })
+    : null;
+
+  return { metrics, rows: ordered, analysis };
+}
+
+// Gather everything a report needs for one node without a browser: the
+// telemetry series, threshold assessment, availability, energy use, data
+// quality and narration. A narration saved for the same custom date range
+// takes precedence over the automatic one; rolling periods ('24h', '7d',
+// '30d') cover different data every time, so they always get the automatic
+// narration rather than text written about an earlier window. With
+// `compare` ('previous' or 'year') each chart also gets the baseline period
+// as a ghost series and the automatic narration lists the deltas. Generators
+// get the genset template: no RF charts, plus run hours, fuel and service
+// status.
+async function buildNodeReport(db, { nodeName, baseStation = '', period, compare }) {
+  const { timePeriod, startDate, endDate } = parsePeriodKey(period);
+  const { startTime, endTime } = resolveTimeRange(timePeriod, { startDate, endDate });
+  const node = describeNode(nodeName);
+  const thresholds = getNodeThresholds(nodeName);
+  const reportType = isGenset(nodeName) ? 'genset' : 'rf';
+
+  const { metrics: charted, rows: ordered, analysis } = await analyzeNodePeriod(db, { nodeName, baseStation, startTime, endTime });
+
+  const comparison = compare
+    ? await comparePeriods(db, { nodeName, baseStation, timePeriod, startTime, endTime, compare })
+    : null;
+  const baselineRows = comparison
+    ? (await fetchBaselineRows(db, comparison, { nodeName, baseStation, resolution: 'raw' })).rows
+    : [];
+
+  const toPoints = (list, name) => list
+    .map(row => ({ time: new Date(row.Timestamp), value: row[name] === null ? NaN : Number(row[name]) }))
+    .filter(point => Number.isFinite(point.value));
+
+  const metrics = charted.map(metric => ({
+    name: metric.name,
+    unit: metric.unit,
+    rule: thresholds[metric.name] || null,
+    points: downsample(toPoints(ordered, metric.name)),
+    baseline: comparison ? downsample(toPoints(baselineRows, metric.name)) : null
+  }));
+
+  const label = baseStation || node.displayName;
+
+  const availability = await getAvailability(db, { nodeName, baseStation, startTime, endTime });
+  const energy = await getEnergy(db, { nodeName, baseStation, startTime, endTime });
+  const genset = await getGensetReport(db, { nodeName, baseStation, startTime, endTime });
+  const dataQuality = await getDataQuality(db, { nodeName, baseStation, startTime, endTime });
+  const saved = timePeriod === 'custom' ? await getNarration(db, { nodeName, baseStation, period }) : null;
+
+  return {
+    nodeName,
+    displayName: node.displayName,
+    siteType: node.siteType,
+    reportType,
+    baseStation,
+    period,
+    startTime,
+    endTime,
+    sampleCount: ordered.length,
+    metrics,
+    analysis,
+    availability,
+    energy,
+    genset,
+    dataQuality,
+    comparison,
+    narration: saved
+      ? saved.narration
+      : (analysis ? analysis.narration : `<p>No data available for ${escapeHtml(label)} in the selected period.</p>`) +
+        buildGensetNarration(genset) +
+        buildComparisonNarration(comparison),
+    narrationSource: saved ? `saved version ${saved.version}` : 'automatic'
+  };
+}
+
+module.exports = {
+  MAX_CHART_POINTS,
+  downsample,
+  analyzeNodePeriod,
+  buildNodeReport
+};
@@ -0,0 +1,351 @@
+const React = require('react');
+const { formatDuration } = require('./timeRange');
+const { REPORT_TIMEZONE, formatDateTime, formatDate } = require('./timezone');
+
+const h = React.createElement;
+
+const CHART_WIDTH = 515;
+const CHART_HEIGHT = 140;
+const CHART_COLORS = ['#1976d2', '#d32f2f', '#388e3c', '#f57c00', '#7b1fa2', '#0097a7', '#5d4037', '#455a64'];
+const THRESHOLD_COLORS = { warning: '#ed6c02', critical: '#d32f2f' };
+const BASELINE_COLOR = '#9e9e9e';
+
+const CAUSE_LABELS = {
+  'low-power': 'Forward power below floor',
+  'no-telemetry': 'No telemetry'
+};
+
+// @react-pdf/renderer is published as an ES module only
+let rendererPromise;
+function loadRenderer() {
+  if (!rendererPromise) {
+    rendererPromise = import('@react-pdf/renderer');
+  }
+  return rendererPromise;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Turn narration HTML (from the analysis engine or the Quill editor) into
+// heading/paragraph blocks. The built-in PDF fonts cannot draw emoji, so the
+// status icons are dropped.
+function htmlToBlocks(html) {
+  const blocks = [];
+  const pattern = /<(h[1-6]|p|li)[^>]*>([\s\S]*?)<\/\1>/gi;
+  let match;
+  while ((match = pattern.exec(html || '')) !== null) {
+    const text = decodeEntities(match[2].replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, ''))
+      .replace(/[☀-➿️]|[\uD83C-\uDBFF][\uDC00-\uDFFF]/g, '')
+      .trim();
+    if (!text) continue;
+    const tag = match[1].toLowerCase();
+    blocks.push({ type: tag.startsWith('h') ? 'heading' : tag === 'li' ? 'item' : 'paragraph', text });
+  }
+  return blocks;
+}
+
+function createStyles(StyleSheet) {
+  return StyleSheet.create({
+    page: { padding: 40, fontSize: 10, fontFamily: 'Helvetica' },
+    title: { fontSize: 22, marginBottom: 8 },
+    subtitle: { fontSize: 12, color: '#555555', marginBottom: 4 },
+    stationTitle: { fontSize: 16, marginBottom: 4 },
+    sectionTitle: { fontSize: 12, marginTop: 12, marginBottom: 6 },
+    muted: { color: '#666666' },
+    chartTitle: { fontSize: 10, marginTop: 8, marginBottom: 2 },
+    heading: { fontSize: 11, marginTop: 8, marginBottom: 3 },
+    paragraph: { marginBottom: 4, lineHeight: 1.4 },
+    row: { flexDirection: 'row', borderBottomWidth: 0.5, borderBottomColor: '#dddddd', paddingVertical: 2 },
+    cell: { flex: 1 }
+  });
+}
+
+// Draw one metric as an SVG line chart: min/max band, average line and the
+// dashed warning/critical threshold levels, plus the comparison baseline as a
+// grey ghost line when there is one
+function renderChart(pdf, metric, color) {
+  const { Svg, Polyline, Polygon, Line, Text: SvgText } = pdf;
+  const points = metric.points;
+  if (points.length === 0) return null;
+
+  const levels = [];
+  if (metric.rule) {
+    ['low', 'high'].forEach(bound => {
+      ['warning', 'critical'].forEach(level => {
+        const value = metric.rule[bound] && metric.rule[bound][level];
+        if (typeof value === 'number') levels.push({ level, value });
+      });
+    });
+  }
+
+  const start = points[0].time.getTime();
+  const end = points[points.length - 1].time.getTime();
+  const span = Math.max(end - start, 1);
+  const baseline = (metric.baseline || [])
+    .filter(point => point.time.getTime() >= start && point.time.getTime() <= end);
+
+  const values = points.flatMap(point => [point.min, point.max])
+    .concat(baseline.map(point => point.avg))
+    .concat(levels.map(l => l.value));
+  let min = values.reduce((a, b) => Math.min(a, b));
+  let max = values.reduce((a, b) => Math.max(a, b));
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+  const x = time => ((time.getTime() - start) / span) * CHART_WIDTH;
+  const y = value => CHART_HEIGHT - ((value - min) / (max - min)) * CHART_HEIGHT;
+  const coords = (key, list = points) => list.map(point => `${x(point.time).toFixed(1)},${y(point[key]).toFixed(1)}`);
+
+  return h(Svg, { width: CHART_WIDTH, height: CHART_HEIGHT + 12, viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT + 12}` },
+    h(Polygon, {
+      points: coords('max').concat(coords('min', points.slice().reverse())).join(' '),
+      fill: color,
+      fillOpacity: 0.15,
+      stroke: 'none'
+    }),
+    baseline.length > 1
+      ? h(Polyline, { points: coords('avg', baseline).join(' '), stroke: BASELINE_COLOR, strokeWidth: 0.75, strokeDasharray: '2,2', fill: 'none' })
+      : null,
+    h(Polyline, { points: coords('avg').join(' '), stroke: color, strokeWidth: 1, fill: 'none' }),
+    ...levels.map(({ level, value }) => h(Line, {
+      key: `${level}-${value}`,
+      x1: 0,
+      x2: CHART_WIDTH,
+      y1: y(value),
+      y2: y(value),
+      stroke: THRESHOLD_COLORS[level],
+      strokeWidth: 0.75,
+      strokeDasharray: '4,3'
+    })),
+    h(SvgText, { x: 0, y: CHART_HEIGHT + 10, style: { fontSize: 7 } }, formatDateTime(points[0].time)),
+    h(SvgText, { x: CHART_WIDTH - 90, y: CHART_HEIGHT + 10, style: { fontSize: 7 } },
+      formatDateTime(points[points.length - 1].time)),
+    h(SvgText, { x: 2, y: 8, style: { fontSize: 7 } }, `${max.toFixed(1)} ${metric.unit || ''}`),
+    h(SvgText, { x: 2, y: CHART_HEIGHT - 2, style: { fontSize: 7 } }, `${min.toFixed(1)} ${metric.unit || ''}`)
+  );
+}
+
+function renderAvailability(pdf, styles, availability) {
+  const { View, Text } = pdf;
+  if (!availability) return null;
+
+  return h(View, null,
+    h(Text, { style: styles.sectionTitle }, 'Availability'),
+    h(Text, { style: styles.paragraph },
+      `${availability.availability.toFixed(2)}% on air, ${availability.outageCount} outage${availability.outageCount === 1 ? '' : 's'}, ` +
+      `${formatDuration(availability.downtimeMinutes)} off air`),
+    ...availability.outages.slice(0, 20).map(outage => h(View, { key: `${outage.start}-${outage.cause}`, style: styles.row },
+      h(Text, { style: styles.cell }, formatDateTime(outage.start)),
+      h(Text, { style: styles.cell }, outage.ongoing ? 'Ongoing' : formatDateTime(outage.end)),
+      h(Text, { style: styles.cell }, formatDuration(outage.durationMinutes)),
+      h(Text, { style: styles.cell }, CAUSE_LABELS[outage.cause] || outage.cause)
+    )),
+    availability.outages.length > 20
+      ? h(Text, { style: styles.muted }, `${availability.outages.length - 20} more outages not shown`)
+      : null
+  );
+}
+
+const INTERVAL_FORMATS = {
+  day: { day: 'numeric', month: 'short', year: 'numeric' },
+  week: { day: 'numeric', month: 'short', year: 'numeric' },
+  month: { month: 'long', year: 'numeric' }
+};
+
+function formatCost(cost, tariff) {
+  return cost === null ? '-' : `${tariff.currency ? `${tariff.currency} ` : ''}${cost.toFixed(2)}`;
+}
+
+function renderEnergy(pdf, styles, energy) {
+  const { View, Text } = pdf;
+  if (!energy) return null;
+
+  const { totals, tariff } = energy;
+  const label = interval => formatDate(interval.start, INTERVAL_FORMATS[energy.interval]);
+  const summary = [
+    `${totals.energyKwh.toFixed(1)} kWh`,
+    tariff ? `costing ${formatCost(totals.cost, tariff)}` : 'no tariff',
+    totals.efficiency !== null ? `${totals.efficiency.toFixed(1)}% transmitter efficiency` : null,
+    `${totals.coverage}% of the period measured`
+  ].filter(Boolean).join(', ');
+
+  return h(View, null,
+    h(Text, { style: styles.sectionTitle }, 'Energy'),
+    h(Text, { style: styles.paragraph }, summary),
+    tariff && totals.bands.length > 1
+      ? h(Text, { style: styles.muted },
+        totals.bands.map(band => `${band.name}: ${band.energyKwh.toFixed(1)} kWh at ${band.rate}/kWh`).join('; '))
+      : null,
+    h(View, { style: styles.row },
+      ...[energy.interval === 'month' ? 'Month' : energy.interval === 'week' ? 'Week from' : 'Day', 'Energy', 'Cost', 'Efficiency', 'Measured']
+        .map(header => h(Text, { key: header, style: styles.cell }, header))
+    ),
+    ...energy.intervals.slice(0, 31).map(interval => h(View, { key: String(interval.start), style: styles.row },
+      h(Text, { style: styles.cell }, label(interval)),
+      h(Text, { style: styles.cell }, `${interval.energyKwh.toFixed(1)} kWh`),
+      h(Text, { style: styles.cell }, tariff ? formatCost(interval.cost, tariff) : '-'),
+      h(Text, { style: styles.cell }, interval.efficiency !== null ? `${interval.efficiency.toFixed(1)}%` : '-'),
+      h(Text, { style: styles.cell }, `${interval.coverage}%`)
+    ))
+  );
+}
+
+const SERVICE_LABELS = { ok: 'OK', 'due-soon': 'Due soon', overdue: 'Overdue' };
+
+function renderGenset(pdf, styles, genset) {
+  const { View, Text } = pdf;
+  if (!genset) return null;
+
+  const { service } = genset;
+  return h(View, null,
+    h(Text, { style: styles.sectionTitle }, 'Generator Runs'),
+    h(Text, { style: styles.paragraph },
+      `${genset.runCount} run${genset.runCount === 1 ? '' : 's'}, ${genset.runHours.toFixed(1)} h running` +
+      (genset.averageLoadPercent !== null ? ` at ${genset.averageLoadPercent}% average load` : '') +
+      `, ${genset.fuelLitres.toFixed(1)} L fuel (estimated).` +
+      (genset.totalRunHours !== null ? ` ${genset.totalRunHours.toFixed(1)} run hours in total.` : '')),
+    service
+      ? h(Text, { style: styles.paragraph },
+        `Service (every ${service.intervalHours} h): ${SERVICE_LABELS[service.status]}, due at ${service.dueAtRunHours} h` +
+        (service.hoursRemaining > 0 ? `, ${service.hoursRemaining.toFixed(1)} h to go` : `, ${(-service.hoursRemaining).toFixed(1)} h over`))
+      : null,
+    genset.runs.length > 0
+      ? h(View, { style: styles.row },
+        ...['Start', 'Stop', 'Duration', 'Avg load', 'Fuel'].map(header => h(Text, { key: header, style: styles.cell }, header)))
+      : null,
+    ...genset.runs.slice(0, 20).map(run => h(View, { key: String(run.start), style: styles.row },
+      h(Text, { style: styles.cell }, formatDateTime(run.start)),
+      h(Text, { style: styles.cell }, run.ongoing ? 'Running' : formatDateTime(run.end)),
+      h(Text, { style: styles.cell }, formatDuration(run.durationMinutes)),
+      h(Text, { style: styles.cell }, run.averageLoadPercent !== null ? `${run.averageLoadPercent}%` : '-'),
+      h(Text, { style: styles.cell }, `${run.fuelLitres.toFixed(1)} L`)
+    )),
+    genset.runs.length > 20
+      ? h(Text, { style: styles.muted }, `${genset.runs.length - 20} more runs not shown`)
+      : null
+  );
+}
+
+function renderStation(pdf, styles, report) {
+  const { Page, View, Text } = pdf;
+  const station = report.baseStation ? `${report.displayName} - ${report.baseStation}` : report.displayName;
+
+  return h(Page, { key: `${report.nodeName}-${report.baseStation}`, size: 'A4', style: styles.page },
+    h(Text, { style: styles.stationTitle }, `Station: ${station}`),
+    h(Text, { style: styles.muted },
+      `${formatDateTime(report.startTime)} to ${formatDateTime(report.endTime)} - ${report.sampleCount} samples`),
+    renderAvailability(pdf, styles, report.availability),
+    renderEnergy(pdf, styles, report.energy),
+    renderGenset(pdf, styles, report.genset),
+    h(Text, { style: styles.sectionTitle }, 'Charts'),
+    report.sampleCount === 0
+      ? h(Text, { style: styles.muted }, 'No telemetry in this period.')
+      : null,
+    ...report.metrics.filter(metric => metric.points.length > 0).map((metric, index) => h(View, { key: metric.name, wrap: false },
+      h(Text, { style: styles.chartTitle }, metric.unit ? `${metric.name} Readings (${metric.unit})` : `${metric.name} Readings`),
+      renderChart(pdf, metric, CHART_COLORS[index % CHART_COLORS.length]),
+      report.comparison
+        ? h(Text, { style: styles.muted }, `Dotted grey line: ${report.comparison.label}`)
+        : null
+    )),
+    h(View, { break: true },
+      h(Text, { style: styles.stationTitle }, `Analysis Report for ${station}`),
+      h(Text, { style: styles.muted }, `Narration: ${report.narrationSource}`),
+      ...htmlToBlocks(report.narration).map((block, index) => h(Text, {
+        key: index,
+        style: block.type === 'heading' ? styles.heading : styles.paragraph
+      }, block.type === 'item' ? `- ${block.text}` : block.text))
+    )
+  );
+}
+
+const QUALITY_LABELS = { good: 'Good', degraded: 'Degraded', poor: 'Poor' };
+
+// Appendix listing the data-quality findings for each station, so readers
+// can judge how far the charts and averages can be trusted
+function renderDataQualityAppendix(pdf, styles, reports) {
+  const { Page, View, Text } = pdf;
+  const withQuality = reports.filter(report => report.dataQuality);
+  if (withQuality.length === 0) return null;
+
+  return h(Page, { key: 'data-quality', size: 'A4', style: styles.page },
+    h(Text, { style: styles.stationTitle }, 'Appendix: Data Quality'),
+    ...withQuality.map(report => {
+      const quality = report.dataQuality;
+      const station = report.baseStation ? `${report.displayName} - ${report.baseStation}` : report.displayName;
+
+      return h(View, { key: `${report.nodeName}-${report.baseStation}` },
+        h(Text, { style: styles.sectionTitle }, `${station}: ${QUALITY_LABELS[quality.status] || quality.status}`),
+        h(Text, { style: styles.paragraph },
+          `${quality.actualSamples} of ${quality.expectedSamples} expected samples (${quality.completeness}%) at one every ` +
+          `${quality.expectedIntervalSeconds} s. ${quality.gaps.length} gap${quality.gaps.length === 1 ? '' : 's'} over ` +
+          `${quality.gapMinutes} min, ${quality.duplicates.count} duplicate timestamp${quality.duplicates.count === 1 ? '' : 's'}.`),
+        h(View, { style: styles.row },
+          ...['Metric', 'Samples', 'Complete', 'Out of range', 'Stuck runs'].map(header =>
+            h(Text, { key: header, style: styles.cell }, header))
+        ),
+        ...quality.metrics.map(metric => h(View, { key: metric.metric, style: styles.row },
+          h(Text, { style: styles.cell }, metric.metric),
+          h(Text, { style: styles.cell }, String(metric.samples)),
+          h(Text, { style: styles.cell }, `${metric.completeness}%`),
+          h(Text, { style: styles.cell }, String(metric.outOfRange.count)),
+          h(Text, { style: styles.cell }, String(metric.stuck.length))
+        )),
+        quality.issues.length > 0
+          ? h(Text, { style: styles.heading }, 'Findings')
+          : h(Text, { style: styles.muted }, 'No data-quality issues found.'),
+        ...quality.issues.map((issue, index) => h(Text, { key: index, style: styles.paragraph }, `- ${issue}`))
+      );
+    })
+  );
+}
+
+// Render built node reports (see reportBuilder) into a single PDF buffer,
+// laid out like the browser export in client/src/utils/pdfUtils.js. Reports
+// made up only of generators are subtitled as such.
+async function renderReportPdf(reports, {
+  title = 'Horizon Auto Report',
+  subtitle = reports.length > 0 && reports.every(report => report.reportType === 'genset')
+    ? 'Generator Report'
+    : 'RF System Analysis',
+  generatedAt = new Date()
+} = {}) {
+  const pdf = await loadRenderer();
+  const { Document, Page, Text, StyleSheet, renderToBuffer } = pdf;
+  const styles = createStyles(StyleSheet);
+  const first = reports[0];
+
+  const document = h(Document, { title },
+    h(Page, { size: 'A4', style: styles.page },
+      h(Text, { style: styles.title }, title),
+      h(Text, { style: styles.paragraph }, `Generated on: ${formatDateTime(generatedAt)}`),
+      h(Text, { style: styles.subtitle }, subtitle),
+      first
+        ? h(Text, { style: styles.paragraph }, `Period: ${formatDateTime(first.startTime)} to ${formatDateTime(first.endTime)} (${REPORT_TIMEZONE})`)
+        : null,
+      h(Text, { style: styles.sectionTitle }, 'Stations'),
+      ...reports.map(report => h(Text, { key: `${report.nodeName}-${report.baseStation}`, style: styles.paragraph },
+        `${report.displayName}${report.baseStation ? ` - ${report.baseStation}` : ''}` +
+        (report.availability ? `: ${report.availability.availability.toFixed(2)}% available` : '') +
+        (report.analysis ? `, overall ${report.analysis.verdict.status}` : '')))
+    ),
+    ...reports.map(report => renderStation(pdf, styles, report)),
+    renderDataQualityAppendix(pdf, styles, reports)
+  );
+
+  return renderToBuffer(document);
+}
+
+module.exports = {
+  htmlToBlocks,
+  renderReportPdf
+};
@@ -0,0 +1,158 @@
+// Persistence for report narrations. The current text for each node, base
+// station and reporting period lives in report_narrations; every save is also
+// appended to report_narration_versions so earlier edits can be restored.
+
+async function ensureReportTables(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS report_narrations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      node_name VARCHAR(255) NOT NULL,
+      base_station VARCHAR(255) NOT NULL DEFAULT '',
+      period VARCHAR(64) NOT NULL,
+      narration MEDIUMTEXT NOT NULL,
+      version INT NOT NULL,
+      updated_by VARCHAR(255) NULL,
+      updated_at DATETIME NOT NULL,
+      UNIQUE KEY uq_report_narration (node_name, base_station, period)
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS report_narration_versions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      narration_id INT NOT NULL,
+      version INT NOT NULL,
+      narration MEDIUMTEXT NOT NULL,
+      saved_by VARCHAR(255) NULL,
+      saved_at DATETIME NOT NULL,
+      UNIQUE KEY uq_report_narration_version (narration_id, version),
+      CONSTRAINT fk_report_narration FOREIGN KEY (narration_id)
+        REFERENCES report_narrations (id) ON DELETE CASCADE
+    )
+  `);
+}
+
+function toNarration(row) {
+  return {
+    nodeName: row.node_name,
+    baseStation: row.base_station,
+    period: row.period,
+    narration: row.narration,
+    version: row.version,
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at
+  };
+}
+
+async function getNarration(db, { nodeName, baseStation = '', period }) {
+  const [rows] = await db.query(
+    'SELECT * FROM report_narrations WHERE node_name = ? AND base_station = ? AND period = ?',
+    [nodeName, baseStation, period]
+  );
+  return rows.length ? toNarration(rows[0]) : null;
+}
+
+// Save a new version. `baseVersion` is the version the editor started from
+// (0 for a new narration); if someone else saved in the meantime the save is
+// rejected with a VERSION_CONFLICT error carrying the current narration.
+async function saveNarration(db, { nodeName, baseStation = '', period, narration, baseVersion, author = null }) {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query(
+      'SELECT * FROM report_narrations WHERE node_name = ? AND base_station = ? AND period = ? FOR UPDATE',
+      [nodeName, baseStation, period]
+    );
+    const current = rows[0];
+    const currentVersion = current ? current.version : 0;
+
+    if (baseVersion !== undefined && baseVersion !== null && Number(baseVersion) !== currentVersion) {
+      const error = new Error(`Narration was updated to version ${currentVersion} by someone else`);
+      error.code = 'VERSION_CONFLICT';
+      error.current = current ? toNarration(current) : null;
+      throw error;
+    }
+
+    const version = currentVersion + 1;
+    const savedAt = new Date();
+    let narrationId;
+
+    if (current) {
+      narrationId = current.id;
+      await connection.query(
+        'UPDATE report_narrations SET narration = ?, version = ?, updated_by = ?, updated_at = ? WHERE id = ?',
+        [narration, version, author, savedAt, narrationId]
+      );
+    } else {
+      const [result] = await connection.query(
+        `INSERT INTO report_narrations (node_name, base_station, period, narration, version, updated_by, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [nodeName, baseStation, period, narration, version, author, savedAt]
+      );
+      narrationId = result.insertId;
+    }
+
+    await connection.query(
+      `INSERT INTO report_narration_versions (narration_id, version, narration, saved_by, saved_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [narrationId, version, narration, author, savedAt]
+    );
+
+    await connection.commit();
+
+    return { nodeName, baseStation, period, narration, version, updatedBy: author, updatedAt: savedAt };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+async function listVersions(db, { nodeName, baseStation = '', period }) {
+  const [rows] = await db.query(
+    `SELECT v.version, v.saved_by, v.saved_at, CHAR_LENGTH(v.narration) as length
+     FROM report_narration_versions v
+     JOIN report_narrations n ON n.id = v.narration_id
+     WHERE n.node_name = ? AND n.base_station = ? AND n.period = ?
+     ORDER BY v.version DESC`,
+    [nodeName, baseStation, period]
+  );
+  return rows.map(row => ({
+    version: row.version,
+    savedBy: row.saved_by,
+    savedAt: row.saved_at,
+    length: Number(row.length)
+  }));
+}
+
+async function getVersion(db, { nodeName, baseStation = '', period, version }) {
+  const [rows] = await db.query(
+    `SELECT v.version, v.narration, v.saved_by, v.saved_at
+     FROM report_narration_versions v
+     JOIN report_narrations n ON n.id = v.narration_id
+     WHERE n.node_name = ? AND n.base_station = ? AND n.period = ? AND v.version = ?`,
+    [nodeName, baseStation, period, version]
+  );
+  if (rows.length === 0) return null;
+
+  return {
+    nodeName,
+    baseStation,
+    period,
+    version: rows[0].version,
+    narration: rows[0].narration,
+    savedBy: rows[0].saved_by,
+    savedAt: rows[0].saved_at
+  };
+}
+
+module.exports = {
+  ensureReportTables,
+  getNarration,
+  saveNarration,
+  listVersions,
+  getVersion
+};
@@ -0,0 +1,265 @@
+// Request validation against the OpenAPI document (lib/openapi.js). Path and
+// query parameters and JSON bodies are checked against the schemas of the
+// matching operation before the route runs; anything that does not conform
+// is answered with 400 { error: 'Invalid request', details: [...] }, where
+// each detail names the offending value, e.g. 'query.limit must be an
+// integer'.
+//
+// Only the parts of JSON Schema the document uses are supported: type,
+// nullable, enum, pattern, minLength, minimum, maximum, required,
+// properties, additionalProperties, items, minItems, maxItems, oneOf, anyOf
+// and local $refs. Routes still apply the rules a schema cannot express (a
+// schedule's dayOfWeek depends on its frequency, a filter names a metric of
+// the node).
+
+// Every 400 response has this shape
+function badRequest(res, error, details = []) {
+  return res.status(400).json({ error, details });
+}
+
+function resolveRef(document, schema) {
+  let resolved = schema;
+  while (resolved && resolved.$ref) {
+    const name = resolved.$ref.replace('#/components/schemas/', '');
+    resolved = document.components.schemas[name];
+    if (!resolved) throw new Error(`Unknown schema reference ${schema.$ref}`);
+  }
+  return resolved;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+const TYPE_NAMES = {
+  object: 'an object',
+  array: 'an array',
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean'
+};
+
+// Errors for `value` against `schema`, each prefixed with `location`
+function validateValue(document, schema, value, location) {
+  const rule = resolveRef(document, schema);
+  if (!rule) return [];
+
+  if (value === null) {
+    // `nullable` may sit beside a $ref rather than in the schema it names
+    return schema.nullable || rule.nullable || rule.type === undefined ? [] : [`${location} cannot be null`];
+  }
+
+  const options = rule.oneOf || rule.anyOf;
+  if (options) {
+    const matches = options.filter(option => validateValue(document, option, value, location).length === 0);
+    return matches.length > 0 ? [] : [`${location} ${rule.description || 'is not one of the allowed forms'}`];
+  }
+
+  const actual = typeOf(value);
+  if (rule.type && rule.type !== actual && !(rule.type === 'number' && actual === 'integer')) {
+    return [`${location} must be ${TYPE_NAMES[rule.type] || rule.type}`];
+  }
+
+  const errors = [];
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push(`${location} must be one of: ${rule.enum.join(', ')}`);
+  }
+
+  if (actual === 'string') {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      errors.push(rule.minLength === 1 ? `${location} cannot be empty` : `${location} must be at least ${rule.minLength} characters`);
+    }
+    if (rule.pattern && !new RegExp(rule.pattern).test(value)) {
+      errors.push(`${location} ${rule.patternDescription || `must match ${rule.pattern}`}`);
+    }
+  }
+
+  if (actual === 'number' || actual === 'integer') {
+    if (rule.minimum !== undefined && value < rule.minimum) {
+      errors.push(`${location} must be at least ${rule.minimum}`);
+    }
+    if (rule.maximum !== undefined && value > rule.maximum) {
+      errors.push(`${location} must be at most ${rule.maximum}`);
+    }
+  }
+
+  if (actual === 'array') {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      errors.push(`${location} must have at least ${rule.minItems} item${rule.minItems === 1 ? '' : 's'}`);
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      errors.push(`${location} must have at most ${rule.maxItems} items`);
+    }
+    if (rule.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateValue(document, rule.items, item, `${location}[${index}]`));
+      });
+    }
+  }
+
+  if (actual === 'object') {
+    const properties = rule.properties || {};
+    (rule.required || []).forEach(name => {
+      if (value[name] === undefined) errors.push(`${location}.${name} is required`);
+    });
+    Object.entries(value).forEach(([name, item]) => {
+      if (item === undefined) return;
+      if (properties[name]) {
+        errors.push(...validateValue(document, properties[name], item, `${location}.${name}`));
+      } else if (rule.additionalProperties === false) {
+        errors.push(`${location}.${name} is not allowed`);
+      } else if (typeof rule.additionalProperties === 'object') {
+        errors.push(...validateValue(document, rule.additionalProperties, item, `${location}.${name}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Parameters arrive as strings; convert them to the schema's type so they
+// can be checked like JSON values. Returns { value } or { error }.
+function coerceParameter(document, schema, raw) {
+  const rule = resolveRef(document, schema) || {};
+
+  if (rule.type === 'array') {
+    const items = [].concat(raw);
+    const converted = items.map(item => coerceParameter(document, rule.items || {}, item));
+    const failed = converted.find(item => item.error);
+    return failed || { value: converted.map(item => item.value) };
+  }
+  if (typeof raw !== 'string') {
+    return { error: 'must be a single value' };
+  }
+  if (rule.type === 'integer' || rule.type === 'number') {
+    const value = raw.trim() === '' ? NaN : Number(raw);
+    return Number.isFinite(value) ? { value } : { error: `must be ${TYPE_NAMES[rule.type]}` };
+  }
+  if (rule.type === 'boolean') {
+    return raw === 'true' || raw === 'false' ? { value: raw === 'true' } : { error: 'must be true or false' };
+  }
+  return { value: raw };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Operations of the document as { method, path, pattern, names, operation }
+// in document order, which is also match order
+function compileOperations(document) {
+  const operations = [];
+  Object.entries(document.paths).forEach(([path, pathItem]) => {
+    const names = [];
+    const pattern = new RegExp(`^${path.split(/(\{\w+\})/).map(part => {
+      const match = /^\{(\w+)\}$/.exec(part);
+      if (!match) return escapeRegExp(part);
+      names.push(match[1]);
+      return '([^/]+)';
+    }).join('')}$`);
+
+    ['get', 'put', 'post', 'delete', 'patch'].forEach(method => {
+      if (!pathItem[method]) return;
+      operations.push({
+        method,
+        path,
+        pattern,
+        names,
+        operation: pathItem[method],
+        parameters: [...(pathItem.parameters || []), ...(pathItem[method].parameters || [])]
+      });
+    });
+  });
+  return operations;
+}
+
+// The operation serving `method` and `path`, with its decoded path parameters
+function findOperation(operations, method, path) {
+  const lowerMethod = method.toLowerCase() === 'head' ? 'get' : method.toLowerCase();
+  for (const entry of operations) {
+    const match = entry.method === lowerMethod && entry.pattern.exec(path);
+    if (!match) continue;
+    try {
+      const params = {};
+      entry.names.forEach((name, index) => {
+        params[name] = decodeURIComponent(match[index + 1]);
+      });
+      return { ...entry, params };
+    } catch (error) {
+      // A malformed escape in the path; let the next operation or Express answer
+    }
+  }
+  return null;
+}
+
+function resolveParameter(document, parameter) {
+  if (!parameter.$ref) return parameter;
+  const name = parameter.$ref.replace('#/components/parameters/', '');
+  return document.components.parameters[name];
+}
+
+// Validation errors for a request ({ params, query, headers, body }) against
+// an operation found with findOperation
+function validateRequest(document, match, { query = {}, headers = {}, body }) {
+  const errors = [];
+  const sources = { path: match.params, query, header: headers };
+
+  match.parameters.map(parameter => resolveParameter(document, parameter)).forEach(parameter => {
+    const source = sources[parameter.in] || {};
+    const raw = source[parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name];
+    const location = `${parameter.in}.${parameter.name}`;
+
+    if (raw === undefined || raw === '') {
+      if (parameter.required) errors.push(`${location} is required`);
+      return;
+    }
+    const coerced = coerceParameter(document, parameter.schema, raw);
+    if (coerced.error) {
+      errors.push(`${location} ${coerced.error}`);
+      return;
+    }
+    errors.push(...validateValue(document, parameter.schema, coerced.value, location));
+  });
+
+  const requestBody = match.operation.requestBody;
+  if (requestBody) {
+    const empty = body === undefined || (typeOf(body) === 'object' && Object.keys(body).length === 0);
+    if (empty && requestBody.required) {
+      errors.push('body is required');
+    } else if (!empty) {
+      errors.push(...validateValue(document, requestBody.content['application/json'].schema, body, 'body'));
+    }
+  }
+
+  return errors;
+}
+
+// Express middleware validating every request the document describes.
+// Requests it does not describe pass through untouched.
+function createRequestValidator(document) {
+  const operations = compileOperations(document);
+
+  return (req, res, next) => {
+    const match = findOperation(operations, req.method, req.path);
+    if (!match) return next();
+
+    const errors = validateRequest(document, match, req);
+    if (errors.length > 0) {
+      return badRequest(res, 'Invalid request', errors);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  badRequest,
+  validateValue,
+  compileOperations,
+  findOperation,
+  validateRequest,
+  createRequestValidator
+};
@@ -0,0 +1,325 @@
+const fs = require('fs');
+const path = require('path');
+const { describeNode } = require('./nodeRegistry');
+const { buildNodeReport } = require('./reportBuilder');
+const { renderReportPdf } = require('./reportPdf');
+const { zonedParts, zonedTime, formatDay } = require('./timezone');
+
+// Scheduled report jobs. Each schedule covers one or more nodes and runs
+// daily, weekly or monthly at a time of day in the reporting time zone; every
+// run renders a PDF into the output directory and is recorded in
+// report_schedule_runs.
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const OUTPUT_DIR = path.resolve(process.env.REPORT_OUTPUT_DIR || path.join(__dirname, '..', 'reports'));
+const POLL_INTERVAL_MS = 60 * 1000;
+
+async function ensureScheduleTables(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS report_schedules (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      frequency VARCHAR(16) NOT NULL,
+      nodes TEXT NOT NULL,
+      base_station VARCHAR(255) NOT NULL DEFAULT '',
+      run_at CHAR(5) NOT NULL,
+      day_of_week TINYINT NULL,
+      day_of_month TINYINT NULL,
+      enabled TINYINT(1) NOT NULL DEFAULT 1,
+      next_run_at DATETIME NULL,
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME NOT NULL
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS report_schedule_runs (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      schedule_id INT NOT NULL,
+      started_at DATETIME NOT NULL,
+      finished_at DATETIME NULL,
+      status VARCHAR(16) NOT NULL,
+      period VARCHAR(64) NOT NULL,
+      output_file VARCHAR(1024) NULL,
+      error TEXT NULL,
+      KEY idx_report_schedule_runs (schedule_id, started_at),
+      CONSTRAINT fk_report_schedule FOREIGN KEY (schedule_id)
+        REFERENCES report_schedules (id) ON DELETE CASCADE
+    )
+  `);
+}
+
+// Returns an array of error messages; empty when the schedule is valid
+function validateSchedule(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object') {
+    return ['Schedule must be an object'];
+  }
+
+  if (!input.name || typeof input.name !== 'string') {
+    errors.push('name is required');
+  }
+  if (!FREQUENCIES.includes(input.frequency)) {
+    errors.push(`frequency must be one of ${FREQUENCIES.join(', ')}`);
+  }
+  if (!Array.isArray(input.nodes) || input.nodes.length === 0 || input.nodes.some(node => typeof node !== 'string' || !node)) {
+    errors.push('nodes must be a non-empty array of node names');
+  }
+  if (input.runAt !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(input.runAt)) {
+    errors.push('runAt must be a time in HH:mm format');
+  }
+  if (input.frequency === 'weekly' && !(Number.isInteger(input.dayOfWeek) && input.dayOfWeek >= 0 && input.dayOfWeek <= 6)) {
+    errors.push('dayOfWeek must be 0 (Sunday) to 6 (Saturday) for weekly schedules');
+  }
+  // Limited to 28 so every month has the day
+  if (input.frequency === 'monthly' && !(Number.isInteger(input.dayOfMonth) && input.dayOfMonth >= 1 && input.dayOfMonth <= 28)) {
+    errors.push('dayOfMonth must be 1 to 28 for monthly schedules');
+  }
+
+  return errors;
+}
+
+// The first run time strictly after `after`, in the reporting time zone
+function computeNextRun(schedule, after = new Date()) {
+  const [hour, minute] = (schedule.runAt || '06:00').split(':').map(Number);
+  const today = zonedParts(after);
+  const at = day => zonedTime({ year: today.year, month: today.month, day, hour, minute });
+
+  let next;
+  if (schedule.frequency === 'monthly') {
+    next = zonedTime({ year: today.year, month: today.month, day: schedule.dayOfMonth, hour, minute });
+    if (next <= after) next = zonedTime({ year: today.year, month: today.month + 1, day: schedule.dayOfMonth, hour, minute });
+  } else if (schedule.frequency === 'weekly') {
+    const day = today.day + ((schedule.dayOfWeek - today.weekday + 7) % 7);
+    next = at(day);
+    if (next <= after) next = at(day + 7);
+  } else {
+    next = at(today.day);
+    if (next <= after) next = at(today.day + 1);
+  }
+
+  return next;
+}
+
+// The completed period a run reports on, as a custom period key: yesterday
+// for daily jobs, the seven days up to yesterday for weekly jobs and the
+// previous calendar month for monthly jobs. Days are those of the reporting
+// time zone.
+function getReportPeriod(frequency, runTime = new Date()) {
+  const { year, month, day } = zonedParts(runTime);
+  let start = zonedTime({ year, month, day: day - 1 });
+  let end = start;
+
+  if (frequency === 'weekly') {
+    start = zonedTime({ year, month, day: day - 7 });
+  } else if (frequency === 'monthly') {
+    start = zonedTime({ year, month: month - 1, day: 1 });
+    end = zonedTime({ year, month, day: 0 });
+  }
+
+  return `custom:${formatDay(start)}..${formatDay(end)}`;
+}
+
+function toSchedule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    frequency: row.frequency,
+    nodes: JSON.parse(row.nodes),
+    baseStation: row.base_station,
+    runAt: row.run_at,
+    dayOfWeek: row.day_of_week,
+    dayOfMonth: row.day_of_month,
+    enabled: !!row.enabled,
+    nextRunAt: row.next_run_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toRun(row) {
+  return {
+    id: row.id,
+    scheduleId: row.schedule_id,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    status: row.status,
+    period: row.period,
+    outputFile: row.output_file,
+    error: row.error
+  };
+}
+
+async function listSchedules(db) {
+  const [rows] = await db.query('SELECT * FROM report_schedules ORDER BY name');
+  return rows.map(toSchedule);
+}
+
+async function getSchedule(db, id) {
+  const [rows] = await db.query('SELECT * FROM report_schedules WHERE id = ?', [id]);
+  return rows.length ? toSchedule(rows[0]) : null;
+}
+
+function scheduleColumns(input) {
+  const schedule = {
+    frequency: input.frequency,
+    runAt: input.runAt || '06:00',
+    dayOfWeek: input.frequency === 'weekly' ? input.dayOfWeek : null,
+    dayOfMonth: input.frequency === 'monthly' ? input.dayOfMonth : null
+  };
+  const enabled = input.enabled !== false;
+
+  return [
+    input.name,
+    schedule.frequency,
+    JSON.stringify(input.nodes),
+    input.baseStation || '',
+    schedule.runAt,
+    schedule.dayOfWeek,
+    schedule.dayOfMonth,
+    enabled ? 1 : 0,
+    enabled ? computeNextRun(schedule) : null
+  ];
+}
+
+async function createSchedule(db, input) {
+  const now = new Date();
+  const [result] = await db.query(
+    `INSERT INTO report_schedules
+       (name, frequency, nodes, base_station, run_at, day_of_week, day_of_month, enabled, next_run_at, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [...scheduleColumns(input), now, now]
+  );
+  return getSchedule(db, result.insertId);
+}
+
+async function updateSchedule(db, id, input) {
+  const [result] = await db.query(
+    `UPDATE report_schedules
+     SET name = ?, frequency = ?, nodes = ?, base_station = ?, run_at = ?, day_of_week = ?,
+         day_of_month = ?, enabled = ?, next_run_at = ?, updated_at = ?
+     WHERE id = ?`,
+    [...scheduleColumns(input), new Date(), id]
+  );
+  return result.affectedRows ? getSchedule(db, id) : null;
+}
+
+async function deleteSchedule(db, id) {
+  const [result] = await db.query('DELETE FROM report_schedules WHERE id = ?', [id]);
+  return result.affectedRows > 0;
+}
+
+async function listRuns(db, scheduleId, { limit = 50 } = {}) {
+  const [rows] = await db.query(
+    'SELECT * FROM report_schedule_runs WHERE schedule_id = ? ORDER BY started_at DESC, id DESC LIMIT ?',
+    [scheduleId, limit]
+  );
+  return rows.map(toRun);
+}
+
+// Generate the report for one schedule and record the run. Failures are
+// stored on the run rather than thrown so one bad job cannot stop the others.
+async function runSchedule(db, schedule, { runTime = new Date() } = {}) {
+  const period = getReportPeriod(schedule.frequency, runTime);
+  const [result] = await db.query(
+    'INSERT INTO report_schedule_runs (schedule_id, started_at, status, period) VALUES (?, ?, ?, ?)',
+    [schedule.id, new Date(), 'running', period]
+  );
+  const runId = result.insertId;
+
+  try {
+    const reports = [];
+    for (const nodeName of schedule.nodes) {
+      reports.push(await buildNodeReport(db, { nodeName, baseStation: schedule.baseStation, period }));
+    }
+
+    const title = schedule.nodes.length === 1
+      ? `${describeNode(schedule.nodes[0]).displayName} ${schedule.frequency} report`
+      : `${schedule.name} ${schedule.frequency} report`;
+    const buffer = await renderReportPdf(reports, { title });
+
+    const slug = schedule.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || `schedule-${schedule.id}`;
+    const fileName = `${slug}_${period.replace('custom:', '').replace('..', '_to_')}_${runId}.pdf`;
+    await fs.promises.mkdir(OUTPUT_DIR, { recursive: true });
+    const outputFile = path.join(OUTPUT_DIR, fileName);
+    await fs.promises.writeFile(outputFile, buffer);
+
+    await db.query(
+      'UPDATE report_schedule_runs SET status = ?, finished_at = ?, output_file = ? WHERE id = ?',
+      ['success', new Date(), outputFile, runId]
+    );
+  } catch (error) {
+    console.error(`Scheduled report "${schedule.name}" failed:`, error);
+    await db.query(
+      'UPDATE report_schedule_runs SET status = ?, finished_at = ?, error = ? WHERE id = ?',
+      ['failed', new Date(), error.message, runId]
+    );
+  }
+
+  const [rows] = await db.query('SELECT * FROM report_schedule_runs WHERE id = ?', [runId]);
+  return toRun(rows[0]);
+}
+
+// Run every enabled schedule whose next run time has passed. next_run_at is
+// advanced before the report is generated so a slow run is not picked up
+// again by the next poll.
+async function runDueSchedules(db, now = new Date()) {
+  const [rows] = await db.query(
+    'SELECT * FROM report_schedules WHERE enabled = 1 AND next_run_at IS NOT NULL AND next_run_at <= ? ORDER BY next_run_at',
+    [now]
+  );
+
+  for (const schedule of rows.map(toSchedule)) {
+    await db.query('UPDATE report_schedules SET next_run_at = ? WHERE id = ?', [computeNextRun(schedule, now), schedule.id]);
+    await runSchedule(db, schedule, { runTime: now });
+  }
+}
+
+let timer = null;
+let polling = false;
+
+function startScheduler(db) {
+  if (timer) return;
+
+  const poll = async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      await runDueSchedules(db);
+    } catch (error) {
+      console.error('Error running scheduled reports:', error);
+    } finally {
+      polling = false;
+    }
+  };
+
+  timer = setInterval(poll, POLL_INTERVAL_MS);
+  timer.unref();
+  poll();
+  console.log(`Report scheduler started, writing reports to ${OUTPUT_DIR}`);
+}
+
+function stopScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  FREQUENCIES,
+  OUTPUT_DIR,
+  ensureScheduleTables,
+  validateSchedule,
+  computeNextRun,
+  getReportPeriod,
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  listRuns,
+  runSchedule,
+  runDueSchedules,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const { describeNode } = require('./nodeRegistry');
+const { getNodeProfile } = require('./channelProfiles');
+const { zonedParts } = require('./timezone');
+
+// Synthetic telemetry for demos and tests. Each node and base station is
+// simulated independently: transmitters hold their forward power with a slow
+// drift, draw from a mains supply that sags through the evening peak and run
+// warmer in the afternoon; generators run through their `runHours` and stand
+// idle otherwise.
+//
+// Faults are injected at random, `perDay` times a day on average, each
+// lasting between `minutes[0]` and `minutes[1]`:
+//
+// - vswrSpike: reflected power jumps to a tenth or more of forward power
+// - outage: the transmitter goes off air, or the generator fails to run
+// - flatline: one sensor sticks at its last reading
+// - gap: the logger records nothing
+//
+// Settings in `defaults` apply to every node and `nodes[nodeName]` overrides
+// individual keys.
+const SIMULATOR_FILE = process.env.SIMULATOR_FILE ||
+  path.join(__dirname, '..', 'config', 'simulator.json');
+
+const FAULT_TYPES = ['vswrSpike', 'outage', 'flatline', 'gap'];
+
+const DEFAULT_SETTINGS = {
+  baseStations: ['Ngong'],
+  intervalSeconds: 60,
+  forwardPower: 1000,
+  reflectedPower: 12,
+  efficiency: 0.62,
+  mainsVoltage: 230,
+  ambientTemperature: 22,
+  temperatureSwing: 7,
+  runHours: [[18, 21]],
+  loadCurrent: 42,
+  faults: {}
+};
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Longest step between readings the model advances by
+const MAX_STEP = 60 * MINUTE;
+
+// Standby draw of a transmitter that is off air, in W
+const IDLE_POWER = 40;
+
+function loadSimulatorSettings() {
+  try {
+    const settings = JSON.parse(fs.readFileSync(SIMULATOR_FILE, 'utf8'));
+    return {
+      defaults: settings.defaults || {},
+      nodes: settings.nodes || {}
+    };
+  } catch (error) {
+    console.error(`Failed to load simulator settings from ${SIMULATOR_FILE}:`, error.message);
+    return { defaults: {}, nodes: {} };
+  }
+}
+
+function getSimulatorSettings(nodeName, settings = loadSimulatorSettings()) {
+  const nodeSettings = settings.nodes[nodeName] || {};
+  return {
+    ...DEFAULT_SETTINGS,
+    ...settings.defaults,
+    ...nodeSettings,
+    faults: { ...settings.defaults.faults, ...nodeSettings.faults }
+  };
+}
+
+// Small deterministic PRNG (mulberry32) so a seed always gives the same rows
+function createRandom(seedText) {
+  let seed = [...seedText].reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261) >>> 0;
+  return () => {
+    seed = (seed + 0x6D2B79F5) >>> 0;
+    let t = seed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+// Transmitter readings at one moment
+function sampleTransmitter(state, { settings, ambient, hour, noise, faults }) {
+  // Mean-reverting drift of a few percent around the nominal power
+  state.drift = state.drift * 0.98 + noise(0.006);
+  // Mains sags through the evening peak
+  const sag = hour >= 18 && hour < 22 ? 8 : 0;
+  const voltage = settings.mainsVoltage - sag + noise(3);
+
+  if (faults.outage) {
+    return {
+      'Forward Power': 0,
+      'Reflected Power': 0,
+      Temperature: ambient + 2 + noise(0.5),
+      Voltage: voltage,
+      Current: IDLE_POWER / voltage,
+      Power: IDLE_POWER + noise(2)
+    };
+  }
+
+  const forward = settings.forwardPower * (1 + state.drift) + noise(settings.forwardPower * 0.01);
+  const reflected = faults.vswrSpike
+    ? forward * faults.vswrSpike.ratio
+    : settings.reflectedPower * (forward / settings.forwardPower) + noise(settings.reflectedPower * 0.15);
+  const power = forward / settings.efficiency + noise(15);
+  return {
+    'Forward Power': forward,
+    'Reflected Power': Math.max(reflected, 0),
+    // The PA runs about ten degrees above ambient at full power
+    Temperature: ambient + 10 * (forward / settings.forwardPower) + noise(0.8),
+    Voltage: voltage,
+    Current: power / voltage,
+    Power: power
+  };
+}
+
+// Generator readings at one moment
+function sampleGenerator(state, { settings, ambient, hour, noise, faults, elapsedMs }) {
+  const running = settings.runHours.some(([from, to]) => hour >= from && hour < to) && !faults.outage;
+  // The engine warms up over its first quarter hour and cools after
+  state.heat = Math.min(Math.max(state.heat + (running ? 1 : -1) * elapsedMs / (15 * MINUTE), 0), 1);
+
+  const current = running ? settings.loadCurrent * (1 + noise(0.1)) : 0;
+  const voltage = running ? 238 + noise(3) : 0;
+  return {
+    Voltage: voltage,
+    Current: current,
+    Temperature: ambient + (78 - ambient) * state.heat + noise(running ? 3 : 0.5),
+    Frequency: running ? 50 + noise(0.2) : 0,
+    'Battery Voltage': running ? 13.8 + noise(0.05) : 12.7 + noise(0.05),
+    Power: voltage * current * 0.9
+  };
+}
+
+// A stateful simulation of one node on one base station. `next(time)` gives
+// the row logged at `time`, or null during a logging gap; `events` lists the
+// faults injected so far. `faults` picks which fault types may occur and
+// `faultRate` scales how often.
+function createSimulation(nodeName, baseStation, {
+  settings = getSimulatorSettings(nodeName),
+  faults = FAULT_TYPES,
+  faultRate = 1,
+  seed = ''
+} = {}) {
+  const generator = describeNode(nodeName).siteType === 'generator';
+  const profile = getNodeProfile(nodeName);
+  const random = createRandom(`${seed}|${nodeName}|${baseStation}`);
+  const noise = scale => (random() - 0.5) * 2 * scale;
+  const sample = generator ? sampleGenerator : sampleTransmitter;
+  const scheduledToRun = hour => settings.runHours.some(([from, to]) => hour >= from && hour < to);
+  // VSWR is meaningless on a generator
+  const enabledFaults = faults.filter(type => settings.faults[type] && !(generator && type === 'vswrSpike'));
+  const active = {};
+  const events = [];
+  const state = { drift: 0, heat: 0, last: null, lastTime: null };
+
+  function injectFaults(time, hour, elapsedMs) {
+    FAULT_TYPES.forEach(type => {
+      if (active[type] && active[type].until <= time) delete active[type];
+    });
+
+    enabledFaults.forEach(type => {
+      const { perDay = 0, minutes = [10, 60] } = settings.faults[type];
+      if (active[type] || random() >= perDay * faultRate * elapsedMs / DAY) return;
+      // A generator can only fail to run while it is due to
+      if (generator && type === 'outage' && !scheduledToRun(hour)) return;
+
+      const duration = Math.round(minutes[0] + random() * (minutes[1] - minutes[0])) * MINUTE;
+      const fault = { until: time + duration };
+      if (type === 'vswrSpike') fault.ratio = 0.1 + random() * 0.15;
+      if (type === 'flatline' && state.last) {
+        const metrics = profile.channels.map(channel => channel.metric);
+        fault.metric = metrics[Math.floor(random() * metrics.length)];
+        fault.value = state.last[fault.metric];
+      }
+      if (type === 'flatline' && !fault.metric) return;
+
+      active[type] = fault;
+      events.push({
+        type,
+        nodeName,
+        baseStation,
+        start: new Date(time),
+        end: new Date(fault.until),
+        ...(fault.metric ? { metric: fault.metric } : {})
+      });
+    });
+  }
+
+  function next(date) {
+    const time = date.getTime();
+    // A resumed simulation does not make up for the time it was stopped
+    const elapsedMs = state.lastTime === null
+      ? settings.intervalSeconds * 1000
+      : Math.min(time - state.lastTime, MAX_STEP);
+    state.lastTime = time;
+    const { hour, minute } = zonedParts(date);
+    injectFaults(time, hour, elapsedMs);
+
+    const dayFraction = (hour * 60 + minute) / (24 * 60);
+    // Warmest mid-afternoon, coolest before dawn
+    const ambient = settings.ambientTemperature +
+      settings.temperatureSwing * Math.sin(2 * Math.PI * (dayFraction - 0.375));
+    const values = sample(state, { settings, ambient, hour, noise, faults: active, elapsedMs });
+    if (active.flatline) values[active.flatline.metric] = active.flatline.value;
+    state.last = values;
+
+    if (active.gap) return null;
+
+    const row = { NodeName: nodeName, NodeBaseStationName: baseStation, time: new Date(time) };
+    profile.channels.forEach(channel => {
+      const value = values[channel.metric];
+      row[channel.column] = value === undefined ? null : round((value - channel.offset) / channel.scale);
+    });
+    return row;
+  }
+
+  return { nodeName, baseStation, settings, events, next };
+}
+
+// Rows of a simulation from `start` to `end` (inclusive), oldest first
+function simulateRange(simulation, { start, end, intervalSeconds = simulation.settings.intervalSeconds }) {
+  const rows = [];
+  for (let time = start.getTime(); time <= end.getTime(); time += intervalSeconds * 1000) {
+    const row = simulation.next(new Date(time));
+    if (row) rows.push(row);
+  }
+  return rows;
+}
+
+module.exports = {
+  FAULT_TYPES,
+  loadSimulatorSettings,
+  getSimulatorSettings,
+  createRandom,
+  createSimulation,
+  simulateRange
+};
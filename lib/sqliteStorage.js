@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { escapeId } = require('mysql2');
+const { ID_COLUMN } = require('./telemetry');
+
+// Storage on a local SQLite file (or ':memory:'), for development and tests
+// without a MySQL server. The app's MySQL queries run unchanged:
+//
+// - UNIX_TIMESTAMP, FROM_UNIXTIME and CHAR_LENGTH are provided as SQL functions
+// - array parameters expand to one placeholder per element, like mysql2's
+//   `IN (?)`, and object parameters to `column = ?` pairs, like its `SET ?`
+//   (written as a column list and VALUES in an INSERT)
+// - the MySQL-only parts of the app's CREATE TABLE statements (AUTO_INCREMENT,
+//   named UNIQUE KEYs and plain KEYs) and FOR UPDATE are rewritten or dropped
+//
+// DATETIME values are stored as UTC text ('YYYY-MM-DD HH:MM:SS.sss'), which
+// sorts and compares correctly, and come back as Date objects.
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d{1,3})?$/;
+const ANALOG_CHANNELS = 8;
+const MAX_CACHED_STATEMENTS = 200;
+
+const NODE_STATUS_TABLE = `
+  CREATE TABLE IF NOT EXISTS node_status_table (
+    ${escapeId(ID_COLUMN)} INTEGER PRIMARY KEY AUTOINCREMENT,
+    NodeName VARCHAR(255) NOT NULL,
+    NodeBaseStationName VARCHAR(255) NULL,
+    time DATETIME NOT NULL,
+    ${Array.from({ length: ANALOG_CHANNELS }, (_, i) => `Analog${i + 1}Value REAL NULL`).join(',\n    ')}
+  )
+`;
+
+function toSqlTime(date) {
+  return date.toISOString().replace('T', ' ').replace('Z', '');
+}
+
+function fromSqlTime(text) {
+  return new Date(`${text.replace(' ', 'T')}Z`);
+}
+
+function toParam(value) {
+  if (value instanceof Date) return toSqlTime(value);
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value === undefined ? null : value;
+}
+
+function translateSql(sql) {
+  return sql
+    .replace(/\bINT AUTO_INCREMENT PRIMARY KEY\b/gi, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+    .replace(/\bUNIQUE KEY \w+ \(/gi, 'UNIQUE (')
+    .replace(/,\s*KEY \w+ \([^)]*\)/gi, '')
+    .replace(/\s+FOR UPDATE\b/gi, '');
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' &&
+  !Array.isArray(value) && !(value instanceof Date) && !Buffer.isBuffer(value);
+
+// Replace each `?` (outside quotes) by one placeholder per value. A single
+// value may be passed instead of an array, as with mysql2.
+function expandParams(sql, params = []) {
+  const list = Array.isArray(params) ? params : [params];
+  const values = [];
+  let text = '';
+  let quote = null;
+  let index = 0;
+
+  for (const char of sql) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '\'' || char === '"' || char === '`') {
+      quote = char;
+    } else if (char === '?') {
+      const value = list[index++];
+      if (Array.isArray(value)) {
+        text += value.map(() => '?').join(', ');
+        values.push(...value.map(toParam));
+      } else if (isPlainObject(value)) {
+        const columns = Object.keys(value);
+        if (/^\s*INSERT\b/i.test(sql) && /\bSET\s*$/i.test(text)) {
+          text = text.replace(/\bSET\s*$/i, `(${columns.map(column => escapeId(column)).join(', ')}) VALUES `) +
+            `(${columns.map(() => '?').join(', ')})`;
+        } else {
+          text += columns.map(column => `${escapeId(column)} = ?`).join(', ');
+        }
+        values.push(...columns.map(column => toParam(value[column])));
+      } else {
+        text += '?';
+        values.push(toParam(value));
+      }
+      continue;
+    }
+    text += char;
+  }
+  return { sql: text, values };
+}
+
+function fromRow(row) {
+  Object.keys(row).forEach(key => {
+    if (typeof row[key] === 'string' && DATETIME_PATTERN.test(row[key])) {
+      row[key] = fromSqlTime(row[key]);
+    }
+  });
+  return row;
+}
+
+// Files created before node_status_table had its key column are rebuilt
+// with one, numbering the existing rows in time order
+function addIdColumn(database) {
+  const columns = database.prepare('PRAGMA table_info(node_status_table)').all().map(column => column.name);
+  if (columns.length === 0 || columns.includes(ID_COLUMN)) return;
+
+  const copied = columns.map(column => escapeId(column)).join(', ');
+  database.transaction(() => {
+    database.exec('ALTER TABLE node_status_table RENAME TO node_status_table_old');
+    database.exec(NODE_STATUS_TABLE);
+    database.exec(`INSERT INTO node_status_table (${copied}) SELECT ${copied} FROM node_status_table_old ORDER BY time`);
+    database.exec('DROP TABLE node_status_table_old');
+  })();
+}
+
+function createSqliteStorage({ file }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('SQLite storage needs the optional better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  if (file !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  }
+  const database = new Database(file);
+  database.pragma('journal_mode = WAL');
+  database.pragma('foreign_keys = ON');
+
+  database.function('UNIX_TIMESTAMP', { deterministic: true }, text => (
+    text === null ? null : fromSqlTime(text).getTime() / 1000
+  ));
+  database.function('FROM_UNIXTIME', { deterministic: true }, seconds => (
+    seconds === null ? null : toSqlTime(new Date(seconds * 1000))
+  ));
+  database.function('CHAR_LENGTH', { deterministic: true }, text => (text === null ? null : [...String(text)].length));
+
+  addIdColumn(database);
+  database.exec(NODE_STATUS_TABLE);
+  database.exec('CREATE INDEX IF NOT EXISTS idx_node_status_time ON node_status_table (NodeName, time)');
+
+  const statements = new Map();
+  const prepare = (sql) => {
+    if (!statements.has(sql)) {
+      if (statements.size >= MAX_CACHED_STATEMENTS) statements.clear();
+      statements.set(sql, database.prepare(sql));
+    }
+    return statements.get(sql);
+  };
+
+  // Same result shapes as mysql2: [rows] for reads, [{ insertId, affectedRows }]
+  // for writes
+  const run = (sql, params) => {
+    const expanded = expandParams(translateSql(sql), params);
+    const statement = prepare(expanded.sql);
+    if (statement.reader) {
+      return [statement.all(expanded.values).map(fromRow), []];
+    }
+    const info = statement.run(expanded.values);
+    return [{ insertId: Number(info.lastInsertRowid), affectedRows: info.changes }];
+  };
+
+  // SQLite has a single connection, so connections (and with them
+  // transactions) are handed out one at a time
+  let lock = Promise.resolve();
+  const getConnection = async () => {
+    const previous = lock;
+    let release;
+    lock = new Promise(resolve => {
+      release = resolve;
+    });
+    await previous;
+
+    return {
+      query: async (sql, params) => run(sql, params),
+      beginTransaction: async () => database.exec('BEGIN IMMEDIATE'),
+      commit: async () => database.exec('COMMIT'),
+      rollback: async () => {
+        if (database.inTransaction) database.exec('ROLLBACK');
+      },
+      release
+    };
+  };
+
+  return {
+    driver: 'sqlite',
+    file,
+    query: async (sql, params) => run(sql, params),
+    getConnection,
+    // Rows are read up front: an open iterator would block every other
+    // statement on the connection
+    stream: (sql, params) => Readable.from(run(sql, params)[0]),
+    end: async () => database.close()
+  };
+}
+
+module.exports = {
+  createSqliteStorage
+};
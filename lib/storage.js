@@ -0,0 +1,53 @@
+const path = require('path');
+
+// Data access behind the routes. Every backend offers the same small surface,
+// shaped after mysql2's promise pool:
+//
+// - query(sql, params): [rows] for reads, [{ insertId, affectedRows }] for writes
+// - getConnection(): a connection with query, beginTransaction, commit,
+//   rollback and release
+// - stream(sql, params): an object-mode stream of rows
+// - end(): close the backend
+//
+// MySQL is the default. `--sqlite` (or `--sqlite=<file>`) on the command
+// line, or STORAGE_DRIVER=sqlite with SQLITE_FILE, uses a local SQLite file
+// instead, which is seeded with fixture telemetry when it has none
+// (SQLITE_SEED=false turns that off).
+const DRIVERS = ['mysql', 'sqlite'];
+const DEFAULT_SQLITE_FILE = path.join(__dirname, '..', 'data', 'telemetry.sqlite');
+
+function resolveStorageOptions(argv = process.argv.slice(2), env = process.env) {
+  const flag = argv.find(arg => arg === '--sqlite' || arg.startsWith('--sqlite='));
+  const driver = flag ? 'sqlite' : (env.STORAGE_DRIVER || 'mysql');
+  if (!DRIVERS.includes(driver)) {
+    throw new Error(`Unknown STORAGE_DRIVER '${driver}', expected one of ${DRIVERS.join(', ')}`);
+  }
+
+  return {
+    driver,
+    file: flag && flag.includes('=') ? flag.slice('--sqlite='.length) : (env.SQLITE_FILE || DEFAULT_SQLITE_FILE),
+    seed: env.SQLITE_SEED !== 'false'
+  };
+}
+
+async function createStorage(options = resolveStorageOptions()) {
+  if (options.driver === 'sqlite') {
+    const { createSqliteStorage } = require('./sqliteStorage');
+    const { seedFixtures } = require('./fixtures');
+    const storage = createSqliteStorage(options);
+    if (options.seed) {
+      const seeded = await seedFixtures(storage);
+      if (seeded) console.log(`Seeded ${options.file} with ${seeded} fixture rows`);
+    }
+    return storage;
+  }
+
+  const { createMysqlStorage } = require('./mysqlStorage');
+  return createMysqlStorage();
+}
+
+module.exports = {
+  DRIVERS,
+  resolveStorageOptions,
+  createStorage
+};
@@ -0,0 +1,102 @@
+const { getNodeProfile, buildMetricSelect } = require('./channelProfiles');
+const {
+  resolveResolution,
+  buildBucketSelect,
+  shapeBucketRows
+} = require('./aggregation');
+
+// node_status_table's auto-increment primary key. Readings can share a
+// timestamp, so the live feed and the data table's paging use it to tell
+// them apart.
+const ID_COLUMN = process.env.TELEMETRY_ID_COLUMN || 'id';
+
+// Build the SQL for a node's telemetry between two times, projected through
+// its channel profile. `resolution` must already be resolved ('raw' or a
+// bucket size). The range compares instants, so it does not depend on the
+// MySQL session's idea of where a day starts.
+function buildTelemetryQuery(profile, { nodeName, baseStation, startTime, endTime, resolution = 'raw', order = 'DESC' }) {
+  const direction = order === 'ASC' ? 'ASC' : 'DESC';
+  const filters = `
+      FROM node_status_table
+      WHERE NodeName = ?
+      AND time >= ?
+      AND time <= ?
+      ${baseStation ? 'AND NodeBaseStationName = ?' : ''}`;
+
+  let query;
+  if (resolution === 'raw') {
+    query = `
+      SELECT
+        NodeName,
+        NodeBaseStationName,
+        time as Timestamp,
+        ${buildMetricSelect(profile)}${filters}
+      ORDER BY time ${direction}
+    `;
+  } else {
+    // Aggregate into min/avg/max per bucket so long ranges stay chartable
+    const { bucket, select } = buildBucketSelect(profile, resolution);
+    query = `
+      SELECT
+        ${select}${filters}
+      GROUP BY ${bucket}
+      ORDER BY Timestamp ${direction}
+    `;
+  }
+
+  const params = [nodeName, startTime, endTime, baseStation].filter(param => param !== undefined && param !== '');
+  return { query, params };
+}
+
+// Query a node's telemetry between two times. Rows come back newest first,
+// either raw or bucketed to the requested resolution. `rowCount` (if known)
+// lets 'auto' stay raw for small result sets.
+async function fetchTelemetry(db, { nodeName, baseStation, startTime, endTime, resolution = 'raw', rowCount }) {
+  const profile = getNodeProfile(nodeName);
+  const appliedResolution = resolveResolution(resolution, {
+    spanMs: endTime - startTime,
+    rowCount
+  });
+
+  const { query, params } = buildTelemetryQuery(profile, {
+    nodeName,
+    baseStation,
+    startTime,
+    endTime,
+    resolution: appliedResolution
+  });
+  const [rows] = await db.query(query, params);
+
+  return {
+    profile,
+    resolution: appliedResolution,
+    rows: appliedResolution === 'raw'
+      ? rows
+      : shapeBucketRows(rows, profile, { nodeName, baseStation })
+  };
+}
+
+// Raw telemetry, oldest first, as an object-mode stream of rows so large
+// exports are not held in memory.
+function streamTelemetry(db, { nodeName, baseStation, startTime, endTime }) {
+  const profile = getNodeProfile(nodeName);
+  const { query, params } = buildTelemetryQuery(profile, {
+    nodeName,
+    baseStation,
+    startTime,
+    endTime,
+    order: 'ASC'
+  });
+
+  return {
+    profile,
+    stream: db.stream(query, params)
+  };
+}
+
+module.exports = {
+  ID_COLUMN,
+  buildTelemetryQuery,
+  fetchTelemetry,
+  streamTelemetry
+};
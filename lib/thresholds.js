@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+
+// Threshold rules with a warning and critical level per metric. `defaults`
+// apply to every node; `nodes[nodeName][metric]` replaces the default rule for
+// that node, and a null override switches the metric off for the node. A rule
+// with `whileRunning: true` only judges a generator's readings while it runs.
+const THRESHOLDS_FILE = process.env.THRESHOLDS_FILE ||
+  path.join(__dirname, '..', 'config', 'thresholds.json');
+
+const STATISTICS = ['avg', 'min', 'max'];
+
+function loadThresholds() {
+  try {
+    const rules = JSON.parse(fs.readFileSync(THRESHOLDS_FILE, 'utf8'));
+    return {
+      defaults: rules.defaults || {},
+      nodes: rules.nodes || {}
+    };
+  } catch (error) {
+    console.error(`Failed to load threshold rules from ${THRESHOLDS_FILE}:`, error.message);
+    return { defaults: {}, nodes: {} };
+  }
+}
+
+// Effective rules for one node
+function getNodeThresholds(nodeName, rules = loadThresholds()) {
+  const overrides = (nodeName && rules.nodes[nodeName]) || {};
+  const effective = { ...rules.defaults };
+
+  Object.entries(overrides).forEach(([metric, rule]) => {
+    if (rule === null) {
+      delete effective[metric];
+    } else {
+      effective[metric] = rule;
+    }
+  });
+
+  return effective;
+}
+
+function validateLevels(levels, direction, label) {
+  const errors = [];
+  if (!levels) return errors;
+
+  ['warning', 'critical'].forEach(level => {
+    if (!Number.isFinite(levels[level])) {
+      errors.push(`${label}.${direction}.${level} must be a number`);
+    }
+  });
+  if (errors.length) return errors;
+
+  if (direction === 'high' && levels.critical < levels.warning) {
+    errors.push(`${label}.high.critical must not be below the warning level`);
+  }
+  if (direction === 'low' && levels.critical > levels.warning) {
+    errors.push(`${label}.low.critical must not be above the warning level`);
+  }
+  return errors;
+}
+
+function validateRule(rule, label) {
+  if (rule === null) return [];
+  if (!rule || typeof rule !== 'object') return [`${label} must be an object`];
+
+  const errors = [];
+  if (rule.statistic !== undefined && !STATISTICS.includes(rule.statistic)) {
+    errors.push(`${label}.statistic must be one of ${STATISTICS.join(', ')}`);
+  }
+  if (rule.whileRunning !== undefined && typeof rule.whileRunning !== 'boolean') {
+    errors.push(`${label}.whileRunning must be true or false`);
+  }
+  if (!rule.low && !rule.high) {
+    errors.push(`${label} needs a low or high limit`);
+  }
+  return errors
+    .concat(validateLevels(rule.low, 'low', label))
+    .concat(validateLevels(rule.high, 'high', label));
+}
+
+// List the problems with a rule set; an empty list means it is valid
+function validateThresholds(rules) {
+  if (!rules || typeof rules !== 'object') return ['Threshold rules must be an object'];
+
+  const errors = [];
+  Object.entries(rules.defaults || {}).forEach(([metric, rule]) => {
+    errors.push(...(rule === null
+      ? [`defaults.${metric} cannot be null`]
+      : validateRule(rule, `defaults.${metric}`)));
+  });
+  Object.entries(rules.nodes || {}).forEach(([nodeName, overrides]) => {
+    Object.entries(overrides || {}).forEach(([metric, rule]) => {
+      errors.push(...validateRule(rule, `nodes.${nodeName}.${metric}`));
+    });
+  });
+  return errors;
+}
+
+function saveThresholds(rules) {
+  const normalized = { defaults: rules.defaults || {}, nodes: rules.nodes || {} };
+  fs.writeFileSync(THRESHOLDS_FILE, `${JSON.stringify(normalized, null, 2)}\n`);
+  return normalized;
+}
+
+// Classify a single value against a threshold rule
+function classifyValue(value, rule) {
+  if (!rule || !Number.isFinite(value)) return 'ok';
+  if (rule.high && value >= rule.high.critical) return 'critical';
+  if (rule.low && value <= rule.low.critical) return 'critical';
+  if (rule.high && value >= rule.high.warning) return 'warning';
+  if (rule.low && value <= rule.low.warning) return 'warning';
+  return 'ok';
+}
+
+module.exports = {
+  STATISTICS,
+  loadThresholds,
+  getNodeThresholds,
+  validateThresholds,
+  saveThresholds,
+  classifyValue
+};
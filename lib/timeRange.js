@@ -0,0 +1,127 @@
+const { zonedParts, zonedTime, parseDay } = require('./timezone');
+
+// Reporting periods are either a rolling window ('24h', '7d', '30d') or a
+// custom date range, written as 'custom:<startDate>..<endDate>' when passed
+// as a single key (e.g. for saved narrations and report URLs). Custom ranges
+// cover whole days in the reporting time zone.
+const ROLLING_PERIODS = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+// Split a period key into the time period and custom dates it encodes
+function parsePeriodKey(period) {
+  const match = /^custom:(.+)\.\.(.+)$/.exec(period || '');
+  if (match) {
+    return { timePeriod: 'custom', startDate: match[1], endDate: match[2] };
+  }
+  return { timePeriod: period };
+}
+
+// Calendar day of a 'YYYY-MM-DD' date, or of a full timestamp in the
+// reporting time zone; null when unparseable
+function toDay(text) {
+  const day = parseDay(text);
+  if (day) return day;
+  const date = new Date(text);
+  if (isNaN(date.getTime())) return null;
+  const { year, month, day: dayOfMonth } = zonedParts(date);
+  return { year, month, day: dayOfMonth };
+}
+
+// Resolve a period to concrete start and end times. Throws an error with
+// status 400 when the period or dates are invalid.
+function resolveTimeRange(timePeriod, { startDate, endDate, now = new Date() } = {}) {
+  let startTime;
+  let endTime;
+
+  if (timePeriod === 'custom' && startDate && endDate) {
+    const startDay = toDay(startDate);
+    const endDay = toDay(endDate);
+    if (!startDay || !endDay) {
+      throw rangeError('Invalid date format');
+    }
+
+    // From the start of the first day to the end of the last
+    startTime = zonedTime(startDay);
+    endTime = new Date(zonedTime({ ...endDay, day: endDay.day + 1 }).getTime() - 1);
+
+    if (endTime < startTime) {
+      throw rangeError('End date must be after start date');
+    }
+  } else if (ROLLING_PERIODS[timePeriod]) {
+    startTime = new Date(now.getTime() - ROLLING_PERIODS[timePeriod]);
+    endTime = now;
+  } else {
+    throw rangeError('Invalid time period');
+  }
+
+  return { startTime, endTime };
+}
+
+// Baselines a period can be compared against
+const COMPARISON_MODES = ['previous', 'year'];
+
+const ROLLING_LABELS = {
+  '24h': 'previous 24 hours',
+  '7d': 'previous 7 days',
+  '30d': 'previous 30 days'
+};
+
+// The window a period is compared against: the equivalent span immediately
+// before it ('previous') or the same dates a year earlier ('year').
+// `offsetMs` shifts baseline times onto the current period's axis.
+function resolveComparisonRange({ startTime, endTime }, compare, timePeriod) {
+  let baselineStart;
+  let baselineEnd;
+  let label;
+
+  if (compare === 'previous') {
+    baselineEnd = new Date(startTime.getTime() - 1);
+    baselineStart = new Date(baselineEnd.getTime() - (endTime - startTime));
+    const days = Math.round((endTime - startTime) / (24 * 60 * 60 * 1000));
+    label = ROLLING_LABELS[timePeriod] || `previous ${days} day${days === 1 ? '' : 's'}`;
+  } else if (compare === 'year') {
+    // Same wall-clock times a year earlier in the reporting time zone
+    const yearEarlier = date => {
+      const parts = zonedParts(date);
+      return zonedTime({ ...parts, year: parts.year - 1 });
+    };
+    baselineStart = yearEarlier(startTime);
+    baselineEnd = yearEarlier(endTime);
+    label = 'same period last year';
+  } else {
+    throw rangeError(`compare must be one of: ${COMPARISON_MODES.join(', ')}`);
+  }
+
+  return {
+    startTime: baselineStart,
+    endTime: baselineEnd,
+    offsetMs: startTime.getTime() - baselineStart.getTime(),
+    label
+  };
+}
+
+// Human-readable duration, e.g. '45 min' or '3 h 20 min'
+function formatDuration(minutes) {
+  if (minutes < 60) return `${Math.round(minutes)} min`;
+  const hours = Math.floor(minutes / 60);
+  const rest = Math.round(minutes % 60);
+  return rest ? `${hours} h ${rest} min` : `${hours} h`;
+}
+
+function rangeError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+module.exports = {
+  ROLLING_PERIODS,
+  parsePeriodKey,
+  resolveTimeRange,
+  COMPARISON_MODES,
+  resolveComparisonRange,
+  formatDuration
+};
@@ -0,0 +1,149 @@
+// The reporting time zone decides which day a reading belongs to: custom date
+// ranges, energy intervals, scheduled report periods and every date printed
+// in narrations, PDFs and exports follow it, whatever zone the server or the
+// browser runs in. API payloads carry ISO timestamps with the zone's offset.
+const DEFAULT_TIMEZONE = 'Africa/Nairobi';
+
+const MINUTE = 60 * 1000;
+// Offsets are looked up once per quarter hour, the finest step zones change by
+const OFFSET_BLOCK = 15 * MINUTE;
+const MAX_CACHED_OFFSETS = 10000;
+
+const DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function resolveReportTimeZone(configured = process.env.REPORT_TIMEZONE) {
+  if (!configured) return DEFAULT_TIMEZONE;
+  if (isValidTimeZone(configured)) return configured;
+  console.error(`Unknown REPORT_TIMEZONE '${configured}', using ${DEFAULT_TIMEZONE}`);
+  return DEFAULT_TIMEZONE;
+}
+
+const REPORT_TIMEZONE = resolveReportTimeZone();
+
+const formatters = new Map();
+function partsFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+const offsets = new Map();
+
+// Minutes the zone is ahead of UTC at a moment (180 for Africa/Nairobi)
+function offsetMinutes(date, timeZone = REPORT_TIMEZONE) {
+  const time = new Date(date).getTime();
+  const key = `${timeZone}|${Math.floor(time / OFFSET_BLOCK)}`;
+  if (!offsets.has(key)) {
+    if (offsets.size >= MAX_CACHED_OFFSETS) offsets.clear();
+    const parts = {};
+    partsFormatter(timeZone).formatToParts(new Date(time)).forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+    // The formatted parts have no milliseconds
+    const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    offsets.set(key, Math.round((wall - Math.floor(time / 1000) * 1000) / MINUTE));
+  }
+  return offsets.get(key);
+}
+
+// Wall-clock fields of a moment in the zone. `month` is 1-12 and `weekday`
+// 0 (Sunday) to 6.
+function zonedParts(date, timeZone = REPORT_TIMEZONE) {
+  const shifted = new Date(new Date(date).getTime() + offsetMinutes(date, timeZone) * MINUTE);
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    hour: shifted.getUTCHours(),
+    minute: shifted.getUTCMinutes(),
+    second: shifted.getUTCSeconds(),
+    millisecond: shifted.getUTCMilliseconds(),
+    weekday: shifted.getUTCDay()
+  };
+}
+
+// The moment a wall-clock time occurs in the zone. Fields may overflow like
+// Date.UTC's (day 0 is the last day of the previous month).
+function zonedTime({ year, month, day = 1, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone = REPORT_TIMEZONE) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  const guess = wall - offsetMinutes(new Date(wall), timeZone) * MINUTE;
+  // A second pass settles times close to an offset change
+  return new Date(wall - offsetMinutes(new Date(guess), timeZone) * MINUTE);
+}
+
+// 'YYYY-MM-DD' into calendar fields, or null
+function parseDay(text) {
+  const match = DAY_PATTERN.exec(text || '');
+  return match ? { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) } : null;
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const size = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(size / 60))}:${pad(size % 60)}`;
+}
+
+// ISO 8601 with the zone's offset, e.g. 2024-05-01T09:30:00.000+03:00
+function formatIso(date, timeZone = REPORT_TIMEZONE) {
+  const parts = zonedParts(date, timeZone);
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:` +
+    `${pad(parts.second)}.${pad(parts.millisecond, 3)}${formatOffset(offsetMinutes(date, timeZone))}`;
+}
+
+// The calendar day of a moment in the zone, as 'YYYY-MM-DD'
+function formatDay(date, timeZone = REPORT_TIMEZONE) {
+  const parts = zonedParts(date, timeZone);
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+}
+
+// Human-readable date and time for narrations and PDFs
+function formatDateTime(date, options = {}, timeZone = REPORT_TIMEZONE) {
+  return new Date(date).toLocaleString(undefined, { timeZone, ...options });
+}
+
+function formatDate(date, options = {}, timeZone = REPORT_TIMEZONE) {
+  return new Date(date).toLocaleDateString(undefined, { timeZone, ...options });
+}
+
+// JSON.stringify replacer writing Dates as ISO timestamps with the zone's
+// offset. `this[key]` is the value before Date#toJSON turned it into UTC.
+function isoReplacer(key, value) {
+  const original = this[key];
+  return original instanceof Date && !isNaN(original.getTime()) ? formatIso(original) : value;
+}
+
+module.exports = {
+  REPORT_TIMEZONE,
+  isValidTimeZone,
+  offsetMinutes,
+  zonedParts,
+  zonedTime,
+  parseDay,
+  formatOffset,
+  formatIso,
+  formatDay,
+  formatDateTime,
+  formatDate,
+  isoReplacer
+};
@@ -0,0 +1,208 @@
+// Trend analysis for metric series: a least-squares line over the whole
+// period, its slope per day with a confidence rating, and a projection of when
+// the metric will reach its warning (then critical) threshold if the trend
+// continues.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Fewer effective readings than this are never rated above 'low' confidence
+const MIN_CONFIDENT_SAMPLES = 10;
+// A line explaining less of the variance than this is noise around a level
+const MIN_TREND_R2 = 0.1;
+// Only a line explaining at least this much of the variance is rated 'high',
+// and only 'high' trends are projected to a threshold crossing
+const HIGH_CONFIDENCE_R2 = 0.5;
+// Crossings further out than this are not reported
+const MAX_PROJECTION_DAYS = 365;
+// The forecast line extends past the period by this share of its span
+const FORECAST_SHARE = 0.25;
+
+// Fit value = intercept + slope * days since the first sample. Samples are
+// { time, value }; missing values are skipped. Returns null with fewer than
+// two usable samples or no time spread.
+function fitTrend(samples) {
+  const points = samples
+    .filter(sample => sample.value !== null && sample.value !== undefined && Number.isFinite(Number(sample.value)))
+    .map(sample => ({ time: new Date(sample.time).getTime(), value: Number(sample.value) }))
+    .filter(point => Number.isFinite(point.time));
+  if (points.length < 2) return null;
+
+  const origin = points[0].time;
+  const n = points.length;
+  let sumX = 0;
+  let sumY = 0;
+  points.forEach(point => {
+    sumX += (point.time - origin) / DAY;
+    sumY += point.value;
+  });
+  const meanX = sumX / n;
+  const meanY = sumY / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  points.forEach(point => {
+    const dx = (point.time - origin) / DAY - meanX;
+    const dy = point.value - meanY;
+    sxx += dx * dx;
+    sxy += dx * dy;
+    syy += dy * dy;
+  });
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  const residual = Math.max(syy - slope * sxy, 0);
+  const r2 = syy === 0 ? 1 : 1 - residual / syy;
+
+  // Readings minutes apart are not independent: a daily cycle leaves long
+  // runs above and below the line. The lag-1 autocorrelation of the residuals
+  // shrinks the sample count the slope error is judged on.
+  const residuals = points.map(point => point.value - (intercept + slope * ((point.time - origin) / DAY)));
+  let squared = 0;
+  let lagged = 0;
+  residuals.forEach((value, index) => {
+    squared += value * value;
+    if (index > 0) lagged += value * residuals[index - 1];
+  });
+  const autocorrelation = squared > 0 ? Math.min(Math.max(lagged / squared, 0), 1) : 0;
+  const effectiveSamples = n * (1 - autocorrelation) / (1 + autocorrelation);
+
+  // Standard error of the slope; the t statistic says whether it differs from zero
+  const slopeError = n > 2 && effectiveSamples > 0
+    ? Math.sqrt(residual / (n - 2) / sxx * (n / effectiveSamples))
+    : Infinity;
+  const tStat = slopeError === 0 ? (slope === 0 ? 0 : Infinity) : slope / slopeError;
+
+  let confidence = 'low';
+  if (effectiveSamples >= MIN_CONFIDENT_SAMPLES && Math.abs(tStat) >= 2 && r2 >= MIN_TREND_R2) {
+    confidence = r2 >= HIGH_CONFIDENCE_R2 ? 'high' : 'medium';
+  }
+
+  return {
+    slopePerDay: slope,
+    intercept,
+    r2,
+    slopeError,
+    confidence,
+    samples: n,
+    effectiveSamples,
+    origin: new Date(origin),
+    end: new Date(points[n - 1].time)
+  };
+}
+
+function valueAt(fit, time) {
+  return fit.intercept + fit.slopePerDay * ((new Date(time).getTime() - fit.origin.getTime()) / DAY);
+}
+
+// Threshold levels the trend is heading towards, nearest first
+function levelsAhead(rule, slope) {
+  if (!rule) return [];
+  const bound = slope > 0 ? rule.high : slope < 0 ? rule.low : null;
+  if (!bound) return [];
+  return ['warning', 'critical']
+    .filter(level => typeof bound[level] === 'number')
+    .map(level => ({ level, limit: bound[level] }));
+}
+
+// When the fitted line reaches the first threshold level it has not passed
+// by the end of the period. `alreadyBeyond` lists levels passed already.
+function projectCrossing(fit, rule) {
+  if (!fit || fit.slopePerDay === 0) return null;
+
+  const current = valueAt(fit, fit.end);
+  const passed = (limit) => (fit.slopePerDay > 0 ? current >= limit : current <= limit);
+  const levels = levelsAhead(rule, fit.slopePerDay);
+  const alreadyBeyond = levels.filter(({ limit }) => passed(limit));
+  const next = levels.find(({ limit }) => !passed(limit));
+
+  if (!next) {
+    return alreadyBeyond.length ? { alreadyBeyond, level: null } : null;
+  }
+
+  const days = (next.limit - current) / fit.slopePerDay;
+  if (days > MAX_PROJECTION_DAYS) return { alreadyBeyond, level: null };
+
+  return {
+    alreadyBeyond,
+    level: next.level,
+    limit: next.limit,
+    days,
+    date: new Date(fit.end.getTime() + days * DAY)
+  };
+}
+
+// Two points of the fitted line: the start of the period and a little past
+// its end, drawn as a dashed forecast
+function forecastLine(fit) {
+  if (!fit) return [];
+  const span = fit.end.getTime() - fit.origin.getTime();
+  const until = new Date(fit.end.getTime() + span * FORECAST_SHARE);
+  return [
+    { time: fit.origin, value: valueAt(fit, fit.origin) },
+    { time: until, value: valueAt(fit, until) }
+  ];
+}
+
+// Rounds to two significant figures, e.g. 0.4, 0.012 or 12
+function formatRate(value) {
+  return Number(Math.abs(value).toPrecision(2)).toString();
+}
+
+function formatDays(days) {
+  if (days < 1) return `~${Math.max(1, Math.round(days * 24))} hours`;
+  const rounded = Math.round(days);
+  return `~${rounded} day${rounded === 1 ? '' : 's'}`;
+}
+
+// One sentence for the narration, e.g. "Temperature rising 0.4 °C/day; will
+// reach 50 °C in ~12 days."
+function describeTrend(metric, trend, unit = '') {
+  const suffix = unit ? ` ${unit}` : '';
+  if (!trend.fit) return `Not enough ${metric} readings to estimate a trend.`;
+  if (trend.direction === 'stable') {
+    return `${metric} shows no significant trend over the period.`;
+  }
+
+  const rate = `${formatRate(trend.fit.slopePerDay)}${suffix}/day`;
+  let text = `${metric} ${trend.direction} ${rate}`;
+  if (trend.fit.confidence === 'medium') text += ' (moderate confidence)';
+
+  const { crossing } = trend;
+  const beyond = crossing && crossing.alreadyBeyond.length
+    ? crossing.alreadyBeyond[crossing.alreadyBeyond.length - 1]
+    : null;
+  if (beyond) {
+    text += `; already ${trend.direction === 'rising' ? 'above' : 'below'} the ${beyond.limit}${suffix} ${beyond.level} level`;
+  }
+  if (crossing && crossing.level) {
+    text += `; will reach ${crossing.limit}${suffix}${beyond ? ` (${crossing.level})` : ''} in ${formatDays(crossing.days)}`;
+  }
+  return `${text}.`;
+}
+
+// Trend, projection and forecast line for one metric series. A trend rated
+// 'low' confidence is reported as stable, and only a 'high' one is projected
+// to a threshold crossing.
+function analyzeTrend(samples, rule, { metric = 'Value', unit = '' } = {}) {
+  const fit = fitTrend(samples);
+  const significant = fit && fit.confidence !== 'low' && fit.slopePerDay !== 0;
+  const direction = !significant ? 'stable' : fit.slopePerDay > 0 ? 'rising' : 'falling';
+  const crossing = significant && fit.confidence === 'high' ? projectCrossing(fit, rule) : null;
+  const trend = {
+    direction,
+    fit,
+    crossing,
+    forecast: significant ? forecastLine(fit) : []
+  };
+  return { ...trend, summary: describeTrend(metric, trend, unit) };
+}
+
+module.exports = {
+  fitTrend,
+  projectCrossing,
+  forecastLine,
+  describeTrend,
+  analyzeTrend
+};
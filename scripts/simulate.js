@@ -0,0 +1,206 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { resolveStorageOptions, createStorage } = require('../lib/storage');
+const { loadRegistry } = require('../lib/nodeRegistry');
+const { resolveTimeRange } = require('../lib/timeRange');
+const { formatIso } = require('../lib/timezone');
+const { insertRows } = require('../lib/fixtures');
+const {
+  FAULT_TYPES,
+  loadSimulatorSettings,
+  getSimulatorSettings,
+  createSimulation,
+  simulateRange
+} = require('../lib/simulator');
+
+// Inserts synthetic telemetry into node_status_table (see lib/simulator.js
+// for the model). Writes to the database configured in .env, or to a SQLite
+// file with --sqlite[=<file>].
+const USAGE = `Usage: npm run simulate -- [options]
+
+  --nodes <a,b>           Nodes to simulate (default: every active node in the registry)
+  --base-stations <a,b>   Base stations (default: each node's baseStations in config/simulator.json)
+  --period <24h|7d|30d>   Backfill the period up to now (default 24h)
+  --start <YYYY-MM-DD>    Backfill whole days instead, with --end
+  --end <YYYY-MM-DD>
+  --interval <seconds>    Seconds between readings (default: each node's intervalSeconds)
+  --faults <a,b|all|none> Fault types to inject: ${FAULT_TYPES.join(', ')} (default all)
+  --fault-rate <n>        Multiplies how often faults occur (default 1)
+  --seed <text>           Seed for the random values; the same seed and range give the same rows
+  --replace               Delete existing rows of the simulated nodes in the range first
+  --live                  Keep inserting a reading per node every interval until stopped;
+                          only backfills when --period or --start is given
+  --sqlite[=<file>]       Write to a SQLite file instead of the configured database
+  --help                  Show this help`;
+
+const VALUE_OPTIONS = ['nodes', 'base-stations', 'period', 'start', 'end', 'interval', 'faults', 'fault-rate', 'seed'];
+const FLAG_OPTIONS = ['replace', 'live', 'help'];
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    const name = match && match[1];
+    if (name === 'sqlite') continue;
+    if (FLAG_OPTIONS.includes(name) && match[2] === undefined) {
+      options[name] = true;
+    } else if (VALUE_OPTIONS.includes(name)) {
+      const value = match[2] !== undefined ? match[2] : argv[++i];
+      if (value === undefined) throw new Error(`--${name} needs a value`);
+      options[name] = value;
+    } else {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+const splitList = text => text.split(',').map(item => item.trim()).filter(Boolean);
+
+function resolveFaults(text = 'all') {
+  if (text === 'all') return FAULT_TYPES;
+  if (text === 'none') return [];
+  const faults = splitList(text);
+  const unknown = faults.filter(type => !FAULT_TYPES.includes(type));
+  if (unknown.length) {
+    throw new Error(`Unknown fault type ${unknown.join(', ')}, expected ${FAULT_TYPES.join(', ')}`);
+  }
+  return faults;
+}
+
+function positiveNumber(name, text) {
+  const value = Number(text);
+  if (!Number.isFinite(value) || value <= 0) throw new Error(`--${name} must be a positive number`);
+  return value;
+}
+
+// One simulation per node and base station
+function buildSimulations(options) {
+  const registry = loadRegistry();
+  const nodeNames = options.nodes
+    ? splitList(options.nodes)
+    : Object.keys(registry).filter(nodeName => registry[nodeName].active !== false);
+  const unknown = nodeNames.filter(nodeName => !registry[nodeName]);
+  if (unknown.length) {
+    console.warn(`Not in the node registry, simulating as generic transmitters: ${unknown.join(', ')}`);
+  }
+
+  const settings = loadSimulatorSettings();
+  const faults = resolveFaults(options.faults);
+  const faultRate = options['fault-rate'] !== undefined ? Number(options['fault-rate']) : 1;
+  if (!Number.isFinite(faultRate) || faultRate < 0) throw new Error('--fault-rate must be 0 or more');
+
+  return nodeNames.flatMap(nodeName => {
+    const nodeSettings = getSimulatorSettings(nodeName, settings);
+    if (options.interval !== undefined) {
+      nodeSettings.intervalSeconds = positiveNumber('interval', options.interval);
+    }
+    const stations = options['base-stations'] ? splitList(options['base-stations']) : nodeSettings.baseStations;
+    return stations.map(station => createSimulation(nodeName, station, {
+      settings: nodeSettings,
+      faults,
+      faultRate,
+      seed: options.seed || ''
+    }));
+  });
+}
+
+function describeEvent(event) {
+  const what = event.metric ? `${event.type} (${event.metric})` : event.type;
+  return `${what} ${formatIso(event.start)} to ${formatIso(event.end)}`;
+}
+
+async function backfill(db, simulations, { startTime, endTime }, { replace }) {
+  let total = 0;
+  for (const simulation of simulations) {
+    const { nodeName, baseStation, settings } = simulation;
+    const step = settings.intervalSeconds * 1000;
+    // Align readings to the interval, like a logger on a fixed schedule
+    const start = new Date(Math.ceil(startTime.getTime() / step) * step);
+
+    if (replace) {
+      const [result] = await db.query(
+        'DELETE FROM node_status_table WHERE NodeName = ? AND NodeBaseStationName = ? AND time >= ? AND time <= ?',
+        [nodeName, baseStation, startTime, endTime]
+      );
+      if (result.affectedRows) console.log(`${nodeName} @ ${baseStation}: deleted ${result.affectedRows} existing rows`);
+    }
+
+    const eventCount = simulation.events.length;
+    const inserted = await insertRows(db, simulateRange(simulation, { start, end: endTime }));
+    total += inserted;
+    console.log(`${nodeName} @ ${baseStation}: inserted ${inserted} rows`);
+    simulation.events.slice(eventCount).forEach(event => console.log(`  ${describeEvent(event)}`));
+  }
+  return total;
+}
+
+// Insert a reading per simulation every interval until SIGINT or SIGTERM
+function runLive(db, simulations) {
+  return new Promise(resolve => {
+    const timers = simulations.map(simulation => {
+      const tick = async () => {
+        const eventCount = simulation.events.length;
+        const row = simulation.next(new Date(Math.floor(Date.now() / 1000) * 1000));
+        simulation.events.slice(eventCount).forEach(event => console.log(`${simulation.nodeName} @ ${simulation.baseStation}: ${describeEvent(event)}`));
+        if (!row) return;
+        try {
+          await insertRows(db, [row]);
+        } catch (error) {
+          console.error(`Failed to insert a reading for ${simulation.nodeName} @ ${simulation.baseStation}:`, error.message);
+        }
+      };
+      tick();
+      return setInterval(tick, simulation.settings.intervalSeconds * 1000);
+    });
+
+    console.log(`Live: inserting readings for ${simulations.length} node/base station pairs, Ctrl+C to stop`);
+    const stop = () => {
+      timers.forEach(clearInterval);
+      resolve();
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const options = parseArgs(argv);
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const simulations = buildSimulations(options);
+  if (!simulations.length) throw new Error('Nothing to simulate');
+
+  const backfillRequested = !options.live || options.period || options.start;
+  const range = backfillRequested
+    ? resolveTimeRange(options.start ? 'custom' : (options.period || '24h'), {
+      startDate: options.start,
+      endDate: options.end || options.start
+    })
+    : null;
+
+  const db = await createStorage({ ...resolveStorageOptions(argv), seed: false });
+  try {
+    if (range) {
+      const total = await backfill(db, simulations, range, options);
+      console.log(`Inserted ${total} rows from ${formatIso(range.startTime)} to ${formatIso(range.endTime)}`);
+    }
+    if (options.live) {
+      await runLive(db, simulations);
+    }
+  } finally {
+    await db.end();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  console.error('Run with --help for usage');
+  process.exitCode = 1;
+});
@@ -1,55 +1,110 @@
 const express = require('express');
-const mysql = require('mysql2/promise');
 const cors = require('cors');
 const dotenv = require('dotenv');
 
+// Load .env before the lib modules read their settings from the environment
 dotenv.config();
 
+const { resolveStorageOptions, createStorage } = require('./lib/storage');
+const { listNodes, listActiveNodeNames } = require('./lib/nodeRegistry');
+const { getNodeProfile } = require('./lib/channelProfiles');
+const { fetchTelemetry, streamTelemetry } = require('./lib/telemetry');
+const { parseTableQuery, fetchTelemetryPage } = require('./lib/dataTable');
+const { nodeExists, baseStationExists, getNodeDateRange, cachedWindow, getCacheStats } = require('./lib/queryCache');
+const { isExportFormat, buildExportFileName, writeExport } = require('./lib/exporter');
+const { getLastPosition, openLiveFeed } = require('./lib/liveFeed');
+const { normalizeSeriesRequest, fetchFleetData } = require('./lib/fleet');
+const { generateAnalysis } = require('./lib/analysis');
+const { parsePeriodKey, resolveTimeRange } = require('./lib/timeRange');
+const { REPORT_TIMEZONE, offsetMinutes, formatOffset, isoReplacer } = require('./lib/timezone');
+const { getAvailability } = require('./lib/availability');
+const { getEnergy } = require('./lib/energy');
+const { isGenset, getGensetSettings, runningStates, getGensetReport, buildGensetNarration } = require('./lib/genset');
+const { getDataQuality } = require('./lib/dataQuality');
+const { comparePeriods, fetchBaselineRows, buildComparisonNarration } = require('./lib/comparison');
+const { getNodeAnomalySettings, detectRowAnomalies, rankAnomalies } = require('./lib/anomalies');
+const { analyzeTrend } = require('./lib/trends');
+const { correlationMatrix, strongCorrelations, describeCorrelation, scatterPoints } = require('./lib/correlation');
+const {
+  loadThresholds,
+  getNodeThresholds,
+  validateThresholds,
+  saveThresholds
+} = require('./lib/thresholds');
+const {
+  ensureReportTables,
+  getNarration,
+  saveNarration,
+  listVersions,
+  getVersion
+} = require('./lib/reportStore');
+const { openApiDocument } = require('./lib/openapi');
+const { badRequest, createRequestValidator } = require('./lib/requestValidation');
+const { analyzeNodePeriod, buildNodeReport } = require('./lib/reportBuilder');
+const { renderReportPdf } = require('./lib/reportPdf');
+const {
+  ensureScheduleTables,
+  validateSchedule,
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  listRuns,
+  runSchedule,
+  startScheduler,
+  stopScheduler
+} = require('./lib/scheduler');
+
 const app = express();
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Resolution', 'X-Live-Position', 'Content-Disposition'] }));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
+// Dates in every JSON response carry the reporting time zone's offset
+app.set('json replacer', isoReplacer);
+// Reject requests that do not match the OpenAPI document before they reach a route
+app.use(createRequestValidator(openApiDocument));
 
 // Use port 5000 for the web server
-const serverPort = process.env.SERVER_PORT || 5000;
-const dbPort = process.env.DB_PORT || 3306;  // Separate port for MySQL
+const serverPort = Number(process.env.SERVER_PORT) || 5000;
 let db;
 
+// The OpenAPI document describing every route
+app.get('/api/docs', (req, res) => {
+  res.json(openApiDocument);
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-  res.status(200).json({ status: 'ok', dbConnected: !!db });
+  res.status(200).json({ status: 'ok', dbConnected: !!db, cache: getCacheStats() });
+});
+
+// Reporting time zone the client formats dates in
+app.get('/api/settings', (req, res) => {
+  res.json({
+    timezone: REPORT_TIMEZONE,
+    utcOffset: formatOffset(offsetMinutes(new Date()))
+  });
 });
 
-// Initialize MySQL connection pool with retries
+// Connect to the configured storage backend with retries
 async function initializeDB(retries = 3, delay = 5000) {
   if (db) {
     return db;
   }
 
+  const storageOptions = resolveStorageOptions();
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      console.log(`Attempting to connect to database (attempt ${attempt}/${retries})...`);
-      
-      db = await mysql.createPool({
-        host: process.env.DB_HOST || 'localhost',
-        port: dbPort,  // Use separate port for MySQL
-        user: process.env.DB_USER || 'john',
-        password: process.env.DB_PASSWORD || 'password',
-        database: process.env.DB_NAME || 'horiserverlive',
-        waitForConnections: true,
-        connectionLimit: 10,
-        queueLimit: 0,
-        connectTimeout: 20000, // 20 second timeout
-        acquireTimeout: 20000,
-        enableKeepAlive: true,
-        keepAliveInitialDelay: 10000
-      });
+      console.log(`Attempting to connect to ${storageOptions.driver} database (attempt ${attempt}/${retries})...`);
+
+      db = await createStorage(storageOptions);
 
       // Test the connection
       const connection = await db.getConnection();
-      console.log('Successfully connected to MySQL database');
+      console.log(`Successfully connected to ${db.driver} database`);
 
       try {
         // Verify database access
@@ -84,60 +139,349 @@ async function initializeDB(retries = 3, delay = 5000) {
   }
 }
 
+// Answer 500 until the database is connected, for routes that use it
+function requireDb(req, res, next) {
+  if (!db) {
+    console.error('Database connection not initialized');
+    return res.status(500).json({ error: 'Database connection not available' });
+  }
+  next();
+}
+
+// Answer 404 for a :nodeName that has no telemetry
+async function requireNode(req, res, next) {
+  const { nodeName } = req.params;
+  try {
+    if (!(await nodeExists(db, nodeName))) {
+      return res.status(404).json({ error: `Node '${nodeName}' not found` });
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Resolve a report's `period` key (24h, 7d, 30d or custom:<start>..<end>)
+// into req.reportRange: { period, timePeriod, startTime, endTime }
+function resolveReportRange(req, res, next) {
+  const { period = '24h' } = req.query;
+  const parsed = parsePeriodKey(period);
+  try {
+    const { startTime, endTime } = resolveTimeRange(parsed.timePeriod, parsed);
+    req.reportRange = { period, timePeriod: parsed.timePeriod, startTime, endTime };
+    next();
+  } catch (rangeErr) {
+    badRequest(res, rangeErr.message);
+  }
+}
+
+// The checks every per-node report route starts with
+const nodeReportChecks = [requireDb, resolveReportRange, requireNode];
+
 // API Routes
-app.get('/api/date-range', (req, res) => {
-  const { nodeName } = req.query;
-  
-  let query = `SELECT 
-    MIN(time) as minDate, 
-    MAX(time) as maxDate
-    FROM node_status_table
-    WHERE NodeName IN ('Aviation FM', 'Emoo FM', 'Genset02', 'Kameme FM', 'MediaMax1')`;
-  
-  const params = [];
-  if (nodeName) {
-    query += ' AND NodeName = ?';
-    params.push(nodeName);
-  }
-  
-  db.query(query, params, (err, results) => {
-    if (err) {
-      console.error('Date range query error:', err);
-      return res.status(500).json({ error: 'Database error' });
+// List nodes reporting into node_status_table, enriched from the node registry
+app.get('/api/nodes', requireDb, async (req, res) => {
+  const includeInactive = req.query.includeInactive === 'true';
+
+  try {
+    const nodes = await listNodes(db, { includeInactive });
+    res.json(nodes);
+  } catch (err) {
+    console.error('Error fetching nodes:', err);
+    res.status(500).json({ error: 'Failed to fetch nodes' });
+  }
+});
+
+// Channel mapping and calibration profile used to interpret a node's telemetry
+app.get('/api/nodes/:nodeName/profile', (req, res) => {
+  const { nodeName } = req.params;
+
+  try {
+    res.json(getNodeProfile(nodeName));
+  } catch (err) {
+    console.error('Error resolving channel profile:', err);
+    res.status(500).json({ error: 'Failed to resolve channel profile', message: err.message });
+  }
+});
+
+// On-air availability and outage events for a node over a reporting period
+app.get('/api/nodes/:nodeName/availability', nodeReportChecks, async (req, res) => {
+  const { nodeName } = req.params;
+  const { baseStation, powerFloor, maxGapMinutes } = req.query;
+  const { period, startTime, endTime } = req.reportRange;
+
+  try {
+    const availability = await getAvailability(db, {
+      nodeName,
+      baseStation,
+      startTime,
+      endTime,
+      overrides: { powerFloor, maxGapMinutes }
+    });
+    res.json({ period, ...availability });
+  } catch (err) {
+    console.error('Error computing availability:', err);
+    res.status(500).json({ error: 'Failed to compute availability', message: err.message });
+  }
+});
+
+// Energy drawn by a node (kWh) per day, week or month of a reporting period,
+// with its cost under the node's tariff and transmitter efficiency
+app.get('/api/nodes/:nodeName/energy', nodeReportChecks, async (req, res) => {
+  const { nodeName } = req.params;
+  const { baseStation, interval = 'auto' } = req.query;
+  const { period, startTime, endTime } = req.reportRange;
+
+  try {
+    const energy = await getEnergy(db, { nodeName, baseStation, startTime, endTime, interval });
+    if (!energy) {
+      return badRequest(res, `Node '${nodeName}' has no Power channel to measure energy from`);
     }
-    
+    res.json({ period, ...energy });
+  } catch (err) {
+    console.error('Error computing energy:', err);
+    res.status(500).json({ error: 'Failed to compute energy', message: err.message });
+  }
+});
+
+// Run events, run hours, estimated fuel and service status for a generator
+app.get('/api/nodes/:nodeName/genset', nodeReportChecks, async (req, res) => {
+  const { nodeName } = req.params;
+  const { baseStation } = req.query;
+  const { period, startTime, endTime } = req.reportRange;
+
+  try {
+    const genset = await getGensetReport(db, { nodeName, baseStation, startTime, endTime });
+    if (!genset) {
+      return badRequest(res, `Node '${nodeName}' is not a generator`);
+    }
+    res.json({ period, ...genset });
+  } catch (err) {
+    console.error('Error computing generator report:', err);
+    res.status(500).json({ error: 'Failed to compute generator report', message: err.message });
+  }
+});
+
+// Sample completeness, gaps, duplicates, stuck sensors and out-of-range
+// readings for a node over a reporting period
+app.get('/api/nodes/:nodeName/data-quality', nodeReportChecks, async (req, res) => {
+  const { nodeName } = req.params;
+  const { baseStation, expectedIntervalSeconds, gapMinutes, stuckMinutes } = req.query;
+  const { period, startTime, endTime } = req.reportRange;
+
+  try {
+    const quality = await getDataQuality(db, {
+      nodeName,
+      baseStation,
+      startTime,
+      endTime,
+      overrides: { expectedIntervalSeconds, gapMinutes, stuckMinutes }
+    });
+    res.json({ period, ...quality });
+  } catch (err) {
+    console.error('Error assessing data quality:', err);
+    res.status(500).json({ error: 'Failed to assess data quality', message: err.message });
+  }
+});
+
+// Statistical anomalies in each metric over a reporting period: anomalous
+// readings and the intervals they form, scored against a rolling window with
+// the per-metric settings from config/anomalies.json
+app.get('/api/nodes/:nodeName/anomalies', nodeReportChecks, async (req, res) => {
+  const { nodeName } = req.params;
+  const { baseStation } = req.query;
+  const { period, startTime, endTime } = req.reportRange;
+
+  try {
+    const { profile, rows } = await fetchTelemetry(db, { nodeName, baseStation, startTime, endTime, resolution: 'raw' });
+    const ordered = rows
+      .filter(row => new Date(row.Timestamp) >= startTime && new Date(row.Timestamp) <= endTime)
+      .reverse();
+    const metricNames = profile.metrics.map(metric => metric.name);
+    const metrics = detectRowAnomalies(ordered, metricNames, getNodeAnomalySettings(nodeName, metricNames));
+
     res.json({
-      minDate: results[0].minDate,
-      maxDate: results[0].maxDate
+      period,
+      nodeName,
+      baseStation: baseStation || null,
+      start: startTime,
+      end: endTime,
+      sampleCount: ordered.length,
+      metrics,
+      significant: rankAnomalies(metrics)
     });
-  });
+  } catch (err) {
+    console.error('Error detecting anomalies:', err);
+    res.status(500).json({ error: 'Failed to detect anomalies', message: err.message });
+  }
 });
 
-// Get all base stations for a node
-app.get('/api/base-stations/:nodeName', async (req, res) => {
+// Least-squares trend per metric over a reporting period: slope per day,
+// confidence, projected threshold crossing and a forecast line for the charts
+app.get('/api/nodes/:nodeName/trends', nodeReportChecks, async (req, res) => {
   const { nodeName } = req.params;
-  
-  try {
-    const query = `
-      SELECT DISTINCT NodeBaseStationName 
-      FROM node_status_table 
-      WHERE NodeName = ? 
-      ORDER BY NodeBaseStationName
-    `;
-    
-    const [rows] = await db.promise().query(query, [nodeName]);
-    const baseStations = rows.map(row => row.NodeBaseStationName);
-    res.json(baseStations);
+  const { baseStation } = req.query;
+  const { period, startTime, endTime } = req.reportRange;
+
+  try {
+    // Bucket averages keep long periods cheap and even out interleaved base stations
+    const { profile, resolution, rows } = await fetchTelemetry(db, { nodeName, baseStation, startTime, endTime, resolution: 'auto' });
+    const ordered = rows
+      .filter(row => new Date(row.Timestamp) >= startTime && new Date(row.Timestamp) <= endTime)
+      .reverse();
+    const thresholds = getNodeThresholds(nodeName);
+
+    const metrics = profile.metrics.reduce((acc, metric) => {
+      const trend = analyzeTrend(
+        ordered.map(row => ({ time: row.Timestamp, value: row[metric.name] })),
+        thresholds[metric.name],
+        { metric: metric.name, unit: metric.unit }
+      );
+      acc[metric.name] = {
+        unit: metric.unit,
+        direction: trend.direction,
+        slopePerDay: trend.fit ? trend.fit.slopePerDay : null,
+        r2: trend.fit ? trend.fit.r2 : null,
+        confidence: trend.fit ? trend.fit.confidence : null,
+        crossing: trend.crossing,
+        forecast: trend.forecast,
+        summary: trend.summary
+      };
+      return acc;
+    }, {});
+
+    res.json({
+      period,
+      nodeName,
+      baseStation: baseStation || null,
+      start: startTime,
+      end: endTime,
+      resolution,
+      metrics
+    });
   } catch (err) {
-    console.error('Database error:', err);
-    res.status(500).json({ error: 'Failed to fetch base stations' });
+    console.error('Error computing trends:', err);
+    res.status(500).json({ error: 'Failed to compute trends', message: err.message });
+  }
+});
+
+// Pearson and Spearman coefficients between every pair of a node's metrics
+// over a reporting period. Pass `x` and `y` metric names to also get the
+// readings of that pair for a scatter plot.
+app.get('/api/nodes/:nodeName/correlations', nodeReportChecks, async (req, res) => {
+  const { nodeName } = req.params;
+  const { baseStation, x, y } = req.query;
+  const { period, startTime, endTime } = req.reportRange;
+
+  const metricNames = getNodeProfile(nodeName).metrics.map(metric => metric.name);
+  if ((x || y) && !(metricNames.includes(x) && metricNames.includes(y))) {
+    return badRequest(res, 'x and y must both be metrics of the node', [`Available metrics: ${metricNames.join(', ')}`]);
+  }
+
+  try {
+    const { rows } = await fetchTelemetry(db, { nodeName, baseStation, startTime, endTime, resolution: 'raw' });
+    const inRange = rows.filter(row => new Date(row.Timestamp) >= startTime && new Date(row.Timestamp) <= endTime);
+    const matrix = correlationMatrix(inRange, metricNames);
+    const strong = strongCorrelations(matrix.pairs);
+
+    res.json({
+      period,
+      nodeName,
+      baseStation: baseStation || null,
+      start: startTime,
+      end: endTime,
+      sampleCount: inRange.length,
+      ...matrix,
+      strong: strong.map(pair => ({ ...pair, summary: describeCorrelation(pair) })),
+      scatter: x ? { x, y, ...scatterPoints(inRange, x, y) } : null
+    });
+  } catch (err) {
+    console.error('Error computing correlations:', err);
+    res.status(500).json({ error: 'Failed to compute correlations', message: err.message });
+  }
+});
+
+// The period compared with the previous equivalent period or the same period
+// last year: deltas for averages, peaks, breaches and availability, plus the
+// baseline telemetry shifted onto the current period for ghost series
+app.get('/api/nodes/:nodeName/comparison', nodeReportChecks, async (req, res) => {
+  const { nodeName } = req.params;
+  const { baseStation, compare, resolution = 'auto' } = req.query;
+  const { period, startTime, endTime } = req.reportRange;
+
+  try {
+    const comparison = await comparePeriods(db, {
+      nodeName,
+      baseStation,
+      timePeriod: req.reportRange.timePeriod,
+      startTime,
+      endTime,
+      compare
+    });
+    const baseline = await fetchBaselineRows(db, comparison, { nodeName, baseStation, resolution });
+    res.set('X-Resolution', baseline.resolution);
+    res.json({ period, ...comparison, resolution: baseline.resolution, rows: baseline.rows });
+  } catch (err) {
+    console.error('Error comparing periods:', err);
+    res.status(500).json({ error: 'Failed to compare periods', message: err.message });
+  }
+});
+
+// Server-Sent Events stream of new telemetry rows for a node. `since` (or the
+// Last-Event-ID header on reconnect) is the newest timestamp the client has.
+app.get('/api/live/:nodeName', requireDb, requireNode, async (req, res) => {
+  const { nodeName } = req.params;
+  const { baseStation } = req.query;
+  const since = req.get('Last-Event-ID') || req.query.since;
+
+  try {
+    await openLiveFeed(db, req, res, { nodeName, baseStation, since });
+  } catch (err) {
+    console.error('Error opening live feed:', err);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ error: 'Failed to open live feed', message: err.message });
+  }
+});
+
+// First and last reading of a node, or of every active node
+app.get('/api/date-range', requireDb, async (req, res) => {
+  const { nodeName } = req.query;
+
+  try {
+    if (nodeName && !(await nodeExists(db, nodeName))) {
+      return res.status(404).json({ error: `Node '${nodeName}' not found` });
+    }
+
+    const nodeNames = nodeName ? [nodeName] : await listActiveNodeNames(db);
+    if (nodeNames.length === 0) {
+      return res.json({ minDate: null, maxDate: null });
+    }
+
+    const [results] = await db.query(
+      `SELECT 
+        MIN(time) as minDate, 
+        MAX(time) as maxDate
+        FROM node_status_table
+        WHERE NodeName IN (?)`,
+      [nodeNames]
+    );
+
+    res.json({
+      minDate: results[0].minDate,
+      maxDate: results[0].maxDate
+    });
+  } catch (err) {
+    console.error('Date range query error:', err);
+    res.status(500).json({ error: 'Database error' });
   }
 });
 
-app.post('/api/data', async (req, res) => {
+app.post('/api/data', requireDb, async (req, res) => {
   try {
     const { data } = req.body;
-    const result = await db.query('INSERT INTO measurements SET ?', data);
+    const [result] = await db.query('INSERT INTO measurements SET ?', data);
     res.json({ success: true, id: result.insertId });
   } catch (error) {
     console.error('Error saving data:', error);
@@ -145,235 +489,346 @@ app.post('/api/data', async (req, res) => {
   }
 });
 
+// Assess telemetry against the threshold rules and narrate the result. With
+// `data` the posted series are assessed; without it the node's raw readings
+// over `period` are read and assessed as in the server-rendered report.
 app.post('/api/analyze', async (req, res) => {
   try {
-    const { baseStation, data, images } = req.body;
+    const { nodeName, baseStation, data, timestamps, period, compare } = req.body;
     
-    if (!baseStation || !data) {
-      return res.status(400).json({ error: 'Missing required data' });
+    if (!data && (!nodeName || !period)) {
+      return badRequest(res, 'Nothing to analyze', ['body.data is required unless nodeName and period are given']);
+    }
+    if (compare && (!nodeName || !period)) {
+      return badRequest(res, 'compare needs nodeName and period');
+    }
+    if ((!data || compare) && !db) {
+      console.error('Database connection not initialized');
+      return res.status(500).json({ error: 'Database connection not available' });
     }
 
-    console.log('Received data for analysis:', {
-      baseStation,
-      dataKeys: Object.keys(data),
-      imageKeys: images ? Object.keys(images) : 'no images'
-    });
-    
-    // Generate analysis based on the data
-    const analysis = generateAnalysis(baseStation, data, images);
+    const station = baseStation && baseStation !== nodeName ? baseStation : '';
+    const parsed = period ? parsePeriodKey(period) : null;
+    const range = parsed ? resolveTimeRange(parsed.timePeriod, parsed) : null;
+    const genset = nodeName && isGenset(nodeName);
+    let analysis;
+
+    if (data) {
+      // Units follow the node's channel profile when the node is known
+      const units = nodeName
+        ? getNodeProfile(nodeName).metrics.reduce((acc, metric) => {
+          acc[metric.name] = metric.unit;
+          return acc;
+        }, {})
+        : {};
+
+      analysis = generateAnalysis(baseStation, data, {
+        timestamps,
+        units,
+        thresholds: getNodeThresholds(nodeName),
+        anomalySettings: getNodeAnomalySettings(nodeName, Object.keys(units).length ? Object.keys(units) : Object.keys(data)),
+        title: genset ? 'Generator Analysis' : undefined,
+        running: genset ? runningStates(data, getGensetSettings(nodeName)) : null
+      });
+    } else {
+      ({ analysis } = await analyzeNodePeriod(db, { nodeName, baseStation: station, ...range }));
+      if (!analysis) {
+        return res.status(404).json({ error: `No data found for node '${nodeName}' in the selected period` });
+      }
+    }
+
+    // Generators also get their run hours, fuel and service status
+    if (genset && range && db) {
+      analysis.genset = await getGensetReport(db, { nodeName, baseStation: station, ...range });
+      analysis.narration += buildGensetNarration(analysis.genset);
+    }
+
+    // Optionally add deltas against the previous or year-ago period
+    if (compare) {
+      const comparison = await comparePeriods(db, {
+        nodeName,
+        baseStation: station,
+        timePeriod: parsed.timePeriod,
+        ...range,
+        compare
+      });
+      analysis.comparison = comparison;
+      analysis.narration += buildComparisonNarration(comparison);
+    }
     
-    res.json({ narration: analysis });
+    res.json(analysis);
   } catch (error) {
     console.error('Error analyzing data:', error);
+    if (error.status === 400) {
+      return badRequest(res, error.message);
+    }
     res.status(500).json({ error: `Failed to analyze data: ${error.message}` });
   }
 });
 
-function generateAnalysis(baseStation, data, images) {
-  // Ensure data exists and has required properties
-  if (!data || typeof data !== 'object') {
-    throw new Error('Invalid data format');
-  }
-
-  // Calculate statistics
-  const stats = {
-    voltage: calculateStats(data.voltage || []),
-    current: calculateStats(data.current || []),
-    power: calculateStats(data.power || [])
-  };
-
-  // Calculate trends and additional insights
-  const trends = {
-    voltage: calculateTrend(data.voltage || []),
-    current: calculateTrend(data.current || []),
-    power: calculateTrend(data.power || [])
-  };
-
-  // Generate narration
-  let narration = `<h3>Performance Analysis for Base Station ${baseStation}</h3>\n\n`;
-
-  // Latency Analysis
-  narration += `<h4>Network Latency Analysis</h4>\n`;
-  narration += `<p>The network latency measurements show an average response time of ${stats.voltage.avg.toFixed(2)}ms. `;
-  narration += `Peak latency reached ${stats.voltage.max.toFixed(2)}ms during high traffic periods, while the lowest recorded was ${stats.voltage.min.toFixed(2)}ms. `;
-  narration += `${trends.voltage} `;
-  narration += `The latency variance suggests ${getLatencyAssessment(stats.voltage)}.</p>\n\n`;
-
-  // Packet Loss Analysis
-  narration += `<h4>Network Reliability Analysis</h4>\n`;
-  narration += `<p>Network reliability measurements indicate an average packet loss rate of ${stats.current.avg.toFixed(2)}%. `;
-  narration += `The highest packet loss observed was ${stats.current.max.toFixed(2)}%, while the best performance showed only ${stats.current.min.toFixed(2)}% loss. `;
-  narration += `${trends.current} `;
-  narration += `${getReliabilityAssessment(stats.current)}.</p>\n\n`;
-
-  // Signal Strength Analysis
-  narration += `<h4>Signal Quality Analysis</h4>\n`;
-  narration += `<p>The base station maintained an average signal strength of ${stats.power.avg.toFixed(2)}dBm. `;
-  narration += `Signal peaks reached ${stats.power.max.toFixed(2)}dBm under optimal conditions, while dropping to ${stats.power.min.toFixed(2)}dBm at its weakest. `;
-  narration += `${trends.power} `;
-  narration += `${getSignalAssessment(stats.power)}.</p>\n\n`;
-
-  // Overall Assessment
-  narration += `<h4>Overall Performance Assessment</h4>\n`;
-  narration += `<p>${getOverallAssessment(stats)}</p>\n\n`;
-
-  return narration;
-}
+// Threshold rules shared by the analysis engine and the dashboard
+app.get('/api/thresholds', (req, res) => {
+  res.json(loadThresholds());
+});
 
-function calculateStats(values) {
-  if (!values || values.length === 0) {
-    return { min: 0, max: 0, avg: 0, stdDev: 0 };
+app.get('/api/thresholds/:nodeName', (req, res) => {
+  res.json(getNodeThresholds(req.params.nodeName));
+});
+
+app.put('/api/thresholds', (req, res) => {
+  const errors = validateThresholds(req.body);
+  if (errors.length > 0) {
+    return badRequest(res, 'Invalid threshold rules', errors);
   }
 
-  const min = Math.min(...values);
-  const max = Math.max(...values);
-  const avg = values.reduce((a, b) => a + b, 0) / values.length;
-  
-  // Calculate standard deviation
-  const stdDev = Math.sqrt(
-    values.reduce((sum, val) => sum + Math.pow(val - avg, 2), 0) / values.length
-  );
+  try {
+    res.json(saveThresholds(req.body));
+  } catch (err) {
+    console.error('Error saving threshold rules:', err);
+    res.status(500).json({ error: 'Failed to save threshold rules' });
+  }
+});
 
-  return { min, max, avg, stdDev };
-}
+// The full report for a node rendered to PDF on the server. Registered before
+// the narration route so the .pdf suffix is not read as part of the node name.
+app.get('/api/reports/:nodeName.pdf', nodeReportChecks, async (req, res) => {
+  const { nodeName } = req.params;
+  const { baseStation = '', period, compare } = req.query;
 
-function calculateTrend(values) {
-  if (!values || values.length < 2) return 'Insufficient data for trend analysis.';
+  try {
+    const report = await buildNodeReport(db, { nodeName, baseStation, period, compare });
+    const buffer = await renderReportPdf([report]);
+    const fileName = `${[nodeName, baseStation, period.replace('custom:', '').replace('..', '_to_')]
+      .filter(Boolean).join('_').replace(/[^\w.-]+/g, '_')}.pdf`;
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${fileName}"`,
+      'Content-Length': buffer.length
+    });
+    res.send(buffer);
+  } catch (err) {
+    console.error('Error rendering report PDF:', err);
+    res.status(500).json({ error: 'Failed to render report PDF', message: err.message });
+  }
+});
+
+// Report narrations, stored per node, base station and reporting period
+app.get('/api/reports/:nodeName', requireDb, async (req, res) => {
+  const { nodeName } = req.params;
+  const { baseStation = '', period } = req.query;
 
-  const recentValues = values.slice(-10); // Look at last 10 values
-  const firstHalf = recentValues.slice(0, 5);
-  const secondHalf = recentValues.slice(-5);
-  const firstAvg = firstHalf.reduce((a, b) => a + b, 0) / firstHalf.length;
-  const secondAvg = secondHalf.reduce((a, b) => a + b, 0) / secondHalf.length;
+  try {
+    const narration = await getNarration(db, { nodeName, baseStation, period });
+    if (!narration) {
+      return res.status(404).json({ error: `No saved narration for '${nodeName}'` });
+    }
+    res.json(narration);
+  } catch (err) {
+    console.error('Error fetching narration:', err);
+    res.status(500).json({ error: 'Failed to fetch narration' });
+  }
+});
 
-  const diff = secondAvg - firstAvg;
-  const percentChange = (diff / firstAvg) * 100;
+app.put('/api/reports/:nodeName', requireDb, async (req, res) => {
+  const { nodeName } = req.params;
+  const { baseStation = '', period, narration, baseVersion, author } = req.body;
 
-  if (Math.abs(percentChange) < 5) {
-    return 'The measurements have remained relatively stable recently.';
-  } else if (percentChange > 0) {
-    return `There is an increasing trend with a ${percentChange.toFixed(1)}% rise in recent measurements.`;
-  } else {
-    return `There is a decreasing trend with a ${Math.abs(percentChange).toFixed(1)}% drop in recent measurements.`;
+  try {
+    const saved = await saveNarration(db, { nodeName, baseStation, period, narration, baseVersion, author });
+    res.json(saved);
+  } catch (err) {
+    if (err.code === 'VERSION_CONFLICT') {
+      return res.status(409).json({ error: err.message, current: err.current });
+    }
+    console.error('Error saving narration:', err);
+    res.status(500).json({ error: 'Failed to save narration' });
   }
-}
+});
+
+app.get('/api/reports/:nodeName/versions', requireDb, async (req, res) => {
+  const { nodeName } = req.params;
+  const { baseStation = '', period } = req.query;
 
-function getLatencyAssessment(stats) {
-  if (stats.avg < 50) {
-    return 'indicating excellent network responsiveness';
-  } else if (stats.avg < 100) {
-    return 'showing good network performance';
-  } else if (stats.avg < 200) {
-    return 'suggesting moderate network congestion';
-  } else {
-    return 'indicating significant network delays that may need attention';
+  try {
+    res.json(await listVersions(db, { nodeName, baseStation, period }));
+  } catch (err) {
+    console.error('Error fetching narration history:', err);
+    res.status(500).json({ error: 'Failed to fetch narration history' });
   }
-}
+});
 
-function getReliabilityAssessment(stats) {
-  if (stats.avg < 1) {
-    return 'The network shows excellent reliability with minimal packet loss';
-  } else if (stats.avg < 3) {
-    return 'Network reliability is within acceptable ranges';
-  } else if (stats.avg < 5) {
-    return 'Packet loss rates indicate some network stability issues';
-  } else {
-    return 'High packet loss rates suggest significant network problems requiring investigation';
+app.get('/api/reports/:nodeName/versions/:version', requireDb, async (req, res) => {
+  const { nodeName, version } = req.params;
+  const { baseStation = '', period } = req.query;
+
+  try {
+    const saved = await getVersion(db, { nodeName, baseStation, period, version: Number(version) });
+    if (!saved) {
+      return res.status(404).json({ error: `Version ${version} not found` });
+    }
+    res.json(saved);
+  } catch (err) {
+    console.error('Error fetching narration version:', err);
+    res.status(500).json({ error: 'Failed to fetch narration version' });
   }
-}
+});
 
-function getSignalAssessment(stats) {
-  if (stats.avg > -50) {
-    return 'Signal strength is excellent, providing optimal coverage';
-  } else if (stats.avg > -70) {
-    return 'Signal strength is good for reliable operations';
-  } else if (stats.avg > -85) {
-    return 'Signal strength is adequate but could be improved';
-  } else {
-    return 'Signal strength is weak and may cause connectivity issues';
+// Scheduled report jobs and their run history
+app.get('/api/schedules', requireDb, async (req, res) => {
+  try {
+    res.json(await listSchedules(db));
+  } catch (err) {
+    console.error('Error fetching schedules:', err);
+    res.status(500).json({ error: 'Failed to fetch schedules' });
   }
-}
+});
 
-function getOverallAssessment(stats) {
-  const issues = [];
-  
-  if (stats.voltage.avg > 100) issues.push('high latency');
-  if (stats.current.avg > 3) issues.push('significant packet loss');
-  if (stats.power.avg < -80) issues.push('weak signal strength');
+app.post('/api/schedules', requireDb, async (req, res) => {
+  const errors = validateSchedule(req.body);
+  if (errors.length > 0) {
+    return badRequest(res, 'Invalid schedule', errors);
+  }
 
-  if (issues.length === 0) {
-    return 'Overall, the base station is performing optimally with good latency, minimal packet loss, and strong signal quality.';
-  } else {
-    return `The base station requires attention due to ${issues.join(', ')}. Consider investigating these issues to improve network performance.`;
+  try {
+    res.status(201).json(await createSchedule(db, req.body));
+  } catch (err) {
+    console.error('Error creating schedule:', err);
+    res.status(500).json({ error: 'Failed to create schedule' });
   }
-}
+});
 
-app.get('/api/data/:nodeName/:timePeriod', async (req, res) => {
-  const { nodeName, timePeriod } = req.params;
-  const { baseStation, startDate, endDate } = req.query;
-  console.log('\n[/api/data] Request:', { nodeName, baseStation, timePeriod, startDate, endDate });
-  
+app.get('/api/schedules/:id', requireDb, async (req, res) => {
   try {
-    if (!db) {
-      console.error('Database connection not initialized');
-      return res.status(500).json({ error: 'Database connection not available' });
+    const schedule = await getSchedule(db, req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: `Schedule ${req.params.id} not found` });
     }
+    res.json(schedule);
+  } catch (err) {
+    console.error('Error fetching schedule:', err);
+    res.status(500).json({ error: 'Failed to fetch schedule' });
+  }
+});
 
-    console.log('Database connection status:', !!db);
+app.put('/api/schedules/:id', requireDb, async (req, res) => {
+  const errors = validateSchedule(req.body);
+  if (errors.length > 0) {
+    return badRequest(res, 'Invalid schedule', errors);
+  }
 
-    // First verify the node exists
-    const [nodeCheck] = await db.query('SELECT DISTINCT NodeName FROM node_status_table WHERE NodeName = ?', [nodeName]);
+  try {
+    const schedule = await updateSchedule(db, req.params.id, req.body);
+    if (!schedule) {
+      return res.status(404).json({ error: `Schedule ${req.params.id} not found` });
+    }
+    res.json(schedule);
+  } catch (err) {
+    console.error('Error updating schedule:', err);
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
 
-    if (nodeCheck.length === 0) {
-      return res.status(404).json({ error: `Node '${nodeName}' not found` });
+app.delete('/api/schedules/:id', requireDb, async (req, res) => {
+  try {
+    if (!(await deleteSchedule(db, req.params.id))) {
+      return res.status(404).json({ error: `Schedule ${req.params.id} not found` });
     }
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error deleting schedule:', err);
+    res.status(500).json({ error: 'Failed to delete schedule' });
+  }
+});
 
-    // Calculate start time based on time period
-    const now = new Date();
-    let startTime;
-    let endTime;
+app.get('/api/schedules/:id/runs', requireDb, async (req, res) => {
+  try {
+    const schedule = await getSchedule(db, req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: `Schedule ${req.params.id} not found` });
+    }
+    res.json(await listRuns(db, schedule.id, { limit: Math.min(Number(req.query.limit) || 50, 500) }));
+  } catch (err) {
+    console.error('Error fetching schedule runs:', err);
+    res.status(500).json({ error: 'Failed to fetch schedule runs' });
+  }
+});
 
-    if (timePeriod === 'custom' && startDate && endDate) {
-      console.log('Custom date range:', { startDate, endDate });
-      startTime = new Date(startDate);
-      endTime = new Date(endDate);
-      // Set end time to end of day
-      endTime.setHours(23, 59, 59, 999);
+// Run a schedule immediately, outside its normal timetable
+app.post('/api/schedules/:id/run', requireDb, async (req, res) => {
+  try {
+    const schedule = await getSchedule(db, req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: `Schedule ${req.params.id} not found` });
+    }
+    const run = await runSchedule(db, schedule);
+    res.status(run.status === 'success' ? 200 : 500).json(run);
+  } catch (err) {
+    console.error('Error running schedule:', err);
+    res.status(500).json({ error: 'Failed to run schedule' });
+  }
+});
 
-      if (isNaN(startTime.getTime()) || isNaN(endTime.getTime())) {
-        return res.status(400).json({ error: 'Invalid date format' });
-      }
+// Telemetry, summary statistics and availability for several nodes or base
+// stations in one request, for the comparison view
+app.post('/api/data/batch', requireDb, async (req, res) => {
+  const { timePeriod = '24h', startDate, endDate, resolution = 'auto' } = req.body || {};
+  const { errors, series } = normalizeSeriesRequest((req.body || {}).series);
 
-      if (endTime < startTime) {
-        return res.status(400).json({ error: 'End date must be after start date' });
-      }
+  if (errors.length > 0) {
+    return badRequest(res, 'Invalid batch request', errors);
+  }
 
-      console.log('Parsed dates:', {
-        startTime: startTime.toISOString(),
-        endTime: endTime.toISOString()
-      });
-    } else {
-      switch (timePeriod) {
-        case '24h':
-          startTime = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-          break;
-        case '7d':
-          startTime = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-          break;
-        case '30d':
-          startTime = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-          break;
-        default:
-          return res.status(400).json({ error: 'Invalid time period' });
-      }
-      endTime = now;
+  let startTime;
+  let endTime;
+  try {
+    ({ startTime, endTime } = resolveTimeRange(timePeriod, { startDate, endDate }));
+  } catch (rangeErr) {
+    return badRequest(res, rangeErr.message);
+  }
+
+  try {
+    const nodeNames = [...new Set(series.map(entry => entry.nodeName))];
+    const [nodeCheck] = await db.query('SELECT DISTINCT NodeName FROM node_status_table WHERE NodeName IN (?)', [nodeNames]);
+    const found = nodeCheck.map(row => row.NodeName);
+    const missing = nodeNames.filter(name => !found.includes(name));
+    if (missing.length > 0) {
+      return res.status(404).json({ error: `Node${missing.length === 1 ? '' : 's'} not found: ${missing.join(', ')}` });
     }
 
-    // Then verify the base station exists for this node
-    if (baseStation) {
-      const [baseStationCheck] = await db.query('SELECT DISTINCT NodeBaseStationName FROM node_status_table WHERE NodeName = ? AND NodeBaseStationName = ?', [nodeName, baseStation]);
+    const result = await fetchFleetData(db, { series, startTime, endTime, resolution });
+    res.set('X-Resolution', result.resolution);
+    res.json({ timePeriod, ...result });
+  } catch (err) {
+    console.error('Error fetching batch data:', err);
+    res.status(500).json({ error: 'Failed to fetch batch data', message: err.message });
+  }
+});
+
+app.get('/api/data/:nodeName/:timePeriod', requireDb, requireNode, async (req, res) => {
+  const { nodeName, timePeriod } = req.params;
+  const { baseStation, startDate, endDate, resolution = 'raw', format } = req.query;
+
+  // A limit or cursor asks for one sorted, filtered page of raw rows
+  const paged = !isExportFormat(format) && (req.query.limit !== undefined || req.query.cursor !== undefined);
+  const tableQuery = paged ? parseTableQuery(req.query, getNodeProfile(nodeName)) : null;
+  if (tableQuery && tableQuery.errors.length) {
+    return badRequest(res, 'Invalid table query', tableQuery.errors);
+  }
+
+  try {
+    // Calculate start and end time based on time period
+    let startTime;
+    let endTime;
+    try {
+      ({ startTime, endTime } = resolveTimeRange(timePeriod, { startDate, endDate }));
+    } catch (rangeErr) {
+      return badRequest(res, rangeErr.message);
+    }
 
-      if (baseStationCheck.length === 0) {
+    // Verify the base station exists for this node
+    if (baseStation) {
+      if (!(await baseStationExists(db, nodeName, baseStation))) {
         return res.status(404).json({
           error: `Base station '${baseStation}' not found for node '${nodeName}'`
         });
@@ -381,12 +836,9 @@ app.get('/api/data/:nodeName/:timePeriod', async (req, res) => {
     }
 
     // First check if there's any data in the requested time period
-    const [timeCheck] = await db.query(
-      'SELECT MAX(time) as latest, MIN(time) as earliest FROM node_status_table WHERE NodeName = ?',
-      [nodeName]
-    );
+    const dataRange = await getNodeDateRange(db, nodeName);
 
-    if (!timeCheck[0].latest) {
+    if (!dataRange.latest) {
       return res.status(404).json({
         error: `No data found for node '${nodeName}'`,
         details: 'Node exists but has no data'
@@ -394,64 +846,69 @@ app.get('/api/data/:nodeName/:timePeriod', async (req, res) => {
     }
 
     // Check if the requested time period has any data
-    const [periodCheck] = await db.query(
-      'SELECT COUNT(*) as count FROM node_status_table WHERE NodeName = ? AND time >= ?',
-      [nodeName, startTime]
-    );
+    const telemetryWindow = { nodeName, baseStation, timePeriod, startTime, endTime };
+    // Counts the same rows the window query reads, since 'auto' picks its resolution from it
+    const { count: periodCount } = await cachedWindow('count', telemetryWindow, async () => {
+      const [periodCheck] = await db.query(
+        `SELECT COUNT(*) as count FROM node_status_table
+        WHERE NodeName = ? AND time >= ? AND time <= ?
+        ${baseStation ? 'AND NodeBaseStationName = ?' : ''}`,
+        [nodeName, startTime, endTime, ...(baseStation ? [baseStation] : [])]
+      );
+      return { count: Number(periodCheck[0].count) };
+    });
 
-    if (periodCheck[0].count === 0) {
+    if (periodCount === 0) {
       return res.status(404).json({
         error: `No data found for node '${nodeName}' in the last ${timePeriod}`,
         details: {
           requestedPeriod: timePeriod,
-          latestDataPoint: timeCheck[0].latest,
-          earliestDataPoint: timeCheck[0].earliest
+          latestDataPoint: dataRange.latest,
+          earliestDataPoint: dataRange.earliest
         }
       });
     }
 
-    // Get data for the specified time period
-    const query = `
-      SELECT 
-        NodeName,
-        NodeBaseStationName,
-        time as Timestamp,
-        Analog1Value as 'Forward Power',
-        Analog2Value as 'Reflected Power',
-        Analog3Value as Temperature,
-        Analog4Value as Voltage,
-        Analog5Value as Current,
-        Analog6Value as Power,
-        ROUND(
-          CASE 
-            WHEN Analog1Value > 0 AND Analog2Value > 0
-            THEN (1 + SQRT(Analog2Value/Analog1Value))/(1 - SQRT(Analog2Value/Analog1Value))
-            ELSE 1
-          END
-        , 2) as VSWR,
-        ROUND(
-          CASE 
-            WHEN Analog1Value > 0 AND Analog2Value > 0
-            THEN -20 * LOG10(SQRT(Analog2Value/Analog1Value))
-            ELSE 0
-          END
-        , 2) as 'Return Loss'
-      FROM node_status_table
-      WHERE NodeName = ?
-      AND DATE(time) >= DATE(?)
-      AND DATE(time) <= DATE(?)
-      ${baseStation ? 'AND NodeBaseStationName = ?' : ''}
-      ORDER BY time DESC
-    `;
-
-    console.log('Query:', query);
-    const queryParams = [nodeName, startTime, endTime, baseStation].filter(param => param !== undefined);
-    console.log('Query params:', queryParams);
-    console.log('Time range:', { startTime, endTime });
-
-    // Execute the query
-    const [rows] = await db.query(query, queryParams);
-    console.log(`Found ${rows.length} rows`);
+    // Exports stream every raw row in the range rather than building the JSON payload
+    if (isExportFormat(format)) {
+      const { profile, stream } = streamTelemetry(db, { nodeName, baseStation, startTime, endTime });
+      await writeExport(res, stream, {
+        format,
+        profile,
+        fileName: buildExportFileName({ nodeName, baseStation, startTime, endTime, format }),
+        sheetName: baseStation || nodeName
+      });
+      return;
+    }
+
+    if (paged) {
+      const page = await fetchTelemetryPage(db, getNodeProfile(nodeName), {
+        nodeName,
+        baseStation,
+        startTime,
+        endTime,
+        thresholds: getNodeThresholds(nodeName)
+      }, tableQuery.options);
+      res.set('X-Resolution', 'raw');
+      return res.json(page);
+    }
+
+    // Get data for the specified time period, projected through the node's channel
+    // profile, with the position of its newest raw row for opening the live feed.
+    // The position is read first so a row written in between is sent again
+    // rather than skipped.
+    const { rows, resolution: appliedResolution, position } = await cachedWindow('rows', telemetryWindow, async () => {
+      const last = await getLastPosition(db, { nodeName, baseStation, startTime, endTime });
+      const telemetry = await fetchTelemetry(db, {
+        nodeName,
+        baseStation,
+        startTime,
+        endTime,
+        resolution,
+        rowCount: periodCount
+      });
+      return { ...telemetry, position: last };
+    }, [resolution]);
     
     if (rows.length === 0) {
       return res.status(404).json({
@@ -460,9 +917,15 @@ app.get('/api/data/:nodeName/:timePeriod', async (req, res) => {
       });
     }
 
+    res.set('X-Resolution', appliedResolution);
+    if (position) res.set('X-Live-Position', position);
     res.json(rows);
   } catch (err) {
     console.error('Database error:', err);
+    // An export may fail after the file has started downloading
+    if (res.headersSent) {
+      return res.destroy(err);
+    }
     res.status(500).json({
       error: 'Failed to fetch data',
       message: err.message
@@ -470,30 +933,11 @@ app.get('/api/data/:nodeName/:timePeriod', async (req, res) => {
   }
 });
 
-// ... (rest of the code remains the same)
-
-// Get base stations endpoint
-app.get('/api/base-stations/:nodeName', async (req, res) => {
+// Base stations a node reports through
+app.get('/api/base-stations/:nodeName', requireDb, requireNode, async (req, res) => {
   const { nodeName } = req.params;
-  console.log('\n[/api/base-stations] Request:', { nodeName });
 
   try {
-    if (!db) {
-      console.error('Database connection not initialized');
-      return res.status(500).json({ error: 'Database connection not available' });
-    }
-
-    // First verify the node exists
-    const [nodeCheck] = await db.query(
-      'SELECT DISTINCT NodeName FROM node_status_table WHERE NodeName = ?',
-      [nodeName]
-    );
-
-    if (nodeCheck.length === 0) {
-      return res.status(404).json({ error: `Node '${nodeName}' not found` });
-    }
-
-    // Get base stations for this node
     const [baseStations] = await db.query(
       'SELECT DISTINCT NodeBaseStationName FROM node_status_table WHERE NodeName = ? ORDER BY NodeBaseStationName',
       [nodeName]
@@ -508,6 +952,9 @@ app.get('/api/base-stations/:nodeName', async (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return badRequest(res, 'Invalid JSON body', [err.message]);
+  }
   console.error('Global error handler:', err);
   res.status(500).json({
     error: 'Something went wrong!',
@@ -515,11 +962,20 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Connect to storage and create the tables the routes use
+async function initializeApp() {
+  // Initialize database with retries before serving requests
+  await initializeDB(3, 5000);
+  await ensureReportTables(db);
+  await ensureScheduleTables(db);
+  return db;
+}
+
 // Start server with error handling and port conflict resolution
 async function startServer(port = serverPort) {
   try {
-    // Initialize database with retries before starting server
-    await initializeDB(3, 5000);
+    await initializeApp();
+    startScheduler(db);
 
     return new Promise((resolve, reject) => {
       const server = app.listen(port, () => {
@@ -543,13 +999,22 @@ async function startServer(port = serverPort) {
   }
 }
 
-// Handle process termination
-process.on('SIGTERM', async () => {
-  console.log('SIGTERM received. Shutting down gracefully...');
-  if (db) {
-    await db.end();
-  }
-  process.exit(0);
-});
+// Run as the server (npm start); the contract tests require the app instead
+if (require.main === module) {
+  // Handle process termination
+  process.on('SIGTERM', async () => {
+    console.log('SIGTERM received. Shutting down gracefully...');
+    stopScheduler();
+    if (db) {
+      await db.end();
+    }
+    process.exit(0);
+  });
+
+  startServer();
+}
 
-startServer();
+module.exports = {
+  app,
+  initializeApp
+};
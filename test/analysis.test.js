@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { assessMetric, generateAnalysis } = require('../lib/analysis');
+const { getNodeThresholds } = require('../lib/thresholds');
+const { getGensetSettings, runningStates } = require('../lib/genset');
+
+const voltageRule = { statistic: 'avg', whileRunning: true, low: { warning: 220, critical: 207 }, high: { warning: 250, critical: 260 } };
+
+// A generator stopped for most of the period, then running at 238 V
+const series = {
+  Voltage: [0, 0, 0, 0, 238, 239, 237, 0],
+  Current: [0, 0, 0, 0, 60, 61, 59, 0]
+};
+const running = runningStates(series, getGensetSettings('Genset02', { defaults: {}, nodes: {} }));
+
+test('running readings are those at the run voltage or drawing current', () => {
+  assert.deepEqual(running, [false, false, false, false, true, true, true, false]);
+  assert.deepEqual(
+    runningStates({ Voltage: [null, 0], Current: [20, 0.5] }, getGensetSettings('Genset02', { defaults: {}, nodes: {} })),
+    [true, false]
+  );
+});
+
+test('a rule judged while running ignores the readings of a stopped generator', () => {
+  const assessment = assessMetric('Voltage', series.Voltage, { unit: 'V', rule: voltageRule, running });
+
+  assert.equal(assessment.status, 'ok');
+  assert.deepEqual(assessment.breaches, { warning: 0, critical: 0 });
+  assert.match(assessment.summary, /The average while running is within limits\./);
+
+  // Without the running flags every stopped reading is a critical breach
+  assert.equal(assessMetric('Voltage', series.Voltage, { unit: 'V', rule: voltageRule }).status, 'critical');
+});
+
+test('a low reading while running is still a breach', () => {
+  const sagging = [0, 0, 205, 230, 0];
+  const flags = [false, false, true, true, false];
+  const assessment = assessMetric('Voltage', sagging, { unit: 'V', rule: voltageRule, running: flags });
+
+  assert.equal(assessment.status, 'warning');
+  assert.deepEqual(assessment.breaches, { warning: 0, critical: 1 });
+  assert.match(assessment.summary, /1 of 2 readings while running were outside limits/);
+});
+
+test('a rule judged while running is not checked when the generator never ran', () => {
+  const assessment = assessMetric('Voltage', [0, 0, 0], { unit: 'V', rule: voltageRule, running: [false, false, false] });
+
+  assert.equal(assessment.status, 'ok');
+  assert.match(assessment.summary, /did not run, so its limits were not checked/);
+});
+
+test('the shipped rules rate a generator that runs normally as ok', () => {
+  const analysis = generateAnalysis('Ngong', {
+    ...series,
+    Temperature: [20, 20, 21, 22, 60, 75, 78, 70],
+    Frequency: [0, 0, 0, 0, 50, 50.1, 49.9, 0],
+    'Battery Voltage': [12.7, 12.7, 12.7, 12.7, 13.8, 13.8, 13.8, 12.7]
+  }, { thresholds: getNodeThresholds('Genset02'), running, title: 'Generator Analysis' });
+
+  assert.equal(analysis.verdict.status, 'ok');
+});
+
+test('station and metric names are escaped in the narration HTML', () => {
+  const analysis = generateAnalysis('<b>Ngong</b> & "Limuru"', { 'Temp <probe>': [20, 21, 22] }, { title: 'Site <Analysis>' });
+
+  assert.match(analysis.narration, /^<h3>Site &lt;Analysis&gt; for &lt;b&gt;Ngong&lt;\/b&gt; &amp; &quot;Limuru&quot;<\/h3>/);
+  assert.match(analysis.narration, /<h4>Temp &lt;probe&gt; — /);
+  assert.match(analysis.narration, /<p>Temp &lt;probe&gt; averaged /);
+  assert.ok(!analysis.narration.includes('<b>') && !analysis.narration.includes('<probe>'));
+});
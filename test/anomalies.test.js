@@ -0,0 +1,150 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_SETTINGS,
+  getMetricAnomalySettings,
+  detectAnomalies,
+  detectRowAnomalies,
+  rankAnomalies
+} = require('../lib/anomalies');
+const { at, everyMinutes } = require('./helpers');
+
+// One sample a minute; readings around 100 unless given in `values`
+const series = (length, values = {}) => everyMinutes(0, length, minute => ({
+  time: at(minute),
+  value: minute in values ? values[minute] : [100, 101, 99][minute % 3]
+}), 1);
+
+test('steady readings with small noise raise nothing', () => {
+  assert.deepEqual(detectAnomalies(series(60)), { points: [], intervals: [] });
+});
+
+test('a jump is flagged against the trailing median with its direction', () => {
+  const { points } = detectAnomalies(series(30, { 20: 130, 25: 70 }));
+
+  assert.deepEqual(points.map(({ time, value, expected, direction }) => ({ time, value, expected, direction })), [
+    { time: at(20), value: 130, expected: 100, direction: 'spike' },
+    { time: at(25), value: 70, expected: 100, direction: 'drop' }
+  ]);
+  assert.ok(points.every(point => point.score >= DEFAULT_SETTINGS.sensitivity));
+});
+
+test('readings before the window has enough history are not scored', () => {
+  const { points } = detectAnomalies(series(30, { 3: 500 }));
+  assert.deepEqual(points, []);
+});
+
+test('consecutive anomalous readings form one interval peaking at the strongest', () => {
+  const { intervals } = detectAnomalies(series(40, { 20: 120, 21: 140, 22: 125, 30: 60 }));
+
+  assert.deepEqual(intervals.map(({ start, end, points, direction, peakTime, peakValue }) =>
+    ({ start, end, points, direction, peakTime, peakValue })), [
+    { start: at(20), end: at(22), points: 3, direction: 'spike', peakTime: at(21), peakValue: 140 },
+    { start: at(30), end: at(30), points: 1, direction: 'drop', peakTime: at(30), peakValue: 60 }
+  ]);
+});
+
+test('the median method is not masked by an earlier spike in the window, the z-score is', () => {
+  // With a window of 10 the spike at minute 9 pulls the rolling mean up to
+  // exactly 110, so the z-score of 110 at minute 10 is zero
+  const samples = series(11, { 9: 200, 10: 110 });
+  const flaggedAt = method => detectAnomalies(samples, { method, window: 10 }).points.map(point => point.time);
+
+  assert.deepEqual(flaggedAt('mad'), [at(9), at(10)]);
+  assert.deepEqual(flaggedAt('zscore'), [at(9)]);
+  assert.deepEqual(flaggedAt('both'), [at(9)]);
+});
+
+test('any change off a perfectly flat series scores the maximum', () => {
+  const samples = Array.from({ length: 10 }, (_, minute) => ({ time: at(minute), value: minute === 8 ? 51 : 50 }));
+  const { points } = detectAnomalies(samples);
+
+  assert.equal(points.length, 1);
+  assert.equal(points[0].score, 99);
+});
+
+test('missing readings are skipped and do not count towards the history', () => {
+  const samples = series(10, { 0: null, 1: undefined, 2: 'n/a', 3: null, 6: 300 });
+  // Only minutes 4 and 5 precede the jump, too little history to score it
+  assert.deepEqual(detectAnomalies(samples).points, []);
+});
+
+// A week of 5-minute mains readings: a daily swing, an evening sag from 18:00
+// to 22:00 and a little noise, with `values` replacing readings by index
+function week(values = {}) {
+  return everyMinutes(0, 7 * 1440, minute => {
+    const index = minute / 5;
+    const minuteOfDay = minute % 1440;
+    const sag = minuteOfDay >= 18 * 60 && minuteOfDay < 22 * 60 ? 8 : 0;
+    return {
+      time: at(minute),
+      value: index in values
+        ? values[index]
+        : 230 + 4 * Math.sin((2 * Math.PI * minuteOfDay) / 1440) - sag + [0, 0.3, -0.3][index % 3]
+    };
+  });
+}
+
+test('a clean daily cycle raises nothing once the series spans a few days', () => {
+  for (const settings of [DEFAULT_SETTINGS, { method: 'zscore', window: 60, sensitivity: 3 }]) {
+    assert.deepEqual(detectAnomalies(week(), settings), { points: [], intervals: [] });
+  }
+
+  // A single day is too short to learn the cycle from, so the sag is flagged
+  assert.ok(detectAnomalies(week().slice(0, 288)).points.length > 0);
+});
+
+test('a fault still stands out against the time-of-day profile', () => {
+  // Day 5 at 12:00 and at 19:00, in the middle of the evening sag
+  const { points } = detectAnomalies(week({ [5 * 288 + 144]: 250, [5 * 288 + 228]: 200 }));
+
+  assert.deepEqual(points.map(({ time, direction }) => ({ time, direction })), [
+    { time: at((5 * 288 + 144) * 5), direction: 'spike' },
+    { time: at((5 * 288 + 228) * 5), direction: 'drop' }
+  ]);
+  assert.ok(Math.abs(points[1].expected - 220) < 2);
+});
+
+test('base stations are scored separately and switched-off metrics are left out', () => {
+  const rows = [];
+  for (let minute = 0; minute < 30; minute++) {
+    rows.push({ NodeBaseStationName: 'Ngong', Timestamp: at(minute), 'Forward Power': 1000 + (minute % 3), Temperature: 40 });
+    rows.push({ NodeBaseStationName: 'Kiambu', Timestamp: at(minute), 'Forward Power': minute === 20 ? 900 : 400 + (minute % 3), Temperature: 40 });
+  }
+
+  const result = detectRowAnomalies(rows, ['Forward Power', 'Temperature'], {
+    'Forward Power': DEFAULT_SETTINGS,
+    Temperature: null
+  });
+
+  assert.deepEqual(Object.keys(result), ['Forward Power']);
+  assert.deepEqual(result['Forward Power'].points.map(({ time, baseStation }) => ({ time, baseStation })), [
+    { time: at(20), baseStation: 'Kiambu' }
+  ]);
+});
+
+test('node settings replace the defaults and null switches a metric off', () => {
+  const settings = {
+    defaults: { 'Forward Power': { method: 'zscore', sensitivity: 4 }, Temperature: { window: 60 } },
+    nodes: { 'Kameme FM': { 'Forward Power': null, Temperature: { method: 'median' } } }
+  };
+
+  assert.deepEqual(getMetricAnomalySettings('Emoo FM', 'Forward Power', settings), { method: 'zscore', window: 30, sensitivity: 4 });
+  assert.equal(getMetricAnomalySettings('Kameme FM', 'Forward Power', settings), null);
+  // An unknown method falls back to the default one, and node entries replace rather than merge
+  assert.deepEqual(getMetricAnomalySettings('Kameme FM', 'Temperature', settings), DEFAULT_SETTINGS);
+  assert.deepEqual(getMetricAnomalySettings('Emoo FM', 'VSWR', settings), DEFAULT_SETTINGS);
+});
+
+test('the strongest intervals across metrics are ranked first', () => {
+  const ranked = rankAnomalies({
+    'Forward Power': { intervals: [{ start: at(1), peakScore: 5 }, { start: at(2), peakScore: 40 }] },
+    Temperature: { intervals: [{ start: at(3), peakScore: 12 }] }
+  }, 2);
+
+  assert.deepEqual(ranked, [
+    { metric: 'Forward Power', start: at(2), peakScore: 40 },
+    { metric: 'Temperature', start: at(3), peakScore: 12 }
+  ]);
+});
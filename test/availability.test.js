@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectOutages, summarizeAvailability } = require('../lib/availability');
+const { startTime, at, everyMinutes } = require('./helpers');
+
+const endTime = at(120);
+const settings = { startTime, endTime, powerFloor: 10, maxGapMinutes: 15, now: new Date('2024-06-01T00:00:00Z') };
+
+// A sample every `step` minutes from `from` up to (not including) `to`
+const samples = (from, to, forwardPower, step = 5) =>
+  everyMinutes(from, to, minute => ({ time: at(minute), forwardPower }), step);
+
+test('a node reporting full power all period has no outages', () => {
+  const outages = detectOutages(samples(0, 120, 1000), settings);
+  assert.deepEqual(outages, []);
+  assert.equal(summarizeAvailability(outages, settings).availability, 100);
+});
+
+test('low forward power runs from the first low reading to the next good one', () => {
+  const outages = detectOutages([
+    ...samples(0, 30, 1000),
+    ...samples(30, 50, 2),
+    ...samples(50, 120, 1000)
+  ], settings);
+
+  assert.deepEqual(outages.map(({ start, end, cause, durationMinutes }) => ({ start, end, cause, durationMinutes })), [
+    { start: at(30), end: at(50), cause: 'low-power', durationMinutes: 20 }
+  ]);
+});
+
+test('silence longer than the allowed gap is a no-telemetry outage, shorter silence is not', () => {
+  const outages = detectOutages([
+    ...samples(0, 20, 1000),
+    // 10 minutes of silence: within maxGapMinutes
+    ...samples(25, 40, 1000),
+    // 40 minutes of silence
+    ...samples(75, 120, 1000)
+  ], settings);
+
+  assert.deepEqual(outages.map(({ start, end, cause }) => ({ start, end, cause })), [
+    { start: at(35), end: at(75), cause: 'no-telemetry' }
+  ]);
+});
+
+test('missing telemetry at either end of the period counts against it', () => {
+  const outages = detectOutages(samples(30, 90, 1000), settings);
+
+  assert.deepEqual(outages.map(({ start, end, cause }) => ({ start, end, cause })), [
+    { start: startTime, end: at(30), cause: 'no-telemetry' },
+    { start: at(85), end: endTime, cause: 'no-telemetry' }
+  ]);
+});
+
+test('no samples at all is one outage covering the period', () => {
+  const outages = detectOutages([], settings);
+
+  assert.equal(outages.length, 1);
+  assert.equal(outages[0].cause, 'no-telemetry');
+  assert.equal(outages[0].durationMinutes, 120);
+  assert.deepEqual(summarizeAvailability(outages, settings), {
+    availability: 0,
+    downtimeMinutes: 120,
+    periodMinutes: 120,
+    outageCount: 1
+  });
+});
+
+test('back-to-back low readings merge into one event, a gap between them splits it by cause', () => {
+  const outages = detectOutages([
+    ...samples(0, 20, 1000),
+    ...samples(20, 40, 0),
+    // Silent from 35 to 60 while still low
+    ...samples(60, 70, 0),
+    ...samples(70, 120, 1000)
+  ], settings);
+
+  assert.deepEqual(outages.map(({ start, end, cause }) => ({ start, end, cause })), [
+    { start: at(20), end: at(35), cause: 'low-power' },
+    { start: at(35), end: at(60), cause: 'no-telemetry' },
+    { start: at(60), end: at(70), cause: 'low-power' }
+  ]);
+});
+
+test('without a Forward Power channel only gaps count', () => {
+  const outages = detectOutages([...samples(0, 60, null), ...samples(90, 120, null)], settings);
+
+  assert.deepEqual(outages.map(({ cause }) => cause), ['no-telemetry']);
+});
+
+test('an outage reaching the end of a period that ends now is ongoing', () => {
+  const now = new Date(endTime.getTime() + 30 * 1000);
+  const outages = detectOutages([...samples(0, 100, 1000), ...samples(100, 120, 0)], { ...settings, now });
+
+  assert.equal(outages.length, 1);
+  assert.equal(outages[0].ongoing, true);
+
+  const historical = detectOutages([...samples(0, 100, 1000), ...samples(100, 120, 0)], settings);
+  assert.equal(historical[0].ongoing, false);
+});
+
+test('availability is the share of the period not in an outage', () => {
+  const outages = detectOutages([...samples(0, 90, 1000), ...samples(90, 120, 0)], settings);
+
+  assert.deepEqual(summarizeAvailability(outages, settings), {
+    availability: 75,
+    downtimeMinutes: 30,
+    periodMinutes: 120,
+    outageCount: 1
+  });
+});
@@ -0,0 +1,345 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Contract tests: every route is called against an in-memory SQLite database
+// seeded with fixture telemetry, and each response must have a status the
+// OpenAPI document lists for the operation and a body matching its schema.
+// The last test checks that every documented operation was exercised and
+// that every Express route is documented.
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'horizon-contract-'));
+const thresholdsFile = path.join(scratch, 'thresholds.json');
+fs.copyFileSync(path.join(__dirname, '..', 'config', 'thresholds.json'), thresholdsFile);
+
+Object.assign(process.env, {
+  STORAGE_DRIVER: 'sqlite',
+  SQLITE_FILE: ':memory:',
+  FIXTURE_DAYS: '3',
+  THRESHOLDS_FILE: thresholdsFile,
+  REPORT_OUTPUT_DIR: path.join(scratch, 'reports'),
+  LIVE_POLL_INTERVAL_MS: '200'
+});
+
+const { app, initializeApp } = require('../server');
+const { openApiDocument } = require('../lib/openapi');
+const { validateValue, compileOperations, findOperation } = require('../lib/requestValidation');
+
+const operations = compileOperations(openApiDocument);
+const exercised = new Set();
+
+let db;
+let server;
+let baseUrl;
+const log = console.log;
+
+before(async () => {
+  // Keep the server's logging out of the test report; restored in after()
+  console.log = () => {};
+  db = await initializeApp();
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  console.log = log;
+  await new Promise(resolve => server.close(resolve));
+  await db.end();
+  fs.rmSync(scratch, { recursive: true, force: true });
+});
+
+// Call the API and check the response against the document. Returns
+// { status, headers, body } with JSON bodies parsed.
+async function call(method, url, { body, rawBody, headers = {} } = {}) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: body !== undefined || rawBody !== undefined ? { 'Content-Type': 'application/json', ...headers } : headers,
+    body: rawBody !== undefined ? rawBody : (body !== undefined ? JSON.stringify(body) : undefined)
+  });
+
+  const pathname = new URL(url, baseUrl).pathname;
+  const match = findOperation(operations, method, pathname);
+  assert.ok(match, `${method} ${pathname} is not in the OpenAPI document`);
+  exercised.add(`${match.method} ${match.path}`);
+
+  const documented = match.operation.responses[response.status];
+  assert.ok(documented, `${method} ${url} answered ${response.status}, which is not documented for ${match.path}`);
+
+  const contentType = (response.headers.get('content-type') || '').split(';')[0];
+  let parsed = null;
+  if (contentType === 'application/json') {
+    parsed = await response.json();
+  } else if (response.status !== 204) {
+    parsed = Buffer.from(await response.arrayBuffer());
+  }
+
+  if (documented.content) {
+    const declared = documented.content[contentType];
+    assert.ok(declared, `${method} ${url} answered ${contentType}, expected one of ${Object.keys(documented.content).join(', ')}`);
+    if (contentType === 'application/json') {
+      assert.deepEqual(validateValue(openApiDocument, declared.schema, parsed, 'response'), [], `${method} ${url} response does not match the document`);
+    }
+  }
+
+  return { status: response.status, headers: response.headers, body: parsed };
+}
+
+const expectInvalid = (response, ...fragments) => {
+  assert.equal(response.status, 400);
+  assert.equal(typeof response.body.error, 'string');
+  assert.ok(Array.isArray(response.body.details));
+  fragments.forEach(fragment => {
+    assert.ok(response.body.details.some(detail => detail.includes(fragment)), `no detail mentions '${fragment}': ${response.body.details}`);
+  });
+};
+
+test('service routes', async () => {
+  const health = await call('GET', '/api/health');
+  assert.equal(health.body.dbConnected, true);
+
+  const settings = await call('GET', '/api/settings');
+  assert.equal(settings.status, 200);
+
+  const docs = await call('GET', '/api/docs');
+  assert.equal(docs.body.openapi, openApiDocument.openapi);
+});
+
+test('nodes, profiles, base stations and date ranges', async () => {
+  const nodes = await call('GET', '/api/nodes');
+  assert.ok(nodes.body.some(node => node.nodeName === 'Kameme FM'));
+  expectInvalid(await call('GET', '/api/nodes?includeInactive=yes'), 'query.includeInactive');
+
+  const profile = await call('GET', '/api/nodes/Genset02/profile');
+  assert.equal(profile.body.name, 'generator');
+
+  const stations = await call('GET', '/api/base-stations/Kameme%20FM');
+  assert.deepEqual(stations.body, ['Limuru', 'Ngong']);
+  assert.equal((await call('GET', '/api/base-stations/Nowhere')).status, 404);
+
+  const range = await call('GET', '/api/date-range?nodeName=Kameme%20FM');
+  assert.ok(range.body.minDate < range.body.maxDate);
+  assert.equal((await call('GET', '/api/date-range')).status, 200);
+  assert.equal((await call('GET', '/api/date-range?nodeName=Nowhere')).status, 404);
+});
+
+test('telemetry for a node', async () => {
+  const raw = await call('GET', '/api/data/Kameme%20FM/24h?baseStation=Ngong');
+  assert.equal(raw.headers.get('x-resolution'), 'raw');
+  assert.ok(raw.body.length > 0);
+
+  const bucketed = await call('GET', '/api/data/Kameme%20FM/7d?resolution=1h');
+  assert.equal(bucketed.headers.get('x-resolution'), '1h');
+  assert.ok(bucketed.body.every(row => row.SampleCount > 0));
+  // The newest raw row in the window, to open the live feed after it
+  assert.match(bucketed.headers.get('x-live-position'), /^.+#\d+$/);
+
+  const page = await call('GET', '/api/data/Kameme%20FM/24h?limit=5&sort=Temperature&order=asc&filter=Temperature%3E0');
+  assert.equal(page.body.rows.length, 5);
+  const next = await call('GET', `/api/data/Kameme%20FM/24h?limit=5&sort=Temperature&order=asc&filter=Temperature%3E0&cursor=${page.body.nextCursor}`);
+  assert.ok(next.body.rows[0].Temperature >= page.body.rows[4].Temperature);
+
+  const csv = await call('GET', '/api/data/Kameme%20FM/24h?format=csv');
+  assert.match(csv.headers.get('content-disposition'), /attachment; filename=".*\.csv"/);
+  assert.match(csv.body.toString('utf8'), /Timestamp/);
+
+  const custom = await call('GET', '/api/data/Genset02/custom?startDate=2000-01-01&endDate=2000-01-02');
+  assert.equal(custom.status, 404);
+  assert.equal((await call('GET', '/api/data/Nowhere/24h')).status, 404);
+
+  expectInvalid(await call('GET', '/api/data/Kameme%20FM/24h?limit=1000'), 'query.limit must be at most');
+  expectInvalid(await call('GET', '/api/data/Kameme%20FM/24h?resolution=2h'), 'query.resolution');
+  expectInvalid(await call('GET', '/api/data/Kameme%20FM/12h'), 'path.timePeriod');
+  expectInvalid(await call('GET', '/api/data/Kameme%20FM/24h?limit=5&filter=Bogus%3E1'), 'Bogus');
+  expectInvalid(await call('GET', '/api/data/Kameme%20FM/custom?startDate=soon&endDate=later'));
+});
+
+test('batch telemetry', async () => {
+  const batch = await call('POST', '/api/data/batch', {
+    body: { series: ['Kameme FM', { nodeName: 'Aviation FM', baseStation: 'Ngong' }], timePeriod: '24h' }
+  });
+  assert.equal(batch.body.series.length, 2);
+
+  expectInvalid(await call('POST', '/api/data/batch', { body: { series: [] } }), 'body.series must have at least 1 item');
+  expectInvalid(await call('POST', '/api/data/batch', { body: { series: [42] } }), 'body.series[0]');
+  expectInvalid(await call('POST', '/api/data/batch', { body: { series: ['Kameme FM', 'Kameme FM'] } }), 'only be compared once');
+  assert.equal((await call('POST', '/api/data/batch', { body: { series: ['Nowhere'] } })).status, 404);
+});
+
+test('saving measurements', async () => {
+  // The measurements table is not part of the app's schema
+  await db.query('CREATE TABLE measurements (id INT AUTO_INCREMENT PRIMARY KEY, value DOUBLE, note VARCHAR(255))');
+  const saved = await call('POST', '/api/data', { body: { data: { value: 1.5, note: 'calibration' } } });
+  assert.deepEqual(saved.body, { success: true, id: 1 });
+  const [rows] = await db.query('SELECT value, note FROM measurements');
+  assert.deepEqual(rows, [{ value: 1.5, note: 'calibration' }]);
+
+  expectInvalid(await call('POST', '/api/data', { body: { value: 1.5 } }), 'body.data is required');
+  expectInvalid(await call('POST', '/api/data', { body: { data: 1.5 } }), 'body.data');
+});
+
+test('per-node reports', async () => {
+  const availability = await call('GET', '/api/nodes/Kameme%20FM/availability?period=24h&powerFloor=10');
+  assert.equal(availability.body.availability, 100);
+
+  const energy = await call('GET', '/api/nodes/Kameme%20FM/energy?period=7d&interval=day');
+  assert.equal(energy.body.interval, 'day');
+
+  await call('GET', '/api/nodes/Genset02/genset?period=7d');
+  expectInvalid(await call('GET', '/api/nodes/Kameme%20FM/genset'));
+
+  await call('GET', '/api/nodes/Aviation%20FM/data-quality?period=24h&gapMinutes=15');
+  await call('GET', '/api/nodes/Aviation%20FM/anomalies?period=24h&baseStation=Ngong');
+  await call('GET', '/api/nodes/Aviation%20FM/trends?period=7d');
+
+  const correlations = await call('GET', '/api/nodes/Aviation%20FM/correlations?period=24h&x=Forward%20Power&y=Power');
+  assert.equal(correlations.body.scatter.x, 'Forward Power');
+  expectInvalid(await call('GET', '/api/nodes/Aviation%20FM/correlations?x=Forward%20Power&y=Bogus'));
+
+  const comparison = await call('GET', '/api/nodes/Aviation%20FM/comparison?period=24h&compare=previous');
+  assert.equal(comparison.body.compare, 'previous');
+  expectInvalid(await call('GET', '/api/nodes/Aviation%20FM/comparison?period=24h'), 'query.compare is required');
+
+  expectInvalid(await call('GET', '/api/nodes/Aviation%20FM/availability?period=week'), 'query.period');
+  expectInvalid(await call('GET', '/api/nodes/Aviation%20FM/energy?interval=hour'), 'query.interval');
+  expectInvalid(await call('GET', '/api/nodes/Aviation%20FM/data-quality?gapMinutes=-1'), 'query.gapMinutes');
+  assert.equal((await call('GET', '/api/nodes/Nowhere/availability')).status, 404);
+});
+
+test('live feed', async () => {
+  const controller = new AbortController();
+  const response = await fetch(`${baseUrl}/api/live/Kameme%20FM?since=${encodeURIComponent(new Date(Date.now() - 60 * 60 * 1000).toISOString())}`, {
+    signal: controller.signal
+  });
+  exercised.add('get /api/live/{nodeName}');
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type').split(';')[0], 'text/event-stream');
+  controller.abort();
+
+  assert.equal((await call('GET', '/api/live/Nowhere')).status, 404);
+});
+
+test('analysis', async () => {
+  const analysis = await call('POST', '/api/analyze', {
+    body: {
+      nodeName: 'Kameme FM',
+      baseStation: 'Ngong',
+      data: { 'Forward Power': [1000, 1010, 990], Temperature: [35, 36, 37] },
+      timestamps: ['2024-05-01T10:00:00Z', '2024-05-01T10:01:00Z', '2024-05-01T10:02:00Z'],
+      period: '24h',
+      compare: 'previous'
+    }
+  });
+  assert.ok(analysis.body.narration.length > 0);
+
+  // Without data the stored raw readings of the period are assessed
+  const stored = await call('POST', '/api/analyze', { body: { nodeName: 'Kameme FM', baseStation: 'Ngong', period: '24h' } });
+  assert.match(stored.body.narration, /RF System Analysis for Ngong/);
+  assert.ok(stored.body.metrics.Temperature.stats.count > 200);
+  assert.equal((await call('POST', '/api/analyze', { body: { nodeName: 'Nowhere', period: '24h' } })).status, 404);
+
+  expectInvalid(await call('POST', '/api/analyze', { body: { baseStation: 'Ngong' } }), 'body.data is required');
+  expectInvalid(await call('POST', '/api/analyze', { body: { baseStation: 'Ngong', data: { VSWR: ['high'] } } }), 'body.data.VSWR[0]');
+  expectInvalid(await call('POST', '/api/analyze', { rawBody: '{"baseStation":' }), 'JSON');
+});
+
+test('threshold rules', async () => {
+  const rules = await call('GET', '/api/thresholds');
+  const saved = await call('PUT', '/api/thresholds', { body: rules.body });
+  assert.deepEqual(saved.body, rules.body);
+
+  const nodeRules = await call('GET', '/api/thresholds/Kameme%20FM');
+  assert.ok(nodeRules.body.VSWR);
+
+  expectInvalid(await call('PUT', '/api/thresholds', { body: { defaults: { VSWR: { high: { warning: 'x' } } } } }));
+  expectInvalid(await call('PUT', '/api/thresholds', { body: { defaults: [] } }), 'body.defaults must be an object');
+});
+
+test('narrations', async () => {
+  const period = 'custom:2024-05-01..2024-05-07';
+  const key = `baseStation=Ngong&period=${encodeURIComponent(period)}`;
+  assert.equal((await call('GET', `/api/reports/Kameme%20FM?${key}`)).status, 404);
+
+  const first = await call('PUT', '/api/reports/Kameme%20FM', {
+    body: { baseStation: 'Ngong', period, narration: '<p>First</p>', baseVersion: 0, author: 'ops' }
+  });
+  assert.equal(first.body.version, 1);
+
+  const conflict = await call('PUT', '/api/reports/Kameme%20FM', {
+    body: { baseStation: 'Ngong', period, narration: '<p>Stale</p>', baseVersion: 0 }
+  });
+  assert.equal(conflict.status, 409);
+  assert.equal(conflict.body.current.version, 1);
+
+  const current = await call('GET', `/api/reports/Kameme%20FM?${key}`);
+  assert.equal(current.body.narration, '<p>First</p>');
+
+  const versions = await call('GET', `/api/reports/Kameme%20FM/versions?${key}`);
+  assert.equal(versions.body.length, 1);
+  assert.equal((await call('GET', `/api/reports/Kameme%20FM/versions/1?${key}`)).body.version, 1);
+  assert.equal((await call('GET', `/api/reports/Kameme%20FM/versions/9?${key}`)).status, 404);
+
+  expectInvalid(await call('GET', '/api/reports/Kameme%20FM'), 'query.period is required');
+  expectInvalid(await call('GET', `/api/reports/Kameme%20FM/versions/latest?${key}`), 'path.version must be an integer');
+  expectInvalid(await call('PUT', '/api/reports/Kameme%20FM', { body: { period } }), 'body.narration is required');
+
+  // Rolling periods cover different readings each time, so nothing is saved for them
+  expectInvalid(await call('GET', '/api/reports/Kameme%20FM?period=7d'), 'not saved for rolling periods');
+  expectInvalid(await call('PUT', '/api/reports/Kameme%20FM', {
+    body: { period: '7d', narration: '<p>Last week</p>', baseVersion: 0 }
+  }), 'body.period must be custom');
+});
+
+test('report PDF', async () => {
+  const pdf = await call('GET', '/api/reports/Kameme%20FM.pdf?baseStation=Ngong&period=24h');
+  assert.equal(pdf.status, 200);
+  assert.equal(pdf.body.subarray(0, 4).toString(), '%PDF');
+
+  expectInvalid(await call('GET', '/api/reports/Kameme%20FM.pdf?period=24h&compare=lastweek'), 'query.compare');
+  assert.equal((await call('GET', '/api/reports/Nowhere.pdf?period=24h')).status, 404);
+});
+
+test('report schedules', async () => {
+  assert.deepEqual((await call('GET', '/api/schedules')).body, []);
+
+  const input = { name: 'Daily Kameme', frequency: 'daily', nodes: ['Kameme FM'], baseStation: 'Ngong', runAt: '06:00' };
+  const created = await call('POST', '/api/schedules', { body: input });
+  assert.equal(created.status, 201);
+  const { id } = created.body;
+
+  assert.equal((await call('GET', `/api/schedules/${id}`)).body.name, 'Daily Kameme');
+  const updated = await call('PUT', `/api/schedules/${id}`, { body: { ...input, frequency: 'weekly', dayOfWeek: 1 } });
+  assert.equal(updated.body.frequency, 'weekly');
+
+  const run = await call('POST', `/api/schedules/${id}/run`);
+  assert.equal(run.body.status, 'success');
+  const runs = await call('GET', `/api/schedules/${id}/runs?limit=10`);
+  assert.equal(runs.body.length, 1);
+
+  expectInvalid(await call('POST', '/api/schedules', { body: { ...input, frequency: 'hourly' } }), 'body.frequency');
+  expectInvalid(await call('POST', '/api/schedules', { body: { ...input, frequency: 'monthly' } }), 'dayOfMonth');
+  expectInvalid(await call('PUT', `/api/schedules/${id}`, { body: { ...input, runAt: '25:00' } }), 'body.runAt');
+  expectInvalid(await call('GET', '/api/schedules/first'), 'path.id must be an integer');
+  expectInvalid(await call('GET', `/api/schedules/${id}/runs?limit=0`), 'query.limit');
+
+  assert.equal((await call('DELETE', `/api/schedules/${id}`)).status, 204);
+  assert.equal((await call('GET', `/api/schedules/${id}`)).status, 404);
+  assert.equal((await call('PUT', `/api/schedules/${id}`, { body: input })).status, 404);
+  assert.equal((await call('GET', `/api/schedules/${id}/runs`)).status, 404);
+  assert.equal((await call('POST', `/api/schedules/${id}/run`)).status, 404);
+  assert.equal((await call('DELETE', `/api/schedules/${id}`)).status, 404);
+});
+
+test('every route is documented and exercised', () => {
+  const documented = operations.map(entry => `${entry.method} ${entry.path}`);
+  const routes = app._router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method =>
+      `${method} ${layer.route.path.replace(/:(\w+)/g, '{$1}')}`
+    ));
+
+  assert.deepEqual(routes.filter(route => !documented.includes(route)), [], 'routes missing from the OpenAPI document');
+  assert.deepEqual(documented.filter(operation => !routes.includes(operation)), [], 'documented operations without a route');
+  assert.deepEqual(documented.filter(operation => !exercised.has(operation)), [], 'documented operations the tests do not call');
+});
@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  pearson,
+  spearman,
+  correlationMatrix,
+  strongCorrelations,
+  describeCorrelation,
+  scatterPoints
+} = require('../lib/correlation');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test('pearson is 1 for a linear relation, -1 for an inverse one and null for a constant', () => {
+  close(pearson([1, 2, 3, 4], [10, 20, 30, 40]), 1);
+  close(pearson([1, 2, 3, 4], [8, 6, 4, 2]), -1);
+  assert.equal(pearson([1, 2, 3], [5, 5, 5]), null);
+  assert.equal(pearson([1], [2]), null);
+});
+
+test('spearman rates any monotonic relation as perfect and shares ranks between ties', () => {
+  const xs = [1, 2, 3, 4, 5];
+  const ys = xs.map(x => x ** 3);
+  close(spearman(xs, ys), 1);
+  assert.ok(pearson(xs, ys) < 1);
+
+  // Ties take their average rank: [1, 2.5, 2.5, 4] against [1, 2, 3, 4]
+  close(spearman([1, 2, 2, 3], [1, 2, 3, 4]), pearson([1, 2.5, 2.5, 4], [1, 2, 3, 4]));
+});
+
+// Eighteen rows where Temperature and Reflected Power rise together and
+// Forward Power falls as they do; every third row misses Temperature
+function telemetry() {
+  return Array.from({ length: 18 }, (_, index) => ({
+    Temperature: index % 3 === 2 ? null : 30 + index,
+    'Reflected Power': 5 + index * 0.5,
+    'Forward Power': 1000 - index * 10,
+    VSWR: 1.1 + index * 0.01
+  }));
+}
+
+test('the matrix is symmetric, uses only rows where both metrics are present and rates strength', () => {
+  const metrics = ['Temperature', 'Reflected Power', 'Forward Power'];
+  const matrix = correlationMatrix(telemetry(), metrics);
+
+  assert.deepEqual(matrix.samples, [[12, 12, 12], [12, 18, 18], [12, 18, 18]]);
+  assert.deepEqual(matrix.pearson, [[1, 1, -1], [1, 1, -1], [-1, -1, 1]]);
+  assert.deepEqual(matrix.spearman, matrix.pearson);
+  assert.deepEqual(matrix.pairs.map(({ a, b, strength }) => [a, b, strength]), [
+    ['Temperature', 'Reflected Power', 'strong'],
+    ['Temperature', 'Forward Power', 'strong'],
+    ['Reflected Power', 'Forward Power', 'strong']
+  ]);
+});
+
+test('pairs with too few common readings are not rated', () => {
+  const matrix = correlationMatrix(telemetry().slice(0, 9), ['Temperature', 'Forward Power']);
+
+  assert.deepEqual(matrix.pairs, [{
+    a: 'Temperature',
+    b: 'Forward Power',
+    pearson: null,
+    spearman: null,
+    samples: 6,
+    strength: 'none',
+    structural: false
+  }]);
+});
+
+test('pairs correlated by construction are marked and left out of the strong list', () => {
+  const { pairs } = correlationMatrix(telemetry(), ['Temperature', 'Reflected Power', 'VSWR']);
+  const structural = pairs.filter(pair => pair.structural).map(({ a, b }) => [a, b]);
+
+  assert.deepEqual(structural, [['Reflected Power', 'VSWR']]);
+  assert.deepEqual(strongCorrelations(pairs).map(({ a, b }) => [a, b]), [
+    ['Temperature', 'Reflected Power'],
+    ['Temperature', 'VSWR']
+  ]);
+});
+
+test('strong pairs are listed strongest first', () => {
+  const pairs = [
+    { a: 'A', b: 'B', pearson: 0.72, spearman: 0.75, strength: 'strong', structural: false },
+    { a: 'A', b: 'C', pearson: -0.91, spearman: null, strength: 'strong', structural: false },
+    { a: 'B', b: 'C', pearson: 0.5, spearman: 0.55, strength: 'moderate', structural: false }
+  ];
+
+  assert.deepEqual(strongCorrelations(pairs).map(({ a, b }) => `${a}-${b}`), ['A-C', 'A-B']);
+});
+
+test('the description names the relation and both coefficients', () => {
+  assert.equal(
+    describeCorrelation({ a: 'Temperature', b: 'Reflected Power', pearson: 0.84, spearman: 0.8, samples: 120 }),
+    'Temperature and Reflected Power rise and fall together (Pearson r = 0.84, Spearman ρ = 0.80, 120 readings).'
+  );
+  assert.equal(
+    describeCorrelation({ a: 'Forward Power', b: 'Temperature', pearson: -0.75, spearman: null, samples: 40 }),
+    'Forward Power falls as Temperature rises (Pearson r = -0.75, 40 readings).'
+  );
+});
+
+test('scatter points are thinned evenly and skip incomplete rows', () => {
+  const rows = Array.from({ length: 10 }, (_, index) => ({ x: index, y: index === 4 ? null : index * 2 }));
+  const scatter = scatterPoints(rows, 'x', 'y', 3);
+
+  assert.equal(scatter.total, 9);
+  assert.deepEqual(scatter.points, [{ x: 0, y: 0 }, { x: 3, y: 6 }, { x: 7, y: 14 }]);
+});
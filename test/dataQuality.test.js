@@ -0,0 +1,155 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { assessDataQuality } = require('../lib/dataQuality');
+const { startTime, at, everyMinutes } = require('./helpers');
+
+const endTime = at(120);
+const settings = { startTime, endTime, expectedIntervalSeconds: 300, gapMinutes: 15, stuckMinutes: 30 };
+
+const profile = {
+  metrics: [
+    { name: 'Temperature', unit: '°C', range: [0, 80], derived: false },
+    { name: 'Forward Power', unit: 'W', range: null, derived: false }
+  ]
+};
+
+// A row every `step` minutes from `from` up to (not including) `to`.
+// `values` maps a minute to the row's metric readings.
+function rows(station, from, to, values = () => ({}), step = 5) {
+  return everyMinutes(from, to, minute => ({
+    NodeBaseStationName: station,
+    Timestamp: at(minute),
+    Temperature: 30 + (minute % 7),
+    'Forward Power': 1000 + minute,
+    ...values(minute)
+  }), step);
+}
+
+test('a station logging on schedule all period is complete with no issues', () => {
+  const quality = assessDataQuality(rows('Ngong', 0, 120), profile, settings);
+
+  assert.equal(quality.status, 'good');
+  assert.equal(quality.expectedSamples, 24);
+  assert.equal(quality.actualSamples, 24);
+  assert.equal(quality.completeness, 100);
+  assert.deepEqual(quality.gaps, []);
+  assert.deepEqual(quality.issues, []);
+});
+
+test('silence longer than the gap limit is a gap, including at either end of the period', () => {
+  const quality = assessDataQuality([...rows('Ngong', 20, 50), ...rows('Ngong', 80, 120)], profile, settings);
+
+  assert.deepEqual(quality.gaps.map(({ start, end, durationMinutes }) => ({ start, end, durationMinutes })), [
+    { start: startTime, end: at(20), durationMinutes: 20 },
+    { start: at(45), end: at(80), durationMinutes: 35 }
+  ]);
+  assert.equal(quality.gapTotalMinutes, 55);
+});
+
+test('repeated timestamps are counted once and reported as duplicates', () => {
+  const quality = assessDataQuality([
+    ...rows('Ngong', 0, 10),
+    ...rows('Ngong', 5, 10),
+    ...rows('Ngong', 10, 120)
+  ].sort((a, b) => a.Timestamp - b.Timestamp), profile, settings);
+
+  assert.equal(quality.actualSamples, 24);
+  assert.equal(quality.duplicates.count, 1);
+  assert.deepEqual(quality.duplicates.examples, [{ baseStation: 'Ngong', time: at(5) }]);
+});
+
+test('a channel holding one value for the stuck limit is flagged, a zero run as flat-zero', () => {
+  const quality = assessDataQuality(rows('Ngong', 0, 120, minute => ({
+    Temperature: minute >= 10 && minute < 50 ? 42 : 30 + (minute % 7),
+    'Forward Power': minute >= 60 && minute < 85 ? 0 : 1000 + minute
+  })), profile, settings);
+
+  const [temperature, power] = quality.metrics;
+  assert.deepEqual(temperature.stuck.map(({ start, end, value, flatZero }) => ({ start, end, value, flatZero })), [
+    { start: at(10), end: at(45), value: 42, flatZero: false }
+  ]);
+  // 25 minutes of zeros is shorter than the stuck limit
+  assert.deepEqual(power.stuck, []);
+
+  const flat = assessDataQuality(rows('Ngong', 0, 120, minute => ({
+    'Forward Power': minute >= 60 ? 0 : 1000 + minute
+  })), profile, settings);
+  assert.equal(flat.metrics[1].stuck.length, 1);
+  assert.equal(flat.metrics[1].stuck[0].flatZero, true);
+});
+
+test('readings outside the channel range are counted with their extremes', () => {
+  const quality = assessDataQuality(rows('Ngong', 0, 120, minute => (
+    minute === 30 ? { Temperature: 95 } : minute === 60 ? { Temperature: -4 } : {}
+  )), profile, settings);
+
+  assert.deepEqual(quality.metrics[0].outOfRange, { count: 2, min: -4, max: 95 });
+  assert.ok(quality.issues.includes('Temperature: 2 readings outside 0 to 80 °C'));
+});
+
+test('each base station is checked on its own schedule', () => {
+  const quality = assessDataQuality([
+    ...rows('Kiambu', 0, 120),
+    ...rows('Ngong', 0, 60)
+  ], profile, settings);
+
+  assert.equal(quality.stationCount, 2);
+  assert.equal(quality.expectedSamples, 48);
+  assert.equal(quality.completeness, 75);
+  assert.deepEqual(quality.gaps.map(({ baseStation, start, end }) => ({ baseStation, start, end })), [
+    { baseStation: 'Ngong', start: at(55), end: endTime }
+  ]);
+});
+
+test('a known base station with no rows in the period is expected and reported as one long gap', () => {
+  const quality = assessDataQuality(rows('Kiambu', 0, 120), profile, {
+    ...settings,
+    baseStations: ['Kiambu', 'Ngong']
+  });
+
+  assert.equal(quality.stationCount, 2);
+  assert.equal(quality.expectedSamples, 48);
+  assert.equal(quality.completeness, 50);
+  assert.equal(quality.status, 'poor');
+  assert.deepEqual(quality.gaps.map(({ baseStation, start, end }) => ({ baseStation, start, end })), [
+    { baseStation: 'Ngong', start: startTime, end: endTime }
+  ]);
+});
+
+test('no rows and no known stations is one gap over the whole period', () => {
+  const quality = assessDataQuality([], profile, settings);
+
+  assert.equal(quality.actualSamples, 0);
+  assert.equal(quality.completeness, 0);
+  assert.equal(quality.gaps.length, 1);
+  assert.equal(quality.gaps[0].durationMinutes, 120);
+});
+
+test("a stopped generator's zero output is not a flat-zero sensor", () => {
+  const generator = {
+    metrics: [
+      { name: 'Voltage', unit: 'V', range: [0, 500], derived: false },
+      { name: 'Current', unit: 'A', range: [0, 1000], derived: false },
+      { name: 'Battery Voltage', unit: 'V', range: [0, 32], derived: false }
+    ]
+  };
+  const genset = { runVoltage: 180, runCurrent: 1 };
+  // Stopped for the first hour, then running with the voltage stuck at 238 V
+  const readings = rows('Ngong', 0, 120, minute => (minute < 60
+    ? { Voltage: 0, Current: 0, 'Battery Voltage': 0 }
+    : { Voltage: 238, Current: 60 + (minute % 3), 'Battery Voltage': 13.8 }));
+
+  const quality = assessDataQuality(readings, generator, { ...settings, genset });
+  const [voltage, current, battery] = quality.metrics;
+  assert.deepEqual(current.stuck, []);
+  assert.deepEqual(voltage.stuck.map(({ start, end, value }) => ({ start, end, value })), [
+    { start: at(60), end: at(115), value: 238 }
+  ]);
+  // The battery is not an output channel, so its zero run is still flagged
+  assert.equal(battery.stuck[0].flatZero, true);
+
+  // Without the generator settings the stopped hour is a flat-zero run
+  const unaware = assessDataQuality(readings, generator, settings);
+  assert.equal(unaware.metrics[1].stuck[0].flatZero, true);
+});
@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseTableQuery, fetchTelemetryPage } = require('../lib/dataTable');
+const { getNodeProfile } = require('../lib/channelProfiles');
+const { createSqliteStorage } = require('../lib/sqliteStorage');
+const { DAY, startTime, at } = require('./helpers');
+
+const profile = getNodeProfile('Kameme FM');
+const endTime = new Date(startTime.getTime() + DAY);
+
+let db;
+
+// Readings that tie on timestamp (one from a station without a name), on
+// Temperature, and some without a Temperature reading
+before(async () => {
+  db = createSqliteStorage({ file: ':memory:' });
+  const readings = [
+    ['Ngong', 0, 40], [null, 0, 40], ['Ngong', 0, 41], ['Kiambu', 0, null],
+    ['Ngong', 5, 40], [null, 5, null], ['Kiambu', 5, 42], ['Kiambu', 5, 40],
+    ['Ngong', 10, 39], [null, 10, 41]
+  ];
+  for (const [station, minute, temperature] of readings) {
+    await db.query(
+      'INSERT INTO node_status_table (NodeName, NodeBaseStationName, time, Analog1Value, Analog3Value) VALUES (?, ?, ?, ?, ?)',
+      ['Kameme FM', station, at(minute), 1000, temperature]
+    );
+  }
+});
+
+after(() => db.end());
+
+// Every page of a query, one row at a time, following nextCursor
+async function readAllPages(query) {
+  const seen = [];
+  let cursor;
+  for (let page = 0; page < 20; page++) {
+    const { errors, options } = parseTableQuery({ ...query, limit: '1', ...(cursor ? { cursor } : {}) }, profile);
+    assert.deepEqual(errors, []);
+    const result = await fetchTelemetryPage(db, profile, { nodeName: 'Kameme FM', startTime, endTime }, options);
+    seen.push(...result.rows);
+    cursor = result.nextCursor;
+    if (!cursor) return seen;
+  }
+  throw new Error('paging did not finish');
+}
+
+const key = row => `${row.NodeBaseStationName}|${new Date(row.Timestamp).getTime()}|${row.Temperature}`;
+
+for (const query of [
+  { sort: 'Timestamp', order: 'desc' },
+  { sort: 'Timestamp', order: 'asc' },
+  { sort: 'Temperature', order: 'asc' },
+  { sort: 'Temperature', order: 'desc' }
+]) {
+  test(`paging by ${query.sort} ${query.order} returns every row once, in order`, async () => {
+    const rows = await readAllPages(query);
+
+    assert.equal(rows.length, 10);
+    assert.equal(new Set(rows.map(key)).size, 10);
+
+    const { options } = parseTableQuery({ ...query, limit: '500' }, profile);
+    const single = await fetchTelemetryPage(db, profile, { nodeName: 'Kameme FM', startTime, endTime }, options);
+    assert.deepEqual(rows.map(key), single.rows.map(key));
+  });
+}
+
+test('readings without a value for the sort metric come last either way', async () => {
+  for (const order of ['asc', 'desc']) {
+    const rows = await readAllPages({ sort: 'Temperature', order });
+    assert.deepEqual(rows.slice(-2).map(row => row.Temperature), [null, null]);
+  }
+});
+
+test('rows are returned without the row id used for the cursor', async () => {
+  const { options } = parseTableQuery({ limit: '2' }, profile);
+  const page = await fetchTelemetryPage(db, profile, { nodeName: 'Kameme FM', startTime, endTime }, options);
+
+  assert.equal(page.total, 10);
+  assert.ok(page.nextCursor);
+  assert.ok(page.rows.every(row => !('RowId' in row)));
+});
+
+test('a cursor from before row ids were added is rejected', () => {
+  const old = Buffer.from(JSON.stringify({ v: null, t: startTime.getTime(), s: 'Ngong' })).toString('base64url');
+  assert.deepEqual(parseTableQuery({ cursor: old }, profile).errors, ['cursor is not valid']);
+});
@@ -0,0 +1,162 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Buckets and tariff bands follow the reporting zone; London is on UTC in
+// winter, which keeps the expected values readable, and has a DST change
+process.env.REPORT_TIMEZONE = 'Europe/London';
+
+const { validateTariff, getNodeTariff, resolveInterval, computeEnergy } = require('../lib/energy');
+const { zonedTime } = require('../lib/timezone');
+
+const HOUR = 60 * 60 * 1000;
+const startTime = new Date('2024-01-10T00:00:00Z');
+const endTime = new Date('2024-01-11T00:00:00Z');
+const at = hours => new Date(startTime.getTime() + hours * HOUR);
+
+const sample = (hours, kw, forwardKw = null, baseStation = 'Ngong') => ({ time: at(hours), baseStation, kw, forwardKw });
+
+const options = { startTime, endTime, interval: 'day', maxGapMinutes: 120 };
+
+const tariffOf = tariff => getNodeTariff('Kameme FM', { defaults: tariff, nodes: {} });
+const timeOfUse = tariffOf({
+  type: 'time-of-use',
+  currency: 'KES',
+  bands: [
+    { name: 'Peak', rate: 20, from: '08:00', to: '10:00' },
+    { name: 'Off-peak', rate: 10 }
+  ]
+});
+
+test('power is integrated with the trapezoid rule', () => {
+  // A ramp from 0 to 6 kW over an hour, then 6 kW held for half an hour
+  const { totals } = computeEnergy([sample(0, 0), sample(1, 6), sample(1.5, 6)], options);
+
+  assert.equal(totals.energyKwh, 6);
+  assert.equal(totals.cost, null);
+  assert.equal(totals.coverage, 6.3);
+});
+
+test('an interval crossing a tariff band edge is priced on each side of it', () => {
+  // 0 kW at 07:00 rising to 4 kW at 09:00: 1 kWh off-peak, then 3 kWh at peak
+  const { totals } = computeEnergy([sample(7, 0), sample(9, 4)], { ...options, tariff: timeOfUse });
+
+  assert.equal(totals.energyKwh, 4);
+  assert.equal(totals.cost, 70);
+  assert.deepEqual(totals.bands, [
+    { name: 'Off-peak', rate: 10, energyKwh: 1, cost: 10 },
+    { name: 'Peak', rate: 20, energyKwh: 3, cost: 60 }
+  ]);
+});
+
+test('an interval crossing midnight is split between the two days', () => {
+  const { intervals, totals } = computeEnergy([sample(23, 2), sample(25, 4)], {
+    ...options,
+    endTime: at(48)
+  });
+
+  // 2 to 3 kW before midnight, 3 to 4 kW after
+  assert.deepEqual(intervals.map(({ start, energyKwh }) => ({ start, energyKwh })), [
+    { start: at(0), energyKwh: 2.5 },
+    { start: at(24), energyKwh: 3.5 }
+  ]);
+  assert.equal(totals.energyKwh, 6);
+});
+
+test('readings further apart than the allowed gap are not integrated and reduce coverage', () => {
+  const { totals } = computeEnergy([sample(0, 1), sample(6, 1), sample(8, 1), sample(24, 1)], options);
+
+  // Only 06:00 to 08:00 is within the two-hour gap
+  assert.equal(totals.energyKwh, 2);
+  assert.equal(totals.coverage, 8.3);
+});
+
+test('only the part of an interval inside the period is counted', () => {
+  const { totals } = computeEnergy([sample(-1, 2), sample(1, 2)], options);
+  assert.equal(totals.energyKwh, 2);
+});
+
+test('efficiency compares forward power with the input power of the same readings', () => {
+  const { totals } = computeEnergy([
+    sample(0, 2, 1.5),
+    sample(1, 2, 1.5),
+    sample(2, 2, null),
+    sample(3, 2, null)
+  ], options);
+
+  assert.equal(totals.energyKwh, 6);
+  assert.equal(totals.forwardEnergyKwh, 1.5);
+  assert.equal(totals.efficiency, 75);
+});
+
+test('base stations are integrated on their own and summed', () => {
+  const { totals, stations } = computeEnergy([
+    sample(0, 1, null, 'Ngong'),
+    sample(0.5, 3, null, 'Kiambu'),
+    sample(1, 1, null, 'Ngong'),
+    sample(1.5, 3, null, 'Kiambu')
+  ], options);
+
+  assert.equal(stations, 2);
+  assert.equal(totals.energyKwh, 4);
+});
+
+test('energy outside every tariff band is reported as unpriced', () => {
+  const peakOnly = tariffOf({ type: 'time-of-use', bands: [{ name: 'Peak', rate: 20, from: '08:00', to: '10:00' }] });
+  const { totals } = computeEnergy([sample(9, 1), sample(11, 1)], { ...options, tariff: peakOnly });
+
+  assert.equal(totals.cost, 20);
+  assert.equal(totals.unpricedKwh, 1);
+});
+
+test('a day bucket on the spring DST change is 23 hours long', () => {
+  const dayStart = zonedTime({ year: 2024, month: 3, day: 31 });
+  const dayEnd = zonedTime({ year: 2024, month: 4, day: 1 });
+  const hourly = Array.from({ length: 24 }, (_, hour) => ({
+    time: new Date(dayStart.getTime() + hour * HOUR),
+    baseStation: 'Ngong',
+    kw: 1,
+    forwardKw: null
+  }));
+
+  const { intervals, totals } = computeEnergy(hourly, { ...options, startTime: dayStart, endTime: dayEnd });
+
+  assert.equal(intervals.length, 1);
+  assert.equal(totals.energyKwh, 23);
+  assert.equal(totals.coverage, 100);
+});
+
+test('a flat tariff prices every kWh at its rate', () => {
+  const flat = tariffOf({ type: 'flat', currency: 'KES', rate: 23.5 });
+  const { totals } = computeEnergy([sample(0, 1), sample(2, 1)], { ...options, tariff: flat });
+
+  assert.equal(totals.cost, 47);
+  assert.deepEqual(totals.bands, [{ name: 'Flat', rate: 23.5, energyKwh: 2, cost: 47 }]);
+});
+
+test('tariff validation reports every problem and invalid tariffs are ignored', () => {
+  assert.deepEqual(validateTariff({ type: 'time-of-use', bands: [{ rate: -1, from: '25:00', to: '08:00', days: [7] }] }), [
+    'tariff.bands[0].name is required',
+    'tariff.bands[0].rate must be a non-negative number',
+    'tariff.bands[0].from and .to must both be HH:MM times',
+    'tariff.bands[0].days must list weekdays from 0 (Sunday) to 6'
+  ]);
+  assert.deepEqual(validateTariff({ type: 'flat', rate: 10 }), []);
+
+  const error = console.error;
+  console.error = () => {};
+  try {
+    assert.equal(tariffOf({ type: 'flat' }), null);
+  } finally {
+    console.error = error;
+  }
+  assert.equal(getNodeTariff('Genset02', { defaults: { type: 'flat', rate: 10 }, nodes: { Genset02: null } }), null);
+});
+
+test('auto intervals are days up to a month, then weeks, then months', () => {
+  const span = days => ({ startTime, endTime: at(days * 24) });
+
+  assert.equal(resolveInterval('auto', span(31)), 'day');
+  assert.equal(resolveInterval('auto', span(90)), 'week');
+  assert.equal(resolveInterval(undefined, span(365)), 'month');
+  assert.equal(resolveInterval('week', span(1)), 'week');
+});
@@ -0,0 +1,192 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'horizon-genset-'));
+const gensetsFile = path.join(scratch, 'gensets.json');
+process.env.GENSETS_FILE = gensetsFile;
+
+const { fuelRate, detectRuns, serviceStatus, getGensetSettings, getGensetReport } = require('../lib/genset');
+const { createSqliteStorage } = require('../lib/sqliteStorage');
+const { MINUTE, DAY, startTime, at, everyMinutes } = require('./helpers');
+
+const endTime = at(360);
+
+const settings = getGensetSettings('Genset02', {
+  defaults: { ratedKw: 60, fuelCurve: [{ loadPercent: 0, litresPerHour: 2 }, { loadPercent: 100, litresPerHour: 16 }] },
+  nodes: {}
+});
+const options = { startTime, endTime, maxGapMinutes: 15, now: new Date('2024-06-01T00:00:00Z') };
+
+// A reading every `step` minutes from `from` up to (not including) `to`
+function readings(from, to, { voltage = 230, current = 50, kw = 30 } = {}, step = 5) {
+  return everyMinutes(from, to, minute => ({ time: at(minute), voltage, current, kw }), step);
+}
+const stopped = { voltage: 0, current: 0, kw: 0 };
+
+const spans = runs => runs.map(({ start, end }) => ({ start, end }));
+
+test('a run lasts from the first running reading to the first stopped one', () => {
+  const runs = detectRuns([
+    ...readings(0, 60, stopped),
+    ...readings(60, 180),
+    ...readings(180, 360, stopped)
+  ], settings, options);
+
+  assert.deepEqual(spans(runs), [{ start: at(60), end: at(180) }]);
+  assert.equal(runs[0].durationMinutes, 120);
+  // 30 kW of 60 is half load: 9 L/h on a 2 to 16 L/h curve
+  assert.equal(runs[0].averageLoadPercent, 50);
+  assert.equal(runs[0].fuelLitres, 18);
+});
+
+test('a telemetry gap longer than the limit ends a run at the last reading before it', () => {
+  const runs = detectRuns([
+    ...readings(0, 60),
+    // 40 minutes without telemetry
+    ...readings(95, 150),
+    ...readings(150, 360, stopped)
+  ], settings, options);
+
+  assert.deepEqual(spans(runs), [
+    { start: at(0), end: at(55) },
+    { start: at(95), end: at(150) }
+  ]);
+});
+
+test('a gap within the limit does not split the run', () => {
+  const runs = detectRuns([
+    ...readings(0, 60),
+    // 10 minutes without telemetry
+    ...readings(70, 120),
+    ...readings(120, 360, stopped)
+  ], settings, options);
+
+  assert.deepEqual(spans(runs), [{ start: at(0), end: at(120) }]);
+});
+
+test('runs are clipped to the period and one still going at its end is ongoing only when the period ends now', () => {
+  const samples = [...readings(-60, 300, stopped), ...readings(300, 420)];
+  const early = [...readings(-60, 30), ...readings(30, 360, stopped)];
+
+  assert.deepEqual(spans(detectRuns(early, settings, options)), [{ start: at(0), end: at(30) }]);
+
+  const historical = detectRuns(samples, settings, options);
+  assert.deepEqual(spans(historical), [{ start: at(300), end: endTime }]);
+  assert.equal(historical[0].ongoing, false);
+
+  const live = detectRuns(samples, settings, { ...options, now: endTime });
+  assert.equal(live[0].ongoing, true);
+});
+
+test('current above the limit counts as running without output voltage', () => {
+  const runs = detectRuns([
+    ...readings(0, 60, { voltage: null, current: 20, kw: null }),
+    ...readings(60, 360, { voltage: null, current: 0, kw: null })
+  ], settings, options);
+
+  assert.deepEqual(spans(runs), [{ start: at(0), end: at(60) }]);
+  assert.equal(runs[0].averageLoadPercent, 0);
+});
+
+test('fuel use is interpolated along the curve and held flat past its ends', () => {
+  const curve = [{ loadPercent: 25, litresPerHour: 5 }, { loadPercent: 75, litresPerHour: 15 }];
+  assert.equal(fuelRate(curve, 0), 5);
+  assert.equal(fuelRate(curve, 50), 10);
+  assert.equal(fuelRate(curve, 120), 15);
+});
+
+test('service status counts from the last service, or the last whole interval without one', () => {
+  const service = { serviceIntervalHours: 250, dueSoonHours: 25 };
+
+  assert.deepEqual(serviceStatus(1240, { ...service, lastService: { runHours: 1000 } }), {
+    intervalHours: 250,
+    lastServiceRunHours: 1000,
+    dueAtRunHours: 1250,
+    hoursRemaining: 10,
+    status: 'due-soon'
+  });
+  assert.equal(serviceStatus(1260, { ...service, lastService: { runHours: 1000 } }).status, 'overdue');
+  assert.equal(serviceStatus(1040, { ...service, lastService: null }).dueAtRunHours, 1250);
+  assert.equal(serviceStatus(null, service), null);
+});
+
+// Genset02 is a generator in the node registry. Telemetry every 5 minutes for
+// three weeks from the hour-meter reading, running 23:00 to 01:00 each night.
+const meterAt = new Date('2024-05-01T00:00:00Z');
+let db;
+let reads;
+
+const report = (day) => getGensetReport(db, {
+  nodeName: 'Genset02',
+  startTime: new Date(meterAt.getTime() + day * DAY),
+  endTime: new Date(meterAt.getTime() + (day + 1) * DAY)
+});
+
+before(async () => {
+  fs.writeFileSync(gensetsFile, JSON.stringify({
+    defaults: {},
+    nodes: { Genset02: { hourMeter: { hours: 1000, at: meterAt.toISOString() }, lastService: { runHours: 1000 } } }
+  }));
+
+  const storage = createSqliteStorage({ file: ':memory:' });
+  for (let minute = 0; minute < 21 * 24 * 60; minute += 5) {
+    const minuteOfDay = minute % (24 * 60);
+    const running = minuteOfDay >= 23 * 60 || minuteOfDay < 60;
+    await storage.query(
+      'INSERT INTO node_status_table (NodeName, NodeBaseStationName, time, Analog1Value, Analog2Value, Analog6Value) VALUES (?, ?, ?, ?, ?, ?)',
+      ['Genset02', 'Ngong', new Date(meterAt.getTime() + minute * MINUTE), running ? 230 : 0, running ? 60 : 0, running ? 30000 : 0]
+    );
+  }
+
+  reads = [];
+  db = {
+    ...storage,
+    query: (sql, params) => {
+      reads.push(params[1]);
+      return storage.query(sql, params);
+    }
+  };
+});
+
+after(async () => {
+  await db.end();
+  fs.rmSync(scratch, { recursive: true, force: true });
+});
+
+test('cumulative hours add the running time since the hour-meter reading', async () => {
+  const genset = await report(14);
+
+  assert.equal(genset.runHours, 2);
+  // The hour after the reading, 13 full nights and the first hour of the night the period starts in
+  assert.equal(genset.totalRunHours, 1000 + 28 + 2);
+  assert.deepEqual(genset.totalSince, meterAt);
+  assert.equal(genset.service.hoursRemaining, 220);
+});
+
+test('a later report reads only the telemetry since the previous one', async () => {
+  reads.length = 0;
+  const genset = await report(15);
+
+  assert.equal(genset.totalRunHours, 1032);
+  // The running total stopped at the previous period's start; nothing before
+  // one gap ahead of that is read again
+  assert.ok(reads.every(from => from >= new Date(meterAt.getTime() + 14 * DAY - 15 * MINUTE)));
+});
+
+test('an earlier period is counted from the reading again', async () => {
+  assert.equal((await report(2)).totalRunHours, 1000 + 4 + 2);
+  assert.equal((await report(16)).totalRunHours, 1034);
+});
+
+test('without an hour-meter reading there is no total or service status', async () => {
+  fs.writeFileSync(gensetsFile, JSON.stringify({ defaults: {}, nodes: {} }));
+  const genset = await report(14);
+
+  assert.equal(genset.runHours, 2);
+  assert.equal(genset.totalRunHours, null);
+  assert.equal(genset.totalSince, null);
+  assert.equal(genset.service, null);
+});
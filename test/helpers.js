@@ -0,0 +1,27 @@
+// Fixtures shared by the module tests: a fixed period start, moments placed
+// by minutes from it, and evenly spaced readings built from those moments
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const startTime = new Date('2024-05-01T00:00:00Z');
+const at = minutes => new Date(startTime.getTime() + minutes * MINUTE);
+
+// `make(minute)` for every `step` minutes from `from` up to (not including) `to`
+function everyMinutes(from, to, make, step = 5) {
+  const result = [];
+  for (let minute = from; minute < to; minute += step) {
+    result.push(make(minute));
+  }
+  return result;
+}
+
+module.exports = {
+  MINUTE,
+  HOUR,
+  DAY,
+  startTime,
+  at,
+  everyMinutes
+};
@@ -0,0 +1,67 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parsePosition, formatPosition, getLastPosition, fetchRowsAfter } = require('../lib/liveFeed');
+const { getNodeProfile } = require('../lib/channelProfiles');
+const { createSqliteStorage } = require('../lib/sqliteStorage');
+const { startTime, at } = require('./helpers');
+
+const profile = getNodeProfile('Kameme FM');
+const node = { nodeName: 'Kameme FM' };
+
+let db;
+
+// Two stations logging at minute 0, then three readings sharing minute 5
+// (ids 3 to 5) and one at minute 10
+before(async () => {
+  db = createSqliteStorage({ file: ':memory:' });
+  const readings = [['Ngong', 0], ['Kiambu', 0], ['Ngong', 5], ['Kiambu', 5], ['Limuru', 5], ['Ngong', 10]];
+  for (const [station, minute] of readings) {
+    await db.query(
+      'INSERT INTO node_status_table (NodeName, NodeBaseStationName, time, Analog1Value) VALUES (?, ?, ?, ?)',
+      ['Kameme FM', station, at(minute), 1000 + minute]
+    );
+  }
+});
+
+after(() => db.end());
+
+const stationsAfter = async position =>
+  (await fetchRowsAfter(db, profile, { ...node, position })).map(row => row.NodeBaseStationName);
+
+test('a position is a timestamp and row id, or a timestamp alone', () => {
+  assert.deepEqual(parsePosition('2024-05-01T03:05:00.000+03:00#4'), { time: at(5), id: 4 });
+  assert.deepEqual(parsePosition('2024-05-01T00:05:00Z'), { time: at(5), id: null });
+  assert.deepEqual(parsePosition(formatPosition({ time: at(5), id: 4 })), { time: at(5), id: 4 });
+
+  assert.equal(parsePosition('soon#4'), null);
+  assert.equal(parsePosition(''), null);
+  assert.equal(parsePosition(undefined), null);
+});
+
+test('the last position in a window is its newest row, ties broken by id', async () => {
+  assert.deepEqual(parsePosition(await getLastPosition(db, { ...node, startTime, endTime: at(10) })), { time: at(10), id: 6 });
+  assert.deepEqual(parsePosition(await getLastPosition(db, { ...node, startTime, endTime: at(9) })), { time: at(5), id: 5 });
+  assert.deepEqual(
+    parsePosition(await getLastPosition(db, { ...node, baseStation: 'Kiambu', startTime, endTime: at(10) })),
+    { time: at(5), id: 4 }
+  );
+  assert.equal(await getLastPosition(db, { ...node, startTime: at(11), endTime: at(20) }), null);
+});
+
+test('resuming mid-timestamp sends the rest of the readings at that time, oldest first', async () => {
+  assert.deepEqual(await stationsAfter({ time: at(5), id: 3 }), ['Kiambu', 'Limuru', 'Ngong']);
+  assert.deepEqual(await stationsAfter({ time: at(0), id: 1 }), ['Kiambu', 'Ngong', 'Kiambu', 'Limuru', 'Ngong']);
+});
+
+test('resuming from a timestamp alone skips every reading at that time', async () => {
+  assert.deepEqual(await stationsAfter({ time: at(5), id: null }), ['Ngong']);
+  assert.deepEqual(await stationsAfter({ time: at(10), id: 6 }), []);
+});
+
+test("rows carry their id for the next position and the node's metrics", async () => {
+  const rows = await fetchRowsAfter(db, profile, { ...node, position: { time: at(5), id: 4 } });
+
+  assert.deepEqual(rows.map(row => Number(row.RowId)), [5, 6]);
+  assert.deepEqual(rows.map(row => row['Forward Power']), [1005, 1010]);
+});
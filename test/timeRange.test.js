@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Pinned so the wall-clock checks below do not depend on the default zone
+process.env.REPORT_TIMEZONE = 'Europe/London';
+
+const { parsePeriodKey, resolveTimeRange, resolveComparisonRange } = require('../lib/timeRange');
+const { DAY } = require('./helpers');
+
+// 1-7 May 2024 in London (BST, UTC+1)
+const week = resolveTimeRange('custom', { startDate: '2024-05-01', endDate: '2024-05-07' });
+
+test('period keys split into the time period and any custom dates', () => {
+  assert.deepEqual(parsePeriodKey('7d'), { timePeriod: '7d' });
+  assert.deepEqual(parsePeriodKey('custom:2024-05-01..2024-05-07'), {
+    timePeriod: 'custom',
+    startDate: '2024-05-01',
+    endDate: '2024-05-07'
+  });
+  assert.deepEqual(parsePeriodKey(undefined), { timePeriod: undefined });
+});
+
+test('the previous period is the same span ending just before the period starts', () => {
+  const baseline = resolveComparisonRange(week, 'previous', 'custom');
+
+  assert.deepEqual(baseline.startTime, new Date('2024-04-23T23:00:00.000Z'));
+  assert.deepEqual(baseline.endTime, new Date('2024-04-30T22:59:59.999Z'));
+  assert.equal(baseline.endTime - baseline.startTime, week.endTime - week.startTime);
+  assert.equal(baseline.offsetMs, week.startTime - baseline.startTime);
+  assert.equal(baseline.label, 'previous 7 days');
+});
+
+test('a rolling period is compared with the span before it under its own label', () => {
+  const now = new Date('2024-05-10T12:00:00Z');
+  const range = resolveTimeRange('24h', { now });
+  const baseline = resolveComparisonRange(range, 'previous', '24h');
+
+  assert.ok(baseline.endTime < range.startTime);
+  assert.equal(baseline.endTime - baseline.startTime, DAY);
+  assert.equal(baseline.label, 'previous 24 hours');
+});
+
+test('the same period last year keeps the wall-clock times, across a leap day', () => {
+  const baseline = resolveComparisonRange(week, 'year', 'custom');
+
+  // Midnight on 1 May 2023 in London, 366 days earlier because of 29 February 2024
+  assert.deepEqual(baseline.startTime, new Date('2023-04-30T23:00:00.000Z'));
+  assert.deepEqual(baseline.endTime, new Date('2023-05-07T22:59:59.999Z'));
+  assert.equal(baseline.offsetMs, 366 * DAY);
+  assert.equal(baseline.label, 'same period last year');
+});
+
+test('an unknown comparison mode is a 400 error', () => {
+  assert.throws(() => resolveComparisonRange(week, 'lastweek', 'custom'), error =>
+    error.status === 400 && /compare must be one of: previous, year/.test(error.message));
+});
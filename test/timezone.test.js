@@ -0,0 +1,127 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// London changes its offset twice a year, so the reporting zone is pinned to
+// it for the custom-range and schedule checks below
+process.env.REPORT_TIMEZONE = 'Europe/London';
+
+const {
+  REPORT_TIMEZONE,
+  isValidTimeZone,
+  offsetMinutes,
+  zonedParts,
+  zonedTime,
+  parseDay,
+  formatOffset,
+  formatIso,
+  formatDay,
+  isoReplacer
+} = require('../lib/timezone');
+const { resolveTimeRange } = require('../lib/timeRange');
+const { computeNextRun, getReportPeriod } = require('../lib/scheduler');
+
+const HOUR = 60 * 60 * 1000;
+const utc = text => new Date(`${text}Z`);
+
+test('the reporting zone comes from REPORT_TIMEZONE and unknown zones are rejected', () => {
+  assert.equal(REPORT_TIMEZONE, 'Europe/London');
+  assert.equal(isValidTimeZone('Africa/Nairobi'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+});
+
+test('offsets follow the zone on either side of a DST change', () => {
+  assert.equal(offsetMinutes(utc('2024-03-31T00:59:59'), 'Europe/London'), 0);
+  assert.equal(offsetMinutes(utc('2024-03-31T01:00:00'), 'Europe/London'), 60);
+  assert.equal(offsetMinutes(utc('2024-10-27T00:59:59'), 'Europe/London'), 60);
+  assert.equal(offsetMinutes(utc('2024-10-27T01:00:00'), 'Europe/London'), 0);
+  assert.equal(offsetMinutes(utc('2024-07-01T12:00:00'), 'America/New_York'), -240);
+  assert.equal(offsetMinutes(utc('2024-07-01T12:00:00'), 'Africa/Nairobi'), 180);
+});
+
+test('wall-clock fields are those of the zone, not of UTC', () => {
+  assert.deepEqual(zonedParts(utc('2024-06-30T23:30:00'), 'Europe/London'), {
+    year: 2024, month: 7, day: 1, hour: 0, minute: 30, second: 0, millisecond: 0, weekday: 1
+  });
+  assert.equal(zonedParts(utc('2024-01-01T03:00:00'), 'America/New_York').day, 31);
+});
+
+test('a day in the zone is 23 hours long in spring and 25 in autumn', () => {
+  const dayLength = (month, day) => zonedTime({ year: 2024, month, day: day + 1 }, 'Europe/London') -
+    zonedTime({ year: 2024, month, day }, 'Europe/London');
+
+  assert.deepEqual(zonedTime({ year: 2024, month: 4, day: 1 }, 'Europe/London'), utc('2024-03-31T23:00:00'));
+  assert.equal(dayLength(3, 31), 23 * HOUR);
+  assert.equal(dayLength(10, 27), 25 * HOUR);
+  assert.equal(dayLength(6, 15), 24 * HOUR);
+});
+
+test('a skipped wall-clock time moves forward and a repeated one resolves to its second occurrence', () => {
+  // 01:30 does not exist on the spring change; it becomes 02:30 BST
+  assert.deepEqual(zonedTime({ year: 2024, month: 3, day: 31, hour: 1, minute: 30 }, 'Europe/London'), utc('2024-03-31T01:30:00'));
+  // 01:30 happens twice on the autumn change
+  assert.deepEqual(zonedTime({ year: 2024, month: 10, day: 27, hour: 1, minute: 30 }, 'Europe/London'), utc('2024-10-27T01:30:00'));
+});
+
+test('calendar fields overflow like Date.UTC', () => {
+  assert.deepEqual(zonedTime({ year: 2024, month: 3, day: 0 }, 'Africa/Nairobi'), utc('2024-02-28T21:00:00'));
+  assert.deepEqual(zonedTime({ year: 2024, month: 13, day: 1 }, 'Africa/Nairobi'), utc('2024-12-31T21:00:00'));
+});
+
+test('timestamps are written with the zone offset in force at the time', () => {
+  assert.equal(formatIso(utc('2024-05-01T06:30:00'), 'Africa/Nairobi'), '2024-05-01T09:30:00.000+03:00');
+  assert.equal(formatIso(utc('2024-07-01T12:00:00.250'), 'Europe/London'), '2024-07-01T13:00:00.250+01:00');
+  assert.equal(formatIso(utc('2024-01-01T12:00:00')), '2024-01-01T12:00:00.000+00:00');
+  assert.equal(formatIso(utc('2024-07-01T12:00:00'), 'America/New_York'), '2024-07-01T08:00:00.000-04:00');
+  assert.equal(formatDay(utc('2024-06-30T23:30:00')), '2024-07-01');
+
+  assert.equal(formatOffset(330), '+05:30');
+  assert.equal(formatOffset(-210), '-03:30');
+  assert.equal(formatOffset(0), '+00:00');
+});
+
+test('the JSON replacer writes dates in the reporting zone and leaves other values alone', () => {
+  const json = JSON.stringify({ at: utc('2024-07-01T12:00:00'), label: 'x', count: 2, invalid: new Date(NaN) }, isoReplacer);
+  assert.deepEqual(JSON.parse(json), { at: '2024-07-01T13:00:00.000+01:00', label: 'x', count: 2, invalid: null });
+});
+
+test('day strings are parsed into calendar fields', () => {
+  assert.deepEqual(parseDay('2024-03-31'), { year: 2024, month: 3, day: 31 });
+  assert.equal(parseDay('31/03/2024'), null);
+  assert.equal(parseDay(undefined), null);
+});
+
+test('a custom range covers whole days in the reporting zone across a DST change', () => {
+  const { startTime, endTime } = resolveTimeRange('custom', { startDate: '2024-03-30', endDate: '2024-03-31' });
+
+  assert.deepEqual(startTime, utc('2024-03-30T00:00:00'));
+  assert.deepEqual(endTime, utc('2024-03-31T22:59:59.999'));
+
+  // A full timestamp picks its day in the reporting zone
+  const summer = resolveTimeRange('custom', { startDate: '2024-06-30T23:30:00Z', endDate: '2024-07-01' });
+  assert.deepEqual(summer.startTime, utc('2024-06-30T23:00:00'));
+});
+
+test('schedules run at their wall-clock time on either side of a DST change', () => {
+  const daily = { frequency: 'daily', runAt: '06:00' };
+
+  assert.deepEqual(computeNextRun(daily, utc('2024-03-30T12:00:00')), utc('2024-03-31T05:00:00'));
+  assert.deepEqual(computeNextRun(daily, utc('2024-10-26T12:00:00')), utc('2024-10-27T06:00:00'));
+  assert.deepEqual(
+    computeNextRun({ frequency: 'weekly', runAt: '06:00', dayOfWeek: 1 }, utc('2024-03-27T12:00:00')),
+    utc('2024-04-01T05:00:00')
+  );
+  assert.deepEqual(
+    computeNextRun({ frequency: 'monthly', runAt: '06:00', dayOfMonth: 1 }, utc('2024-03-15T12:00:00')),
+    utc('2024-04-01T05:00:00')
+  );
+});
+
+test('a run reports on the completed days of the reporting zone', () => {
+  // 00:30 BST on 1 July is still 30 June in UTC
+  const runTime = utc('2024-06-30T23:30:00');
+
+  assert.equal(getReportPeriod('daily', runTime), 'custom:2024-06-30..2024-06-30');
+  assert.equal(getReportPeriod('weekly', runTime), 'custom:2024-06-24..2024-06-30');
+  assert.equal(getReportPeriod('monthly', runTime), 'custom:2024-06-01..2024-06-30');
+  assert.equal(getReportPeriod('monthly', utc('2024-04-01T05:00:00')), 'custom:2024-03-01..2024-03-31');
+});
@@ -0,0 +1,143 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { fitTrend, projectCrossing, forecastLine, analyzeTrend } = require('../lib/trends');
+
+const DAY = 24 * 60 * 60 * 1000;
+const startTime = new Date('2024-05-01T00:00:00Z');
+const day = days => new Date(startTime.getTime() + days * DAY);
+
+// A daily sample for days 0..count-1 with the value from `valueOf(day)`
+function daily(count, valueOf) {
+  return Array.from({ length: count }, (_, index) => ({ time: day(index), value: valueOf(index) }));
+}
+
+const temperatureRule = {
+  high: { warning: 45, critical: 50 },
+  low: { warning: 5, critical: 0 }
+};
+
+test('a straight line is fitted exactly with high confidence', () => {
+  const fit = fitTrend(daily(11, index => 30 + index));
+
+  assert.equal(fit.slopePerDay, 1);
+  assert.equal(fit.intercept, 30);
+  assert.equal(fit.r2, 1);
+  assert.equal(fit.confidence, 'high');
+  assert.equal(fit.samples, 11);
+  assert.deepEqual([fit.origin, fit.end], [day(0), day(10)]);
+});
+
+test('missing readings are skipped, and too few points or no time spread give no fit', () => {
+  const fit = fitTrend([...daily(11, index => 30 + index), { time: day(12), value: null }, { time: day(13), value: 'n/a' }]);
+  assert.equal(fit.samples, 11);
+  assert.deepEqual(fit.end, day(10));
+
+  assert.equal(fitTrend([{ time: day(0), value: 1 }]), null);
+  assert.equal(fitTrend([{ time: day(0), value: 1 }, { time: day(0), value: 2 }]), null);
+});
+
+test('noise without a slope and short series are reported as stable', () => {
+  const noisy = analyzeTrend(daily(30, index => (index % 2 ? 41 : 39)), temperatureRule, { metric: 'Temperature', unit: '°C' });
+  assert.equal(noisy.direction, 'stable');
+  assert.equal(noisy.fit.confidence, 'low');
+  assert.equal(noisy.crossing, null);
+  assert.deepEqual(noisy.forecast, []);
+  assert.equal(noisy.summary, 'Temperature shows no significant trend over the period.');
+
+  // A perfect line, but too few readings to trust
+  assert.equal(analyzeTrend(daily(5, index => 30 + index), temperatureRule).direction, 'stable');
+  assert.equal(analyzeTrend([], temperatureRule, { metric: 'VSWR' }).summary, 'Not enough VSWR readings to estimate a trend.');
+});
+
+test('a daily cycle sampled every few minutes is not a trend', () => {
+  // Seven days of 5-minute readings swinging 5 °C around 40 °C
+  const readings = Array.from({ length: 7 * 288 }, (_, index) => ({
+    time: new Date(startTime.getTime() + index * 5 * 60 * 1000),
+    value: 40 + 5 * Math.sin((2 * Math.PI * index) / 288)
+  }));
+  const trend = analyzeTrend(readings, temperatureRule, { metric: 'Temperature', unit: '°C' });
+
+  // Neighbouring readings move together, so they count as far fewer samples
+  assert.ok(trend.fit.effectiveSamples < 10);
+  assert.equal(trend.fit.confidence, 'low');
+  assert.equal(trend.direction, 'stable');
+});
+
+test('a trend the line explains only partly is reported but not projected', () => {
+  const trend = analyzeTrend(daily(60, index => 30 + 0.1 * index + (index % 2 ? 3 : -3)), temperatureRule, {
+    metric: 'Temperature',
+    unit: '°C'
+  });
+
+  assert.equal(trend.fit.confidence, 'medium');
+  assert.equal(trend.direction, 'rising');
+  assert.equal(trend.crossing, null);
+  assert.equal(trend.summary, 'Temperature rising 0.11 °C/day (moderate confidence).');
+});
+
+test('a rising trend projects when it reaches the next high threshold', () => {
+  const fit = fitTrend(daily(11, index => 30 + index));
+  const crossing = projectCrossing(fit, temperatureRule);
+
+  // 40 at the end of the period, 1 per day, warning at 45
+  assert.deepEqual(crossing, { alreadyBeyond: [], level: 'warning', limit: 45, days: 5, date: day(15) });
+});
+
+test('levels already passed are listed and the projection moves to the next one', () => {
+  const crossing = projectCrossing(fitTrend(daily(11, index => 37 + index)), temperatureRule);
+
+  assert.deepEqual(crossing.alreadyBeyond, [{ level: 'warning', limit: 45 }]);
+  assert.equal(crossing.level, 'critical');
+  assert.equal(crossing.days, 3);
+
+  const pastBoth = projectCrossing(fitTrend(daily(11, index => 45 + index)), temperatureRule);
+  assert.deepEqual(pastBoth, {
+    alreadyBeyond: [{ level: 'warning', limit: 45 }, { level: 'critical', limit: 50 }],
+    level: null
+  });
+});
+
+test('a falling trend heads for the low thresholds', () => {
+  const crossing = projectCrossing(fitTrend(daily(11, index => 30 - 2 * index)), temperatureRule);
+
+  // 10 at the end of the period, warning at 5
+  assert.equal(crossing.level, 'warning');
+  assert.equal(crossing.limit, 5);
+  assert.equal(crossing.days, 2.5);
+});
+
+test('crossings more than a year out and rules without a bound are not projected', () => {
+  const slow = projectCrossing(fitTrend(daily(11, index => 30 + index * 0.01)), temperatureRule);
+  assert.deepEqual(slow, { alreadyBeyond: [], level: null });
+
+  assert.equal(projectCrossing(fitTrend(daily(11, index => 30 + index)), { low: { warning: 5 } }), null);
+  assert.equal(projectCrossing(fitTrend(daily(11, index => 30 + index)), undefined), null);
+});
+
+test('the forecast line runs from the start of the period a quarter of its span past the end', () => {
+  const forecast = forecastLine(fitTrend(daily(9, index => 10 + 2 * index)));
+
+  assert.deepEqual(forecast, [
+    { time: day(0), value: 10 },
+    { time: day(10), value: 30 }
+  ]);
+  assert.deepEqual(forecastLine(null), []);
+});
+
+test('the summary gives the rate, any level already passed and the projection', () => {
+  const options = { metric: 'Temperature', unit: '°C' };
+
+  assert.equal(
+    analyzeTrend(daily(11, index => 30 + index), temperatureRule, options).summary,
+    'Temperature rising 1 °C/day; will reach 45 °C in ~5 days.'
+  );
+  assert.equal(
+    analyzeTrend(daily(11, index => 37 + index), temperatureRule, options).summary,
+    'Temperature rising 1 °C/day; already above the 45 °C warning level; will reach 50 °C (critical) in ~3 days.'
+  );
+  assert.equal(
+    analyzeTrend(daily(11, index => 30 - 2 * index), temperatureRule, options).summary,
+    'Temperature falling 2 °C/day; will reach 5 °C in ~3 days.'
+  );
+});